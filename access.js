@@ -0,0 +1,103 @@
+// Access control - roles, and which employees' attendance a caller may see.
+// Employees see their own data, managers also that of everyone below them in the
+// reporting hierarchy, admins everyone's.
+const { employeeDb, attendanceDb } = require('./database');
+
+const ROLES = ['employee', 'manager', 'admin'];
+const ROLE_NAMES = { employee: 'Employee', manager: 'Manager', admin: 'Admin' };
+
+// Must run after authenticate
+function requireRole(...roles) {
+  return (req, res, next) => {
+    if (!req.employee || !roles.includes(req.employee.role)) {
+      return res.status(403).json({
+        success: false,
+        message: `${roles.map(role => ROLE_NAMES[role]).join(' or ')} access required`
+      });
+    }
+    next();
+  };
+}
+
+async function canAccessEmployee(caller, employeeId) {
+  if (String(caller.id) === String(employeeId) || caller.role === 'admin') {
+    return true;
+  }
+  return caller.role === 'manager' && employeeDb.isInReportingLine(caller.id, employeeId);
+}
+
+// Whether the caller may approve or reject what an employee submitted: admins anyone's,
+// managers their reports' but never their own
+async function canReviewEmployee(caller, employeeId) {
+  if (caller.role !== 'admin' && String(caller.id) === String(employeeId)) {
+    return false;
+  }
+  return canAccessEmployee(caller, employeeId);
+}
+
+// The employees whose submissions the caller reviews: null (everyone) for admins,
+// otherwise the caller's reports
+async function reviewableEmployeeIds(caller) {
+  if (caller.role === 'admin') {
+    return null;
+  }
+  return (await employeeDb.getReports(caller.id)).map(report => report.id);
+}
+
+// Route parameter handlers, registered once with app.param so every route taking an
+// :employee_id or :attendance_id is checked the same way. They run after authenticate;
+// IDs that are not numbers (or too large for an integer column) are rejected here,
+// unknown ones left for the route to answer with 404.
+const isValidId = id => /^\d{1,9}$/.test(id);
+
+function rejectInvalidId(res, name) {
+  res.status(400).json({
+    success: false,
+    message: `${name} must be a number`
+  });
+}
+
+async function authorizeEmployeeParam(req, res, next, employeeId) {
+  try {
+    if (!isValidId(employeeId)) {
+      return rejectInvalidId(res, 'employee_id');
+    }
+    if (await canAccessEmployee(req.employee, employeeId)) {
+      return next();
+    }
+    res.status(403).json({
+      success: false,
+      message: 'You are not allowed to view this employee\'s attendance'
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+async function authorizeAttendanceParam(req, res, next, attendanceId) {
+  try {
+    if (!isValidId(attendanceId)) {
+      return rejectInvalidId(res, 'attendance_id');
+    }
+    const session = req.employee.role !== 'admin' ? await attendanceDb.getById(attendanceId) : null;
+    if (!session || await canAccessEmployee(req.employee, session.employee_id)) {
+      return next();
+    }
+    res.status(403).json({
+      success: false,
+      message: 'You are not allowed to view this attendance session'
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+module.exports = {
+  ROLES,
+  requireRole,
+  canAccessEmployee,
+  canReviewEmployee,
+  reviewableEmployeeIds,
+  authorizeEmployeeParam,
+  authorizeAttendanceParam
+};
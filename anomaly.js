@@ -0,0 +1,165 @@
+// GPS spoofing and anomaly scoring for check-in/check-out events
+require('dotenv').config();
+
+const { attendanceDb, pingDb } = require('./database');
+const { haversineMeters } = require('./geo');
+const { attendanceWebhookData, enqueueWebhookEvent } = require('./webhooks');
+
+const anomalyConfig = {
+  maxSpeedKmh: parseInt(process.env.ANOMALY_MAX_SPEED_KMH) || 150,
+  // Short hops are within GPS noise and never count as impossible travel
+  minTravelMeters: parseInt(process.env.ANOMALY_MIN_TRAVEL_METERS) || 1000,
+  maxVerifiedAccuracyMeters: parseInt(process.env.ANOMALY_MAX_VERIFIED_ACCURACY_METERS) || 100,
+  repeatLookbackDays: parseInt(process.env.ANOMALY_REPEAT_LOOKBACK_DAYS) || 30
+};
+
+// Score added to a session for each kind of anomaly; the review list is sorted by the total
+const ANOMALY_WEIGHTS = {
+  mock_location: 50,
+  impossible_speed: 40,
+  repeated_coordinates: 25,
+  poor_accuracy: 20
+};
+
+// Validate the optional accuracy / is_mock_location fields of a check-in, check-out or
+// sync event; returns { error } or { accuracy, isMockLocation }
+function parseLocationQuality({ accuracy, is_mock_location }) {
+  let accuracyMeters = null;
+  if (accuracy !== undefined && accuracy !== null) {
+    accuracyMeters = parseFloat(accuracy);
+    if (isNaN(accuracyMeters) || accuracyMeters < 0) {
+      return { error: 'accuracy must be a non-negative number of meters' };
+    }
+  }
+
+  if (is_mock_location !== undefined && is_mock_location !== null && typeof is_mock_location !== 'boolean') {
+    return { error: 'is_mock_location must be a boolean' };
+  }
+
+  return { accuracy: accuracyMeters, isMockLocation: is_mock_location === true };
+}
+
+// The last known point before this event: for a check-in the previous session's
+// check-out (or check-in), for a check-out the latest ping or the session's check-in
+async function findPreviousPoint(attendance, eventType) {
+  if (eventType === 'check_out') {
+    const ping = await pingDb.getLatest(attendance.id);
+    if (ping && new Date(ping.recorded_at) < new Date(attendance.check_out_time)) {
+      return { latitude: ping.latitude, longitude: ping.longitude, time: ping.recorded_at };
+    }
+    return {
+      latitude: attendance.check_in_latitude,
+      longitude: attendance.check_in_longitude,
+      time: attendance.check_in_time
+    };
+  }
+
+  const previous = await attendanceDb.getPreviousSession(attendance.employee_id, attendance.id, attendance.check_in_time);
+  if (!previous) {
+    return null;
+  }
+  if (previous.check_out_time && previous.check_out_latitude !== null) {
+    return { latitude: previous.check_out_latitude, longitude: previous.check_out_longitude, time: previous.check_out_time };
+  }
+  return { latitude: previous.check_in_latitude, longitude: previous.check_in_longitude, time: previous.check_in_time };
+}
+
+// Check one event and return the anomaly reasons found for it
+async function detectAnomalies(attendance, eventType, { accuracy, isMockLocation }) {
+  const prefix = eventType === 'check_out' ? 'check_out' : 'check_in';
+  const latitude = attendance[`${prefix}_latitude`];
+  const longitude = attendance[`${prefix}_longitude`];
+  const time = attendance[`${prefix}_time`];
+  const verified = eventType === 'check_out' ? attendance.check_out_location_verified : attendance.location_verified;
+  const reasons = [];
+
+  if (isMockLocation) {
+    reasons.push({ code: 'mock_location', message: 'Device reported a mock location provider' });
+  }
+
+  if (verified && accuracy !== null && accuracy > anomalyConfig.maxVerifiedAccuracyMeters) {
+    reasons.push({
+      code: 'poor_accuracy',
+      message: `Location verified with a reported accuracy of ${accuracy} m`,
+      accuracy_meters: accuracy
+    });
+  }
+
+  const previous = await findPreviousPoint(attendance, eventType);
+  if (previous) {
+    const distance = haversineMeters(
+      parseFloat(previous.latitude), parseFloat(previous.longitude),
+      parseFloat(latitude), parseFloat(longitude)
+    );
+    const elapsedSeconds = (new Date(time) - new Date(previous.time)) / 1000;
+    const speedKmh = elapsedSeconds > 0 ? (distance / elapsedSeconds) * 3.6 : Infinity;
+
+    if (distance >= anomalyConfig.minTravelMeters && speedKmh > anomalyConfig.maxSpeedKmh) {
+      reasons.push({
+        code: 'impossible_speed',
+        message: `Travelled ${Math.round(distance)} m in ${Math.round(elapsedSeconds)} s since the previous event`,
+        distance_meters: Math.round(distance),
+        elapsed_seconds: Math.round(elapsedSeconds),
+        speed_kmh: isFinite(speedKmh) ? Math.round(speedKmh) : null
+      });
+    }
+  }
+
+  // Real GPS fixes practically never repeat to the 8th decimal place
+  const matches = await attendanceDb.countIdenticalPoints(
+    attendance.employee_id, attendance.id, eventType, latitude, longitude, anomalyConfig.repeatLookbackDays
+  );
+  if (matches > 0) {
+    reasons.push({
+      code: 'repeated_coordinates',
+      message: `Identical coordinates were reported ${matches} time(s) in the last ${anomalyConfig.repeatLookbackDays} days`,
+      matches: matches
+    });
+  }
+
+  return reasons.map(reason => ({ ...reason, event: eventType, detected_at: new Date().toISOString() }));
+}
+
+// Score a recorded check-in or check-out and store the result on the attendance row.
+// Scoring never fails the attendance request itself - errors are logged and null is returned.
+async function scoreAttendanceEvent(attendance, eventType, quality) {
+  try {
+    const reasons = await detectAnomalies(attendance, eventType, quality);
+    const allReasons = [...(attendance.anomaly_reasons || []), ...reasons];
+    const score = allReasons.reduce((total, reason) => total + (ANOMALY_WEIGHTS[reason.code] || 0), 0);
+
+    const scored = await attendanceDb.recordEventQuality(attendance.id, eventType, {
+      accuracy: quality.accuracy,
+      isMockLocation: quality.isMockLocation,
+      reasons: allReasons,
+      score: score
+    });
+
+    if (reasons.length > 0) {
+      console.log('Attendance anomalies detected:', {
+        attendance_id: attendance.id,
+        employee_id: attendance.employee_id,
+        event: eventType,
+        reasons: reasons.map(reason => reason.code),
+        score: score
+      });
+      await enqueueWebhookEvent('attendance.flagged', {
+        ...attendanceWebhookData(attendance),
+        flagged_on: eventType,
+        anomaly_reasons: allReasons,
+        anomaly_score: score
+      });
+    }
+    return scored;
+  } catch (error) {
+    console.error('Anomaly scoring error:', error);
+    return null;
+  }
+}
+
+module.exports = {
+  anomalyConfig,
+  ANOMALY_WEIGHTS,
+  parseLocationQuality,
+  scoreAttendanceEvent
+};
@@ -0,0 +1,78 @@
+// Audit trail - records who changed which attendance, employee, location, timesheet,
+// schedule, holiday, leave, webhook, notification template, location type setting
+// or visit report row
+const { auditDb } = require('./database');
+
+const AUDIT_ENTITY_TYPES = ['attendance', 'employee', 'location', 'timesheet', 'shift', 'shift_assignment', 'holiday', 'leave_type', 'leave_balance', 'leave_request', 'webhook', 'notification_template', 'location_type_setting', 'visit_form', 'visit_report'];
+const AUDIT_ACTIONS = ['create', 'update', 'delete'];
+
+// Logged as changed, but never with their values
+const REDACTED_FIELDS = ['pin_hash', 'secret'];
+// Bookkeeping columns that change on every write
+const IGNORED_FIELDS = ['created_at', 'updated_at'];
+
+function normalizeValue(value) {
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  return value === undefined ? null : value;
+}
+
+// { field: { before, after } } for every field that differs. Updates compare the fields
+// of the new row, creates list every field of the new row, deletes every field of the old one.
+function diffRecords(before, after) {
+  const fields = Object.keys(after || before || {});
+  const changes = {};
+
+  for (const field of fields) {
+    if (IGNORED_FIELDS.includes(field)) {
+      continue;
+    }
+
+    const oldValue = normalizeValue(before ? before[field] : null);
+    const newValue = normalizeValue(after ? after[field] : null);
+    if (JSON.stringify(oldValue) === JSON.stringify(newValue)) {
+      continue;
+    }
+
+    changes[field] = REDACTED_FIELDS.includes(field)
+      ? { before: oldValue === null ? null : '[redacted]', after: newValue === null ? null : '[redacted]' }
+      : { before: oldValue, after: newValue };
+  }
+
+  return changes;
+}
+
+// Append an audit entry. The actor and request metadata come from req; pass req = null
+// (with a source such as "job:auto-close-sessions") for changes made by the system.
+// Audit failures are logged and never fail the request that made the change.
+async function recordAudit(req, { entityType, entityId, action, before = null, after = null, source = null }) {
+  const changes = diffRecords(before, after);
+  if (action === 'update' && Object.keys(changes).length === 0) {
+    return null;
+  }
+
+  try {
+    return await auditDb.create({
+      entityType: entityType,
+      entityId: entityId,
+      action: action,
+      actorId: req && req.auth ? req.auth.employeeId : null,
+      actorType: req ? 'employee' : 'system',
+      source: source || (req ? `${req.method} ${req.originalUrl.split('?')[0]}` : null),
+      ipAddress: req ? req.ip || null : null,
+      userAgent: req ? req.get('user-agent') || null : null,
+      changes: changes
+    });
+  } catch (error) {
+    console.error('Audit log write error:', error);
+    return null;
+  }
+}
+
+module.exports = {
+  AUDIT_ENTITY_TYPES,
+  AUDIT_ACTIONS,
+  diffRecords,
+  recordAudit
+};
@@ -0,0 +1,230 @@
+// Token-based authentication - PIN hashing, access/refresh token issuing and request middleware
+const crypto = require('crypto');
+const { promisify } = require('util');
+const jwt = require('jsonwebtoken');
+require('dotenv').config();
+
+const { employeeDb, sessionDb } = require('./database');
+
+// Access tokens are short-lived JWTs; refresh tokens are opaque random strings
+// stored hashed in auth_sessions so they can be revoked
+const authConfig = {
+  secret: process.env.JWT_SECRET,
+  issuer: 'field-tracker-api',
+  accessTokenTtl: process.env.ACCESS_TOKEN_TTL || '15m',
+  refreshTokenTtlDays: parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30
+};
+
+// Brute-force protection and PIN rules
+const pinConfig = {
+  maxFailedAttempts: parseInt(process.env.MAX_FAILED_LOGIN_ATTEMPTS) || 5,
+  lockoutMinutes: parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 15,
+  resetPinTtlHours: parseInt(process.env.RESET_PIN_TTL_HOURS) || 24,
+  pattern: /^\d{4,8}$/
+};
+
+const scrypt = promisify(crypto.scrypt);
+const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1 };
+const SCRYPT_KEY_LENGTH = 64;
+
+// Hash format: scrypt$N$r$p$<salt base64>$<hash base64>
+async function hashPin(pin) {
+  const salt = crypto.randomBytes(16);
+  const hash = await scrypt(String(pin), salt, SCRYPT_KEY_LENGTH, SCRYPT_PARAMS);
+  return ['scrypt', SCRYPT_PARAMS.N, SCRYPT_PARAMS.r, SCRYPT_PARAMS.p, salt.toString('base64'), hash.toString('base64')].join('$');
+}
+
+async function verifyPin(pin, storedHash) {
+  if (!storedHash) {
+    return false;
+  }
+
+  const [algorithm, N, r, p, salt, hash] = storedHash.split('$');
+  if (algorithm !== 'scrypt' || !salt || !hash) {
+    return false;
+  }
+
+  const expected = Buffer.from(hash, 'base64');
+  const actual = await scrypt(String(pin), Buffer.from(salt, 'base64'), expected.length, {
+    N: parseInt(N),
+    r: parseInt(r),
+    p: parseInt(p)
+  });
+
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+function isValidPin(pin) {
+  return pinConfig.pattern.test(String(pin));
+}
+
+// Random 6-digit PIN handed out by an admin reset
+function generateOneTimePin() {
+  return crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function generateRefreshToken() {
+  return crypto.randomBytes(48).toString('base64url');
+}
+
+function refreshTokenExpiry() {
+  return new Date(Date.now() + authConfig.refreshTokenTtlDays * 24 * 60 * 60 * 1000);
+}
+
+function signAccessToken(employeeId, sessionId) {
+  return jwt.sign(
+    { sid: sessionId },
+    authConfig.secret,
+    {
+      subject: String(employeeId),
+      issuer: authConfig.issuer,
+      expiresIn: authConfig.accessTokenTtl
+    }
+  );
+}
+
+// Shape returned to clients by login and refresh
+function buildTokenResponse(session, refreshToken) {
+  const accessToken = signAccessToken(session.employee_id, session.id);
+  const { exp } = jwt.decode(accessToken);
+
+  return {
+    token_type: 'Bearer',
+    access_token: accessToken,
+    expires_in: exp - Math.floor(Date.now() / 1000),
+    refresh_token: refreshToken,
+    refresh_expires_at: session.expires_at
+  };
+}
+
+// Start a new session for a freshly authenticated employee
+async function issueTokens(employeeId, req) {
+  const refreshToken = generateRefreshToken();
+  const session = await sessionDb.create(
+    employeeId,
+    hashToken(refreshToken),
+    refreshTokenExpiry(),
+    req.get('user-agent') || null,
+    req.ip || null
+  );
+
+  return buildTokenResponse(session, refreshToken);
+}
+
+// Exchange a refresh token for a new token pair; returns null if the token is unknown,
+// expired or revoked
+async function refreshTokens(refreshToken) {
+  const oldHash = hashToken(refreshToken);
+  const session = await sessionDb.getActiveByRefreshHash(oldHash);
+  if (!session) {
+    return null;
+  }
+
+  const newRefreshToken = generateRefreshToken();
+  const rotated = await sessionDb.rotateRefreshToken(
+    session.id,
+    oldHash,
+    hashToken(newRefreshToken),
+    refreshTokenExpiry()
+  );
+
+  // Another request rotated the same token first
+  if (!rotated) {
+    return null;
+  }
+
+  return buildTokenResponse(rotated, newRefreshToken);
+}
+
+// Resolves the caller from the Bearer token into req.employee / req.auth.
+// Employees signed in with a one-time reset PIN can only reach routes that allow it.
+async function resolveCaller(req, res, next, allowPinChangeRequired) {
+  try {
+    const header = req.get('authorization') || '';
+    const [scheme, token] = header.split(' ');
+
+    if (scheme !== 'Bearer' || !token) {
+      return res.status(401).json({
+        success: false,
+        message: 'Authorization token is required'
+      });
+    }
+
+    let payload;
+    try {
+      payload = jwt.verify(token, authConfig.secret, { issuer: authConfig.issuer });
+    } catch (error) {
+      return res.status(401).json({
+        success: false,
+        message: error.name === 'TokenExpiredError' ? 'Access token expired' : 'Invalid access token'
+      });
+    }
+
+    const session = await sessionDb.getActiveById(payload.sid);
+    if (!session || String(session.employee_id) !== payload.sub) {
+      return res.status(401).json({
+        success: false,
+        message: 'Session has been revoked or expired. Please log in again.'
+      });
+    }
+
+    const employee = await employeeDb.getById(payload.sub);
+    if (!employee) {
+      return res.status(401).json({
+        success: false,
+        message: 'Employee not found for this token'
+      });
+    }
+
+    // Covers check-in and every other authenticated route
+    if (employee.is_active === false) {
+      return res.status(403).json({
+        success: false,
+        message: 'Employee account is deactivated. Please contact administrator.'
+      });
+    }
+
+    if (employee.pin_must_change && !allowPinChangeRequired) {
+      return res.status(403).json({
+        success: false,
+        message: 'PIN change required. Please set a new PIN before continuing.',
+        pin_change_required: true
+      });
+    }
+
+    req.auth = {
+      employeeId: employee.id,
+      sessionId: session.id
+    };
+    req.employee = employee;
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+function authenticate(req, res, next) {
+  return resolveCaller(req, res, next, false);
+}
+
+// For change-pin and logout, which must work while a reset PIN is still in use
+function authenticateAllowingPinChange(req, res, next) {
+  return resolveCaller(req, res, next, true);
+}
+
+module.exports = {
+  authConfig,
+  pinConfig,
+  authenticate,
+  authenticateAllowingPinChange,
+  issueTokens,
+  refreshTokens,
+  hashPin,
+  verifyPin,
+  isValidPin,
+  generateOneTimePin
+};
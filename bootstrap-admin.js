@@ -0,0 +1,68 @@
+// First admin - creates an admin account while the database has no active admin, so a
+// fresh install can log in and add everyone else through /api/admin/employees
+//
+// Usage:
+//   node bootstrap-admin.js --name "Jane Doe" [--email jane@example.com] [--pin 123456]
+//
+// BOOTSTRAP_ADMIN_NAME, BOOTSTRAP_ADMIN_EMAIL and BOOTSTRAP_ADMIN_PIN can be set instead of
+// the flags. Without a PIN a one-time PIN is generated and printed. Either way the PIN has
+// to be changed at first login. Nothing is created once an active admin exists.
+require('dotenv').config();
+
+const { employeeDb, pool } = require('./database');
+const { hashPin, isValidPin, generateOneTimePin } = require('./auth');
+const { recordAudit } = require('./audit');
+
+function parseArgs(argv) {
+  const options = {
+    name: process.env.BOOTSTRAP_ADMIN_NAME,
+    email: process.env.BOOTSTRAP_ADMIN_EMAIL,
+    pin: process.env.BOOTSTRAP_ADMIN_PIN
+  };
+  for (let i = 0; i < argv.length; i += 2) {
+    const flag = argv[i].replace(/^--/, '');
+    if (!['name', 'email', 'pin'].includes(flag) || argv[i + 1] === undefined) {
+      throw new Error(`Unknown or incomplete option "${argv[i]}". Use: --name, --email, --pin`);
+    }
+    options[flag] = argv[i + 1];
+  }
+  return options;
+}
+
+async function main(argv) {
+  const { name, email, pin } = parseArgs(argv);
+
+  if (!name || !name.trim() || name.trim().length > 100) {
+    throw new Error('A name of at most 100 characters is required (--name or BOOTSTRAP_ADMIN_NAME)');
+  }
+  if (pin !== undefined && pin !== '' && !isValidPin(pin)) {
+    throw new Error('PIN must be 4 to 8 digits');
+  }
+
+  const oneTimePin = pin ? null : generateOneTimePin();
+  const admin = await employeeDb.createFirstAdmin({
+    name: name.trim(),
+    email: email ? email.trim() : null,
+    pinHash: await hashPin(pin || oneTimePin)
+  });
+
+  if (!admin) {
+    console.log('An active admin already exists - nothing to do');
+    return;
+  }
+  await recordAudit(null, { entityType: 'employee', entityId: admin.id, action: 'create', after: admin, source: 'cli:bootstrap-admin' });
+
+  console.log(`Created admin "${admin.name}" with employee ID ${admin.id}`);
+  if (oneTimePin) {
+    console.log(`One-time PIN: ${oneTimePin} (must be changed at first login)`);
+  }
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2))
+    .catch(error => {
+      console.error(error.message);
+      process.exitCode = 1;
+    })
+    .finally(() => pool.end());
+}
@@ -2,6 +2,8 @@
 const { Pool } = require('pg');
 require('dotenv').config();
 
+const { EARTH_RADIUS_METERS, evaluateGeofence } = require('./geo');
+
 // Database connection configuration with Azure-friendly settings
 const dbConfig = {
   host: process.env.DB_HOST || 'field-tracker-db.postgres.database.azure.com',
@@ -35,6 +37,22 @@ const db = {
   pool: pool
 };
 
+// Run fn(client) inside a transaction on a dedicated client
+async function withTransaction(fn) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const result = await fn(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
 // Test database connection
 async function testConnection() {
   try {
@@ -55,6 +73,18 @@ async function testConnection() {
   }
 }
 
+// Advisory lock key for the first-admin bootstrap
+const FIRST_ADMIN_LOCK_KEY = 4711002;
+
+// Employee columns that are safe to return from admin APIs (no PIN hash or lockout internals)
+const EMPLOYEE_PUBLIC_COLUMNS = `
+  id, name, email, phone, role, manager_id, assigned_location_id, timezone, is_active, 
+  created_at, updated_at, last_login
+`;
+
+// Hierarchy walks stop here, so a bad manager_id cycle cannot loop forever
+const MAX_HIERARCHY_DEPTH = 20;
+
 // Employee database functions
 const employeeDb = {
   async getById(id) {
@@ -62,17 +92,362 @@ const employeeDb = {
     const result = await db.query(query, [id]);
     return result.rows[0];
   },
+
+  // Same as getById plus lockout/reset flags evaluated against the database clock
+  async getForLogin(id) {
+    const query = `
+      SELECT 
+        *,
+        (locked_until IS NOT NULL AND locked_until > CURRENT_TIMESTAMP) AS is_locked,
+        (pin_must_change AND pin_reset_expires_at IS NOT NULL 
+          AND pin_reset_expires_at <= CURRENT_TIMESTAMP) AS reset_pin_expired
+      FROM employees 
+      WHERE id = $1
+    `;
+    const result = await db.query(query, [id]);
+    return result.rows[0];
+  },
   
-  // async updateLastLogin(id) {
-  //   const query = `
-  //     UPDATE employees 
-  //     SET last_login = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
-  //     WHERE id = $1
-  //     RETURNING last_login
-  //   `;
-  //   const result = await db.query(query, [id]);
-  //   return result.rows[0];
-  // }
+  // Successful login - also clears the failed attempt counter and any lockout
+  async updateLastLogin(id) {
+    const query = `
+      UPDATE employees 
+      SET last_login = CURRENT_TIMESTAMP,
+          failed_login_attempts = 0,
+          locked_until = NULL,
+          updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1
+      RETURNING last_login
+    `;
+    const result = await db.query(query, [id]);
+    return result.rows[0];
+  },
+
+  // Count a failed login; once maxAttempts is reached the account is locked and the counter restarts
+  async recordFailedLogin(id, maxAttempts, lockoutMinutes) {
+    const query = `
+      UPDATE employees 
+      SET failed_login_attempts = CASE 
+            WHEN failed_login_attempts + 1 >= $2 THEN 0 
+            ELSE failed_login_attempts + 1 
+          END,
+          locked_until = CASE 
+            WHEN failed_login_attempts + 1 >= $2 THEN CURRENT_TIMESTAMP + INTERVAL '1 minute' * $3 
+            ELSE locked_until 
+          END,
+          updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1
+      RETURNING failed_login_attempts, locked_until,
+                (locked_until IS NOT NULL AND locked_until > CURRENT_TIMESTAMP) AS is_locked
+    `;
+    const result = await db.query(query, [id, maxAttempts, lockoutMinutes]);
+    return result.rows[0];
+  },
+
+  // Store a new PIN hash; a reset PIN must be changed by the employee before it expires
+  async setPinHash(id, pinHash, mustChange = false, resetTtlHours = null) {
+    const query = `
+      UPDATE employees 
+      SET pin_hash = $2,
+          pin_must_change = $3,
+          pin_reset_expires_at = CASE 
+            WHEN $3 THEN CURRENT_TIMESTAMP + INTERVAL '1 hour' * $4 
+            ELSE NULL 
+          END,
+          failed_login_attempts = 0,
+          locked_until = NULL,
+          updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1
+      RETURNING id, pin_must_change, pin_reset_expires_at
+    `;
+    const result = await db.query(query, [id, pinHash, mustChange, resetTtlHours]);
+    return result.rows[0];
+  },
+
+  async getPublicById(id) {
+    const query = `SELECT ${EMPLOYEE_PUBLIC_COLUMNS} FROM employees WHERE id = $1`;
+    const result = await db.query(query, [id]);
+    return result.rows[0];
+  },
+
+  async countActiveAdmins() {
+    const result = await db.query(`SELECT COUNT(*) AS count FROM employees WHERE role = 'admin' AND is_active = true`);
+    return parseInt(result.rows[0].count);
+  },
+
+  // List employees with optional search (name, email, phone) and pagination
+  async list({ search = null, isActive = null, limit = 20, offset = 0 } = {}) {
+    let where = ' WHERE 1 = 1';
+    const params = [];
+    let paramCount = 0;
+
+    if (search) {
+      paramCount++;
+      where += ` AND (LOWER(name) LIKE LOWER($${paramCount}) 
+                 OR LOWER(email) LIKE LOWER($${paramCount}) 
+                 OR phone LIKE $${paramCount})`;
+      params.push(`%${search}%`);
+    }
+
+    if (isActive !== null) {
+      paramCount++;
+      where += ` AND is_active = $${paramCount}`;
+      params.push(isActive);
+    }
+
+    const countResult = await db.query(`SELECT COUNT(*) AS total FROM employees${where}`, params);
+
+    const query = `
+      SELECT ${EMPLOYEE_PUBLIC_COLUMNS} 
+      FROM employees${where}
+      ORDER BY name, id
+      LIMIT $${paramCount + 1} OFFSET $${paramCount + 2}
+    `;
+    const result = await db.query(query, [...params, limit, offset]);
+
+    return {
+      total: parseInt(countResult.rows[0].total),
+      rows: result.rows
+    };
+  },
+
+  async create({ name, email = null, phone = null, role = 'employee', managerId = null, assignedLocationId = null, timezone = null, pinHash = null, pinMustChange = false }) {
+    const query = `
+      INSERT INTO employees (
+        name, email, phone, role, manager_id, assigned_location_id, timezone, pin_hash, pin_must_change, is_active
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, true)
+      RETURNING ${EMPLOYEE_PUBLIC_COLUMNS}
+    `;
+    const result = await db.query(query, [name, email, phone, role, managerId, assignedLocationId, timezone, pinHash, pinMustChange]);
+    return result.rows[0];
+  },
+
+  // Create an admin only while there is no active admin (first-run bootstrap); returns
+  // null when one already exists. The advisory lock keeps two runs from both creating one.
+  async createFirstAdmin({ name, email = null, pinHash }) {
+    return withTransaction(async client => {
+      await client.query('SELECT pg_advisory_xact_lock($1)', [FIRST_ADMIN_LOCK_KEY]);
+
+      const existing = await client.query(`SELECT id FROM employees WHERE role = 'admin' AND is_active = true LIMIT 1`);
+      if (existing.rows.length > 0) {
+        return null;
+      }
+
+      const result = await client.query(`
+        INSERT INTO employees (name, email, role, pin_hash, pin_must_change, is_active)
+        VALUES ($1, $2, 'admin', $3, true, true)
+        RETURNING ${EMPLOYEE_PUBLIC_COLUMNS}
+      `, [name, email, pinHash]);
+      return result.rows[0];
+    });
+  },
+
+  // Update only the provided fields; keys are column names
+  async update(id, fields) {
+    const allowed = ['name', 'email', 'phone', 'role', 'manager_id', 'assigned_location_id', 'timezone', 'is_active'];
+    const sets = [];
+    const params = [id];
+
+    for (const column of allowed) {
+      if (fields[column] !== undefined) {
+        params.push(fields[column]);
+        sets.push(`${column} = $${params.length}`);
+      }
+    }
+
+    if (sets.length === 0) {
+      return this.getPublicById(id);
+    }
+
+    const query = `
+      UPDATE employees 
+      SET ${sets.join(', ')}, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1
+      RETURNING ${EMPLOYEE_PUBLIC_COLUMNS}
+    `;
+    const result = await db.query(query, params);
+    return result.rows[0];
+  },
+
+  async deactivate(id) {
+    const query = `
+      UPDATE employees 
+      SET is_active = false, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1
+      RETURNING ${EMPLOYEE_PUBLIC_COLUMNS}
+    `;
+    const result = await db.query(query, [id]);
+    return result.rows[0];
+  },
+
+  // Everyone below a manager in the hierarchy; depth 1 = direct reports
+  async getReports(managerId) {
+    const query = `
+      WITH RECURSIVE reports AS (
+        SELECT id, 1 AS depth FROM employees WHERE manager_id = $1
+        UNION ALL
+        SELECT e.id, r.depth + 1 FROM employees e JOIN reports r ON e.manager_id = r.id
+        WHERE r.depth < $2
+      )
+      SELECT ${EMPLOYEE_PUBLIC_COLUMNS}, r.depth
+      FROM employees
+      JOIN (SELECT id, MIN(depth) AS depth FROM reports GROUP BY id) r USING (id)
+      ORDER BY r.depth, name, id
+    `;
+    const result = await db.query(query, [managerId, MAX_HIERARCHY_DEPTH]);
+    return result.rows;
+  },
+
+  // Whether employeeId is somewhere below managerId in the hierarchy
+  async isInReportingLine(managerId, employeeId) {
+    const query = `
+      WITH RECURSIVE chain AS (
+        SELECT manager_id, 1 AS depth FROM employees WHERE id = $2
+        UNION ALL
+        SELECT e.manager_id, c.depth + 1 FROM employees e JOIN chain c ON e.id = c.manager_id
+        WHERE c.depth < $3
+      )
+      SELECT EXISTS (SELECT 1 FROM chain WHERE manager_id = $1) AS in_line
+    `;
+    const result = await db.query(query, [managerId, employeeId, MAX_HIERARCHY_DEPTH]);
+    return result.rows[0].in_line;
+  }
+};
+
+// Auth session database functions (one row per login, holds the refresh token hash)
+const sessionDb = {
+  async create(employeeId, refreshTokenHash, expiresAt, userAgent = null, ipAddress = null) {
+    const query = `
+      INSERT INTO auth_sessions (
+        employee_id, refresh_token_hash, expires_at, user_agent, ip_address
+      ) VALUES ($1, $2, $3, $4, $5)
+      RETURNING *
+    `;
+    const result = await db.query(query, [employeeId, refreshTokenHash, expiresAt, userAgent, ipAddress]);
+    return result.rows[0];
+  },
+
+  // Session is usable only while it is neither revoked nor expired
+  async getActiveById(id) {
+    const query = `
+      SELECT * FROM auth_sessions 
+      WHERE id = $1 
+      AND revoked_at IS NULL
+      AND expires_at > CURRENT_TIMESTAMP
+    `;
+    const result = await db.query(query, [id]);
+    return result.rows[0];
+  },
+
+  async getActiveByRefreshHash(refreshTokenHash) {
+    const query = `
+      SELECT * FROM auth_sessions 
+      WHERE refresh_token_hash = $1 
+      AND revoked_at IS NULL
+      AND expires_at > CURRENT_TIMESTAMP
+    `;
+    const result = await db.query(query, [refreshTokenHash]);
+    return result.rows[0];
+  },
+
+  // Replace the refresh token so the previous one can no longer be used
+  async rotateRefreshToken(id, oldRefreshTokenHash, newRefreshTokenHash, expiresAt) {
+    const query = `
+      UPDATE auth_sessions 
+      SET refresh_token_hash = $3,
+          expires_at = $4,
+          last_used_at = CURRENT_TIMESTAMP
+      WHERE id = $1 
+      AND refresh_token_hash = $2
+      AND revoked_at IS NULL
+      RETURNING *
+    `;
+    const result = await db.query(query, [id, oldRefreshTokenHash, newRefreshTokenHash, expiresAt]);
+    return result.rows[0];
+  },
+
+  async revoke(id) {
+    const query = `
+      UPDATE auth_sessions 
+      SET revoked_at = CURRENT_TIMESTAMP
+      WHERE id = $1 
+      AND revoked_at IS NULL
+      RETURNING id
+    `;
+    const result = await db.query(query, [id]);
+    return result.rows[0];
+  },
+
+  async revokeAllForEmployee(employeeId) {
+    const query = `
+      UPDATE auth_sessions 
+      SET revoked_at = CURRENT_TIMESTAMP
+      WHERE employee_id = $1 
+      AND revoked_at IS NULL
+    `;
+    const result = await db.query(query, [employeeId]);
+    return result.rowCount;
+  }
+};
+
+// Idempotency key database functions (stored responses for retried requests)
+const idempotencyDb = {
+  // Claim a key for this request; returns null when another request already holds it.
+  // An expired row for the same key, or a claim left in progress for longer than
+  // inProgressTimeoutSeconds (its request died), is removed first so the key can be reused.
+  async claim(employeeId, endpoint, idempotencyKey, requestHash, ttlHours, inProgressTimeoutSeconds) {
+    await db.query(`
+      DELETE FROM idempotency_keys 
+      WHERE employee_id = $1 
+      AND endpoint = $2 
+      AND idempotency_key = $3
+      AND (expires_at <= CURRENT_TIMESTAMP
+        OR (status = 'in_progress' AND created_at <= CURRENT_TIMESTAMP - INTERVAL '1 second' * $4))
+    `, [employeeId, endpoint, idempotencyKey, inProgressTimeoutSeconds]);
+
+    const query = `
+      INSERT INTO idempotency_keys (
+        employee_id, endpoint, idempotency_key, request_hash, expires_at
+      ) VALUES ($1, $2, $3, $4, CURRENT_TIMESTAMP + INTERVAL '1 hour' * $5)
+      ON CONFLICT (employee_id, endpoint, idempotency_key) DO NOTHING
+      RETURNING *
+    `;
+    const result = await db.query(query, [employeeId, endpoint, idempotencyKey, requestHash, ttlHours]);
+    return result.rows[0] || null;
+  },
+
+  async get(employeeId, endpoint, idempotencyKey) {
+    const query = `
+      SELECT * FROM idempotency_keys 
+      WHERE employee_id = $1 
+      AND endpoint = $2 
+      AND idempotency_key = $3
+    `;
+    const result = await db.query(query, [employeeId, endpoint, idempotencyKey]);
+    return result.rows[0];
+  },
+
+  async complete(id, responseStatus, responseBody) {
+    const query = `
+      UPDATE idempotency_keys 
+      SET status = 'completed',
+          response_status = $2,
+          response_body = $3,
+          completed_at = CURRENT_TIMESTAMP
+      WHERE id = $1
+    `;
+    await db.query(query, [id, responseStatus, JSON.stringify(responseBody)]);
+  },
+
+  // Forget a key whose request failed, so a retry executes again
+  async release(id) {
+    await db.query('DELETE FROM idempotency_keys WHERE id = $1', [id]);
+  },
+
+  async purgeExpired() {
+    const result = await db.query('DELETE FROM idempotency_keys WHERE expires_at <= CURRENT_TIMESTAMP');
+    return result.rowCount;
+  }
 };
 
 // Location database functions
@@ -83,23 +458,26 @@ const locationDb = {
     return result.rows[0];
   },
   
+  // Check a point against an active location's geofence (polygon boundary if set,
+  // otherwise radius_meters around the centre)
   async isWithinLocation(latitude, longitude, locationId) {
     const query = `
-      SELECT 
-        *,
-        (6371 * acos(cos(radians($1)) * cos(radians(latitude)) * 
-        cos(radians(longitude) - radians($2)) + sin(radians($1)) * 
-        sin(radians(latitude)))) AS distance
-      FROM locations 
-      WHERE id = $3
+      SELECT * FROM locations 
+      WHERE id = $1
+      AND is_active = true
     `;
-    const result = await db.query(query, [latitude, longitude, locationId]);
+    const result = await db.query(query, [locationId]);
     const location = result.rows[0];
     
     if (location) {
+      const geofence = evaluateGeofence(parseFloat(latitude), parseFloat(longitude), location);
       return {
         ...location,
-        isWithinRadius: location.distance <= (location.radius / 1000)
+        distance: geofence.distance_meters / 1000, // km, kept for existing callers
+        distance_meters: geofence.distance_meters,
+        distance_to_boundary_meters: geofence.distance_to_boundary_meters,
+        geofence_type: geofence.geofence_type,
+        isWithinRadius: geofence.is_within
       };
     }
     return null;
@@ -110,7 +488,7 @@ const locationDb = {
     let query = `
       SELECT location_code, name, state 
       FROM locations 
-      WHERE 1 = 1
+      WHERE is_active = true
     `;
     const params = [];
     let paramCount = 0;
@@ -141,7 +519,7 @@ const locationDb = {
     let query = `
       SELECT location_code, name, state 
       FROM locations 
-      WHERE 1 = 1
+      WHERE is_active = true
     `;
     const params = [];
     let paramCount = 0;
@@ -165,29 +543,201 @@ const locationDb = {
 
     const result = await db.query(query, params);
     return result.rows;
+  },
+
+  // Active locations within radiusMeters of a point, nearest first.
+  // A latitude/longitude bounding box narrows the rows (using idx_locations_lat_lng)
+  // before the haversine distance is computed.
+  async findNearby(latitude, longitude, radiusMeters = 5000, limit = 20) {
+    const latDelta = (radiusMeters / EARTH_RADIUS_METERS) * (180 / Math.PI);
+    const cosLat = Math.cos(latitude * Math.PI / 180);
+
+    const minLat = Math.max(latitude - latDelta, -90);
+    const maxLat = Math.min(latitude + latDelta, 90);
+
+    // Near the poles or across the antimeridian the longitude box is not meaningful
+    let minLng = -180;
+    let maxLng = 180;
+    if (cosLat > 0.01) {
+      const lngDelta = latDelta / cosLat;
+      if (longitude - lngDelta >= -180 && longitude + lngDelta <= 180) {
+        minLng = longitude - lngDelta;
+        maxLng = longitude + lngDelta;
+      }
+    }
+
+    const query = `
+      SELECT * FROM (
+        SELECT 
+          id, location_code, name, location_type, state, 
+          latitude, longitude, radius_meters, boundary,
+          (${EARTH_RADIUS_METERS} * acos(LEAST(1.0, GREATEST(-1.0, 
+            cos(radians($1)) * cos(radians(latitude)) * 
+            cos(radians(longitude) - radians($2)) + sin(radians($1)) * 
+            sin(radians(latitude)))))) AS distance_meters
+        FROM locations 
+        WHERE is_active = true
+        AND latitude BETWEEN $3 AND $4
+        AND longitude BETWEEN $5 AND $6
+      ) nearby
+      WHERE distance_meters <= $7
+      ORDER BY distance_meters, location_code
+      LIMIT $8
+    `;
+    const result = await db.query(query, [latitude, longitude, minLat, maxLat, minLng, maxLng, radiusMeters, limit]);
+
+    return result.rows.map(row => {
+      const geofence = evaluateGeofence(latitude, longitude, row);
+      return {
+        ...row,
+        latitude: parseFloat(row.latitude),
+        longitude: parseFloat(row.longitude),
+        distance_meters: Math.round(parseFloat(row.distance_meters) * 10) / 10,
+        geofence_type: geofence.geofence_type,
+        within_geofence: geofence.is_within
+      };
+    });
+  },
+
+  // Location codes are unique regardless of case
+  async getByCode(locationCode) {
+    const query = 'SELECT * FROM locations WHERE LOWER(location_code) = LOWER($1)';
+    const result = await db.query(query, [locationCode]);
+    return result.rows[0];
+  },
+
+  // Admin listing - includes inactive locations unless filtered
+  async list({ search = null, locationType = null, state = null, isActive = null, limit = 20, offset = 0 } = {}) {
+    let where = ' WHERE 1 = 1';
+    const params = [];
+    let paramCount = 0;
+
+    if (search) {
+      paramCount++;
+      where += ` AND (LOWER(name) LIKE LOWER($${paramCount}) OR LOWER(location_code) LIKE LOWER($${paramCount}))`;
+      params.push(`%${search}%`);
+    }
+
+    if (locationType) {
+      paramCount++;
+      where += ` AND LOWER(location_type) = LOWER($${paramCount})`;
+      params.push(locationType);
+    }
+
+    if (state) {
+      paramCount++;
+      where += ` AND LOWER(state) = LOWER($${paramCount})`;
+      params.push(state);
+    }
+
+    if (isActive !== null) {
+      paramCount++;
+      where += ` AND is_active = $${paramCount}`;
+      params.push(isActive);
+    }
+
+    const countResult = await db.query(`SELECT COUNT(*) AS total FROM locations${where}`, params);
+
+    const query = `
+      SELECT * FROM locations${where}
+      ORDER BY location_code, name
+      LIMIT $${paramCount + 1} OFFSET $${paramCount + 2}
+    `;
+    const result = await db.query(query, [...params, limit, offset]);
+
+    return {
+      total: parseInt(countResult.rows[0].total),
+      rows: result.rows
+    };
+  },
+
+  async create({ name, locationCode, locationType = null, state = null, latitude, longitude, radiusMeters = 100, boundary = null, timezone = null, isActive = true }) {
+    const query = `
+      INSERT INTO locations (
+        name, location_code, location_type, state, latitude, longitude, radius_meters, boundary, timezone, is_active
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+      RETURNING *
+    `;
+    const result = await db.query(query, [
+      name, locationCode, locationType, state, latitude, longitude, radiusMeters,
+      boundary ? JSON.stringify(boundary) : null, timezone, isActive
+    ]);
+    return result.rows[0];
+  },
+
+  // Update only the provided fields; keys are column names
+  async update(id, fields) {
+    const allowed = ['name', 'location_code', 'location_type', 'state', 'latitude', 'longitude', 'radius_meters', 'boundary', 'timezone', 'is_active'];
+    const sets = [];
+    const params = [id];
+
+    for (const column of allowed) {
+      if (fields[column] !== undefined) {
+        // JSONB columns need the serialised value
+        params.push(column === 'boundary' && fields[column] !== null ? JSON.stringify(fields[column]) : fields[column]);
+        sets.push(`${column} = $${params.length}`);
+      }
+    }
+
+    if (sets.length === 0) {
+      return this.getById(id);
+    }
+
+    const query = `
+      UPDATE locations 
+      SET ${sets.join(', ')}, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1
+      RETURNING *
+    `;
+    const result = await db.query(query, params);
+    return result.rows[0];
+  },
+
+  async deactivate(id) {
+    const query = `
+      UPDATE locations 
+      SET is_active = false, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1
+      RETURNING *
+    `;
+    const result = await db.query(query, [id]);
+    return result.rows[0];
   }
 };
 
 // Attendance-related database functions
 const attendanceDb = {
-  // Get all attendance records for today (instead of just one)
-  async getTodayAttendanceRecords(employeeId) {
+  // Get all attendance records for today (instead of just one).
+  // "Today" is the current date in the given timezone; sessions belong to the day they started.
+  async getTodayAttendanceRecords(employeeId, timezone = 'UTC') {
     const query = `
       SELECT * FROM attendance 
       WHERE employee_id = $1 
-      AND attendance_date = CURRENT_DATE
+      AND attendance_date = (CURRENT_TIMESTAMP AT TIME ZONE $2)::date
       ORDER BY check_in_time DESC
     `;
-    const result = await db.query(query, [employeeId]);
+    const result = await db.query(query, [employeeId, timezone]);
     return result.rows;
   },
 
   // Get the latest attendance record for today
-  async getLatestTodayAttendance(employeeId) {
+  async getLatestTodayAttendance(employeeId, timezone = 'UTC') {
     const query = `
       SELECT * FROM attendance 
       WHERE employee_id = $1 
-      AND attendance_date = CURRENT_DATE
+      AND attendance_date = (CURRENT_TIMESTAMP AT TIME ZONE $2)::date
+      ORDER BY check_in_time DESC
+      LIMIT 1
+    `;
+    const result = await db.query(query, [employeeId, timezone]);
+    return result.rows[0];
+  },
+
+  // The employee's most recent session, open or closed
+  async getLatestSession(employeeId) {
+    const query = `
+      SELECT * FROM attendance
+      WHERE employee_id = $1
       ORDER BY check_in_time DESC
       LIMIT 1
     `;
@@ -195,82 +745,84 @@ const attendanceDb = {
     return result.rows[0];
   },
 
-  // Check if employee is currently checked in (last record has no check-out)
-  async isCurrentlyCheckedIn(employeeId) {
+  // Check if employee is currently checked in (latest open record, whatever its date,
+  // so an overnight session can still be checked out after midnight)
+  async isCurrentlyCheckedIn(employeeId, client = db) {
     const query = `
       SELECT * FROM attendance 
       WHERE employee_id = $1 
-      AND attendance_date = CURRENT_DATE
       AND check_out_time IS NULL
       ORDER BY check_in_time DESC
       LIMIT 1
     `;
-    const result = await db.query(query, [employeeId]);
+    const result = await client.query(query, [employeeId]);
     return result.rows[0]; // Returns record if checked in, null if not
   },
 
-  // Record check-in (always create new record)
-  async checkIn(employeeId, latitude, longitude, locationVerified = false, locationCode = null) {
+  // Record check-in (always create new record); attendance_date is the local date in timezone
+  async checkIn(employeeId, latitude, longitude, locationVerified = false, locationCode = null, timezone = 'UTC', client = db) {
     const query = `
       INSERT INTO attendance (
         employee_id, attendance_date, check_in_time, 
-        check_in_latitude, check_in_longitude, location_verified, check_in_location_code
-      ) VALUES ($1, CURRENT_DATE, CURRENT_TIMESTAMP, $2, $3, $4, $5)
+        check_in_latitude, check_in_longitude, location_verified, check_in_location_code, timezone
+      ) VALUES ($1, (CURRENT_TIMESTAMP AT TIME ZONE $6)::date, CURRENT_TIMESTAMP, $2, $3, $4, $5, $6)
       RETURNING id, employee_id, attendance_date, check_in_time, 
-               check_in_latitude, check_in_longitude, location_verified, check_in_location_code
+               check_in_latitude, check_in_longitude, location_verified, check_in_location_code, timezone
     `;
-    const result = await db.query(query, [employeeId, latitude, longitude, locationVerified, locationCode]);
+    const result = await client.query(query, [employeeId, latitude, longitude, locationVerified, locationCode, timezone]);
     return result.rows[0];
   },
 
-  // Record check-out (update the latest open record)
-  async checkOut(employeeId, latitude, longitude, locationCode = null) {
+  // Record check-out (update the latest open record, even if it started on an earlier day)
+  async checkOut(employeeId, latitude, longitude, locationCode = null, locationVerified = false, client = db) {
     const query = `
       UPDATE attendance 
       SET check_out_time = CURRENT_TIMESTAMP,
           check_out_latitude = $2,
           check_out_longitude = $3,
           check_out_location_code = $4,
+          check_out_location_verified = $5,
           total_hours = EXTRACT(EPOCH FROM (CURRENT_TIMESTAMP - check_in_time)) / 3600,
           updated_at = CURRENT_TIMESTAMP
       WHERE employee_id = $1 
-      AND attendance_date = CURRENT_DATE
       AND check_out_time IS NULL
       AND id = (
         SELECT id FROM attendance 
         WHERE employee_id = $1 
-        AND attendance_date = CURRENT_DATE
         AND check_out_time IS NULL
         ORDER BY check_in_time DESC 
         LIMIT 1
       )
       RETURNING id, employee_id, attendance_date, check_in_time, check_out_time,
                check_in_latitude, check_in_longitude, check_out_latitude, 
-               check_out_longitude, total_hours, location_verified, 
-               check_in_location_code, check_out_location_code
+               check_out_longitude, total_hours, location_verified, check_out_location_verified,
+               check_in_location_code, check_out_location_code, timezone, anomaly_reasons
     `;
-    const result = await db.query(query, [employeeId, latitude, longitude, locationCode]);
+    const result = await client.query(query, [employeeId, latitude, longitude, locationCode, locationVerified]);
     return result.rows[0];
   },
 
-  // Get daily summary with total hours
-  async getDailySummary(employeeId, date = null) {
-    const targetDate = date || 'CURRENT_DATE';
+  // Get daily summary with total hours for a date (YYYY-MM-DD), default today in timezone.
+  // Overnight sessions count towards the day they started on. Auto-closed sessions are
+  // reported as unconfirmed_hours until a manager confirms them.
+  async getDailySummary(employeeId, timezone = 'UTC', date = null) {
     const query = `
       SELECT 
         attendance_date,
         COUNT(*) as total_sessions,
         COUNT(CASE WHEN check_out_time IS NOT NULL THEN 1 END) as completed_sessions,
         COUNT(CASE WHEN check_out_time IS NULL THEN 1 END) as ongoing_sessions,
-        COALESCE(SUM(total_hours), 0) as total_hours_worked,
+        COUNT(CASE WHEN auto_closed THEN 1 END) as auto_closed_sessions,
+        COALESCE(SUM(CASE WHEN auto_closed AND confirmed_at IS NULL THEN 0 ELSE total_hours END), 0) as total_hours_worked,
+        COALESCE(SUM(CASE WHEN auto_closed AND confirmed_at IS NULL THEN total_hours ELSE 0 END), 0) as unconfirmed_hours,
         MIN(check_in_time) as first_check_in,
         MAX(check_out_time) as last_check_out
       FROM attendance 
       WHERE employee_id = $1 
-      AND attendance_date = ${targetDate}
+      AND attendance_date = COALESCE($3::date, (CURRENT_TIMESTAMP AT TIME ZONE $2)::date)
       GROUP BY attendance_date
     `;
-    const result = await db.query(query, [employeeId]);
+    const result = await db.query(query, [employeeId, timezone, date]);
     return result.rows[0];
   },
 
@@ -301,30 +853,1856 @@ const attendanceDb = {
     return result.rows;
   },
 
-  // Get last N days attendance summary
-  async getLastNDaysSummary(employeeId, days = 7) {
+  // Lock the employee row so live check-ins, check-outs and offline syncs for the same
+  // employee are applied one at a time
+  async lockEmployeeAttendance(client, employeeId) {
+    await client.query('SELECT id FROM employees WHERE id = $1 FOR UPDATE', [employeeId]);
+  },
+
+  // Offline sync: the open session (any date)
+  async getSyncState(client, employeeId) {
+    const openResult = await client.query(`
+      SELECT * FROM attendance 
+      WHERE employee_id = $1 
+      AND check_out_time IS NULL
+      ORDER BY check_in_time DESC
+      LIMIT 1
+    `, [employeeId]);
+
+    return {
+      openSession: openResult.rows[0] || null
+    };
+  },
+
+  // Sessions of the employee overlapping [start, end); open sessions run until now
+  async findOverlapping(client, employeeId, start, end, excludeId = null) {
+    const result = await client.query(`
+      SELECT id, check_in_time, check_out_time 
+      FROM attendance 
+      WHERE employee_id = $1 
+      AND ($4::integer IS NULL OR id <> $4)
+      AND check_in_time < $3::timestamptz
+      AND COALESCE(check_out_time, CURRENT_TIMESTAMP) > $2::timestamptz
+      ORDER BY check_in_time
+    `, [employeeId, start, end, excludeId]);
+    return result.rows;
+  },
+
+  // Offline sync: a session that already applied this client event (retried batch)
+  async findByClientEventId(client, employeeId, clientEventId) {
+    const result = await client.query(`
+      SELECT id,
+        CASE WHEN check_in_client_event_id = $2 THEN 'check_in' ELSE 'check_out' END AS event_type
+      FROM attendance 
+      WHERE employee_id = $1 
+      AND (check_in_client_event_id = $2 OR check_out_client_event_id = $2)
+      LIMIT 1
+    `, [employeeId, clientEventId]);
+    return result.rows[0];
+  },
+
+  // Offline sync: check-in stamped with the device time; the server time is kept alongside
+  async syncCheckIn(client, { employeeId, deviceTime, latitude, longitude, locationVerified = false, locationCode = null, clientEventId = null, timezone = 'UTC' }) {
+    const result = await client.query(`
+      INSERT INTO attendance (
+        employee_id, attendance_date, check_in_time, 
+        check_in_latitude, check_in_longitude, location_verified, check_in_location_code,
+        check_in_device_time, check_in_server_time, check_in_client_event_id, is_offline_sync, timezone
+      ) VALUES ($1, ($2::timestamptz AT TIME ZONE $8)::date, $2::timestamptz, $3, $4, $5, $6, $2::timestamptz, CURRENT_TIMESTAMP, $7, true, $8)
+      RETURNING *
+    `, [employeeId, deviceTime, latitude, longitude, locationVerified, locationCode, clientEventId, timezone]);
+    return result.rows[0];
+  },
+
+  // Offline sync: close a specific open session at the device time
+  async syncCheckOut(client, { attendanceId, deviceTime, latitude, longitude, locationVerified = false, locationCode = null, clientEventId = null }) {
+    const result = await client.query(`
+      UPDATE attendance 
+      SET check_out_time = $2::timestamptz,
+          check_out_latitude = $3,
+          check_out_longitude = $4,
+          check_out_location_code = $5,
+          check_out_location_verified = $6,
+          check_out_device_time = $2::timestamptz,
+          check_out_server_time = CURRENT_TIMESTAMP,
+          check_out_client_event_id = $7,
+          is_offline_sync = true,
+          total_hours = EXTRACT(EPOCH FROM ($2::timestamptz - check_in_time)) / 3600,
+          updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1 
+      AND check_out_time IS NULL
+      RETURNING *
+    `, [attendanceId, deviceTime, latitude, longitude, locationCode, locationVerified, clientEventId]);
+    return result.rows[0];
+  },
+
+  // Get last N days attendance summary, counting days in the given timezone.
+  // An overnight session is listed on the day it started, with its next-day check-out.
+  async getLastNDaysSummary(employeeId, days = 7, timezone = 'UTC') {
     const query = `
       SELECT 
         attendance_date as date,
         COUNT(*) as session_count,
+        COUNT(CASE WHEN auto_closed AND confirmed_at IS NULL THEN 1 END) as unconfirmed_auto_closed_count,
         MIN(check_in_time) as first_checkin_time,
         MAX(check_out_time) as last_checkout_time
       FROM attendance 
       WHERE employee_id = $1 
-      AND attendance_date >= CURRENT_DATE - INTERVAL '1 day' * $2
-      AND attendance_date <= CURRENT_DATE
+      AND attendance_date >= (CURRENT_TIMESTAMP AT TIME ZONE $3)::date - INTERVAL '1 day' * $2
+      AND attendance_date <= (CURRENT_TIMESTAMP AT TIME ZONE $3)::date
       GROUP BY attendance_date
       ORDER BY attendance_date DESC
     `;
-    const result = await db.query(query, [employeeId, days - 1]);
+    const result = await db.query(query, [employeeId, days - 1, timezone]);
     
     // Return only the required fields
     return result.rows.map(row => ({
       date: row.date,
       first_checkin_time: row.first_checkin_time,
       last_checkout_time: row.last_checkout_time,
-      session_count: parseInt(row.session_count)
+      session_count: parseInt(row.session_count),
+      unconfirmed_auto_closed_count: parseInt(row.unconfirmed_auto_closed_count)
     }));
+  },
+
+  async getById(id) {
+    const query = 'SELECT * FROM attendance WHERE id = $1';
+    const result = await db.query(query, [id]);
+    return result.rows[0];
+  },
+
+  // Close every session left open longer than maxOpenHours. The check-out is set to
+  // check-in + maxOpenHours and the session is flagged for manager confirmation.
+  async autoCloseStaleSessions(maxOpenHours, reason) {
+    const query = `
+      UPDATE attendance 
+      SET check_out_time = check_in_time + INTERVAL '1 hour' * $1,
+          total_hours = $1,
+          auto_closed = true,
+          auto_close_reason = $2,
+          auto_closed_at = CURRENT_TIMESTAMP,
+          updated_at = CURRENT_TIMESTAMP
+      WHERE check_out_time IS NULL
+      AND check_in_time <= CURRENT_TIMESTAMP - INTERVAL '1 hour' * $1
+      RETURNING *
+    `;
+    const result = await db.query(query, [maxOpenHours, reason]);
+    return result.rows;
+  },
+
+  // Every open session, for the shift-end auto-close job
+  async getOpenSessions() {
+    const query = `
+      SELECT id, employee_id, attendance_date, check_in_time, timezone
+      FROM attendance 
+      WHERE check_out_time IS NULL
+      ORDER BY employee_id, check_in_time
+    `;
+    const result = await db.query(query);
+    return result.rows;
+  },
+
+  // Everyone currently checked in, with their check-in location, for the live feed
+  async getOnSite() {
+    const query = `
+      SELECT a.id, a.employee_id, a.check_in_time, a.check_in_location_code,
+             e.name AS employee_name, e.manager_id,
+             l.name AS location_name, l.state
+      FROM attendance a
+      JOIN employees e ON e.id = a.employee_id
+      LEFT JOIN locations l ON LOWER(l.location_code) = LOWER(a.check_in_location_code)
+      WHERE a.check_out_time IS NULL
+      ORDER BY a.check_in_time
+    `;
+    const result = await db.query(query);
+    return result.rows;
+  },
+
+  // Close one open session at the given time (the end of its scheduled shift)
+  async autoCloseAt(id, checkOutTime, reason) {
+    const query = `
+      UPDATE attendance 
+      SET check_out_time = $2::timestamptz,
+          total_hours = EXTRACT(EPOCH FROM ($2::timestamptz - check_in_time)) / 3600,
+          auto_closed = true,
+          auto_close_reason = $3,
+          auto_closed_at = CURRENT_TIMESTAMP,
+          updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1
+      AND check_out_time IS NULL
+      RETURNING *
+    `;
+    const result = await db.query(query, [id, checkOutTime, reason]);
+    return result.rows[0];
+  },
+
+  // Auto-closed sessions still waiting for confirmation (optionally for one employee)
+  // employeeIds limits the list to those employees (null = everyone)
+  async getUnconfirmedAutoClosed(employeeId = null, limit = 100, employeeIds = null) {
+    const query = `
+      SELECT a.*, e.name AS employee_name
+      FROM attendance a
+      JOIN employees e ON e.id = a.employee_id
+      WHERE a.auto_closed = true 
+      AND a.confirmed_at IS NULL
+      AND ($1::integer IS NULL OR a.employee_id = $1)
+      AND ($3::int[] IS NULL OR a.employee_id = ANY($3::int[]))
+      ORDER BY a.check_in_time DESC
+      LIMIT $2
+    `;
+    const result = await db.query(query, [employeeId, limit, employeeIds]);
+    return result.rows;
+  },
+
+  // Confirm an auto-closed session with its final check-out time (the automatic one or a corrected one)
+  async confirmAutoClosed(id, confirmedBy, checkOutTime) {
+    const query = `
+      UPDATE attendance 
+      SET check_out_time = $3::timestamptz,
+          total_hours = EXTRACT(EPOCH FROM ($3::timestamptz - check_in_time)) / 3600,
+          confirmed_by = $2,
+          confirmed_at = CURRENT_TIMESTAMP,
+          updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1
+      AND auto_closed = true
+      AND confirmed_at IS NULL
+      RETURNING *
+    `;
+    const result = await db.query(query, [id, confirmedBy, checkOutTime]);
+    return result.rows[0];
+  },
+
+  // The employee's most recent session before the given one (for travel-speed checks)
+  async getPreviousSession(employeeId, attendanceId, beforeTime) {
+    const query = `
+      SELECT * FROM attendance 
+      WHERE employee_id = $1 
+      AND id <> $2
+      AND check_in_time < $3
+      ORDER BY check_in_time DESC 
+      LIMIT 1
+    `;
+    const result = await db.query(query, [employeeId, attendanceId, beforeTime]);
+    return result.rows[0];
+  },
+
+  // Count earlier check-in/check-out points with exactly the same coordinates,
+  // ignoring the event being scored itself
+  async countIdenticalPoints(employeeId, attendanceId, eventType, latitude, longitude, lookbackDays) {
+    const query = `
+      SELECT COUNT(*) AS matches
+      FROM attendance 
+      WHERE employee_id = $1 
+      AND check_in_time >= CURRENT_TIMESTAMP - INTERVAL '1 day' * $6
+      AND (
+        (check_in_latitude = $4 AND check_in_longitude = $5 AND NOT (id = $2 AND $3 = 'check_in'))
+        OR (check_out_latitude = $4 AND check_out_longitude = $5 AND NOT (id = $2 AND $3 = 'check_out'))
+      )
+    `;
+    const result = await db.query(query, [employeeId, attendanceId, eventType, latitude, longitude, lookbackDays]);
+    return parseInt(result.rows[0].matches);
+  },
+
+  // Store the device-reported GPS quality for one event along with the session's
+  // accumulated anomaly reasons and score
+  async recordEventQuality(id, eventType, { accuracy, isMockLocation, reasons, score }) {
+    const prefix = eventType === 'check_out' ? 'check_out' : 'check_in';
+    const query = `
+      UPDATE attendance 
+      SET ${prefix}_accuracy_meters = $2,
+          ${prefix}_mock_location = $3,
+          anomaly_reasons = $4::jsonb,
+          anomaly_score = $5,
+          is_flagged = $6,
+          updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1
+      RETURNING id, anomaly_score, anomaly_reasons, is_flagged
+    `;
+    const result = await db.query(query, [id, accuracy, isMockLocation, JSON.stringify(reasons), score, reasons.length > 0]);
+    return result.rows[0];
+  },
+
+  // Flagged sessions for the admin review list, highest score first
+  async listFlagged({ reviewStatus = 'pending', employeeId = null, limit = 20, offset = 0 } = {}) {
+    let where = ' WHERE a.is_flagged = true';
+    const params = [];
+    let paramCount = 0;
+
+    if (reviewStatus === 'pending') {
+      where += ' AND a.flag_review_status IS NULL';
+    } else if (reviewStatus !== 'all') {
+      paramCount++;
+      where += ` AND a.flag_review_status = $${paramCount}`;
+      params.push(reviewStatus);
+    }
+
+    if (employeeId) {
+      paramCount++;
+      where += ` AND a.employee_id = $${paramCount}`;
+      params.push(employeeId);
+    }
+
+    const countResult = await db.query(`SELECT COUNT(*) AS total FROM attendance a${where}`, params);
+
+    const query = `
+      SELECT a.*, e.name AS employee_name
+      FROM attendance a
+      JOIN employees e ON e.id = a.employee_id${where}
+      ORDER BY a.anomaly_score DESC, a.check_in_time DESC
+      LIMIT $${paramCount + 1} OFFSET $${paramCount + 2}
+    `;
+    const result = await db.query(query, [...params, limit, offset]);
+
+    return {
+      total: parseInt(countResult.rows[0].total),
+      rows: result.rows
+    };
+  },
+
+  async lockById(client, id) {
+    const result = await client.query('SELECT * FROM attendance WHERE id = $1 FOR UPDATE', [id]);
+    return result.rows[0];
+  },
+
+  // Apply approved corrected values to a session and recompute total_hours.
+  // Approving a correction also confirms an auto-closed session.
+  async applyCorrection(client, id, { checkInTime, checkOutTime, checkInLocationCode, checkOutLocationCode, attendanceDate, correctionId, reviewedBy }) {
+    const result = await client.query(`
+      UPDATE attendance 
+      SET check_in_time = $2::timestamptz,
+          check_out_time = $3::timestamptz,
+          check_in_location_code = $4,
+          check_out_location_code = $5,
+          attendance_date = $6,
+          total_hours = CASE WHEN $3::timestamptz IS NULL THEN NULL 
+                             ELSE EXTRACT(EPOCH FROM ($3::timestamptz - $2::timestamptz)) / 3600 END,
+          correction_id = $7,
+          confirmed_by = CASE WHEN auto_closed AND confirmed_at IS NULL THEN $8 ELSE confirmed_by END,
+          confirmed_at = CASE WHEN auto_closed AND confirmed_at IS NULL THEN CURRENT_TIMESTAMP ELSE confirmed_at END,
+          updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1
+      RETURNING *
+    `, [id, checkInTime, checkOutTime, checkInLocationCode, checkOutLocationCode, attendanceDate, correctionId, reviewedBy]);
+    return result.rows[0];
+  },
+
+  // Create the missing session described by an approved day-level correction
+  async createFromCorrection(client, { employeeId, checkInTime, checkOutTime, checkInLocationCode, checkOutLocationCode, attendanceDate, timezone, correctionId }) {
+    const result = await client.query(`
+      INSERT INTO attendance (
+        employee_id, attendance_date, check_in_time, check_out_time,
+        check_in_location_code, check_out_location_code, total_hours, timezone, correction_id
+      ) VALUES ($1, $2, $3::timestamptz, $4::timestamptz, $5, $6, 
+                EXTRACT(EPOCH FROM ($4::timestamptz - $3::timestamptz)) / 3600, $7, $8)
+      RETURNING *
+    `, [employeeId, attendanceDate, checkInTime, checkOutTime, checkInLocationCode, checkOutLocationCode, timezone, correctionId]);
+    return result.rows[0];
+  },
+
+  async reviewFlag(id, reviewedBy, status, note) {
+    const query = `
+      UPDATE attendance 
+      SET flag_review_status = $3,
+          flag_review_note = $4,
+          flag_reviewed_by = $2,
+          flag_reviewed_at = CURRENT_TIMESTAMP,
+          updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1
+      AND is_flagged = true
+      RETURNING *
+    `;
+    const result = await db.query(query, [id, reviewedBy, status, note]);
+    return result.rows[0];
+  },
+
+  // Sessions for payroll, including open ones so they can be reported as missing
+  async getForDateRange(employeeId, from, to) {
+    const query = `
+      SELECT id, attendance_date, check_in_time, check_out_time, total_hours,
+             auto_closed, confirmed_at, correction_id
+      FROM attendance 
+      WHERE employee_id = $1 
+      AND attendance_date >= $2 
+      AND attendance_date <= $3
+      ORDER BY check_in_time ASC
+    `;
+    const result = await db.query(query, [employeeId, from, to]);
+    return result.rows;
+  }
+};
+
+// Attendance correction requests
+const correctionDb = {
+  async create({ employeeId, attendanceId = null, attendanceDate = null, requestedChanges, reason }) {
+    const query = `
+      INSERT INTO attendance_corrections (
+        employee_id, attendance_id, attendance_date, requested_changes, reason
+      ) VALUES ($1, $2, $3, $4::jsonb, $5)
+      RETURNING *
+    `;
+    const result = await db.query(query, [employeeId, attendanceId, attendanceDate, JSON.stringify(requestedChanges), reason]);
+    return result.rows[0];
+  },
+
+  async getById(id) {
+    const query = `
+      SELECT c.*, e.name AS employee_name
+      FROM attendance_corrections c
+      JOIN employees e ON e.id = c.employee_id
+      WHERE c.id = $1
+    `;
+    const result = await db.query(query, [id]);
+    return result.rows[0];
+  },
+
+  async getPendingForAttendance(attendanceId) {
+    const query = `
+      SELECT * FROM attendance_corrections 
+      WHERE attendance_id = $1 
+      AND status = 'pending'
+    `;
+    const result = await db.query(query, [attendanceId]);
+    return result.rows[0];
+  },
+
+  // employeeIds limits the list to those employees (null = everyone)
+  async list({ employeeId = null, employeeIds = null, status = null, limit = 20, offset = 0 } = {}) {
+    let where = ' WHERE 1 = 1';
+    const params = [];
+    let paramCount = 0;
+
+    if (employeeId) {
+      paramCount++;
+      where += ` AND c.employee_id = $${paramCount}`;
+      params.push(employeeId);
+    }
+
+    if (employeeIds) {
+      paramCount++;
+      where += ` AND c.employee_id = ANY($${paramCount}::int[])`;
+      params.push(employeeIds);
+    }
+
+    if (status) {
+      paramCount++;
+      where += ` AND c.status = $${paramCount}`;
+      params.push(status);
+    }
+
+    const countResult = await db.query(`SELECT COUNT(*) AS total FROM attendance_corrections c${where}`, params);
+
+    const query = `
+      SELECT c.*, e.name AS employee_name
+      FROM attendance_corrections c
+      JOIN employees e ON e.id = c.employee_id${where}
+      ORDER BY c.created_at DESC, c.id DESC
+      LIMIT $${paramCount + 1} OFFSET $${paramCount + 2}
+    `;
+    const result = await db.query(query, [...params, limit, offset]);
+
+    return {
+      total: parseInt(countResult.rows[0].total),
+      rows: result.rows
+    };
+  },
+
+  async lockById(client, id) {
+    const result = await client.query('SELECT * FROM attendance_corrections WHERE id = $1 FOR UPDATE', [id]);
+    return result.rows[0];
+  },
+
+  async markApproved(client, id, { attendanceId, reviewedBy, note, originalValues, correctedValues }) {
+    const result = await client.query(`
+      UPDATE attendance_corrections 
+      SET status = 'approved',
+          attendance_id = $2,
+          reviewed_by = $3,
+          reviewed_at = CURRENT_TIMESTAMP,
+          review_note = $4,
+          original_values = $5::jsonb,
+          corrected_values = $6::jsonb,
+          updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1
+      RETURNING *
+    `, [id, attendanceId, reviewedBy, note, originalValues ? JSON.stringify(originalValues) : null, JSON.stringify(correctedValues)]);
+    return result.rows[0];
+  },
+
+  async reject(id, reviewedBy, note) {
+    const query = `
+      UPDATE attendance_corrections 
+      SET status = 'rejected',
+          reviewed_by = $2,
+          reviewed_at = CURRENT_TIMESTAMP,
+          review_note = $3,
+          updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1
+      AND status = 'pending'
+      RETURNING *
+    `;
+    const result = await db.query(query, [id, reviewedBy, note]);
+    return result.rows[0];
+  },
+
+  // Pending requests that would change a session dated within the range
+  async countPendingForRange(employeeId, from, to) {
+    const query = `
+      SELECT COUNT(*) AS total
+      FROM attendance_corrections c
+      LEFT JOIN attendance a ON a.id = c.attendance_id
+      WHERE c.employee_id = $1 
+      AND c.status = 'pending'
+      AND COALESCE(a.attendance_date, c.attendance_date) >= $2 
+      AND COALESCE(a.attendance_date, c.attendance_date) <= $3
+    `;
+    const result = await db.query(query, [employeeId, from, to]);
+    return parseInt(result.rows[0].total);
+  },
+
+  // Employees can withdraw their own pending requests
+  async cancel(id, employeeId) {
+    const query = `
+      UPDATE attendance_corrections 
+      SET status = 'cancelled',
+          updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1
+      AND employee_id = $2
+      AND status = 'pending'
+      RETURNING *
+    `;
+    const result = await db.query(query, [id, employeeId]);
+    return result.rows[0];
+  }
+};
+
+// Shift definitions and per-employee schedule assignments
+const shiftDb = {
+  async getById(id) {
+    const query = 'SELECT * FROM shifts WHERE id = $1';
+    const result = await db.query(query, [id]);
+    return result.rows[0];
+  },
+
+  async list({ isActive = null } = {}) {
+    const params = [];
+    let where = '';
+    if (isActive !== null) {
+      params.push(isActive);
+      where = ' WHERE is_active = $1';
+    }
+    const result = await db.query(`SELECT * FROM shifts${where} ORDER BY start_time, name`, params);
+    return result.rows;
+  },
+
+  async create({ name, startTime, endTime, lateGraceMinutes = 10, earlyLeaveGraceMinutes = 10, isActive = true }) {
+    const query = `
+      INSERT INTO shifts (
+        name, start_time, end_time, late_grace_minutes, early_leave_grace_minutes, is_active
+      ) VALUES ($1, $2, $3, $4, $5, $6)
+      RETURNING *
+    `;
+    const result = await db.query(query, [name, startTime, endTime, lateGraceMinutes, earlyLeaveGraceMinutes, isActive]);
+    return result.rows[0];
+  },
+
+  // Update only the provided fields; keys are column names
+  async update(id, fields) {
+    const allowed = ['name', 'start_time', 'end_time', 'late_grace_minutes', 'early_leave_grace_minutes', 'is_active'];
+    const sets = [];
+    const params = [id];
+
+    for (const column of allowed) {
+      if (fields[column] !== undefined) {
+        params.push(fields[column]);
+        sets.push(`${column} = $${params.length}`);
+      }
+    }
+
+    if (sets.length === 0) {
+      return this.getById(id);
+    }
+
+    const query = `
+      UPDATE shifts 
+      SET ${sets.join(', ')}, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1
+      RETURNING *
+    `;
+    const result = await db.query(query, params);
+    return result.rows[0];
+  },
+
+  async getAssignmentById(id) {
+    const query = 'SELECT * FROM shift_assignments WHERE id = $1';
+    const result = await db.query(query, [id]);
+    return result.rows[0];
+  },
+
+  async listAssignments(employeeId) {
+    const query = `
+      SELECT sa.*, s.name AS shift_name, s.start_time, s.end_time
+      FROM shift_assignments sa
+      JOIN shifts s ON s.id = sa.shift_id
+      WHERE sa.employee_id = $1
+      ORDER BY sa.effective_from DESC, sa.id DESC
+    `;
+    const result = await db.query(query, [employeeId]);
+    return result.rows;
+  },
+
+  // Assignments overlapping a date range with their shift, newest first
+  async getAssignmentsForRange(employeeId, from, to) {
+    const query = `
+      SELECT sa.id AS assignment_id, sa.days_of_week, sa.effective_from, sa.effective_to,
+             s.id, s.name, s.start_time, s.end_time, s.late_grace_minutes, s.early_leave_grace_minutes
+      FROM shift_assignments sa
+      JOIN shifts s ON s.id = sa.shift_id
+      WHERE sa.employee_id = $1
+      AND sa.effective_from <= $3
+      AND (sa.effective_to IS NULL OR sa.effective_to >= $2)
+      ORDER BY sa.effective_from DESC, sa.id DESC
+    `;
+    const result = await db.query(query, [employeeId, from, to]);
+    return result.rows;
+  },
+
+  async createAssignment({ employeeId, shiftId, daysOfWeek = null, effectiveFrom, effectiveTo = null, createdBy }) {
+    const query = `
+      INSERT INTO shift_assignments (
+        employee_id, shift_id, days_of_week, effective_from, effective_to, created_by
+      ) VALUES ($1, $2, $3::jsonb, $4, $5, $6)
+      RETURNING *
+    `;
+    const result = await db.query(query, [
+      employeeId, shiftId, daysOfWeek ? JSON.stringify(daysOfWeek) : null, effectiveFrom, effectiveTo, createdBy
+    ]);
+    return result.rows[0];
+  },
+
+  // Update only the provided fields; keys are column names
+  async updateAssignment(id, fields) {
+    const allowed = ['shift_id', 'days_of_week', 'effective_from', 'effective_to'];
+    const sets = [];
+    const params = [id];
+
+    for (const column of allowed) {
+      if (fields[column] !== undefined) {
+        // JSONB columns need the serialised value
+        params.push(column === 'days_of_week' && fields[column] !== null ? JSON.stringify(fields[column]) : fields[column]);
+        sets.push(`${column} = $${params.length}`);
+      }
+    }
+
+    if (sets.length === 0) {
+      return this.getAssignmentById(id);
+    }
+
+    const query = `
+      UPDATE shift_assignments 
+      SET ${sets.join(', ')}, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1
+      RETURNING *
+    `;
+    const result = await db.query(query, params);
+    return result.rows[0];
+  }
+};
+
+// Public holidays by state
+const holidayDb = {
+  async getById(id) {
+    const result = await db.query('SELECT * FROM holidays WHERE id = $1', [id]);
+    return result.rows[0];
+  },
+
+  // Holidays in a date range; with a state, only that state's and the all-state ones
+  async list({ state = null, from, to }) {
+    const params = [from, to];
+    let where = ' WHERE holiday_date >= $1 AND holiday_date <= $2';
+
+    if (state) {
+      params.push(state);
+      where += ' AND (state IS NULL OR LOWER(state) = LOWER($3))';
+    }
+
+    const result = await db.query(`SELECT * FROM holidays${where} ORDER BY holiday_date, state NULLS FIRST`, params);
+    return result.rows;
+  },
+
+  // A holiday already on the calendar for the same state (or all states) and date
+  async findDuplicate(state, holidayDate, excludeId = null) {
+    const query = `
+      SELECT * FROM holidays 
+      WHERE holiday_date = $1 
+      AND COALESCE(LOWER(state), '') = COALESCE(LOWER($2), '')
+      AND ($3::integer IS NULL OR id <> $3)
+    `;
+    const result = await db.query(query, [holidayDate, state, excludeId]);
+    return result.rows[0];
+  },
+
+  async create({ state = null, holidayDate, name, createdBy }) {
+    const query = `
+      INSERT INTO holidays (state, holiday_date, name, created_by) 
+      VALUES ($1, $2, $3, $4)
+      RETURNING *
+    `;
+    const result = await db.query(query, [state, holidayDate, name, createdBy]);
+    return result.rows[0];
+  },
+
+  async update(id, { state, holidayDate, name }) {
+    const query = `
+      UPDATE holidays 
+      SET state = $2, holiday_date = $3, name = $4, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1
+      RETURNING *
+    `;
+    const result = await db.query(query, [id, state, holidayDate, name]);
+    return result.rows[0];
+  },
+
+  async delete(id) {
+    const result = await db.query('DELETE FROM holidays WHERE id = $1 RETURNING *', [id]);
+    return result.rows[0];
+  }
+};
+
+// Leave types, allowances and leave requests
+const leaveDb = {
+  async listTypes({ isActive = null } = {}) {
+    const params = [];
+    let where = '';
+    if (isActive !== null) {
+      params.push(isActive);
+      where = ' WHERE is_active = $1';
+    }
+    const result = await db.query(`SELECT * FROM leave_types${where} ORDER BY name`, params);
+    return result.rows;
+  },
+
+  async getTypeById(id) {
+    const result = await db.query('SELECT * FROM leave_types WHERE id = $1', [id]);
+    return result.rows[0];
+  },
+
+  async getTypeByCode(code) {
+    const result = await db.query('SELECT * FROM leave_types WHERE LOWER(code) = LOWER($1)', [code]);
+    return result.rows[0];
+  },
+
+  async createType({ code, name, annualAllowanceDays = null, isPaid = true, isActive = true }) {
+    const query = `
+      INSERT INTO leave_types (code, name, annual_allowance_days, is_paid, is_active) 
+      VALUES ($1, $2, $3, $4, $5)
+      RETURNING *
+    `;
+    const result = await db.query(query, [code, name, annualAllowanceDays, isPaid, isActive]);
+    return result.rows[0];
+  },
+
+  // Update only the provided fields; keys are column names
+  async updateType(id, fields) {
+    const allowed = ['code', 'name', 'annual_allowance_days', 'is_paid', 'is_active'];
+    const sets = [];
+    const params = [id];
+
+    for (const column of allowed) {
+      if (fields[column] !== undefined) {
+        params.push(fields[column]);
+        sets.push(`${column} = $${params.length}`);
+      }
+    }
+
+    if (sets.length === 0) {
+      return this.getTypeById(id);
+    }
+
+    const query = `
+      UPDATE leave_types 
+      SET ${sets.join(', ')}, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1
+      RETURNING *
+    `;
+    const result = await db.query(query, params);
+    return result.rows[0];
+  },
+
+  async getBalanceOverrides(employeeId, year) {
+    const query = 'SELECT * FROM leave_balances WHERE employee_id = $1 AND year = $2';
+    const result = await db.query(query, [employeeId, year]);
+    return result.rows;
+  },
+
+  async getBalanceOverride(employeeId, leaveTypeId, year) {
+    const query = 'SELECT * FROM leave_balances WHERE employee_id = $1 AND leave_type_id = $2 AND year = $3';
+    const result = await db.query(query, [employeeId, leaveTypeId, year]);
+    return result.rows[0];
+  },
+
+  async setBalanceOverride(employeeId, leaveTypeId, year, allowanceDays) {
+    const query = `
+      INSERT INTO leave_balances (employee_id, leave_type_id, year, allowance_days) 
+      VALUES ($1, $2, $3, $4)
+      ON CONFLICT (employee_id, leave_type_id, year) 
+      DO UPDATE SET allowance_days = EXCLUDED.allowance_days, updated_at = CURRENT_TIMESTAMP
+      RETURNING *
+    `;
+    const result = await db.query(query, [employeeId, leaveTypeId, year, allowanceDays]);
+    return result.rows[0];
+  },
+
+  // Approved and pending days per leave type for requests starting in the year
+  async getUsage(employeeId, year) {
+    const query = `
+      SELECT leave_type_id,
+             COALESCE(SUM(CASE WHEN status = 'approved' THEN days ELSE 0 END), 0) AS used_days,
+             COALESCE(SUM(CASE WHEN status = 'pending' THEN days ELSE 0 END), 0) AS pending_days
+      FROM leave_requests 
+      WHERE employee_id = $1 
+      AND status IN ('approved', 'pending')
+      AND start_date >= $2 
+      AND start_date <= $3
+      GROUP BY leave_type_id
+    `;
+    const result = await db.query(query, [employeeId, `${year}-01-01`, `${year}-12-31`]);
+    return result.rows;
+  },
+
+  async createRequest({ employeeId, leaveTypeId, startDate, endDate, days, reason = null }) {
+    const query = `
+      INSERT INTO leave_requests (employee_id, leave_type_id, start_date, end_date, days, reason) 
+      VALUES ($1, $2, $3, $4, $5, $6)
+      RETURNING *
+    `;
+    const result = await db.query(query, [employeeId, leaveTypeId, startDate, endDate, days, reason]);
+    return result.rows[0];
+  },
+
+  async getRequestById(id) {
+    const query = `
+      SELECT r.*, e.name AS employee_name, t.code AS leave_type_code, t.name AS leave_type_name
+      FROM leave_requests r
+      JOIN employees e ON e.id = r.employee_id
+      JOIN leave_types t ON t.id = r.leave_type_id
+      WHERE r.id = $1
+    `;
+    const result = await db.query(query, [id]);
+    return result.rows[0];
+  },
+
+  // employeeIds limits the list to those employees (null = everyone)
+  async listRequests({ employeeId = null, employeeIds = null, status = null, limit = 20, offset = 0 } = {}) {
+    let where = ' WHERE 1 = 1';
+    const params = [];
+    let paramCount = 0;
+
+    if (employeeId) {
+      paramCount++;
+      where += ` AND r.employee_id = $${paramCount}`;
+      params.push(employeeId);
+    }
+
+    if (employeeIds) {
+      paramCount++;
+      where += ` AND r.employee_id = ANY($${paramCount}::int[])`;
+      params.push(employeeIds);
+    }
+
+    if (status) {
+      paramCount++;
+      where += ` AND r.status = $${paramCount}`;
+      params.push(status);
+    }
+
+    const countResult = await db.query(`SELECT COUNT(*) AS total FROM leave_requests r${where}`, params);
+
+    const query = `
+      SELECT r.*, e.name AS employee_name, t.code AS leave_type_code, t.name AS leave_type_name
+      FROM leave_requests r
+      JOIN employees e ON e.id = r.employee_id
+      JOIN leave_types t ON t.id = r.leave_type_id${where}
+      ORDER BY r.start_date DESC, r.id DESC
+      LIMIT $${paramCount + 1} OFFSET $${paramCount + 2}
+    `;
+    const result = await db.query(query, [...params, limit, offset]);
+
+    return {
+      total: parseInt(countResult.rows[0].total),
+      rows: result.rows
+    };
+  },
+
+  // Requests overlapping a date range - approved ones, or also pending ones
+  async getActiveForRange(employeeId, from, to, approvedOnly = false) {
+    const query = `
+      SELECT r.*, t.code AS leave_type_code, t.name AS leave_type_name, t.is_paid
+      FROM leave_requests r
+      JOIN leave_types t ON t.id = r.leave_type_id
+      WHERE r.employee_id = $1 
+      AND r.status IN (${approvedOnly ? "'approved'" : "'pending', 'approved'"})
+      AND r.start_date <= $3 
+      AND r.end_date >= $2
+      ORDER BY r.start_date
+    `;
+    const result = await db.query(query, [employeeId, from, to]);
+    return result.rows;
+  },
+
+  async lockRequestById(client, id) {
+    const result = await client.query('SELECT * FROM leave_requests WHERE id = $1 FOR UPDATE', [id]);
+    return result.rows[0];
+  },
+
+  async markApproved(client, id, reviewedBy, note) {
+    const result = await client.query(`
+      UPDATE leave_requests 
+      SET status = 'approved',
+          reviewed_by = $2,
+          reviewed_at = CURRENT_TIMESTAMP,
+          review_note = $3,
+          updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1
+      RETURNING *
+    `, [id, reviewedBy, note]);
+    return result.rows[0];
+  },
+
+  async reject(id, reviewedBy, note) {
+    const query = `
+      UPDATE leave_requests 
+      SET status = 'rejected',
+          reviewed_by = $2,
+          reviewed_at = CURRENT_TIMESTAMP,
+          review_note = $3,
+          updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1
+      AND status = 'pending'
+      RETURNING *
+    `;
+    const result = await db.query(query, [id, reviewedBy, note]);
+    return result.rows[0];
+  },
+
+  // Employees can withdraw their own pending requests
+  async cancel(id, employeeId) {
+    const query = `
+      UPDATE leave_requests 
+      SET status = 'cancelled',
+          updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1
+      AND employee_id = $2
+      AND status = 'pending'
+      RETURNING *
+    `;
+    const result = await db.query(query, [id, employeeId]);
+    return result.rows[0];
+  }
+};
+
+// Approved (locked) payroll periods
+const timesheetDb = {
+  async getLocked(employeeId, periodStart) {
+    const query = `
+      SELECT t.*, e.name AS locked_by_name
+      FROM timesheet_periods t
+      LEFT JOIN employees e ON e.id = t.locked_by
+      WHERE t.employee_id = $1 
+      AND t.period_start = $2 
+      AND t.status = 'locked'
+    `;
+    const result = await db.query(query, [employeeId, periodStart]);
+    return result.rows[0];
+  },
+
+  async getLockedCovering(employeeId, date) {
+    const query = `
+      SELECT * FROM timesheet_periods 
+      WHERE employee_id = $1 
+      AND status = 'locked'
+      AND period_start <= $2 
+      AND period_end >= $2
+    `;
+    const result = await db.query(query, [employeeId, date]);
+    return result.rows[0];
+  },
+
+  async lock({ employeeId, periodStart, periodEnd, timesheet, lockedBy, note = null }) {
+    const query = `
+      INSERT INTO timesheet_periods (
+        employee_id, period_start, period_end, timesheet, locked_by, lock_note
+      ) VALUES ($1, $2, $3, $4::jsonb, $5, $6)
+      RETURNING *
+    `;
+    const result = await db.query(query, [employeeId, periodStart, periodEnd, JSON.stringify(timesheet), lockedBy, note]);
+    return result.rows[0];
+  },
+
+  async unlock(id, unlockedBy, reason) {
+    const query = `
+      UPDATE timesheet_periods 
+      SET status = 'unlocked',
+          unlocked_by = $2,
+          unlocked_at = CURRENT_TIMESTAMP,
+          unlock_reason = $3,
+          updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1 
+      AND status = 'locked'
+      RETURNING *
+    `;
+    const result = await db.query(query, [id, unlockedBy, reason]);
+    return result.rows[0];
+  }
+};
+
+// Breadcrumb pings recorded during an open attendance session
+const pingDb = {
+  // Insert a batch of pings in one statement; pings already stored for the same
+  // recorded_at (a retried upload) are skipped. Returns the rows actually inserted.
+  async addBatch(attendanceId, employeeId, pings) {
+    const values = [];
+    const params = [attendanceId, employeeId];
+
+    pings.forEach(ping => {
+      const base = params.length;
+      values.push(`($1, $2, $${base + 1}, $${base + 2}, $${base + 3}, $${base + 4}, $${base + 5})`);
+      params.push(ping.latitude, ping.longitude, ping.accuracy, ping.speed, ping.recordedAt);
+    });
+
+    const query = `
+      INSERT INTO attendance_pings (
+        attendance_id, employee_id, latitude, longitude, accuracy_meters, speed_mps, recorded_at
+      ) VALUES ${values.join(', ')}
+      ON CONFLICT (attendance_id, recorded_at) DO NOTHING
+      RETURNING id
+    `;
+    const result = await db.query(query, params);
+    return result.rows;
+  },
+
+  async getLatest(attendanceId) {
+    const query = `
+      SELECT * FROM attendance_pings 
+      WHERE attendance_id = $1 
+      ORDER BY recorded_at DESC 
+      LIMIT 1
+    `;
+    const result = await db.query(query, [attendanceId]);
+    return result.rows[0];
+  },
+
+  async getByAttendance(attendanceId) {
+    const query = `
+      SELECT id, latitude, longitude, accuracy_meters, speed_mps, recorded_at, received_at
+      FROM attendance_pings 
+      WHERE attendance_id = $1 
+      ORDER BY recorded_at ASC
+    `;
+    const result = await db.query(query, [attendanceId]);
+    return result.rows;
+  }
+};
+
+// Check-in/check-out photos and the location types that require them
+const photoDb = {
+  async create({ attendanceId, eventType, storageDriver, storageKey, contentType, sizeBytes, sha256, uploadMethod, uploadedBy }, client = db) {
+    const query = `
+      INSERT INTO attendance_photos (
+        attendance_id, event_type, storage_driver, storage_key, content_type, size_bytes, sha256, upload_method, uploaded_by
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+      RETURNING *
+    `;
+    const result = await client.query(query, [attendanceId, eventType, storageDriver, storageKey, contentType, sizeBytes, sha256, uploadMethod, uploadedBy]);
+    return result.rows[0];
+  },
+
+  async getByAttendance(attendanceId) {
+    const query = 'SELECT * FROM attendance_photos WHERE attendance_id = $1 ORDER BY created_at, id';
+    const result = await db.query(query, [attendanceId]);
+    return result.rows;
+  },
+
+  async getForEvent(attendanceId, eventType) {
+    const query = 'SELECT * FROM attendance_photos WHERE attendance_id = $1 AND event_type = $2';
+    const result = await db.query(query, [attendanceId, eventType]);
+    return result.rows[0];
+  },
+
+  async listSettings() {
+    const result = await db.query('SELECT * FROM location_type_settings ORDER BY location_type');
+    return result.rows;
+  },
+
+  async getSetting(locationType) {
+    const query = 'SELECT * FROM location_type_settings WHERE location_type = LOWER($1)';
+    const result = await db.query(query, [locationType]);
+    return result.rows[0];
+  },
+
+  async upsertSetting(locationType, { checkInPhotoRequired, checkOutPhotoRequired }) {
+    const query = `
+      INSERT INTO location_type_settings (location_type, check_in_photo_required, check_out_photo_required) 
+      VALUES (LOWER($1), $2, $3)
+      ON CONFLICT (location_type) DO UPDATE 
+      SET check_in_photo_required = EXCLUDED.check_in_photo_required,
+          check_out_photo_required = EXCLUDED.check_out_photo_required,
+          updated_at = CURRENT_TIMESTAMP
+      RETURNING *
+    `;
+    const result = await db.query(query, [locationType, checkInPhotoRequired, checkOutPhotoRequired]);
+    return result.rows[0];
+  }
+};
+
+// Shared WHERE clause for attendance reports (alias a = attendance, l = check-in location)
+function buildReportFilters({ from, to, employeeId = null, locationCode = null, state = null }) {
+  let where = ' WHERE a.attendance_date >= $1 AND a.attendance_date <= $2';
+  const params = [from, to];
+  let paramCount = 2;
+
+  if (employeeId) {
+    paramCount++;
+    where += ` AND a.employee_id = $${paramCount}`;
+    params.push(employeeId);
+  }
+
+  if (locationCode) {
+    paramCount++;
+    where += ` AND (LOWER(a.check_in_location_code) = LOWER($${paramCount}) 
+               OR LOWER(a.check_out_location_code) = LOWER($${paramCount}))`;
+    params.push(locationCode);
+  }
+
+  if (state) {
+    paramCount++;
+    where += ` AND LOWER(l.state) = LOWER($${paramCount})`;
+    params.push(state);
+  }
+
+  return { where, params };
+}
+
+// Attendance exports. Rows are read in keyset-paginated batches so large ranges
+// never have to be held in memory at once.
+const reportDb = {
+  // One row per session, ordered by attendance day
+  async *streamSessions(filters, batchSize = 1000) {
+    const { where, params } = buildReportFilters(filters);
+    let cursor = null;
+
+    while (true) {
+      const queryParams = [...params];
+      let keyset = '';
+      if (cursor) {
+        queryParams.push(cursor.date, cursor.id);
+        keyset = ` AND (a.attendance_date > $${params.length + 1} 
+                   OR (a.attendance_date = $${params.length + 1} AND a.id > $${params.length + 2}))`;
+      }
+      queryParams.push(batchSize);
+
+      const query = `
+        SELECT 
+          a.id AS attendance_id, a.employee_id, e.name AS employee_name, a.attendance_date, a.timezone,
+          a.check_in_time, a.check_out_time, a.total_hours,
+          a.check_in_location_code, a.check_out_location_code, l.location_type, l.state,
+          a.location_verified, a.check_out_location_verified,
+          a.auto_closed, a.confirmed_at, a.is_offline_sync, a.is_flagged, a.correction_id
+        FROM attendance a
+        JOIN employees e ON e.id = a.employee_id
+        LEFT JOIN locations l ON LOWER(l.location_code) = LOWER(a.check_in_location_code)${where}${keyset}
+        ORDER BY a.attendance_date, a.id
+        LIMIT $${queryParams.length}
+      `;
+      const result = await db.query(query, queryParams);
+
+      for (const row of result.rows) {
+        yield row;
+      }
+      if (result.rows.length < batchSize) {
+        return;
+      }
+
+      const last = result.rows[result.rows.length - 1];
+      cursor = { date: last.attendance_date, id: last.attendance_id };
+    }
+  },
+
+  // One row per employee per day, with the same totals as attendanceDb.getDailySummary
+  async *streamDailyRollup(filters, batchSize = 1000) {
+    const { where, params } = buildReportFilters(filters);
+    let cursor = null;
+
+    while (true) {
+      const queryParams = [...params];
+      let keyset = '';
+      if (cursor) {
+        queryParams.push(cursor.date, cursor.employeeId);
+        keyset = ` AND (a.attendance_date > $${params.length + 1} 
+                   OR (a.attendance_date = $${params.length + 1} AND a.employee_id > $${params.length + 2}))`;
+      }
+      queryParams.push(batchSize);
+
+      const query = `
+        SELECT 
+          a.employee_id,
+          e.name AS employee_name,
+          a.attendance_date,
+          COUNT(*) as total_sessions,
+          COUNT(CASE WHEN a.check_out_time IS NOT NULL THEN 1 END) as completed_sessions,
+          COUNT(CASE WHEN a.check_out_time IS NULL THEN 1 END) as ongoing_sessions,
+          COUNT(CASE WHEN a.auto_closed THEN 1 END) as auto_closed_sessions,
+          COALESCE(SUM(CASE WHEN a.auto_closed AND a.confirmed_at IS NULL THEN 0 ELSE a.total_hours END), 0) as total_hours_worked,
+          COALESCE(SUM(CASE WHEN a.auto_closed AND a.confirmed_at IS NULL THEN a.total_hours ELSE 0 END), 0) as unconfirmed_hours,
+          MIN(a.check_in_time) as first_check_in,
+          MAX(a.check_out_time) as last_check_out
+        FROM attendance a
+        JOIN employees e ON e.id = a.employee_id
+        LEFT JOIN locations l ON LOWER(l.location_code) = LOWER(a.check_in_location_code)${where}${keyset}
+        GROUP BY a.employee_id, e.name, a.attendance_date
+        ORDER BY a.attendance_date, a.employee_id
+        LIMIT $${queryParams.length}
+      `;
+      const result = await db.query(query, queryParams);
+
+      for (const row of result.rows) {
+        yield row;
+      }
+      if (result.rows.length < batchSize) {
+        return;
+      }
+
+      const last = result.rows[result.rows.length - 1];
+      cursor = { date: last.attendance_date, employeeId: last.employee_id };
+    }
+  }
+};
+
+// Append-only audit trail
+const auditDb = {
+  async create({ entityType, entityId, action, actorId = null, actorType = 'employee', source = null, ipAddress = null, userAgent = null, changes }) {
+    const query = `
+      INSERT INTO audit_log (
+        entity_type, entity_id, action, actor_id, actor_type, source, ip_address, user_agent, changes
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9::jsonb)
+      RETURNING *
+    `;
+    const result = await db.query(query, [entityType, entityId, action, actorId, actorType, source, ipAddress, userAgent, JSON.stringify(changes)]);
+    return result.rows[0];
+  },
+
+  async list({ entityType = null, entityId = null, actorId = null, action = null, from = null, to = null, limit = 50, offset = 0 } = {}) {
+    let where = ' WHERE 1 = 1';
+    const params = [];
+    let paramCount = 0;
+
+    if (entityType) {
+      paramCount++;
+      where += ` AND l.entity_type = $${paramCount}`;
+      params.push(entityType);
+    }
+
+    if (entityId) {
+      paramCount++;
+      where += ` AND l.entity_id = $${paramCount}`;
+      params.push(entityId);
+    }
+
+    if (actorId) {
+      paramCount++;
+      where += ` AND l.actor_id = $${paramCount}`;
+      params.push(actorId);
+    }
+
+    if (action) {
+      paramCount++;
+      where += ` AND l.action = $${paramCount}`;
+      params.push(action);
+    }
+
+    if (from) {
+      paramCount++;
+      where += ` AND l.created_at >= $${paramCount}`;
+      params.push(from);
+    }
+
+    if (to) {
+      paramCount++;
+      where += ` AND l.created_at < $${paramCount}`;
+      params.push(to);
+    }
+
+    const countResult = await db.query(`SELECT COUNT(*) AS total FROM audit_log l${where}`, params);
+
+    const query = `
+      SELECT l.*, e.name AS actor_name
+      FROM audit_log l
+      LEFT JOIN employees e ON e.id = l.actor_id${where}
+      ORDER BY l.created_at DESC, l.id DESC
+      LIMIT $${paramCount + 1} OFFSET $${paramCount + 2}
+    `;
+    const result = await db.query(query, [...params, limit, offset]);
+
+    return {
+      total: parseInt(countResult.rows[0].total),
+      rows: result.rows
+    };
+  }
+};
+
+// Webhook subscriptions, the delivery queue and the per-attempt delivery log
+const webhookDb = {
+  async listSubscriptions({ isActive = null } = {}) {
+    const params = [];
+    let where = '';
+    if (isActive !== null) {
+      params.push(isActive);
+      where = ' WHERE is_active = $1';
+    }
+    const result = await db.query(`SELECT * FROM webhook_subscriptions${where} ORDER BY id`, params);
+    return result.rows;
+  },
+
+  async getSubscriptionById(id) {
+    const result = await db.query('SELECT * FROM webhook_subscriptions WHERE id = $1', [id]);
+    return result.rows[0];
+  },
+
+  async getActiveSubscriptionsForEvent(eventType) {
+    const query = `
+      SELECT * FROM webhook_subscriptions 
+      WHERE is_active = true 
+      AND event_types @> $1::jsonb
+      ORDER BY id
+    `;
+    const result = await db.query(query, [JSON.stringify([eventType])]);
+    return result.rows;
+  },
+
+  async createSubscription({ url, eventTypes, secret, description = null, createdBy }) {
+    const query = `
+      INSERT INTO webhook_subscriptions (url, event_types, secret, description, created_by) 
+      VALUES ($1, $2::jsonb, $3, $4, $5)
+      RETURNING *
+    `;
+    const result = await db.query(query, [url, JSON.stringify(eventTypes), secret, description, createdBy]);
+    return result.rows[0];
+  },
+
+  // Update only the provided fields; keys are column names
+  async updateSubscription(id, fields) {
+    const allowed = ['url', 'event_types', 'secret', 'description', 'is_active'];
+    const sets = [];
+    const params = [id];
+
+    for (const column of allowed) {
+      if (fields[column] !== undefined) {
+        params.push(column === 'event_types' ? JSON.stringify(fields[column]) : fields[column]);
+        sets.push(`${column} = $${params.length}`);
+      }
+    }
+
+    if (sets.length === 0) {
+      return this.getSubscriptionById(id);
+    }
+
+    const query = `
+      UPDATE webhook_subscriptions 
+      SET ${sets.join(', ')}, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1
+      RETURNING *
+    `;
+    const result = await db.query(query, params);
+    return result.rows[0];
+  },
+
+  // Queue one delivery of an event per subscription
+  async createDeliveries(subscriptionIds, event) {
+    const deliveries = [];
+    for (const subscriptionId of subscriptionIds) {
+      const query = `
+        INSERT INTO webhook_deliveries (subscription_id, event_id, event_type, payload) 
+        VALUES ($1, $2, $3, $4::jsonb)
+        RETURNING *
+      `;
+      const result = await db.query(query, [subscriptionId, event.id, event.type, JSON.stringify(event)]);
+      deliveries.push(result.rows[0]);
+    }
+    return deliveries;
+  },
+
+  // Take due deliveries off the queue. They stay pending but are pushed leaseSeconds into
+  // the future, so other instances skip them and a crash mid-delivery only delays a retry.
+  async claimDueDeliveries(limit, leaseSeconds) {
+    const query = `
+      UPDATE webhook_deliveries 
+      SET next_attempt_at = CURRENT_TIMESTAMP + INTERVAL '1 second' * $2,
+          updated_at = CURRENT_TIMESTAMP
+      WHERE id IN (
+        SELECT id FROM webhook_deliveries 
+        WHERE status = 'pending' 
+        AND next_attempt_at <= CURRENT_TIMESTAMP
+        ORDER BY next_attempt_at
+        LIMIT $1
+        FOR UPDATE SKIP LOCKED
+      )
+      RETURNING *
+    `;
+    const result = await db.query(query, [limit, leaseSeconds]);
+    return result.rows;
+  },
+
+  async recordAttempt(deliveryId, { attempt, statusCode, error, responseBody, durationMs }) {
+    const query = `
+      INSERT INTO webhook_delivery_attempts (delivery_id, attempt, status_code, error, response_body, duration_ms) 
+      VALUES ($1, $2, $3, $4, $5, $6)
+      RETURNING *
+    `;
+    const result = await db.query(query, [deliveryId, attempt, statusCode, error, responseBody, durationMs]);
+    return result.rows[0];
+  },
+
+  // Outcome of an attempt: status is delivered, pending (retried after retryInSeconds) or dead
+  async recordOutcome(id, { status, attempts, statusCode, error, retryInSeconds = null }) {
+    const query = `
+      UPDATE webhook_deliveries 
+      SET status = $2,
+          attempts = $3,
+          last_status_code = $4,
+          last_error = $5,
+          next_attempt_at = CASE WHEN $6::integer IS NULL THEN next_attempt_at ELSE CURRENT_TIMESTAMP + INTERVAL '1 second' * $6 END,
+          delivered_at = CASE WHEN $2 = 'delivered' THEN CURRENT_TIMESTAMP ELSE delivered_at END,
+          updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1
+      RETURNING *
+    `;
+    const result = await db.query(query, [id, status, attempts, statusCode, error, retryInSeconds]);
+    return result.rows[0];
+  },
+
+  async getDeliveryById(id) {
+    const result = await db.query('SELECT * FROM webhook_deliveries WHERE id = $1', [id]);
+    return result.rows[0];
+  },
+
+  async getAttempts(deliveryId) {
+    const query = 'SELECT * FROM webhook_delivery_attempts WHERE delivery_id = $1 ORDER BY attempt';
+    const result = await db.query(query, [deliveryId]);
+    return result.rows;
+  },
+
+  async listDeliveries({ subscriptionId = null, status = null, limit = 20, offset = 0 } = {}) {
+    let where = ' WHERE 1 = 1';
+    const params = [];
+    let paramCount = 0;
+
+    if (subscriptionId) {
+      paramCount++;
+      where += ` AND subscription_id = $${paramCount}`;
+      params.push(subscriptionId);
+    }
+
+    if (status) {
+      paramCount++;
+      where += ` AND status = $${paramCount}`;
+      params.push(status);
+    }
+
+    const countResult = await db.query(`SELECT COUNT(*) AS total FROM webhook_deliveries${where}`, params);
+
+    const query = `
+      SELECT * FROM webhook_deliveries${where}
+      ORDER BY created_at DESC, id DESC
+      LIMIT $${paramCount + 1} OFFSET $${paramCount + 2}
+    `;
+    const result = await db.query(query, [...params, limit, offset]);
+
+    return {
+      total: parseInt(countResult.rows[0].total),
+      rows: result.rows
+    };
+  },
+
+  // Put a dead-lettered delivery back on the queue for one more attempt
+  async requeue(id) {
+    const query = `
+      UPDATE webhook_deliveries 
+      SET status = 'pending',
+          next_attempt_at = CURRENT_TIMESTAMP,
+          updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1
+      AND status = 'dead'
+      RETURNING *
+    `;
+    const result = await db.query(query, [id]);
+    return result.rows[0];
+  }
+};
+
+// Notification templates and the log of sent notifications
+const notificationDb = {
+  async listTemplates({ eventType = null, channel = null, employeeId = null } = {}) {
+    let where = ' WHERE 1 = 1';
+    const params = [];
+    let paramCount = 0;
+
+    if (eventType) {
+      paramCount++;
+      where += ` AND t.event_type = $${paramCount}`;
+      params.push(eventType);
+    }
+
+    if (channel) {
+      paramCount++;
+      where += ` AND t.channel = $${paramCount}`;
+      params.push(channel);
+    }
+
+    if (employeeId) {
+      paramCount++;
+      where += ` AND t.employee_id = $${paramCount}`;
+      params.push(employeeId);
+    }
+
+    const query = `
+      SELECT t.*, e.name AS employee_name
+      FROM notification_templates t
+      LEFT JOIN employees e ON e.id = t.employee_id${where}
+      ORDER BY t.event_type, t.channel, t.employee_id NULLS FIRST
+    `;
+    const result = await db.query(query, params);
+    return result.rows;
+  },
+
+  async getTemplateById(id) {
+    const result = await db.query('SELECT * FROM notification_templates WHERE id = $1', [id]);
+    return result.rows[0];
+  },
+
+  // The recipient's own active template, else the active default
+  async findTemplate(eventType, channel, recipientId) {
+    const query = `
+      SELECT * FROM notification_templates 
+      WHERE event_type = $1 
+      AND channel = $2 
+      AND is_active = true 
+      AND (employee_id = $3 OR employee_id IS NULL)
+      ORDER BY employee_id NULLS LAST
+      LIMIT 1
+    `;
+    const result = await db.query(query, [eventType, channel, recipientId]);
+    return result.rows[0];
+  },
+
+  async createTemplate({ eventType, channel, employeeId = null, subject = null, body, isActive = true }) {
+    const query = `
+      INSERT INTO notification_templates (event_type, channel, employee_id, subject, body, is_active) 
+      VALUES ($1, $2, $3, $4, $5, $6)
+      RETURNING *
+    `;
+    const result = await db.query(query, [eventType, channel, employeeId, subject, body, isActive]);
+    return result.rows[0];
+  },
+
+  // Update only the provided fields; keys are column names
+  async updateTemplate(id, fields) {
+    const allowed = ['subject', 'body', 'is_active'];
+    const sets = [];
+    const params = [id];
+
+    for (const column of allowed) {
+      if (fields[column] !== undefined) {
+        params.push(fields[column]);
+        sets.push(`${column} = $${params.length}`);
+      }
+    }
+
+    if (sets.length === 0) {
+      return this.getTemplateById(id);
+    }
+
+    const query = `
+      UPDATE notification_templates 
+      SET ${sets.join(', ')}, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1
+      RETURNING *
+    `;
+    const result = await db.query(query, params);
+    return result.rows[0];
+  },
+
+  // Open sessions checked in more than `hours` ago that have not been reminded yet
+  async getSessionsDueForReminder(hours) {
+    const query = `
+      SELECT a.id, a.employee_id, a.attendance_date, a.check_in_time, a.check_in_location_code, a.timezone
+      FROM attendance a
+      WHERE a.check_out_time IS NULL
+      AND a.check_in_time <= CURRENT_TIMESTAMP - INTERVAL '1 hour' * $1
+      AND NOT EXISTS (
+        SELECT 1 FROM notification_log n 
+        WHERE n.attendance_id = a.id AND n.event_type = 'checkout_reminder'
+      )
+      ORDER BY a.check_in_time
+    `;
+    const result = await db.query(query, [hours]);
+    return result.rows;
+  },
+
+  // Claim a notification before sending it; returns null when one with the same
+  // dedupe key was already sent (or is being sent) on this channel
+  async claim({ dedupeKey, eventType, channel, recipientId, recipientAddress, employeeId = null, attendanceId = null, templateId = null, subject = null, body }) {
+    const query = `
+      INSERT INTO notification_log (
+        dedupe_key, event_type, channel, recipient_id, recipient_address, employee_id, attendance_id, template_id, subject, body
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+      ON CONFLICT (dedupe_key, channel) DO NOTHING
+      RETURNING *
+    `;
+    const result = await db.query(query, [dedupeKey, eventType, channel, recipientId, recipientAddress, employeeId, attendanceId, templateId, subject, body]);
+    return result.rows[0] || null;
+  },
+
+  async recordOutcome(id, { status, providerMessageId = null, error = null }) {
+    const query = `
+      UPDATE notification_log 
+      SET status = $2,
+          provider_message_id = $3,
+          error = $4,
+          sent_at = CASE WHEN $2 = 'sent' THEN CURRENT_TIMESTAMP ELSE sent_at END
+      WHERE id = $1
+      RETURNING *
+    `;
+    const result = await db.query(query, [id, status, providerMessageId, error]);
+    return result.rows[0];
+  },
+
+  async list({ eventType = null, channel = null, status = null, recipientId = null, employeeId = null, from = null, to = null, limit = 50, offset = 0 } = {}) {
+    let where = ' WHERE 1 = 1';
+    const params = [];
+    let paramCount = 0;
+
+    if (eventType) {
+      paramCount++;
+      where += ` AND n.event_type = $${paramCount}`;
+      params.push(eventType);
+    }
+
+    if (channel) {
+      paramCount++;
+      where += ` AND n.channel = $${paramCount}`;
+      params.push(channel);
+    }
+
+    if (status) {
+      paramCount++;
+      where += ` AND n.status = $${paramCount}`;
+      params.push(status);
+    }
+
+    if (recipientId) {
+      paramCount++;
+      where += ` AND n.recipient_id = $${paramCount}`;
+      params.push(recipientId);
+    }
+
+    if (employeeId) {
+      paramCount++;
+      where += ` AND n.employee_id = $${paramCount}`;
+      params.push(employeeId);
+    }
+
+    if (from) {
+      paramCount++;
+      where += ` AND n.created_at >= $${paramCount}`;
+      params.push(from);
+    }
+
+    if (to) {
+      paramCount++;
+      where += ` AND n.created_at < $${paramCount}`;
+      params.push(to);
+    }
+
+    const countResult = await db.query(`SELECT COUNT(*) AS total FROM notification_log n${where}`, params);
+
+    const query = `
+      SELECT n.*, r.name AS recipient_name, e.name AS employee_name
+      FROM notification_log n
+      LEFT JOIN employees r ON r.id = n.recipient_id
+      LEFT JOIN employees e ON e.id = n.employee_id${where}
+      ORDER BY n.created_at DESC, n.id DESC
+      LIMIT $${paramCount + 1} OFFSET $${paramCount + 2}
+    `;
+    const result = await db.query(query, [...params, limit, offset]);
+
+    return {
+      total: parseInt(countResult.rows[0].total),
+      rows: result.rows
+    };
+  }
+};
+
+// Visit report forms per location type and the reports submitted on them
+const visitDb = {
+  async listForms({ locationType = null, isActive = null } = {}) {
+    let where = ' WHERE 1 = 1';
+    const params = [];
+    let paramCount = 0;
+
+    if (locationType) {
+      paramCount++;
+      where += ` AND location_type = LOWER($${paramCount})`;
+      params.push(locationType);
+    }
+
+    if (isActive !== null) {
+      paramCount++;
+      where += ` AND is_active = $${paramCount}`;
+      params.push(isActive);
+    }
+
+    const result = await db.query(`SELECT * FROM visit_forms${where} ORDER BY location_type, id`, params);
+    return result.rows;
+  },
+
+  async getFormById(id) {
+    const result = await db.query('SELECT * FROM visit_forms WHERE id = $1', [id]);
+    return result.rows[0];
+  },
+
+  async getActiveFormForType(locationType) {
+    const query = 'SELECT * FROM visit_forms WHERE location_type = LOWER($1) AND is_active = true';
+    const result = await db.query(query, [locationType]);
+    return result.rows[0];
+  },
+
+  async createForm({ locationType, name, fields, isActive = true, createdBy }) {
+    const query = `
+      INSERT INTO visit_forms (location_type, name, fields, is_active, created_by) 
+      VALUES (LOWER($1), $2, $3::jsonb, $4, $5)
+      RETURNING *
+    `;
+    const result = await db.query(query, [locationType, name, JSON.stringify(fields), isActive, createdBy]);
+    return result.rows[0];
+  },
+
+  // Update only the provided fields; keys are column names. Changing the fields
+  // starts a new version of the form.
+  async updateForm(id, fields) {
+    const allowed = ['name', 'fields', 'is_active'];
+    const sets = [];
+    const params = [id];
+
+    for (const column of allowed) {
+      if (fields[column] !== undefined) {
+        params.push(column === 'fields' ? JSON.stringify(fields[column]) : fields[column]);
+        sets.push(column === 'fields' ? `fields = $${params.length}::jsonb, version = version + 1` : `${column} = $${params.length}`);
+      }
+    }
+
+    if (sets.length === 0) {
+      return this.getFormById(id);
+    }
+
+    const query = `
+      UPDATE visit_forms 
+      SET ${sets.join(', ')}, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1
+      RETURNING *
+    `;
+    const result = await db.query(query, params);
+    return result.rows[0];
+  },
+
+  async createReport({ attendanceId, employeeId, form, answers, locationCode, visitDate }) {
+    const query = `
+      INSERT INTO visit_reports (
+        attendance_id, employee_id, form_id, form_version, fields, answers, location_code, visit_date
+      ) VALUES ($1, $2, $3, $4, $5::jsonb, $6::jsonb, $7, $8)
+      RETURNING *
+    `;
+    const result = await db.query(query, [attendanceId, employeeId, form.id, form.version, JSON.stringify(form.fields), JSON.stringify(answers), locationCode, visitDate]);
+    return result.rows[0];
+  },
+
+  async updateReportAnswers(id, answers) {
+    const query = `
+      UPDATE visit_reports 
+      SET answers = $2::jsonb, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1
+      RETURNING *
+    `;
+    const result = await db.query(query, [id, JSON.stringify(answers)]);
+    return result.rows[0];
+  },
+
+  async getReportById(id) {
+    const result = await db.query('SELECT * FROM visit_reports WHERE id = $1', [id]);
+    return result.rows[0];
+  },
+
+  async getReportByAttendance(attendanceId) {
+    const result = await db.query('SELECT * FROM visit_reports WHERE attendance_id = $1', [attendanceId]);
+    return result.rows[0];
+  },
+
+  // employeeIds limits the list to those employees (null = everyone)
+  async listReports({ locationCode = null, from = null, to = null, employeeId = null, employeeIds = null, formId = null, limit = 20, offset = 0 } = {}) {
+    let where = ' WHERE 1 = 1';
+    const params = [];
+    let paramCount = 0;
+
+    if (locationCode) {
+      paramCount++;
+      where += ` AND LOWER(r.location_code) = LOWER($${paramCount})`;
+      params.push(locationCode);
+    }
+
+    if (from) {
+      paramCount++;
+      where += ` AND r.visit_date >= $${paramCount}`;
+      params.push(from);
+    }
+
+    if (to) {
+      paramCount++;
+      where += ` AND r.visit_date <= $${paramCount}`;
+      params.push(to);
+    }
+
+    if (employeeId) {
+      paramCount++;
+      where += ` AND r.employee_id = $${paramCount}`;
+      params.push(employeeId);
+    }
+
+    if (employeeIds) {
+      paramCount++;
+      where += ` AND r.employee_id = ANY($${paramCount}::int[])`;
+      params.push(employeeIds);
+    }
+
+    if (formId) {
+      paramCount++;
+      where += ` AND r.form_id = $${paramCount}`;
+      params.push(formId);
+    }
+
+    const countResult = await db.query(`SELECT COUNT(*) AS total FROM visit_reports r${where}`, params);
+
+    const query = `
+      SELECT r.*, e.name AS employee_name, f.name AS form_name, f.location_type
+      FROM visit_reports r
+      JOIN employees e ON e.id = r.employee_id
+      JOIN visit_forms f ON f.id = r.form_id${where}
+      ORDER BY r.visit_date DESC, r.id DESC
+      LIMIT $${paramCount + 1} OFFSET $${paramCount + 2}
+    `;
+    const result = await db.query(query, [...params, limit, offset]);
+
+    return {
+      total: parseInt(countResult.rows[0].total),
+      rows: result.rows
+    };
   }
 };
 
@@ -333,6 +2711,21 @@ module.exports = {
   employeeDb,
   attendanceDb,
   locationDb,
+  sessionDb,
+  idempotencyDb,
+  pingDb,
+  photoDb,
+  correctionDb,
+  auditDb,
+  reportDb,
+  timesheetDb,
+  shiftDb,
+  holidayDb,
+  leaveDb,
+  webhookDb,
+  notificationDb,
+  visitDb,
+  withTransaction,
   testConnection,
   pool
 };
\ No newline at end of file
@@ -0,0 +1,150 @@
+// Geofence math - haversine distances and polygon boundaries
+// Polygons are arrays of { latitude, longitude } vertices; the ring closes implicitly.
+
+const EARTH_RADIUS_METERS = 6371000;
+const MAX_POLYGON_VERTICES = 500;
+
+function toRadians(degrees) {
+  return degrees * Math.PI / 180;
+}
+
+// Great-circle distance in meters
+function haversineMeters(lat1, lng1, lat2, lng2) {
+  const dLat = toRadians(lat2 - lat1);
+  const dLng = toRadians(lng2 - lng1);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_METERS * Math.asin(Math.min(1, Math.sqrt(a)));
+}
+
+// Project vertices onto a flat plane in meters around an origin point.
+// Accurate enough for site-sized polygons (a few kilometers across).
+function projectAround(origin, points) {
+  const metersPerDegLat = Math.PI * EARTH_RADIUS_METERS / 180;
+  const metersPerDegLng = metersPerDegLat * Math.cos(toRadians(origin.latitude));
+  return points.map(point => ({
+    x: (point.longitude - origin.longitude) * metersPerDegLng,
+    y: (point.latitude - origin.latitude) * metersPerDegLat
+  }));
+}
+
+// Ray casting on the projected plane
+function isPointInPolygon(latitude, longitude, polygon) {
+  const vertices = projectAround({ latitude, longitude }, polygon);
+  let inside = false;
+
+  for (let i = 0, j = vertices.length - 1; i < vertices.length; j = i++) {
+    const a = vertices[i];
+    const b = vertices[j];
+    if ((a.y > 0) !== (b.y > 0) && 0 < (b.x - a.x) * (0 - a.y) / (b.y - a.y) + a.x) {
+      inside = !inside;
+    }
+  }
+
+  return inside;
+}
+
+// Shortest distance in meters from a point to the polygon's edges
+function distanceToPolygonEdgeMeters(latitude, longitude, polygon) {
+  const vertices = projectAround({ latitude, longitude }, polygon);
+  let minDistance = Infinity;
+
+  for (let i = 0, j = vertices.length - 1; i < vertices.length; j = i++) {
+    const a = vertices[j];
+    const b = vertices[i];
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    const lengthSquared = dx * dx + dy * dy;
+
+    // Closest point on segment a-b to the origin
+    const t = lengthSquared === 0 ? 0 : Math.max(0, Math.min(1, -(a.x * dx + a.y * dy) / lengthSquared));
+    const distance = Math.hypot(a.x + t * dx, a.y + t * dy);
+    minDistance = Math.min(minDistance, distance);
+  }
+
+  return minDistance;
+}
+
+// Signed area on the projected plane; zero means the vertices are collinear
+function polygonAreaSquareMeters(polygon) {
+  const vertices = projectAround(polygon[0], polygon);
+  let area = 0;
+  for (let i = 0, j = vertices.length - 1; i < vertices.length; j = i++) {
+    area += (vertices[j].x + vertices[i].x) * (vertices[j].y - vertices[i].y);
+  }
+  return Math.abs(area / 2);
+}
+
+// Validate and normalise a polygon from an API payload.
+// Accepts [{ latitude, longitude }] or [[latitude, longitude]]; returns { error } or { polygon }.
+function normalizePolygon(input) {
+  if (!Array.isArray(input)) {
+    return { error: 'Boundary must be an array of points' };
+  }
+
+  const polygon = input.map(point => Array.isArray(point)
+    ? { latitude: parseFloat(point[0]), longitude: parseFloat(point[1]) }
+    : { latitude: parseFloat(point && point.latitude), longitude: parseFloat(point && point.longitude) });
+
+  // Drop an explicit closing vertex that repeats the first one
+  const first = polygon[0];
+  const last = polygon[polygon.length - 1];
+  if (polygon.length > 1 && first.latitude === last.latitude && first.longitude === last.longitude) {
+    polygon.pop();
+  }
+
+  if (polygon.length < 3 || polygon.length > MAX_POLYGON_VERTICES) {
+    return { error: `Boundary must have between 3 and ${MAX_POLYGON_VERTICES} points` };
+  }
+
+  for (const point of polygon) {
+    if (isNaN(point.latitude) || isNaN(point.longitude) ||
+        point.latitude < -90 || point.latitude > 90 || point.longitude < -180 || point.longitude > 180) {
+      return { error: 'Boundary points must have valid latitude and longitude' };
+    }
+  }
+
+  if (polygonAreaSquareMeters(polygon) < 1) {
+    return { error: 'Boundary points must enclose an area' };
+  }
+
+  return { polygon };
+}
+
+// Evaluate a point against a location's geofence: its polygon boundary when present,
+// otherwise the circle of radius_meters around its centre
+function evaluateGeofence(latitude, longitude, location) {
+  const distanceToCentre = haversineMeters(
+    latitude,
+    longitude,
+    parseFloat(location.latitude),
+    parseFloat(location.longitude)
+  );
+
+  if (Array.isArray(location.boundary) && location.boundary.length >= 3) {
+    const inside = isPointInPolygon(latitude, longitude, location.boundary);
+    return {
+      geofence_type: 'polygon',
+      is_within: inside,
+      distance_meters: distanceToCentre,
+      distance_to_boundary_meters: inside ? 0 : distanceToPolygonEdgeMeters(latitude, longitude, location.boundary)
+    };
+  }
+
+  const radius = location.radius_meters || 0;
+  return {
+    geofence_type: 'circle',
+    is_within: distanceToCentre <= radius,
+    distance_meters: distanceToCentre,
+    distance_to_boundary_meters: Math.max(0, distanceToCentre - radius)
+  };
+}
+
+module.exports = {
+  EARTH_RADIUS_METERS,
+  haversineMeters,
+  isPointInPolygon,
+  distanceToPolygonEdgeMeters,
+  normalizePolygon,
+  evaluateGeofence
+};
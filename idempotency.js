@@ -0,0 +1,103 @@
+// Idempotency-Key support - replays the stored response for a retried request
+const crypto = require('crypto');
+require('dotenv').config();
+
+const { idempotencyDb } = require('./database');
+
+const idempotencyConfig = {
+  ttlHours: parseInt(process.env.IDEMPOTENCY_KEY_TTL_HOURS) || 24,
+  // A claim still in progress after this long is taken to belong to a request that died
+  inProgressTimeoutSeconds: parseInt(process.env.IDEMPOTENCY_IN_PROGRESS_TIMEOUT_SECONDS) || 120,
+  maxKeyLength: 255
+};
+
+// The body plus the digest of an uploaded file (multipart check-ins), so a retry with a
+// different photo does not pass for the same request
+function hashRequest(body, file) {
+  const hash = crypto.createHash('sha256').update(JSON.stringify(body || {}));
+  if (file) {
+    hash.update(`\nfile:${crypto.createHash('sha256').update(file.buffer).digest('hex')}`);
+  }
+  return hash.digest('hex');
+}
+
+// Middleware - must run after authenticate, since keys are scoped per employee.
+// Requests without an Idempotency-Key header are handled normally.
+async function idempotent(req, res, next) {
+  const key = req.get('idempotency-key');
+  if (!key) {
+    return next();
+  }
+
+  if (key.length > idempotencyConfig.maxKeyLength) {
+    return res.status(400).json({
+      success: false,
+      message: `Idempotency-Key must be at most ${idempotencyConfig.maxKeyLength} characters`
+    });
+  }
+
+  try {
+    const employeeId = req.auth.employeeId;
+    const endpoint = `${req.method} ${req.baseUrl}${req.path}`;
+    const requestHash = hashRequest(req.body, req.file);
+
+    const claimed = await idempotencyDb.claim(employeeId, endpoint, key, requestHash, idempotencyConfig.ttlHours, idempotencyConfig.inProgressTimeoutSeconds);
+
+    if (!claimed) {
+      const existing = await idempotencyDb.get(employeeId, endpoint, key);
+
+      // A different request reusing the key is rejected whether or not the first one has finished
+      if (existing && existing.request_hash !== requestHash) {
+        return res.status(422).json({
+          success: false,
+          message: 'Idempotency-Key was already used with a different request body'
+        });
+      }
+
+      // Expired and removed between the claim and this lookup - treat as a conflict to retry
+      if (!existing || existing.status !== 'completed') {
+        return res.status(409).json({
+          success: false,
+          message: 'A request with this Idempotency-Key is still being processed. Please retry shortly.'
+        });
+      }
+
+      console.log('Idempotent replay:', { employee_id: employeeId, endpoint: endpoint, key: key });
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(existing.response_status).json(existing.response_body);
+    }
+
+    // Store the response before it is sent, so a retry that races the reply sees it.
+    // Server errors are not stored - the key is released and a retry runs again.
+    const originalJson = res.json.bind(res);
+    res.json = body => {
+      const store = res.statusCode >= 500
+        ? idempotencyDb.release(claimed.id)
+        : idempotencyDb.complete(claimed.id, res.statusCode, body);
+
+      store
+        .catch(error => console.error('Idempotency key store error:', error))
+        .finally(() => originalJson(body));
+      return res;
+    };
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+// Periodic cleanup of expired keys and their stored responses
+async function purgeExpiredIdempotencyKeys() {
+  const removed = await idempotencyDb.purgeExpired();
+  if (removed > 0) {
+    console.log('Purged expired idempotency keys:', removed);
+  }
+  return removed;
+}
+
+module.exports = {
+  idempotencyConfig,
+  idempotent,
+  purgeExpiredIdempotencyKeys
+};
@@ -0,0 +1,123 @@
+// In-process scheduled jobs - run on timers inside the API process
+require('dotenv').config();
+
+const { attendanceDb } = require('./database');
+const { purgeExpiredIdempotencyKeys } = require('./idempotency');
+const { recordAudit } = require('./audit');
+const { publishAttendanceEvent } = require('./live');
+const { webhookConfig, attendanceWebhookData, enqueueWebhookEvent, processWebhookQueue } = require('./webhooks');
+const { notificationConfig, sendCheckoutReminders } = require('./notifications');
+const { getScheduledShift } = require('./schedules');
+const { toDateKey } = require('./timezone');
+
+// Sessions still open this many hours after check-in, or this many minutes after
+// the end of their scheduled shift, are closed automatically
+const autoCloseConfig = {
+  enabled: process.env.AUTO_CLOSE_ENABLED !== 'false',
+  maxOpenHours: parseInt(process.env.AUTO_CLOSE_AFTER_HOURS) || 16,
+  shiftEndGraceMinutes: parseInt(process.env.AUTO_CLOSE_SHIFT_END_GRACE_MINUTES) || 60,
+  intervalMinutes: parseInt(process.env.AUTO_CLOSE_INTERVAL_MINUTES) || 15
+};
+
+// Close open sessions whose scheduled shift ended more than the grace period ago.
+// The check-out is set to the shift end; sessions started after it are left to the cutoff.
+async function closeSessionsPastShiftEnd() {
+  const now = Date.now();
+  const closed = [];
+
+  for (const session of await attendanceDb.getOpenSessions()) {
+    const shift = await getScheduledShift(session.employee_id, toDateKey(session.attendance_date), session.timezone || 'UTC');
+    if (!shift || new Date(session.check_in_time) >= shift.window.end ||
+        now < shift.window.end.getTime() + autoCloseConfig.shiftEndGraceMinutes * 60 * 1000) {
+      continue;
+    }
+
+    const reason = `No check-out by the end of the scheduled shift (${shift.name})`;
+    const closedSession = await attendanceDb.autoCloseAt(session.id, shift.window.end, reason);
+    // Checked out in the meantime
+    if (closedSession) {
+      closed.push(closedSession);
+    }
+  }
+  return closed;
+}
+
+// Close forgotten sessions so they stop blocking the next check-in.
+// Their hours stay out of payable totals until a manager confirms them.
+async function autoCloseForgottenSessions() {
+  const closedAtShiftEnd = await closeSessionsPastShiftEnd();
+  const reason = `No check-out within ${autoCloseConfig.maxOpenHours} hours of check-in`;
+  const closed = [...closedAtShiftEnd, ...await attendanceDb.autoCloseStaleSessions(autoCloseConfig.maxOpenHours, reason)];
+
+  for (const session of closed) {
+    await recordAudit(null, {
+      entityType: 'attendance',
+      entityId: session.id,
+      action: 'update',
+      before: { ...session, check_out_time: null, total_hours: null, auto_closed: false, auto_close_reason: null },
+      after: session,
+      source: 'job:auto-close-sessions'
+    });
+    publishAttendanceEvent('check_out', session);
+    await enqueueWebhookEvent('attendance.checked_out', attendanceWebhookData(session));
+  }
+
+  if (closed.length > 0) {
+    console.log('Auto-closed forgotten sessions:', closed.map(session => ({
+      attendance_id: session.id,
+      employee_id: session.employee_id,
+      check_in_time: session.check_in_time,
+      check_out_time: session.check_out_time
+    })));
+  }
+  return closed;
+}
+
+// Run a task every intervalMs; a run is skipped while the previous one is still going
+function schedule(name, intervalMs, task) {
+  let running = false;
+
+  const run = async () => {
+    if (running) {
+      return;
+    }
+    running = true;
+    try {
+      await task();
+    } catch (error) {
+      console.error(`Scheduled job "${name}" failed:`, error);
+    } finally {
+      running = false;
+    }
+  };
+
+  // unref so the timers never keep the process alive on shutdown
+  setInterval(run, intervalMs).unref();
+  return run;
+}
+
+function startScheduledJobs() {
+  // Hourly cleanup of expired idempotency keys
+  schedule('idempotency-key-cleanup', 60 * 60 * 1000, purgeExpiredIdempotencyKeys);
+
+  if (autoCloseConfig.enabled) {
+    const runAutoClose = schedule('auto-close-sessions', autoCloseConfig.intervalMinutes * 60 * 1000, autoCloseForgottenSessions);
+    // Catch up on sessions that went stale while the server was down
+    runAutoClose();
+  }
+
+  // Webhook retries; new events are also sent as soon as they are queued
+  const runWebhookQueue = schedule('webhook-deliveries', webhookConfig.intervalSeconds * 1000, processWebhookQueue);
+  // Send whatever came due while the server was down
+  runWebhookQueue();
+
+  if (notificationConfig.checkoutReminderEnabled) {
+    schedule('checkout-reminders', notificationConfig.intervalMinutes * 60 * 1000, sendCheckoutReminders);
+  }
+}
+
+module.exports = {
+  autoCloseConfig,
+  autoCloseForgottenSessions,
+  startScheduledJobs
+};
@@ -0,0 +1,60 @@
+// Leave - working days a leave request covers and yearly balances per leave type
+const { shiftDb, leaveDb } = require('./database');
+const { getHolidayCalendar, isWorkingDay } = require('./schedules');
+const { addDays } = require('./timezone');
+
+const LEAVE_STATUSES = ['pending', 'approved', 'rejected', 'cancelled'];
+
+const toDays = value => (value === null || value === undefined ? null : parseFloat(value));
+
+// Leave days in a range: scheduled days (every day for employees without a schedule)
+// that are not public holidays in the employee's state
+async function countLeaveDays(employee, from, to) {
+  const assignments = await shiftDb.getAssignmentsForRange(employee.id, from, to);
+  const holidays = await getHolidayCalendar(employee, from, to);
+
+  let days = 0;
+  for (let date = from; date <= to; date = addDays(date, 1)) {
+    if (!holidays.has(date) && isWorkingDay(assignments, date)) {
+      days++;
+    }
+  }
+  return days;
+}
+
+// Allowance, used, pending and available days per leave type for a year.
+// allowance_days and available_days are null for types without a limit.
+async function getLeaveBalances(employeeId, year, leaveTypeId = null) {
+  const types = leaveTypeId
+    ? [await leaveDb.getTypeById(leaveTypeId)].filter(Boolean)
+    : await leaveDb.listTypes({ isActive: true });
+  const overrides = await leaveDb.getBalanceOverrides(employeeId, year);
+  const usage = await leaveDb.getUsage(employeeId, year);
+
+  return types.map(type => {
+    const override = overrides.find(row => row.leave_type_id === type.id);
+    const used = usage.find(row => row.leave_type_id === type.id);
+    const allowance = override ? toDays(override.allowance_days) : toDays(type.annual_allowance_days);
+    const usedDays = used ? toDays(used.used_days) : 0;
+    const pendingDays = used ? toDays(used.pending_days) : 0;
+
+    return {
+      leave_type_id: type.id,
+      leave_type_code: type.code,
+      leave_type_name: type.name,
+      is_paid: type.is_paid,
+      year: year,
+      allowance_days: allowance,
+      allowance_overridden: !!override,
+      used_days: usedDays,
+      pending_days: pendingDays,
+      available_days: allowance === null ? null : allowance - usedDays - pendingDays
+    };
+  });
+}
+
+module.exports = {
+  LEAVE_STATUSES,
+  countLeaveDays,
+  getLeaveBalances
+};
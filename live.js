@@ -0,0 +1,126 @@
+// Live "who's on site" feed - check-in and check-out events pushed to supervisors over
+// Server-Sent Events. Events are published in-process, so every connected client must
+// be served by the instance that recorded the attendance change.
+const { EventEmitter } = require('events');
+require('dotenv').config();
+
+const { attendanceDb, employeeDb, locationDb } = require('./database');
+
+const liveConfig = {
+  heartbeatSeconds: parseInt(process.env.LIVE_FEED_HEARTBEAT_SECONDS) || 25
+};
+
+const attendanceEvents = new EventEmitter();
+// One listener per open feed
+attendanceEvents.setMaxListeners(0);
+
+const sameText = (a, b) => !!a && !!b && a.toLowerCase() === b.toLowerCase();
+
+// An open session joined with its employee and check-in location. Sessions are placed
+// by the site they checked in at, so a check-out reaches every feed that received the
+// check-in even if it was recorded at another code.
+function toFeedEntry(row) {
+  return {
+    attendance_id: row.id,
+    employee_id: row.employee_id,
+    employee_name: row.employee_name,
+    manager_id: row.manager_id,
+    location_code: row.check_in_location_code,
+    location_name: row.location_name,
+    state: row.state,
+    check_in_time: row.check_in_time
+  };
+}
+
+// filter: { locationCode, state, employeeIds } - employeeIds is a Set, or null for everyone
+function matchesFilter(entry, filter) {
+  return (!filter.locationCode || sameText(entry.location_code, filter.locationCode)) &&
+    (!filter.state || sameText(entry.state, filter.state)) &&
+    (!filter.employeeIds || filter.employeeIds.has(entry.employee_id));
+}
+
+// Announce a recorded check-in or check-out (type 'check_in' | 'check_out'). Never
+// throws - the attendance change is already saved and must not fail because of the feed.
+async function publishAttendanceEvent(type, session) {
+  try {
+    if (attendanceEvents.listenerCount('attendance') === 0) {
+      return;
+    }
+    const employee = await employeeDb.getPublicById(session.employee_id);
+    const location = session.check_in_location_code ? await locationDb.getByCode(session.check_in_location_code) : null;
+
+    attendanceEvents.emit('attendance', {
+      type: type,
+      ...toFeedEntry({
+        ...session,
+        employee_name: employee ? employee.name : null,
+        manager_id: employee ? employee.manager_id : null,
+        location_name: location ? location.name : null,
+        state: location ? location.state : null
+      }),
+      check_out_time: type === 'check_out' ? session.check_out_time : null,
+      check_out_location_code: type === 'check_out' ? session.check_out_location_code : null,
+      auto_closed: type === 'check_out' ? !!session.auto_closed : false,
+      occurred_at: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Live feed publish error:', error);
+  }
+}
+
+function writeEvent(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+// Send the snapshot of everyone currently checked in, then stream matching events until
+// the client disconnects. Listening starts before the snapshot query so nothing recorded
+// in between is lost; clients should treat events as upserts keyed by attendance_id.
+async function streamLiveFeed(req, res, filter) {
+  res.status(200);
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-store',
+    Connection: 'keep-alive',
+    // Stop reverse proxies from buffering the stream
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  const pending = [];
+  let ready = false;
+  const onEvent = event => {
+    if (!matchesFilter(event, filter)) {
+      return;
+    }
+    if (ready) {
+      writeEvent(res, event.type, event);
+    } else {
+      pending.push(event);
+    }
+  };
+  const heartbeat = setInterval(() => res.write(': heartbeat\n\n'), liveConfig.heartbeatSeconds * 1000);
+
+  attendanceEvents.on('attendance', onEvent);
+  res.on('close', () => {
+    clearInterval(heartbeat);
+    attendanceEvents.off('attendance', onEvent);
+  });
+
+  const entries = (await attendanceDb.getOnSite())
+    .map(toFeedEntry)
+    .filter(entry => matchesFilter(entry, filter));
+
+  writeEvent(res, 'snapshot', {
+    count: entries.length,
+    data: entries,
+    server_time: new Date().toISOString()
+  });
+  ready = true;
+  pending.forEach(event => writeEvent(res, event.type, event));
+}
+
+module.exports = {
+  liveConfig,
+  publishAttendanceEvent,
+  streamLiveFeed
+};
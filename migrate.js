@@ -0,0 +1,259 @@
+// Versioned schema migrations - numbered files in migrations/ tracked in schema_migrations
+//
+// Usage:
+//   node migrate.js up        apply all pending migrations
+//   node migrate.js status    show applied and pending migrations
+//   node migrate.js down      roll back the last applied migration
+//
+// Migration files are named NNN_description.sql or NNN_description.js.
+// SQL files hold a "-- migrate:up" section and an optional "-- migrate:down" section;
+// JS files export async up(client) and down(client).
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { db, pool } = require('./database');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const MIGRATION_FILE_PATTERN = /^(\d+)_([\w-]+)\.(sql|js)$/;
+
+// Advisory lock key so two deploys never migrate at the same time
+const MIGRATION_LOCK_KEY = 4711001;
+
+function parseSqlMigration(contents, file) {
+  const upMatch = contents.match(/^--\s*migrate:up\s*$/m);
+  if (!upMatch) {
+    throw new Error(`Migration ${file} has no "-- migrate:up" section`);
+  }
+
+  const downMatch = contents.match(/^--\s*migrate:down\s*$/m);
+  const upStart = upMatch.index + upMatch[0].length;
+
+  if (downMatch && downMatch.index > upMatch.index) {
+    return {
+      up: contents.slice(upStart, downMatch.index).trim(),
+      down: contents.slice(downMatch.index + downMatch[0].length).trim() || null
+    };
+  }
+
+  return {
+    up: contents.slice(upStart).trim(),
+    down: null
+  };
+}
+
+// Read every migration file, sorted by version
+function loadMigrations() {
+  const files = fs.readdirSync(MIGRATIONS_DIR).filter(file => MIGRATION_FILE_PATTERN.test(file));
+  const migrations = files.map(file => {
+    const [, version, name, type] = file.match(MIGRATION_FILE_PATTERN);
+    const fullPath = path.join(MIGRATIONS_DIR, file);
+    const contents = fs.readFileSync(fullPath, 'utf8');
+
+    const migration = {
+      version: parseInt(version),
+      name: name,
+      file: file,
+      checksum: crypto.createHash('sha256').update(contents).digest('hex')
+    };
+
+    if (type === 'sql') {
+      const { up, down } = parseSqlMigration(contents, file);
+      migration.up = client => client.query(up);
+      migration.down = down ? client => client.query(down) : null;
+    } else {
+      const definition = require(fullPath);
+      migration.up = client => definition.up(client);
+      migration.down = definition.down ? client => definition.down(client) : null;
+    }
+
+    return migration;
+  });
+
+  migrations.sort((a, b) => a.version - b.version);
+
+  for (let i = 1; i < migrations.length; i++) {
+    if (migrations[i].version === migrations[i - 1].version) {
+      throw new Error(`Duplicate migration version ${migrations[i].version}: ${migrations[i - 1].file}, ${migrations[i].file}`);
+    }
+  }
+
+  return migrations;
+}
+
+async function ensureMigrationsTable(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name VARCHAR(255) NOT NULL,
+      checksum VARCHAR(64) NOT NULL,
+      applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    )
+  `);
+}
+
+// Read-only: does not create schema_migrations, so it is safe to call from the server
+async function getAppliedMigrations(queryable = db) {
+  const exists = await queryable.query(`SELECT to_regclass('schema_migrations') IS NOT NULL AS exists`);
+  if (!exists.rows[0].exists) {
+    return [];
+  }
+
+  const result = await queryable.query('SELECT version, name, checksum, applied_at FROM schema_migrations ORDER BY version');
+  return result.rows;
+}
+
+// Every known migration with its state, plus applied versions whose file is missing
+async function getMigrationStatus() {
+  const migrations = loadMigrations();
+  const applied = await getAppliedMigrations();
+  const appliedByVersion = new Map(applied.map(row => [row.version, row]));
+
+  const status = migrations.map(migration => {
+    const row = appliedByVersion.get(migration.version);
+    return {
+      version: migration.version,
+      name: migration.name,
+      applied: !!row,
+      applied_at: row ? row.applied_at : null,
+      modified: !!row && row.checksum !== migration.checksum
+    };
+  });
+
+  const known = new Set(migrations.map(migration => migration.version));
+  const missing = applied.filter(row => !known.has(row.version));
+
+  return { status, missing };
+}
+
+// Run fn with a dedicated client holding the migration lock
+async function withMigrationLock(fn) {
+  const client = await pool.connect();
+  try {
+    await client.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK_KEY]);
+    await ensureMigrationsTable(client);
+    return await fn(client);
+  } finally {
+    await client.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK_KEY]).catch(() => {});
+    client.release();
+  }
+}
+
+// Apply pending migrations in order, each in its own transaction
+async function migrateUp() {
+  const migrations = loadMigrations();
+
+  return withMigrationLock(async client => {
+    const applied = await getAppliedMigrations(client);
+    const appliedVersions = new Set(applied.map(row => row.version));
+    const pending = migrations.filter(migration => !appliedVersions.has(migration.version));
+
+    for (const migration of pending) {
+      console.log(`Applying ${migration.file}...`);
+      try {
+        await client.query('BEGIN');
+        await migration.up(client);
+        await client.query(
+          'INSERT INTO schema_migrations (version, name, checksum) VALUES ($1, $2, $3)',
+          [migration.version, migration.name, migration.checksum]
+        );
+        await client.query('COMMIT');
+      } catch (error) {
+        await client.query('ROLLBACK');
+        error.message = `Migration ${migration.file} failed: ${error.message}`;
+        throw error;
+      }
+    }
+
+    return pending;
+  });
+}
+
+// Roll back the most recently applied migration
+async function rollbackLast() {
+  const migrations = loadMigrations();
+
+  return withMigrationLock(async client => {
+    const applied = await getAppliedMigrations(client);
+    if (applied.length === 0) {
+      return null;
+    }
+
+    const last = applied[applied.length - 1];
+    const migration = migrations.find(candidate => candidate.version === last.version);
+
+    if (!migration) {
+      throw new Error(`Migration file for version ${last.version} (${last.name}) not found`);
+    }
+    if (!migration.down) {
+      throw new Error(`Migration ${migration.file} has no down section and cannot be rolled back`);
+    }
+
+    console.log(`Rolling back ${migration.file}...`);
+    try {
+      await client.query('BEGIN');
+      await migration.down(client);
+      await client.query('DELETE FROM schema_migrations WHERE version = $1', [migration.version]);
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      error.message = `Rollback of ${migration.file} failed: ${error.message}`;
+      throw error;
+    }
+
+    return migration;
+  });
+}
+
+async function printStatus() {
+  const { status, missing } = await getMigrationStatus();
+
+  console.log('Migration status:');
+  for (const migration of status) {
+    const state = migration.applied
+      ? `applied ${new Date(migration.applied_at).toISOString()}${migration.modified ? ' (file modified since applied!)' : ''}`
+      : 'pending';
+    console.log(`  ${String(migration.version).padStart(3, '0')}_${migration.name}: ${state}`);
+  }
+  for (const row of missing) {
+    console.log(`  ${String(row.version).padStart(3, '0')}_${row.name}: applied but migration file is missing`);
+  }
+
+  const pendingCount = status.filter(migration => !migration.applied).length;
+  console.log(`${status.length - pendingCount} applied, ${pendingCount} pending`);
+}
+
+async function main(command) {
+  switch (command) {
+    case 'up': {
+      const applied = await migrateUp();
+      console.log(applied.length ? `Applied ${applied.length} migration(s)` : 'Schema is up to date');
+      break;
+    }
+    case 'down': {
+      const rolledBack = await rollbackLast();
+      console.log(rolledBack ? `Rolled back ${rolledBack.file}` : 'No migrations to roll back');
+      break;
+    }
+    case 'status':
+      await printStatus();
+      break;
+    default:
+      throw new Error(`Unknown command "${command}". Use: up, status or down`);
+  }
+}
+
+if (require.main === module) {
+  main(process.argv[2] || 'status')
+    .catch(error => {
+      console.error(error.message);
+      process.exitCode = 1;
+    })
+    .finally(() => pool.end());
+}
+
+module.exports = {
+  loadMigrations,
+  getMigrationStatus,
+  migrateUp,
+  rollbackLast
+};
@@ -1,13 +1,15 @@
--- Database setup script for Field Tracker API
--- Run this on your Azure PostgreSQL database
+-- Initial schema: employees, locations and attendance
+-- Written with IF NOT EXISTS so databases created from the old setup-database.sql
+-- and migrate-attendance-table.sql scripts can adopt the migration history as-is
+
+-- migrate:up
 
--- Create employees table
 CREATE TABLE IF NOT EXISTS employees (
     id SERIAL PRIMARY KEY,
     name VARCHAR(255) NOT NULL,
     email VARCHAR(255) UNIQUE,
     phone VARCHAR(20),
-    pin_code VARCHAR(10), -- Employee PIN for login
+    pin_code VARCHAR(10), -- Employee PIN for login (hashed into pin_hash by migration 004)
     assigned_location_id INTEGER,
     is_active BOOLEAN DEFAULT true,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
@@ -15,7 +17,6 @@ CREATE TABLE IF NOT EXISTS employees (
     last_login TIMESTAMP
 );
 
--- Create locations table
 CREATE TABLE IF NOT EXISTS locations (
     id SERIAL PRIMARY KEY,
     name VARCHAR(255) NOT NULL,
@@ -27,7 +28,7 @@ CREATE TABLE IF NOT EXISTS locations (
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
--- Create attendance table (with separate location_code columns for check-in and check-out)
+-- Separate location_code columns for check-in and check-out
 CREATE TABLE IF NOT EXISTS attendance (
     id SERIAL PRIMARY KEY,
     employee_id INTEGER NOT NULL REFERENCES employees(id),
@@ -40,27 +41,32 @@ CREATE TABLE IF NOT EXISTS attendance (
     check_out_longitude DECIMAL(11, 8) NULL,
     location_verified BOOLEAN DEFAULT false,
     total_hours DECIMAL(5, 2) NULL, -- Calculated on check-out
-    check_in_location_code VARCHAR(15) NULL, -- Location code for check-in
-    check_out_location_code VARCHAR(15) NULL, -- Location code for check-out
+    check_in_location_code VARCHAR(15) NULL,
+    check_out_location_code VARCHAR(15) NULL,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
--- Insert test employee with PIN
-INSERT INTO employees (name, email, phone, pin_code, is_active) 
-VALUES ('Test Employee', 'test@example.com', '1234567890', '1234', true)
-ON CONFLICT (email) DO UPDATE SET 
-    pin_code = EXCLUDED.pin_code,
-    updated_at = CURRENT_TIMESTAMP;
+-- Older attendance tables had a single location_code column
+ALTER TABLE attendance 
+ADD COLUMN IF NOT EXISTS check_in_location_code VARCHAR(15),
+ADD COLUMN IF NOT EXISTS check_out_location_code VARCHAR(15);
 
--- Insert test location
-INSERT INTO locations (name, latitude, longitude, radius_meters) 
-VALUES ('Test Office', 28.7041, 77.1025, 100)
-ON CONFLICT DO NOTHING;
+DO $$
+BEGIN
+    IF EXISTS (
+        SELECT 1 FROM information_schema.columns 
+        WHERE table_name = 'attendance' AND column_name = 'location_code'
+    ) THEN
+        UPDATE attendance 
+        SET check_in_location_code = location_code 
+        WHERE location_code IS NOT NULL AND check_in_location_code IS NULL;
+    END IF;
+END
+$$;
 
--- Check if data was inserted correctly
-SELECT 'Employees:' as table_name;
-SELECT id, name, email, pin_code, is_active FROM employees;
+-- migrate:down
 
-SELECT 'Locations:' as table_name;
-SELECT id, name, latitude, longitude, radius_meters FROM locations;
\ No newline at end of file
+DROP TABLE IF EXISTS attendance;
+DROP TABLE IF EXISTS locations;
+DROP TABLE IF EXISTS employees;
@@ -0,0 +1,22 @@
+-- Token-based sessions: one row per login, refresh tokens stored as SHA-256 hashes
+
+-- migrate:up
+
+CREATE TABLE IF NOT EXISTS auth_sessions (
+    id SERIAL PRIMARY KEY,
+    employee_id INTEGER NOT NULL REFERENCES employees(id),
+    refresh_token_hash VARCHAR(64) NOT NULL UNIQUE,
+    user_agent TEXT NULL,
+    ip_address VARCHAR(45) NULL,
+    expires_at TIMESTAMP NOT NULL,
+    revoked_at TIMESTAMP NULL,
+    last_used_at TIMESTAMP NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- For "revoke all sessions" lookups
+CREATE INDEX IF NOT EXISTS idx_auth_sessions_employee ON auth_sessions(employee_id);
+
+-- migrate:down
+
+DROP TABLE IF EXISTS auth_sessions;
@@ -0,0 +1,21 @@
+-- Hashed PINs, login lockout, one-time reset PINs and employee roles
+
+-- migrate:up
+
+ALTER TABLE employees 
+ADD COLUMN IF NOT EXISTS pin_hash VARCHAR(255),
+ADD COLUMN IF NOT EXISTS pin_must_change BOOLEAN DEFAULT false,
+ADD COLUMN IF NOT EXISTS pin_reset_expires_at TIMESTAMP,
+ADD COLUMN IF NOT EXISTS failed_login_attempts INTEGER DEFAULT 0,
+ADD COLUMN IF NOT EXISTS locked_until TIMESTAMP,
+ADD COLUMN IF NOT EXISTS role VARCHAR(20) DEFAULT 'employee';
+
+-- migrate:down
+
+ALTER TABLE employees 
+DROP COLUMN IF EXISTS pin_hash,
+DROP COLUMN IF EXISTS pin_must_change,
+DROP COLUMN IF EXISTS pin_reset_expires_at,
+DROP COLUMN IF EXISTS failed_login_attempts,
+DROP COLUMN IF EXISTS locked_until,
+DROP COLUMN IF EXISTS role;
@@ -0,0 +1,31 @@
+// Hash existing plaintext employees.pin_code values into pin_hash, then drop pin_code
+const { hashPin } = require('../auth');
+
+module.exports = {
+  async up(client) {
+    const result = await client.query(`
+      SELECT id, pin_code FROM employees 
+      WHERE pin_code IS NOT NULL 
+      AND pin_hash IS NULL
+      ORDER BY id
+    `);
+
+    console.log(`Hashing PINs for ${result.rows.length} employee(s)...`);
+
+    for (const employee of result.rows) {
+      const pinHash = await hashPin(employee.pin_code.toString().trim());
+      await client.query(`
+        UPDATE employees 
+        SET pin_hash = $2, updated_at = CURRENT_TIMESTAMP
+        WHERE id = $1
+      `, [employee.id, pinHash]);
+    }
+
+    await client.query('ALTER TABLE employees DROP COLUMN IF EXISTS pin_code');
+  },
+
+  // Plaintext PINs cannot be recovered; employees without a hash need an admin PIN reset
+  async down(client) {
+    await client.query('ALTER TABLE employees ADD COLUMN IF NOT EXISTS pin_code VARCHAR(10)');
+  }
+};
@@ -0,0 +1,21 @@
+-- Location codes, types and states used by location search and the admin location APIs
+
+-- migrate:up
+
+ALTER TABLE locations 
+ADD COLUMN IF NOT EXISTS location_code VARCHAR(15),
+ADD COLUMN IF NOT EXISTS location_type VARCHAR(50),
+ADD COLUMN IF NOT EXISTS state VARCHAR(100);
+
+-- Location codes are unique regardless of case
+-- This fails if existing rows already share a code; fix those rows first
+CREATE UNIQUE INDEX IF NOT EXISTS idx_locations_location_code ON locations (LOWER(location_code));
+
+-- migrate:down
+
+DROP INDEX IF EXISTS idx_locations_location_code;
+
+ALTER TABLE locations 
+DROP COLUMN IF EXISTS location_code,
+DROP COLUMN IF EXISTS location_type,
+DROP COLUMN IF EXISTS state;
@@ -0,0 +1,9 @@
+-- Index for the bounding-box prefilter used by the nearby locations lookup
+
+-- migrate:up
+
+CREATE INDEX IF NOT EXISTS idx_locations_lat_lng ON locations (latitude, longitude) WHERE is_active = true;
+
+-- migrate:down
+
+DROP INDEX IF EXISTS idx_locations_lat_lng;
@@ -0,0 +1,18 @@
+-- Optional polygon geofences for locations and check-out location verification
+
+-- migrate:up
+
+-- Array of { latitude, longitude } vertices; NULL means the radius_meters circle is used
+ALTER TABLE locations 
+ADD COLUMN IF NOT EXISTS boundary JSONB;
+
+ALTER TABLE attendance 
+ADD COLUMN IF NOT EXISTS check_out_location_verified BOOLEAN DEFAULT false;
+
+-- migrate:down
+
+ALTER TABLE attendance 
+DROP COLUMN IF EXISTS check_out_location_verified;
+
+ALTER TABLE locations 
+DROP COLUMN IF EXISTS boundary;
@@ -0,0 +1,40 @@
+-- Offline batch sync: device and server times for synced events, plus client event ids
+-- so a retried batch does not apply the same event twice. Check-in, check-out and sync
+-- take a per-employee lock before opening or closing a session; the one-open-session
+-- index is the backstop. If it cannot be built, close the extra open sessions first:
+--   SELECT employee_id FROM attendance WHERE check_out_time IS NULL GROUP BY employee_id HAVING COUNT(*) > 1;
+
+-- migrate:up
+
+ALTER TABLE attendance 
+ADD COLUMN IF NOT EXISTS check_in_device_time TIMESTAMP,
+ADD COLUMN IF NOT EXISTS check_in_server_time TIMESTAMP,
+ADD COLUMN IF NOT EXISTS check_out_device_time TIMESTAMP,
+ADD COLUMN IF NOT EXISTS check_out_server_time TIMESTAMP,
+ADD COLUMN IF NOT EXISTS check_in_client_event_id VARCHAR(64),
+ADD COLUMN IF NOT EXISTS check_out_client_event_id VARCHAR(64),
+ADD COLUMN IF NOT EXISTS is_offline_sync BOOLEAN DEFAULT false;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_attendance_check_in_client_event 
+ON attendance (employee_id, check_in_client_event_id) WHERE check_in_client_event_id IS NOT NULL;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_attendance_check_out_client_event 
+ON attendance (employee_id, check_out_client_event_id) WHERE check_out_client_event_id IS NOT NULL;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_attendance_one_open_session 
+ON attendance (employee_id) WHERE check_out_time IS NULL;
+
+-- migrate:down
+
+DROP INDEX IF EXISTS idx_attendance_one_open_session;
+DROP INDEX IF EXISTS idx_attendance_check_out_client_event;
+DROP INDEX IF EXISTS idx_attendance_check_in_client_event;
+
+ALTER TABLE attendance 
+DROP COLUMN IF EXISTS check_in_device_time,
+DROP COLUMN IF EXISTS check_in_server_time,
+DROP COLUMN IF EXISTS check_out_device_time,
+DROP COLUMN IF EXISTS check_out_server_time,
+DROP COLUMN IF EXISTS check_in_client_event_id,
+DROP COLUMN IF EXISTS check_out_client_event_id,
+DROP COLUMN IF EXISTS is_offline_sync;
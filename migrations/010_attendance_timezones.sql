@@ -0,0 +1,50 @@
+-- Timezone-aware attendance days: a zone per employee or per location, and the zone
+-- each session's attendance_date was derived in
+
+-- migrate:up
+
+ALTER TABLE employees 
+ADD COLUMN IF NOT EXISTS timezone VARCHAR(64);
+
+ALTER TABLE locations 
+ADD COLUMN IF NOT EXISTS timezone VARCHAR(64);
+
+ALTER TABLE attendance 
+ADD COLUMN IF NOT EXISTS timezone VARCHAR(64);
+
+-- Session times become absolute instants; the values stored so far are UTC
+ALTER TABLE attendance 
+ALTER COLUMN check_in_time TYPE TIMESTAMPTZ USING check_in_time AT TIME ZONE 'UTC',
+ALTER COLUMN check_out_time TYPE TIMESTAMPTZ USING check_out_time AT TIME ZONE 'UTC',
+ALTER COLUMN check_in_device_time TYPE TIMESTAMPTZ USING check_in_device_time AT TIME ZONE 'UTC',
+ALTER COLUMN check_in_server_time TYPE TIMESTAMPTZ USING check_in_server_time AT TIME ZONE 'UTC',
+ALTER COLUMN check_out_device_time TYPE TIMESTAMPTZ USING check_out_device_time AT TIME ZONE 'UTC',
+ALTER COLUMN check_out_server_time TYPE TIMESTAMPTZ USING check_out_server_time AT TIME ZONE 'UTC';
+
+-- Open sessions are now looked up regardless of date
+CREATE INDEX IF NOT EXISTS idx_attendance_open_sessions 
+ON attendance (employee_id, check_in_time) WHERE check_out_time IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_attendance_employee_date ON attendance (employee_id, attendance_date);
+
+-- migrate:down
+
+DROP INDEX IF EXISTS idx_attendance_employee_date;
+DROP INDEX IF EXISTS idx_attendance_open_sessions;
+
+ALTER TABLE attendance 
+ALTER COLUMN check_in_time TYPE TIMESTAMP USING check_in_time AT TIME ZONE 'UTC',
+ALTER COLUMN check_out_time TYPE TIMESTAMP USING check_out_time AT TIME ZONE 'UTC',
+ALTER COLUMN check_in_device_time TYPE TIMESTAMP USING check_in_device_time AT TIME ZONE 'UTC',
+ALTER COLUMN check_in_server_time TYPE TIMESTAMP USING check_in_server_time AT TIME ZONE 'UTC',
+ALTER COLUMN check_out_device_time TYPE TIMESTAMP USING check_out_device_time AT TIME ZONE 'UTC',
+ALTER COLUMN check_out_server_time TYPE TIMESTAMP USING check_out_server_time AT TIME ZONE 'UTC';
+
+ALTER TABLE attendance 
+DROP COLUMN IF EXISTS timezone;
+
+ALTER TABLE locations 
+DROP COLUMN IF EXISTS timezone;
+
+ALTER TABLE employees 
+DROP COLUMN IF EXISTS timezone;
@@ -0,0 +1,25 @@
+-- Automatic closing of forgotten open sessions; auto-closed hours stay out of payable
+-- totals until a manager confirms them
+
+-- migrate:up
+
+ALTER TABLE attendance 
+ADD COLUMN IF NOT EXISTS auto_closed BOOLEAN DEFAULT false,
+ADD COLUMN IF NOT EXISTS auto_close_reason TEXT,
+ADD COLUMN IF NOT EXISTS auto_closed_at TIMESTAMP,
+ADD COLUMN IF NOT EXISTS confirmed_by INTEGER REFERENCES employees(id),
+ADD COLUMN IF NOT EXISTS confirmed_at TIMESTAMP;
+
+CREATE INDEX IF NOT EXISTS idx_attendance_unconfirmed_auto_closed 
+ON attendance (employee_id) WHERE auto_closed = true AND confirmed_at IS NULL;
+
+-- migrate:down
+
+DROP INDEX IF EXISTS idx_attendance_unconfirmed_auto_closed;
+
+ALTER TABLE attendance 
+DROP COLUMN IF EXISTS auto_closed,
+DROP COLUMN IF EXISTS auto_close_reason,
+DROP COLUMN IF EXISTS auto_closed_at,
+DROP COLUMN IF EXISTS confirmed_by,
+DROP COLUMN IF EXISTS confirmed_at;
@@ -0,0 +1,22 @@
+-- Breadcrumb GPS pings recorded by the field app while a session is open
+
+-- migrate:up
+
+CREATE TABLE IF NOT EXISTS attendance_pings (
+    id SERIAL PRIMARY KEY,
+    attendance_id INTEGER NOT NULL REFERENCES attendance(id) ON DELETE CASCADE,
+    employee_id INTEGER NOT NULL REFERENCES employees(id),
+    latitude DECIMAL(10, 8) NOT NULL,
+    longitude DECIMAL(11, 8) NOT NULL,
+    accuracy_meters DECIMAL(8, 2) NULL,
+    speed_mps DECIMAL(8, 2) NULL,
+    recorded_at TIMESTAMP WITH TIME ZONE NOT NULL, -- device time of the fix
+    received_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (attendance_id, recorded_at)
+);
+
+CREATE INDEX IF NOT EXISTS idx_attendance_pings_employee ON attendance_pings(employee_id, recorded_at);
+
+-- migrate:down
+
+DROP TABLE IF EXISTS attendance_pings;
@@ -0,0 +1,36 @@
+-- GPS quality reported by the device and anomaly flags for spoofing review
+
+-- migrate:up
+
+ALTER TABLE attendance 
+ADD COLUMN IF NOT EXISTS check_in_accuracy_meters DECIMAL(8, 2) NULL,
+ADD COLUMN IF NOT EXISTS check_in_mock_location BOOLEAN DEFAULT false,
+ADD COLUMN IF NOT EXISTS check_out_accuracy_meters DECIMAL(8, 2) NULL,
+ADD COLUMN IF NOT EXISTS check_out_mock_location BOOLEAN DEFAULT false,
+ADD COLUMN IF NOT EXISTS anomaly_score INTEGER DEFAULT 0,
+ADD COLUMN IF NOT EXISTS anomaly_reasons JSONB DEFAULT '[]'::jsonb,
+ADD COLUMN IF NOT EXISTS is_flagged BOOLEAN DEFAULT false,
+ADD COLUMN IF NOT EXISTS flag_review_status VARCHAR(20) NULL, -- cleared | confirmed
+ADD COLUMN IF NOT EXISTS flag_review_note TEXT NULL,
+ADD COLUMN IF NOT EXISTS flag_reviewed_by INTEGER REFERENCES employees(id),
+ADD COLUMN IF NOT EXISTS flag_reviewed_at TIMESTAMP NULL;
+
+CREATE INDEX IF NOT EXISTS idx_attendance_flagged 
+ON attendance (anomaly_score DESC) WHERE is_flagged = true;
+
+-- migrate:down
+
+DROP INDEX IF EXISTS idx_attendance_flagged;
+
+ALTER TABLE attendance 
+DROP COLUMN IF EXISTS check_in_accuracy_meters,
+DROP COLUMN IF EXISTS check_in_mock_location,
+DROP COLUMN IF EXISTS check_out_accuracy_meters,
+DROP COLUMN IF EXISTS check_out_mock_location,
+DROP COLUMN IF EXISTS anomaly_score,
+DROP COLUMN IF EXISTS anomaly_reasons,
+DROP COLUMN IF EXISTS is_flagged,
+DROP COLUMN IF EXISTS flag_review_status,
+DROP COLUMN IF EXISTS flag_review_note,
+DROP COLUMN IF EXISTS flag_reviewed_by,
+DROP COLUMN IF EXISTS flag_reviewed_at;
@@ -0,0 +1,38 @@
+-- Employee-submitted attendance corrections with manager approval. The session's values
+-- before and after an approved correction are kept on the request.
+
+-- migrate:up
+
+CREATE TABLE IF NOT EXISTS attendance_corrections (
+    id SERIAL PRIMARY KEY,
+    employee_id INTEGER NOT NULL REFERENCES employees(id),
+    attendance_id INTEGER NULL REFERENCES attendance(id) ON DELETE SET NULL, -- NULL for a missing session
+    attendance_date DATE NULL, -- day of a missing session
+    requested_changes JSONB NOT NULL, -- check_in_time, check_out_time, check_in_location_code, check_out_location_code
+    reason TEXT NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending', -- pending | approved | rejected | cancelled
+    original_values JSONB NULL,
+    corrected_values JSONB NULL,
+    reviewed_by INTEGER REFERENCES employees(id),
+    reviewed_at TIMESTAMP NULL,
+    review_note TEXT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_attendance_corrections_status ON attendance_corrections(status, created_at);
+CREATE INDEX IF NOT EXISTS idx_attendance_corrections_employee ON attendance_corrections(employee_id, created_at);
+
+-- At most one pending request per session
+CREATE UNIQUE INDEX IF NOT EXISTS idx_attendance_corrections_pending 
+ON attendance_corrections(attendance_id) WHERE status = 'pending';
+
+-- Latest approved correction applied to a session
+ALTER TABLE attendance 
+ADD COLUMN IF NOT EXISTS correction_id INTEGER REFERENCES attendance_corrections(id);
+
+-- migrate:down
+
+ALTER TABLE attendance DROP COLUMN IF EXISTS correction_id;
+
+DROP TABLE IF EXISTS attendance_corrections;
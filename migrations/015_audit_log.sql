@@ -0,0 +1,38 @@
+-- Append-only audit trail for attendance, employee and location mutations
+
+-- migrate:up
+
+CREATE TABLE IF NOT EXISTS audit_log (
+    id BIGSERIAL PRIMARY KEY,
+    entity_type VARCHAR(20) NOT NULL, -- attendance | employee | location
+    entity_id INTEGER NOT NULL,
+    action VARCHAR(10) NOT NULL, -- create | update | delete
+    actor_id INTEGER NULL REFERENCES employees(id), -- NULL for system jobs
+    actor_type VARCHAR(10) NOT NULL DEFAULT 'employee', -- employee | system
+    source VARCHAR(200) NULL, -- route or job that made the change
+    ip_address VARCHAR(45) NULL,
+    user_agent TEXT NULL,
+    changes JSONB NOT NULL, -- { field: { before, after } }
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_audit_log_entity ON audit_log(entity_type, entity_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_audit_log_actor ON audit_log(actor_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_audit_log_created ON audit_log(created_at);
+
+-- Reject updates and deletes so entries cannot be rewritten
+CREATE OR REPLACE FUNCTION audit_log_append_only() RETURNS trigger AS $$
+BEGIN
+    RAISE EXCEPTION 'audit_log is append-only';
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS audit_log_append_only ON audit_log;
+CREATE TRIGGER audit_log_append_only 
+BEFORE UPDATE OR DELETE ON audit_log 
+FOR EACH ROW EXECUTE FUNCTION audit_log_append_only();
+
+-- migrate:down
+
+DROP TABLE IF EXISTS audit_log;
+DROP FUNCTION IF EXISTS audit_log_append_only();
@@ -0,0 +1,32 @@
+-- Approved payroll periods. Locking a period stores the computed timesheet and blocks
+-- further edits to the employee's attendance dated within it; unlocking keeps the row.
+
+-- migrate:up
+
+CREATE TABLE IF NOT EXISTS timesheet_periods (
+    id SERIAL PRIMARY KEY,
+    employee_id INTEGER NOT NULL REFERENCES employees(id),
+    period_start DATE NOT NULL,
+    period_end DATE NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'locked', -- locked | unlocked
+    timesheet JSONB NOT NULL, -- timesheet as approved, including the rules applied
+    locked_by INTEGER NOT NULL REFERENCES employees(id),
+    locked_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    lock_note TEXT NULL,
+    unlocked_by INTEGER NULL REFERENCES employees(id),
+    unlocked_at TIMESTAMP NULL,
+    unlock_reason TEXT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CHECK (period_end >= period_start)
+);
+
+CREATE INDEX IF NOT EXISTS idx_timesheet_periods_employee ON timesheet_periods(employee_id, period_start);
+
+-- At most one locked timesheet per employee and period
+CREATE UNIQUE INDEX IF NOT EXISTS idx_timesheet_periods_locked 
+ON timesheet_periods(employee_id, period_start) WHERE status = 'locked';
+
+-- migrate:down
+
+DROP TABLE IF EXISTS timesheet_periods;
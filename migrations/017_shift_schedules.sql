@@ -0,0 +1,40 @@
+-- Shift definitions and per-employee schedule assignments. Shift times are wall-clock
+-- times in the employee's attendance timezone; an end_time at or before start_time
+-- means the shift ends the next day.
+
+-- migrate:up
+
+CREATE TABLE IF NOT EXISTS shifts (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(100) NOT NULL,
+    start_time TIME NOT NULL,
+    end_time TIME NOT NULL,
+    late_grace_minutes INTEGER NOT NULL DEFAULT 10,
+    early_leave_grace_minutes INTEGER NOT NULL DEFAULT 10,
+    is_active BOOLEAN DEFAULT true,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- A shift on the listed weekdays (0 = Sunday ... 6 = Saturday; NULL = every day)
+-- between effective_from and effective_to. Later assignments override earlier ones
+-- on the days they cover.
+CREATE TABLE IF NOT EXISTS shift_assignments (
+    id SERIAL PRIMARY KEY,
+    employee_id INTEGER NOT NULL REFERENCES employees(id),
+    shift_id INTEGER NOT NULL REFERENCES shifts(id),
+    days_of_week JSONB NULL,
+    effective_from DATE NOT NULL,
+    effective_to DATE NULL, -- NULL = open-ended
+    created_by INTEGER REFERENCES employees(id),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CHECK (effective_to IS NULL OR effective_to >= effective_from)
+);
+
+CREATE INDEX IF NOT EXISTS idx_shift_assignments_employee ON shift_assignments(employee_id, effective_from);
+
+-- migrate:down
+
+DROP TABLE IF EXISTS shift_assignments;
+DROP TABLE IF EXISTS shifts;
@@ -0,0 +1,66 @@
+-- Public holiday calendars keyed by location state, leave types with yearly
+-- allowances, per-employee allowance overrides and leave requests with approval
+
+-- migrate:up
+
+CREATE TABLE IF NOT EXISTS holidays (
+    id SERIAL PRIMARY KEY,
+    state VARCHAR(100) NULL, -- matches locations.state (case-insensitive); NULL = every state
+    holiday_date DATE NOT NULL,
+    name VARCHAR(100) NOT NULL,
+    created_by INTEGER REFERENCES employees(id),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_holidays_date ON holidays(holiday_date);
+
+CREATE TABLE IF NOT EXISTS leave_types (
+    id SERIAL PRIMARY KEY,
+    code VARCHAR(20) NOT NULL UNIQUE,
+    name VARCHAR(100) NOT NULL,
+    annual_allowance_days NUMERIC(5,1) NULL, -- NULL = no limit (e.g. unpaid leave)
+    is_paid BOOLEAN DEFAULT true,
+    is_active BOOLEAN DEFAULT true,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Allowance for one employee, type and year, replacing the type's annual allowance
+CREATE TABLE IF NOT EXISTS leave_balances (
+    id SERIAL PRIMARY KEY,
+    employee_id INTEGER NOT NULL REFERENCES employees(id),
+    leave_type_id INTEGER NOT NULL REFERENCES leave_types(id),
+    year INTEGER NOT NULL,
+    allowance_days NUMERIC(5,1) NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (employee_id, leave_type_id, year)
+);
+
+CREATE TABLE IF NOT EXISTS leave_requests (
+    id SERIAL PRIMARY KEY,
+    employee_id INTEGER NOT NULL REFERENCES employees(id),
+    leave_type_id INTEGER NOT NULL REFERENCES leave_types(id),
+    start_date DATE NOT NULL,
+    end_date DATE NOT NULL,
+    days NUMERIC(5,1) NOT NULL, -- working days in the range, excluding holidays and unscheduled days
+    reason TEXT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending', -- pending | approved | rejected | cancelled
+    reviewed_by INTEGER REFERENCES employees(id),
+    reviewed_at TIMESTAMP NULL,
+    review_note TEXT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CHECK (end_date >= start_date)
+);
+
+CREATE INDEX IF NOT EXISTS idx_leave_requests_employee ON leave_requests(employee_id, start_date);
+CREATE INDEX IF NOT EXISTS idx_leave_requests_status ON leave_requests(status, created_at);
+
+-- migrate:down
+
+DROP TABLE IF EXISTS leave_requests;
+DROP TABLE IF EXISTS leave_balances;
+DROP TABLE IF EXISTS leave_types;
+DROP TABLE IF EXISTS holidays;
@@ -0,0 +1,16 @@
+-- Reporting hierarchy: an employee reports to at most one manager. Managers see the
+-- attendance of everyone below them in the hierarchy; roles are employee, manager or admin.
+
+-- migrate:up
+
+ALTER TABLE employees 
+ADD COLUMN IF NOT EXISTS manager_id INTEGER REFERENCES employees(id);
+
+CREATE INDEX IF NOT EXISTS idx_employees_manager_id ON employees (manager_id);
+
+-- migrate:down
+
+DROP INDEX IF EXISTS idx_employees_manager_id;
+
+ALTER TABLE employees 
+DROP COLUMN IF EXISTS manager_id;
@@ -0,0 +1,73 @@
+-- Notifications: message templates per event and channel (with optional per-employee
+-- overrides) and a log of every message sent. Each notification is claimed through
+-- its dedupe key before sending, so a reminder or alert goes out at most once.
+
+-- migrate:up
+
+-- Room for the notification_template audit entity type
+ALTER TABLE audit_log ALTER COLUMN entity_type TYPE VARCHAR(50);
+
+CREATE TABLE IF NOT EXISTS notification_templates (
+    id SERIAL PRIMARY KEY,
+    event_type VARCHAR(50) NOT NULL, -- checkout_reminder | late_arrival
+    channel VARCHAR(20) NOT NULL, -- email | sms
+    employee_id INTEGER NULL REFERENCES employees(id), -- recipient override; NULL = default
+    subject VARCHAR(255) NULL, -- email only
+    body TEXT NOT NULL, -- {{placeholders}} are filled in when sending
+    is_active BOOLEAN NOT NULL DEFAULT true,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- One default and at most one override per employee for each event and channel
+CREATE UNIQUE INDEX IF NOT EXISTS idx_notification_templates_unique
+ON notification_templates(event_type, channel, COALESCE(employee_id, 0));
+
+CREATE TABLE IF NOT EXISTS notification_log (
+    id BIGSERIAL PRIMARY KEY,
+    dedupe_key VARCHAR(150) NOT NULL, -- e.g. checkout_reminder:<attendance_id>:<recipient_id>
+    event_type VARCHAR(50) NOT NULL,
+    channel VARCHAR(20) NOT NULL,
+    recipient_id INTEGER NULL REFERENCES employees(id),
+    recipient_address VARCHAR(255) NOT NULL,
+    employee_id INTEGER NULL REFERENCES employees(id), -- the employee the notification is about
+    attendance_id INTEGER NULL REFERENCES attendance(id),
+    template_id INTEGER NULL REFERENCES notification_templates(id),
+    subject VARCHAR(255) NULL,
+    body TEXT NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'sending', -- sending | sent | failed
+    provider_message_id VARCHAR(255) NULL,
+    error TEXT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    sent_at TIMESTAMP NULL
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_notification_log_dedupe ON notification_log(dedupe_key, channel);
+CREATE INDEX IF NOT EXISTS idx_notification_log_created ON notification_log(created_at);
+CREATE INDEX IF NOT EXISTS idx_notification_log_attendance ON notification_log(attendance_id, event_type);
+
+INSERT INTO notification_templates (event_type, channel, subject, body) VALUES
+('checkout_reminder', 'email', 'Reminder: you are still checked in',
+ 'Hi {{recipient_name}},
+
+You checked in at {{check_in_time}} ({{location_code}}) on {{attendance_date}} and have not checked out yet. That was {{hours_open}} hours ago.
+
+If you have finished work, please check out in the app.'),
+('checkout_reminder', 'sms', NULL,
+ 'Hi {{recipient_name}}, you are still checked in since {{check_in_time}} ({{location_code}}). Please check out if you have finished work.'),
+('late_arrival', 'email', 'Late arrival: {{employee_name}}',
+ 'Hi {{recipient_name}},
+
+{{employee_name}} checked in at {{check_in_time}} on {{attendance_date}}, {{late_minutes}} minutes after the start of the {{shift_name}} shift ({{scheduled_start}}).
+
+Location: {{location_code}}'),
+('late_arrival', 'sms', NULL,
+ '{{employee_name}} checked in {{late_minutes}} min late at {{check_in_time}} ({{shift_name}} shift from {{scheduled_start}}).')
+ON CONFLICT DO NOTHING;
+
+-- migrate:down
+
+DROP TABLE IF EXISTS notification_log;
+DROP TABLE IF EXISTS notification_templates;
+-- audit_log is append-only and may hold longer entity types by now, so entity_type
+-- stays VARCHAR(50)
@@ -0,0 +1,34 @@
+-- Photo proof of presence: at most one photo per check-in and per check-out, kept in
+-- file storage and linked here, and the location types that require one.
+
+-- migrate:up
+
+CREATE TABLE IF NOT EXISTS attendance_photos (
+    id SERIAL PRIMARY KEY,
+    attendance_id INTEGER NOT NULL REFERENCES attendance(id) ON DELETE CASCADE,
+    event_type VARCHAR(20) NOT NULL, -- check_in | check_out
+    storage_driver VARCHAR(20) NOT NULL,
+    storage_key VARCHAR(255) NOT NULL,
+    content_type VARCHAR(50) NOT NULL,
+    size_bytes INTEGER NOT NULL,
+    sha256 CHAR(64) NOT NULL,
+    upload_method VARCHAR(20) NOT NULL, -- multipart | base64
+    uploaded_by INTEGER NULL REFERENCES employees(id),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (attendance_id, event_type)
+);
+
+-- Location types are matched case-insensitively and stored in lower case
+CREATE TABLE IF NOT EXISTS location_type_settings (
+    id SERIAL PRIMARY KEY,
+    location_type VARCHAR(50) NOT NULL UNIQUE,
+    check_in_photo_required BOOLEAN NOT NULL DEFAULT false,
+    check_out_photo_required BOOLEAN NOT NULL DEFAULT false,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- migrate:down
+
+DROP TABLE IF EXISTS location_type_settings;
+DROP TABLE IF EXISTS attendance_photos;
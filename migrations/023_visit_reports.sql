@@ -0,0 +1,43 @@
+-- Visit reports: what an employee did at a site, recorded against an attendance session
+-- on the form defined for the site's location type. Changing a form's fields bumps its
+-- version; each report keeps a copy of the fields it was answered against.
+
+-- migrate:up
+
+CREATE TABLE IF NOT EXISTS visit_forms (
+    id SERIAL PRIMARY KEY,
+    location_type VARCHAR(50) NOT NULL, -- lower case, matched case-insensitively
+    name VARCHAR(100) NOT NULL,
+    fields JSONB NOT NULL, -- [{ key, label, type: text|number|choice|checkbox, required, ... }]
+    version INTEGER NOT NULL DEFAULT 1,
+    is_active BOOLEAN NOT NULL DEFAULT true,
+    created_by INTEGER NULL REFERENCES employees(id),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- At most one active form per location type
+CREATE UNIQUE INDEX IF NOT EXISTS idx_visit_forms_active_type
+ON visit_forms(location_type) WHERE is_active = true;
+
+CREATE TABLE IF NOT EXISTS visit_reports (
+    id SERIAL PRIMARY KEY,
+    attendance_id INTEGER NOT NULL UNIQUE REFERENCES attendance(id) ON DELETE CASCADE,
+    employee_id INTEGER NOT NULL REFERENCES employees(id),
+    form_id INTEGER NOT NULL REFERENCES visit_forms(id),
+    form_version INTEGER NOT NULL,
+    fields JSONB NOT NULL, -- the form's fields when the report was submitted
+    answers JSONB NOT NULL, -- { field key: value }
+    location_code VARCHAR(50) NULL, -- the session's check-in location
+    visit_date DATE NOT NULL, -- the session's attendance_date
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_visit_reports_location_date ON visit_reports(LOWER(location_code), visit_date);
+CREATE INDEX IF NOT EXISTS idx_visit_reports_employee_date ON visit_reports(employee_id, visit_date);
+
+-- migrate:down
+
+DROP TABLE IF EXISTS visit_reports;
+DROP TABLE IF EXISTS visit_forms;
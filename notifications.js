@@ -0,0 +1,304 @@
+// Notifications - check-out reminders to employees and late-arrival alerts to their
+// managers, rendered from templates and sent on every configured channel the recipient
+// has an address for. Every message is written to the notification log.
+const crypto = require('crypto');
+const nodemailer = require('nodemailer');
+require('dotenv').config();
+
+const { employeeDb, notificationDb } = require('./database');
+const { classifyDays } = require('./schedules');
+const { toDateKey } = require('./timezone');
+
+// Placeholders each event's templates may use
+const NOTIFICATION_EVENTS = {
+  checkout_reminder: ['recipient_name', 'employee_name', 'attendance_date', 'check_in_time', 'location_code', 'hours_open'],
+  late_arrival: ['recipient_name', 'employee_name', 'attendance_date', 'check_in_time', 'location_code', 'shift_name', 'scheduled_start', 'late_minutes']
+};
+const NOTIFICATION_STATUSES = ['sending', 'sent', 'failed'];
+// Logged for admin test messages, which are not rendered from a template
+const NOTIFICATION_TEST_EVENT = 'test';
+
+const notificationConfig = {
+  checkoutReminderEnabled: process.env.CHECKOUT_REMINDER_ENABLED !== 'false',
+  // Keep below AUTO_CLOSE_AFTER_HOURS, or sessions are closed before anyone is reminded
+  checkoutReminderHours: parseFloat(process.env.CHECKOUT_REMINDER_AFTER_HOURS) || 9,
+  lateAlertsEnabled: process.env.LATE_ARRIVAL_ALERTS_ENABLED !== 'false',
+  intervalMinutes: parseInt(process.env.NOTIFICATION_INTERVAL_MINUTES) || 5,
+  timeoutMs: parseInt(process.env.NOTIFICATION_TIMEOUT_MS) || 10000,
+  email: {
+    host: process.env.SMTP_HOST || null,
+    port: parseInt(process.env.SMTP_PORT) || 587,
+    // true for implicit TLS (usually port 465); otherwise STARTTLS is used when offered
+    secure: process.env.SMTP_SECURE === 'true',
+    user: process.env.SMTP_USER || null,
+    password: process.env.SMTP_PASSWORD || null,
+    from: process.env.NOTIFICATION_EMAIL_FROM || 'Field Tracker <no-reply@field-tracker.local>'
+  },
+  sms: {
+    url: process.env.SMS_GATEWAY_URL || null,
+    token: process.env.SMS_GATEWAY_TOKEN || null,
+    sender: process.env.SMS_SENDER_ID || null
+  }
+};
+
+let mailTransport = null;
+
+const emailChannel = {
+  isConfigured: () => !!notificationConfig.email.host,
+  addressOf: employee => employee.email,
+  async send({ to, subject, body }) {
+    if (!mailTransport) {
+      const { host, port, secure, user, password } = notificationConfig.email;
+      mailTransport = nodemailer.createTransport({
+        host: host,
+        port: port,
+        secure: secure,
+        auth: user ? { user: user, pass: password } : undefined,
+        connectionTimeout: notificationConfig.timeoutMs,
+        greetingTimeout: notificationConfig.timeoutMs,
+        socketTimeout: notificationConfig.timeoutMs
+      });
+    }
+    const info = await mailTransport.sendMail({ from: notificationConfig.email.from, to: to, subject: subject, text: body });
+    return info.messageId || null;
+  }
+};
+
+// Generic HTTP gateway: POST { to, from, message } as JSON with an optional bearer token.
+// Any 2xx response counts as accepted; an id or message_id in the response is logged.
+const smsChannel = {
+  isConfigured: () => !!notificationConfig.sms.url,
+  addressOf: employee => employee.phone,
+  async send({ to, body }) {
+    const { url, token, sender } = notificationConfig.sms;
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(token ? { Authorization: `Bearer ${token}` } : {})
+      },
+      body: JSON.stringify({ to: to, from: sender, message: body }),
+      signal: AbortSignal.timeout(notificationConfig.timeoutMs)
+    });
+    const text = await response.text();
+    if (!response.ok) {
+      throw new Error(`SMS gateway responded with HTTP ${response.status}: ${text.slice(0, 200)}`);
+    }
+    try {
+      const result = JSON.parse(text);
+      return String(result.id || result.message_id || '') || null;
+    } catch (error) {
+      return null;
+    }
+  }
+};
+
+// Channels by name. A channel provides isConfigured(), addressOf(employee) and
+// send({ to, subject, body }), which resolves to the provider's message id or null.
+const notificationChannels = {
+  email: emailChannel,
+  sms: smsChannel
+};
+
+function registerNotificationChannel(name, channel) {
+  notificationChannels[name] = channel;
+}
+
+// {{name}} placeholders that are not in variables render as empty text
+function renderTemplate(text, variables) {
+  if (text === null || text === undefined) {
+    return null;
+  }
+  return text.replace(/{{\s*(\w+)\s*}}/g, (match, name) => {
+    const value = variables[name];
+    return value === null || value === undefined ? '' : String(value);
+  });
+}
+
+// Placeholders used in a template that its event does not provide
+function unknownPlaceholders(eventType, text) {
+  const names = [...(text || '').matchAll(/{{\s*(\w+)\s*}}/g)].map(match => match[1]);
+  return [...new Set(names.filter(name => !NOTIFICATION_EVENTS[eventType].includes(name)))];
+}
+
+// HH:MM wall-clock time of an instant in a zone
+function formatLocalTime(timezone, instant) {
+  return new Intl.DateTimeFormat('en-GB', {
+    timeZone: timezone,
+    hourCycle: 'h23',
+    hour: '2-digit',
+    minute: '2-digit'
+  }).format(new Date(instant));
+}
+
+// Send one message on one channel, logging it first so the dedupe key is claimed
+// even if sending fails. Returns the log row, or null when it was already sent.
+async function deliver(channelName, { dedupeKey, eventType, recipient, address, employeeId = null, attendanceId = null, templateId = null, subject = null, body }) {
+  const entry = await notificationDb.claim({
+    dedupeKey: dedupeKey,
+    eventType: eventType,
+    channel: channelName,
+    recipientId: recipient.id,
+    recipientAddress: address,
+    employeeId: employeeId,
+    attendanceId: attendanceId,
+    templateId: templateId,
+    subject: subject,
+    body: body
+  });
+  if (!entry) {
+    return null;
+  }
+
+  try {
+    const messageId = await notificationChannels[channelName].send({ to: address, subject: subject, body: body });
+    return notificationDb.recordOutcome(entry.id, { status: 'sent', providerMessageId: messageId });
+  } catch (error) {
+    console.error(`Notification ${channelName} send error:`, { notification_id: entry.id, event_type: eventType, error: error.message });
+    return notificationDb.recordOutcome(entry.id, { status: 'failed', error: error.message });
+  }
+}
+
+// Render the event's template for the recipient and send it on every configured channel
+// they have an address and an active template for. Never throws - notifications must
+// not fail the attendance change that triggered them.
+async function notify(eventType, { recipient, dedupeKey, employeeId = null, attendanceId = null, variables }) {
+  const sent = [];
+  try {
+    for (const [channelName, channel] of Object.entries(notificationChannels)) {
+      const address = channel.isConfigured() ? channel.addressOf(recipient) : null;
+      if (!address) {
+        continue;
+      }
+      const template = await notificationDb.findTemplate(eventType, channelName, recipient.id);
+      if (!template) {
+        continue;
+      }
+
+      const values = { ...variables, recipient_name: recipient.name };
+      const entry = await deliver(channelName, {
+        dedupeKey: dedupeKey,
+        eventType: eventType,
+        recipient: recipient,
+        address: address,
+        employeeId: employeeId,
+        attendanceId: attendanceId,
+        templateId: template.id,
+        subject: renderTemplate(template.subject, values),
+        body: renderTemplate(template.body, values)
+      });
+      if (entry) {
+        sent.push(entry);
+      }
+    }
+  } catch (error) {
+    console.error('Notification error:', error);
+  }
+  return sent;
+}
+
+// Remind everyone still checked in checkoutReminderHours after check-in, once per session
+async function sendCheckoutReminders() {
+  const sessions = await notificationDb.getSessionsDueForReminder(notificationConfig.checkoutReminderHours);
+  let reminded = 0;
+
+  for (const session of sessions) {
+    const employee = await employeeDb.getPublicById(session.employee_id);
+    if (!employee || !employee.is_active) {
+      continue;
+    }
+    const timezone = session.timezone || 'UTC';
+    const sent = await notify('checkout_reminder', {
+      recipient: employee,
+      dedupeKey: `checkout_reminder:${session.id}:${employee.id}`,
+      employeeId: employee.id,
+      attendanceId: session.id,
+      variables: {
+        employee_name: employee.name,
+        attendance_date: toDateKey(session.attendance_date),
+        check_in_time: formatLocalTime(timezone, session.check_in_time),
+        location_code: session.check_in_location_code || '',
+        hours_open: Math.floor((Date.now() - new Date(session.check_in_time)) / (60 * 60 * 1000))
+      }
+    });
+    reminded += sent.length > 0 ? 1 : 0;
+  }
+  return reminded;
+}
+
+// Alert the employee's manager when the first check-in of a day is late for the
+// scheduled shift. Holidays and leave days are never late. Never throws.
+async function notifyLateArrival(session) {
+  try {
+    if (!notificationConfig.lateAlertsEnabled) {
+      return [];
+    }
+    const employee = await employeeDb.getPublicById(session.employee_id);
+    const manager = employee && employee.manager_id ? await employeeDb.getPublicById(employee.manager_id) : null;
+    if (!manager || !manager.is_active) {
+      return [];
+    }
+
+    const date = toDateKey(session.attendance_date);
+    const timezone = session.timezone || 'UTC';
+    const [day] = await classifyDays(employee, timezone, date, date);
+    if (!day.late || new Date(day.first_check_in).getTime() !== new Date(session.check_in_time).getTime()) {
+      return [];
+    }
+
+    return notify('late_arrival', {
+      recipient: manager,
+      dedupeKey: `late_arrival:${employee.id}:${date}:${manager.id}`,
+      employeeId: employee.id,
+      attendanceId: session.id,
+      variables: {
+        employee_name: employee.name,
+        attendance_date: date,
+        check_in_time: formatLocalTime(timezone, session.check_in_time),
+        location_code: session.check_in_location_code || '',
+        shift_name: day.shift.name,
+        scheduled_start: formatLocalTime(timezone, day.shift.scheduled_start),
+        late_minutes: day.late_minutes
+      }
+    });
+  } catch (error) {
+    console.error('Late arrival notification error:', error);
+    return [];
+  }
+}
+
+// Send a fixed test message to an employee on one channel, bypassing templates
+async function sendTestNotification(channelName, recipient) {
+  const channel = notificationChannels[channelName];
+  if (!channel.isConfigured()) {
+    return { error: `The ${channelName} channel is not configured` };
+  }
+  const address = channel.addressOf(recipient);
+  if (!address) {
+    return { error: `Employee has no ${channelName === 'email' ? 'email address' : 'phone number'}` };
+  }
+
+  const entry = await deliver(channelName, {
+    dedupeKey: `${NOTIFICATION_TEST_EVENT}:${crypto.randomUUID()}`,
+    eventType: NOTIFICATION_TEST_EVENT,
+    recipient: recipient,
+    address: address,
+    subject: 'Field Tracker test notification',
+    body: `Hi ${recipient.name}, this is a test notification from Field Tracker.`
+  });
+  return { entry };
+}
+
+module.exports = {
+  NOTIFICATION_EVENTS,
+  NOTIFICATION_STATUSES,
+  NOTIFICATION_TEST_EVENT,
+  notificationConfig,
+  notificationChannels,
+  registerNotificationChannel,
+  renderTemplate,
+  unknownPlaceholders,
+  sendCheckoutReminders,
+  notifyLateArrival,
+  sendTestNotification
+};
@@ -0,0 +1,175 @@
+// Attendance photos - optional proof of presence sent with a check-in or check-out,
+// either as a multipart "photo" file or as a base64 string (or data URL) in "photo".
+// Location types can make the photo mandatory.
+const crypto = require('crypto');
+const multer = require('multer');
+require('dotenv').config();
+
+const { photoDb } = require('./database');
+const { storageConfig, getStorage } = require('./storage');
+
+const PHOTO_EVENT_TYPES = ['check_in', 'check_out'];
+
+const photoConfig = {
+  maxBytes: parseInt(process.env.PHOTO_MAX_BYTES) || 5 * 1024 * 1024
+};
+
+// The image type is detected from the file's first bytes; declared types are not trusted
+const IMAGE_TYPES = [
+  { contentType: 'image/jpeg', extension: 'jpg', matches: buffer => buffer.length > 3 && buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff },
+  { contentType: 'image/png', extension: 'png', matches: buffer => buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) },
+  { contentType: 'image/webp', extension: 'webp', matches: buffer => buffer.subarray(0, 4).toString('latin1') === 'RIFF' && buffer.subarray(8, 12).toString('latin1') === 'WEBP' }
+];
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: photoConfig.maxBytes, files: 1 }
+}).single('photo');
+
+// Middleware for check-in and check-out: parses multipart bodies into req.body and
+// req.file. JSON and form bodies are left to the regular body parsers.
+function acceptPhotoUpload(req, res, next) {
+  if (!req.is('multipart/form-data')) {
+    return next();
+  }
+  upload(req, res, error => {
+    if (error) {
+      const tooLarge = error.code === 'LIMIT_FILE_SIZE';
+      return res.status(tooLarge ? 413 : 400).json({
+        success: false,
+        message: tooLarge ? `photo must be at most ${photoConfig.maxBytes} bytes` : `Invalid multipart body: ${error.message}`
+      });
+    }
+    // Multipart fields arrive as text
+    if (req.body.is_mock_location === 'true' || req.body.is_mock_location === 'false') {
+      req.body.is_mock_location = req.body.is_mock_location === 'true';
+    }
+    next();
+  });
+}
+
+// The photo sent with an event: { photo } (null when none was sent) or { error }
+function parsePhoto(file, encoded) {
+  const hasEncoded = encoded !== undefined && encoded !== null && encoded !== '';
+  if (file && hasEncoded) {
+    return { error: 'Send the photo either as a file or as base64, not both' };
+  }
+  if (!file && !hasEncoded) {
+    return { photo: null };
+  }
+
+  let buffer = file ? file.buffer : null;
+  if (!file) {
+    if (typeof encoded !== 'string') {
+      return { error: 'photo must be a base64 string or a data URL' };
+    }
+    const data = encoded.replace(/^data:[\w.+-]+\/[\w.+-]+;base64,/, '').replace(/\s/g, '');
+    if (!/^[A-Za-z0-9+/]+={0,2}$/.test(data)) {
+      return { error: 'photo must be a base64 string or a data URL' };
+    }
+    buffer = Buffer.from(data, 'base64');
+  }
+
+  if (buffer.length > photoConfig.maxBytes) {
+    return { error: `photo must be at most ${photoConfig.maxBytes} bytes` };
+  }
+  const type = IMAGE_TYPES.find(imageType => imageType.matches(buffer));
+  if (!type) {
+    return { error: 'photo must be a JPEG, PNG or WebP image' };
+  }
+
+  return {
+    photo: {
+      buffer: buffer,
+      contentType: type.contentType,
+      extension: type.extension,
+      uploadMethod: file ? 'multipart' : 'base64'
+    }
+  };
+}
+
+// Whether the location type requires a photo for a check_in or check_out. Without a
+// known type (no listed location to go by) a photo is required whenever any type needs one.
+async function isPhotoRequired(locationType, eventType) {
+  const column = `${eventType}_photo_required`;
+  if (!locationType) {
+    return (await photoDb.listSettings()).some(setting => setting[column]);
+  }
+  const setting = await photoDb.getSetting(locationType);
+  return !!setting && setting[column];
+}
+
+// Write a parsed photo to storage. It is linked to its attendance row separately, in the
+// transaction that records the row; discardPhoto removes it again if that fails.
+async function storePhoto(photo) {
+  const now = new Date();
+  const storageKey = `attendance/${now.getUTCFullYear()}/${String(now.getUTCMonth() + 1).padStart(2, '0')}/${crypto.randomUUID()}.${photo.extension}`;
+  await getStorage().put(storageKey, photo.buffer, photo.contentType);
+  return {
+    ...photo,
+    storageDriver: storageConfig.driver,
+    storageKey: storageKey,
+    sha256: crypto.createHash('sha256').update(photo.buffer).digest('hex')
+  };
+}
+
+function linkPhoto(stored, attendanceId, eventType, uploadedBy, client) {
+  return photoDb.create({
+    attendanceId: attendanceId,
+    eventType: eventType,
+    storageDriver: stored.storageDriver,
+    storageKey: stored.storageKey,
+    contentType: stored.contentType,
+    sizeBytes: stored.buffer.length,
+    sha256: stored.sha256,
+    uploadMethod: stored.uploadMethod,
+    uploadedBy: uploadedBy
+  }, client);
+}
+
+// Never throws - used while already handling another failure
+async function discardPhoto(stored) {
+  if (!stored) {
+    return;
+  }
+  try {
+    await getStorage(stored.storageDriver).remove(stored.storageKey);
+  } catch (error) {
+    console.error('Photo discard error:', { storage_key: stored.storageKey, error: error.message });
+  }
+}
+
+// Readable stream of a stored photo, or null when its file is missing
+function openPhoto(attendancePhoto) {
+  return getStorage(attendancePhoto.storage_driver).get(attendancePhoto.storage_key);
+}
+
+// Photo metadata as returned by the API; the image itself is served by url
+function formatPhoto(attendancePhoto) {
+  if (!attendancePhoto) {
+    return null;
+  }
+  return {
+    id: attendancePhoto.id,
+    event_type: attendancePhoto.event_type,
+    content_type: attendancePhoto.content_type,
+    size_bytes: attendancePhoto.size_bytes,
+    sha256: attendancePhoto.sha256,
+    upload_method: attendancePhoto.upload_method,
+    created_at: attendancePhoto.created_at,
+    url: `/api/attendance/${attendancePhoto.attendance_id}/photos/${attendancePhoto.event_type}`
+  };
+}
+
+module.exports = {
+  PHOTO_EVENT_TYPES,
+  photoConfig,
+  acceptPhotoUpload,
+  parsePhoto,
+  isPhotoRequired,
+  storePhoto,
+  linkPhoto,
+  discardPhoto,
+  openPhoto,
+  formatPhoto
+};
@@ -0,0 +1,177 @@
+// Attendance exports - CSV and XLSX written to the response as rows are read
+const ExcelJS = require('exceljs');
+require('dotenv').config();
+
+const { reportDb } = require('./database');
+const { payrollConfig } = require('./timesheets');
+const { toDateKey } = require('./timezone');
+
+const reportConfig = {
+  maxRangeDays: parseInt(process.env.REPORT_MAX_RANGE_DAYS) || 366,
+  batchSize: parseInt(process.env.REPORT_BATCH_SIZE) || 1000
+};
+
+const REPORT_FORMATS = ['csv', 'xlsx'];
+const REPORT_VIEWS = ['sessions', 'daily'];
+
+const CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+};
+
+const toNumber = value => (value === null || value === undefined ? null : parseFloat(value));
+
+// Column definitions: header text, value getter and cell type (used for XLSX cells)
+const SESSION_COLUMNS = [
+  { header: 'attendance_id', value: row => row.attendance_id, type: 'number' },
+  { header: 'employee_id', value: row => row.employee_id, type: 'number' },
+  { header: 'employee_name', value: row => row.employee_name },
+  { header: 'attendance_date', value: row => toDateKey(row.attendance_date) },
+  { header: 'timezone', value: row => row.timezone },
+  { header: 'check_in_time', value: row => row.check_in_time, type: 'date' },
+  { header: 'check_out_time', value: row => row.check_out_time, type: 'date' },
+  { header: 'status', value: row => (row.auto_closed ? 'auto_closed' : (row.check_out_time ? 'completed' : 'ongoing')) },
+  { header: 'total_hours', value: row => toNumber(row.total_hours), type: 'number' },
+  // Auto-closed sessions only count up to the unconfirmed cap until a manager confirms them
+  { header: 'payable_hours', value: row => (row.auto_closed && !row.confirmed_at
+    ? Math.min(toNumber(row.total_hours), payrollConfig.unconfirmedCapHours)
+    : toNumber(row.total_hours)), type: 'number' },
+  { header: 'check_in_location_code', value: row => row.check_in_location_code },
+  { header: 'check_out_location_code', value: row => row.check_out_location_code },
+  { header: 'location_type', value: row => row.location_type },
+  { header: 'state', value: row => row.state },
+  { header: 'location_verified', value: row => row.location_verified },
+  { header: 'check_out_location_verified', value: row => row.check_out_location_verified },
+  { header: 'auto_closed', value: row => row.auto_closed },
+  { header: 'confirmed', value: row => (row.auto_closed ? !!row.confirmed_at : null) },
+  { header: 'offline_sync', value: row => row.is_offline_sync },
+  { header: 'flagged', value: row => row.is_flagged },
+  { header: 'corrected', value: row => !!row.correction_id }
+];
+
+const DAILY_COLUMNS = [
+  { header: 'employee_id', value: row => row.employee_id, type: 'number' },
+  { header: 'employee_name', value: row => row.employee_name },
+  { header: 'attendance_date', value: row => toDateKey(row.attendance_date) },
+  { header: 'total_sessions', value: row => parseInt(row.total_sessions), type: 'number' },
+  { header: 'completed_sessions', value: row => parseInt(row.completed_sessions), type: 'number' },
+  { header: 'ongoing_sessions', value: row => parseInt(row.ongoing_sessions), type: 'number' },
+  { header: 'auto_closed_sessions', value: row => parseInt(row.auto_closed_sessions), type: 'number' },
+  { header: 'total_hours_worked', value: row => toNumber(row.total_hours_worked), type: 'number' },
+  { header: 'unconfirmed_hours', value: row => toNumber(row.unconfirmed_hours), type: 'number' },
+  { header: 'first_check_in', value: row => row.first_check_in, type: 'date' },
+  { header: 'last_check_out', value: row => row.last_check_out, type: 'date' }
+];
+
+// Quote a CSV field when needed. Text starting with a formula character is prefixed
+// with an apostrophe so spreadsheet apps do not evaluate it.
+function csvValue(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+
+  let text = String(value);
+  if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Resolves true once the response has drained, or false when the client disconnects first
+function waitForDrain(res) {
+  if (res.destroyed) {
+    return Promise.resolve(false);
+  }
+  return new Promise(resolve => {
+    const finish = drained => {
+      res.off('drain', onDrain);
+      res.off('close', onClose);
+      res.off('error', onClose);
+      resolve(drained);
+    };
+    const onDrain = () => finish(true);
+    const onClose = () => finish(false);
+    res.on('drain', onDrain);
+    res.on('close', onClose);
+    res.on('error', onClose);
+  });
+}
+
+// Leaving a for await loop early returns the row generator, which stops it reading
+// further batches
+async function writeCsv(res, columns, rows) {
+  res.write(columns.map(column => column.header).join(',') + '\r\n');
+
+  for await (const row of rows) {
+    const line = columns.map(column => csvValue(column.value(row))).join(',') + '\r\n';
+    // Wait for the client to catch up instead of buffering the whole export
+    if (!res.write(line) && !await waitForDrain(res)) {
+      return;
+    }
+  }
+
+  res.end();
+}
+
+async function writeXlsx(res, columns, rows, sheetName) {
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: true });
+  const sheet = workbook.addWorksheet(sheetName);
+  sheet.columns = columns.map(column => ({
+    header: column.header,
+    key: column.header,
+    width: column.type === 'date' ? 22 : Math.max(12, column.header.length + 2),
+    style: column.type === 'date' ? { numFmt: 'yyyy-mm-dd hh:mm:ss' } : undefined
+  }));
+
+  for await (const row of rows) {
+    // The client went away; stop reading rows
+    if (res.destroyed) {
+      return;
+    }
+    const values = {};
+    columns.forEach(column => {
+      const value = column.value(row);
+      values[column.header] = column.type === 'date' && value ? new Date(value) : value;
+    });
+    sheet.addRow(values).commit();
+    // The workbook writer pipes into the response; wait for the client like writeCsv does
+    if (res.writableNeedDrain && !await waitForDrain(res)) {
+      return;
+    }
+  }
+
+  sheet.commit();
+  await workbook.commit();
+}
+
+// Stream an attendance export to the response. Filters must already be validated.
+async function streamAttendanceReport(res, { format, view, filters }) {
+  const columns = view === 'daily' ? DAILY_COLUMNS : SESSION_COLUMNS;
+  const rows = view === 'daily'
+    ? reportDb.streamDailyRollup(filters, reportConfig.batchSize)
+    : reportDb.streamSessions(filters, reportConfig.batchSize);
+
+  const filename = `attendance-${view}-${filters.from}_${filters.to}.${format}`;
+  res.status(200);
+  res.set({
+    'Content-Type': CONTENT_TYPES[format],
+    'Content-Disposition': `attachment; filename="${filename}"`,
+    'Cache-Control': 'no-store'
+  });
+
+  if (format === 'xlsx') {
+    await writeXlsx(res, columns, rows, view === 'daily' ? 'Daily summary' : 'Sessions');
+  } else {
+    await writeCsv(res, columns, rows);
+  }
+}
+
+module.exports = {
+  reportConfig,
+  REPORT_FORMATS,
+  REPORT_VIEWS,
+  streamAttendanceReport
+};
@@ -0,0 +1,177 @@
+// Shift schedules - which shift an employee is scheduled for on a day, and how their
+// sessions on that day compare to it (on time, late, left early, absent, unscheduled).
+// Public holidays and approved leave take precedence over the schedule.
+const { attendanceDb, shiftDb, locationDb, holidayDb, leaveDb } = require('./database');
+const { addDays, toDateKey, zonedDateTime } = require('./timezone');
+
+// pending = scheduled, but the shift has not ended and nobody has checked in yet
+const DAY_STATUSES = ['on_time', 'late', 'left_early', 'absent', 'unscheduled', 'pending', 'holiday', 'leave'];
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d(:[0-5]\d)?$/;
+
+const minutesBetween = (from, to) => Math.round((new Date(to) - new Date(from)) / 60000);
+
+// The shift scheduled on a date from assignments ordered newest first; a newer
+// assignment only overrides older ones on the weekdays it covers
+function pickShift(assignments, date) {
+  const weekday = new Date(`${date}T00:00:00Z`).getUTCDay();
+  return assignments.find(assignment =>
+    toDateKey(assignment.effective_from) <= date &&
+    (!assignment.effective_to || toDateKey(assignment.effective_to) >= date) &&
+    (!assignment.days_of_week || assignment.days_of_week.includes(weekday))
+  ) || null;
+}
+
+// Whether a day counts as a working day: a scheduled one, or any day for employees
+// without a schedule in the range
+function isWorkingDay(assignments, date) {
+  return assignments.length === 0 || !!pickShift(assignments, date);
+}
+
+// Holidays apply by the state of the employee's assigned location
+async function getEmployeeState(employee) {
+  if (!employee.assigned_location_id) {
+    return null;
+  }
+  const location = await locationDb.getById(employee.assigned_location_id);
+  return location ? location.state : null;
+}
+
+// Map of YYYY-MM-DD to the holiday observed that day in the employee's state
+async function getHolidayCalendar(employee, from, to) {
+  const state = await getEmployeeState(employee);
+  const holidays = await holidayDb.list({ state: state, from: from, to: to });
+  // Without a state only the all-state holidays apply. All-state holidays are listed
+  // first, so a state-specific one on the same date wins.
+  return new Map(holidays
+    .filter(holiday => state || holiday.state === null)
+    .map(holiday => [toDateKey(holiday.holiday_date), holiday]));
+}
+
+// Scheduled start and end instants of a shift on a date; shifts ending at or before
+// their start time finish the next day
+function getShiftWindow(shift, date, timezone) {
+  const endDate = shift.end_time <= shift.start_time ? addDays(date, 1) : date;
+  return {
+    start: zonedDateTime(timezone, date, shift.start_time),
+    end: zonedDateTime(timezone, endDate, shift.end_time)
+  };
+}
+
+// The shift (with its window) scheduled for an employee on one date, or null
+async function getScheduledShift(employeeId, date, timezone) {
+  const assignments = await shiftDb.getAssignmentsForRange(employeeId, date, date);
+  const shift = pickShift(assignments, date);
+  return shift ? { ...shift, window: getShiftWindow(shift, date, timezone) } : null;
+}
+
+// Compare one day's sessions (ordered by check-in) with its scheduled shift
+function classifyDay(date, shift, window, sessions, now, holiday = null, leave = null) {
+  const firstCheckIn = sessions.length > 0 ? sessions[0].check_in_time : null;
+  const isOpen = sessions.some(session => !session.check_out_time);
+  const lastCheckOut = sessions.length > 0 && !isOpen
+    ? sessions.reduce((latest, session) => (new Date(session.check_out_time) > new Date(latest) ? session.check_out_time : latest), sessions[0].check_out_time)
+    : null;
+
+  const day = {
+    date: date,
+    status: 'unscheduled',
+    shift: null,
+    session_count: sessions.length,
+    first_check_in: firstCheckIn,
+    last_check_out: lastCheckOut,
+    late: false,
+    late_minutes: 0,
+    left_early: false,
+    early_leave_minutes: 0,
+    holiday: holiday ? holiday.name : null,
+    leave: leave ? { request_id: leave.id, leave_type_code: leave.leave_type_code, leave_type_name: leave.leave_type_name } : null
+  };
+
+  if (holiday || leave) {
+    day.status = holiday ? 'holiday' : 'leave';
+  }
+
+  if (!shift) {
+    return day;
+  }
+
+  day.shift = {
+    id: shift.id,
+    name: shift.name,
+    start_time: shift.start_time,
+    end_time: shift.end_time,
+    scheduled_start: window.start.toISOString(),
+    scheduled_end: window.end.toISOString()
+  };
+
+  // Time worked on a holiday or leave day is still reported, but never as late or absent
+  if (holiday || leave) {
+    return day;
+  }
+
+  if (sessions.length === 0) {
+    day.status = now >= window.end ? 'absent' : 'pending';
+    return day;
+  }
+
+  day.late_minutes = Math.max(0, minutesBetween(window.start, firstCheckIn));
+  day.late = day.late_minutes > shift.late_grace_minutes;
+
+  // Someone who checked out before the end may still come back, so leaving early
+  // is only decided once the shift is over
+  if (lastCheckOut && now >= window.end) {
+    day.early_leave_minutes = Math.max(0, minutesBetween(lastCheckOut, window.end));
+    day.left_early = day.early_leave_minutes > shift.early_leave_grace_minutes;
+  }
+
+  day.status = day.late ? 'late' : (day.left_early ? 'left_early' : 'on_time');
+  return day;
+}
+
+// Classify every day from..to (inclusive, oldest first) for an employee
+async function classifyDays(employee, timezone, from, to, now = new Date()) {
+  const assignments = await shiftDb.getAssignmentsForRange(employee.id, from, to);
+  const sessions = await attendanceDb.getForDateRange(employee.id, from, to);
+  const holidays = await getHolidayCalendar(employee, from, to);
+  const leaves = await leaveDb.getActiveForRange(employee.id, from, to, true);
+
+  const sessionsByDate = new Map();
+  for (const session of sessions) {
+    const date = toDateKey(session.attendance_date);
+    if (!sessionsByDate.has(date)) {
+      sessionsByDate.set(date, []);
+    }
+    sessionsByDate.get(date).push(session);
+  }
+
+  const days = [];
+  for (let date = from; date <= to; date = addDays(date, 1)) {
+    const shift = pickShift(assignments, date);
+    const window = shift ? getShiftWindow(shift, date, timezone) : null;
+    // Leave only covers the working days it was counted for
+    const leave = isWorkingDay(assignments, date)
+      ? leaves.find(request => toDateKey(request.start_date) <= date && toDateKey(request.end_date) >= date)
+      : null;
+    days.push(classifyDay(date, shift, window, sessionsByDate.get(date) || [], now, holidays.get(date) || null, leave || null));
+  }
+  return days;
+}
+
+// Number of days in each status
+function countStatuses(days) {
+  const counts = Object.fromEntries(DAY_STATUSES.map(status => [status, 0]));
+  days.forEach(day => counts[day.status]++);
+  return counts;
+}
+
+module.exports = {
+  DAY_STATUSES,
+  TIME_PATTERN,
+  pickShift,
+  isWorkingDay,
+  getEmployeeState,
+  getHolidayCalendar,
+  getScheduledShift,
+  classifyDays,
+  countStatuses
+};
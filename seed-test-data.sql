@@ -0,0 +1,21 @@
+-- Test data for development databases
+-- Run after `npm run migrate` has brought the schema up to date
+
+-- Insert test employee with PIN 1234 (pre-computed scrypt hash)
+INSERT INTO employees (name, email, phone, pin_hash, is_active) 
+VALUES ('Test Employee', 'test@example.com', '1234567890', 'scrypt$16384$8$1$ZmllbGR0cmFja2Vyc2VlZA==$UyortlIvz6GVj3Ne5dhX5pG0SrpYIL4F4wg5kwbdDw63GX3w5PueWfN5ZqXuVxBsQ+A//5JzE5oeVNdbSKW84g==', true)
+ON CONFLICT (email) DO UPDATE SET 
+    pin_hash = EXCLUDED.pin_hash,
+    updated_at = CURRENT_TIMESTAMP;
+
+-- Insert test location
+INSERT INTO locations (name, location_code, location_type, state, latitude, longitude, radius_meters) 
+VALUES ('Test Office', 'TST001', 'office', 'Delhi', 28.7041, 77.1025, 100)
+ON CONFLICT DO NOTHING;
+
+-- Check if data was inserted correctly
+SELECT 'Employees:' as table_name;
+SELECT id, name, email, role, is_active FROM employees;
+
+SELECT 'Locations:' as table_name;
+SELECT id, name, location_code, location_type, state, latitude, longitude, radius_meters, is_active FROM locations;
@@ -5,18 +5,74 @@ const helmet = require('helmet');
 require('dotenv').config();
 
 // Import database functions
-const { db, employeeDb, attendanceDb, locationDb, testConnection } = require('./database');
+const { db, employeeDb, attendanceDb, locationDb, sessionDb, pingDb, correctionDb, auditDb, timesheetDb, shiftDb, holidayDb, leaveDb, webhookDb, notificationDb, photoDb, visitDb, withTransaction, testConnection } = require('./database');
+const {
+  authConfig,
+  pinConfig,
+  authenticate,
+  authenticateAllowingPinChange,
+  issueTokens,
+  refreshTokens,
+  hashPin,
+  verifyPin,
+  isValidPin,
+  generateOneTimePin
+} = require('./auth');
+const { ROLES, requireRole, canAccessEmployee, canReviewEmployee, reviewableEmployeeIds, authorizeEmployeeParam, authorizeAttendanceParam } = require('./access');
+const { normalizePolygon } = require('./geo');
+const { trackConfig, summarizeTrack } = require('./track');
+const { parseLocationQuality, scoreAttendanceEvent } = require('./anomaly');
+const { AUDIT_ENTITY_TYPES, AUDIT_ACTIONS, recordAudit } = require('./audit');
+const { publishAttendanceEvent, streamLiveFeed } = require('./live');
+const { WEBHOOK_EVENT_TYPES, WEBHOOK_TEST_EVENT, DELIVERY_STATUSES, generateWebhookSecret, attendanceWebhookData, enqueueWebhookEvent } = require('./webhooks');
+const { NOTIFICATION_EVENTS, NOTIFICATION_STATUSES, NOTIFICATION_TEST_EVENT, notificationChannels, unknownPlaceholders, notifyLateArrival, sendTestNotification } = require('./notifications');
+const { PHOTO_EVENT_TYPES, acceptPhotoUpload, parsePhoto, isPhotoRequired, storePhoto, linkPhoto, discardPhoto, openPhoto, formatPhoto } = require('./photos');
+const { validateFormFields, validateAnswers } = require('./visits');
+const { reportConfig, REPORT_FORMATS, REPORT_VIEWS, streamAttendanceReport } = require('./reports');
+const { TIME_PATTERN, getEmployeeState, getHolidayCalendar, classifyDays, countStatuses } = require('./schedules');
+const { LEAVE_STATUSES, countLeaveDays, getLeaveBalances } = require('./leave');
+const { getPayPeriod, computeTimesheet, findLockedPeriod, lockedPeriodError } = require('./timesheets');
+const { idempotent } = require('./idempotency');
+const { startScheduledJobs } = require('./jobs');
+const { isValidTimezone, localDateString, addDays, toDateKey, resolveTimezone } = require('./timezone');
+const { getMigrationStatus } = require('./migrate');
 
 // Initialize Express app
 const app = express();
 const PORT = process.env.PORT || 8000;
 
+// What to do when the database schema is behind the migrations in this build:
+// "strict" refuses to start, "warn" only logs (default: strict in production)
+const SCHEMA_CHECK = process.env.SCHEMA_CHECK || (process.env.NODE_ENV === 'production' ? 'strict' : 'warn');
+
 // Middleware
 app.use(helmet());
 app.use(cors());
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
+// Access control is enforced here for whole route groups instead of in each handler.
+// Debug routes only exist outside production unless ENABLE_DEBUG_ROUTES=true.
+const DEBUG_ROUTES_ENABLED = process.env.ENABLE_DEBUG_ROUTES === 'true' || process.env.NODE_ENV !== 'production';
+
+app.use('/debug', (req, res, next) => {
+  if (!DEBUG_ROUTES_ENABLED) {
+    return res.status(404).json({
+      success: false,
+      message: 'Route not found'
+    });
+  }
+  next();
+}, authenticate, requireRole('admin'));
+app.use(['/api/attendance', '/api/leave', '/api/holidays', '/api/locations', '/api/team', '/api/visit-reports'], authenticate);
+app.use(['/api/admin', '/api/reports'], authenticate, requireRole('admin'));
+app.use('/api/team', requireRole('manager', 'admin'));
+
+// Any :employee_id or :attendance_id must belong to the caller, one of their reports
+// (managers) or anyone (admins)
+app.param('employee_id', authorizeEmployeeParam);
+app.param('attendance_id', authorizeAttendanceParam);
+
 // Health check endpoint
 app.get('/health', (req, res) => {
   res.json({ 
@@ -29,7 +85,7 @@ app.get('/health', (req, res) => {
 // Database test endpoint - for debugging only (remove in production)
 app.get('/debug/employees', async (req, res) => {
   try {
-    const query = 'SELECT id, name, email, pin_code, is_active FROM employees LIMIT 10';
+    const query = 'SELECT id, name, email, is_active FROM employees LIMIT 10';
     const result = await db.query(query);
     res.json({
       success: true,
@@ -52,11 +108,15 @@ app.get('/debug/employee/:id', async (req, res) => {
   try {
     const { id } = req.params;
     const employee = await employeeDb.getById(id);
+    
+    // Never expose PIN hashes, even on debug routes
+    const { pin_hash, ...employeeData } = employee || {};
+    
     res.json({
       success: true,
       employee_id: id,
       found: !!employee,
-      data: employee
+      data: employee ? employeeData : undefined
     });
   } catch (error) {
     console.error('Debug employee lookup error:', error);
@@ -169,6 +229,78 @@ app.get('/api/locations/search-exact', async (req, res) => {
   }
 });
 
+// Nearby active locations for a point, sorted by distance, with geofence status
+app.get('/api/locations/nearby', async (req, res) => {
+  try {
+    const { latitude, longitude, radius = 5000, limit = 20 } = req.query;
+    
+    console.log('=== NEARBY LOCATIONS REQUEST ===');
+    console.log('Query parameters:', { latitude, longitude, radius, limit });
+    console.log('================================');
+    
+    const lat = parseFloat(latitude);
+    const lng = parseFloat(longitude);
+    if (isNaN(lat) || isNaN(lng)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Location (latitude and longitude) is required'
+      });
+    }
+    
+    if (lat < -90 || lat > 90 || lng < -180 || lng > 180) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid coordinates'
+      });
+    }
+    
+    const radiusMeters = parseInt(radius);
+    if (isNaN(radiusMeters) || radiusMeters < 1 || radiusMeters > 50000) {
+      return res.status(400).json({
+        success: false,
+        message: 'Radius must be a number of meters between 1 and 50000'
+      });
+    }
+    
+    const maxResults = parseInt(limit);
+    if (isNaN(maxResults) || maxResults < 1 || maxResults > 100) {
+      return res.status(400).json({
+        success: false,
+        message: 'Limit must be a number between 1 and 100'
+      });
+    }
+    
+    const locations = await locationDb.findNearby(lat, lng, radiusMeters, maxResults);
+    
+    console.log('Nearby results:', {
+      point: { latitude: lat, longitude: lng },
+      radius_meters: radiusMeters,
+      found: locations.length
+    });
+    
+    res.json({
+      success: true,
+      message: 'Nearby location search completed',
+      search_criteria: {
+        latitude: lat,
+        longitude: lng,
+        radius_meters: radiusMeters,
+        limit: maxResults
+      },
+      count: locations.length,
+      data: locations
+    });
+    
+  } catch (error) {
+    console.error('Nearby location search error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error during nearby location search',
+      error: error.message
+    });
+  }
+});
+
 // Alternative POST endpoint for location search (for complex search criteria)
 app.post('/api/locations/search', async (req, res) => {
   try {
@@ -222,16 +354,88 @@ app.post('/api/locations/search', async (req, res) => {
   }
 });
 
-// Check-in route - Allow multiple check-ins
-app.post('/api/attendance/checkin', async (req, res) => {
+// Resolve the location to verify against (location_id, then location_code, then the
+// employee's assigned location) and check the point against its geofence.
+// Location type "others" is never verified - its location_code is stored as-is.
+async function verifyAttendanceLocation(employee, { latitude, longitude, location_id, location_code, location_type }) {
+  const result = { verified: false, location_name: null, location: null, details: null };
+  
+  if (location_type && location_type.toLowerCase() === 'others') {
+    console.log('Location type is "others" - storing location_code as-is:', location_code);
+    return result;
+  }
+  
+  let checkLocationId = location_id;
+  if (!checkLocationId && location_code) {
+    const location = await locationDb.getByCode(location_code);
+    checkLocationId = location ? location.id : null;
+  }
+  checkLocationId = checkLocationId || employee.assigned_location_id;
+  
+  if (!checkLocationId) {
+    return result;
+  }
+  
+  const locationCheck = await locationDb.isWithinLocation(latitude, longitude, checkLocationId);
+  if (!locationCheck) {
+    return result;
+  }
+  
+  result.verified = locationCheck.isWithinRadius;
+  result.location_name = locationCheck.name;
+  result.location = locationCheck;
+  result.details = {
+    location_id: locationCheck.id,
+    location_code: locationCheck.location_code,
+    type: locationCheck.geofence_type,
+    verified: locationCheck.isWithinRadius,
+    distance_to_boundary_meters: locationCheck.isWithinRadius
+      ? 0
+      : Math.round(locationCheck.distance_to_boundary_meters * 10) / 10
+  };
+  return result;
+}
+
+// Request body as logged - a base64 photo is replaced by its length
+function describeRequestBody(body) {
+  return typeof body.photo === 'string' ? { ...body, photo: `<${body.photo.length} base64 characters>` } : body;
+}
+
+// A photo is required when the location checked in or out at, else the employee's
+// assigned location, has a location type setting that requires one. The location_type
+// sent by the app is not trusted ("others" would skip the check), so with neither
+// location a photo is required whenever any location type requires one.
+async function checkPhotoRequirement(photo, geofence, employee, eventType) {
+  if (photo) {
+    return null;
+  }
+  let location = geofence.location;
+  if (!location && employee.assigned_location_id) {
+    location = await locationDb.getById(employee.assigned_location_id);
+  }
+  const type = location ? location.location_type : null;
+  if (await isPhotoRequired(type, eventType)) {
+    const action = eventType === 'check_in' ? 'check in' : 'check out';
+    return type
+      ? `A photo is required to ${action} at ${type} locations`
+      : `A photo is required to ${action} away from a listed location`;
+  }
+  return null;
+}
+
+// Check-in route - Allow multiple check-ins (employee comes from the access token)
+app.post('/api/attendance/checkin', acceptPhotoUpload, idempotent, async (req, res) => {
   try {
     // Log all received parameters for debugging
     console.log('=== CHECK-IN REQUEST DEBUG ===');
-    console.log('Request body:', JSON.stringify(req.body, null, 2));
+    console.log('Request body:', JSON.stringify(describeRequestBody(req.body), null, 2));
+    console.log('Photo file:', req.file ? `${req.file.size} bytes` : 'none');
     console.log('Request timestamp:', new Date().toISOString());
     console.log('==============================');
     
-    const { employee_id, latitude, longitude, location_id, location_code, location_type } = req.body;
+    const { latitude, longitude, location_id, location_code, location_type } = req.body;
+    const employee = req.employee;
+    const employee_id = employee.id;
     
     // Log extracted parameters
     console.log('Extracted parameters:');
@@ -243,13 +447,6 @@ app.post('/api/attendance/checkin', async (req, res) => {
     console.log('- location_type:', location_type, '(type:', typeof location_type, ')');
     
     // Validate input
-    if (!employee_id) {
-      return res.status(400).json({
-        success: false,
-        message: 'Employee ID is required'
-      });
-    }
-    
     if (!latitude || !longitude) {
       return res.status(400).json({
         success: false,
@@ -265,12 +462,21 @@ app.post('/api/attendance/checkin', async (req, res) => {
       });
     }
     
-    // Check if employee exists
-    const employee = await employeeDb.getById(employee_id);
-    if (!employee) {
-      return res.status(404).json({
+    // Optional GPS accuracy and mock-location flag reported by the device
+    const quality = parseLocationQuality(req.body);
+    if (quality.error) {
+      return res.status(400).json({
         success: false,
-        message: 'Employee not found'
+        message: quality.error
+      });
+    }
+    
+    // Optional photo proof, as a multipart file or base64
+    const photo = parsePhoto(req.file, req.body.photo);
+    if (photo.error) {
+      return res.status(400).json({
+        success: false,
+        message: photo.error
       });
     }
     
@@ -293,36 +499,85 @@ app.post('/api/attendance/checkin', async (req, res) => {
       });
     }
     
-    // Verify location if location_id provided
-    let locationVerified = false;
-    let locationName = null;
-    let finalLocationCode = location_code;
+    // Verify location against the geofence (polygon or radius)
+    const geofence = await verifyAttendanceLocation(employee, req.body);
+    const locationVerified = geofence.verified;
+    const locationName = geofence.location_name;
+    const finalLocationCode = location_code;
     
-    // Handle location type "others" - store location_code as-is
-    if (location_type && location_type.toLowerCase() === 'others') {
-      console.log('Location type is "others" - storing location_code as-is:', location_code);
-      finalLocationCode = location_code;
-    } else if (location_id || employee.assigned_location_id) {
-      const checkLocationId = location_id || employee.assigned_location_id;
-      const locationCheck = await locationDb.isWithinLocation(latitude, longitude, checkLocationId);
-      
-      if (locationCheck) {
-        locationVerified = locationCheck.isWithinRadius;
-        locationName = locationCheck.name;
+    const photoError = await checkPhotoRequirement(photo.photo, geofence, employee, 'check_in');
+    if (photoError) {
+      return res.status(400).json({
+        success: false,
+        message: photoError
+      });
+    }
+    
+    // The attendance day is counted in the employee's (or location's) timezone
+    const timezone = await resolveTimezone(employee, geofence.location);
+    
+    // Attendance in an approved payroll period cannot change
+    const lockedPeriod = await findLockedPeriod(employee_id, localDateString(timezone));
+    if (lockedPeriod) {
+      return res.status(409).json({
+        success: false,
+        ...lockedPeriodError(lockedPeriod)
+      });
+    }
+    
+    // Record check-in (always creates new record) with its photo, stored first. The
+    // open-session check is repeated under the employee lock so two check-ins sent at
+    // once cannot both open a session.
+    const storedPhoto = photo.photo ? await storePhoto(photo.photo) : null;
+    let attendance;
+    let attendancePhoto = null;
+    try {
+      attendance = await withTransaction(async client => {
+        await attendanceDb.lockEmployeeAttendance(client, employee_id);
+        if (await attendanceDb.isCurrentlyCheckedIn(employee_id, client)) {
+          return null;
+        }
+        const created = await attendanceDb.checkIn(
+          employee_id, 
+          latitude, 
+          longitude, 
+          locationVerified,
+          finalLocationCode,
+          timezone,
+          client
+        );
+        if (storedPhoto) {
+          attendancePhoto = await linkPhoto(storedPhoto, created.id, 'check_in', employee_id, client);
+        }
+        return created;
+      });
+    } catch (error) {
+      await discardPhoto(storedPhoto);
+      // The one-open-session index caught a check-in that raced this one
+      if (error.code !== '23505') {
+        throw error;
       }
     }
     
-    // Record check-in (always creates new record)
-    const attendance = await attendanceDb.checkIn(
-      employee_id, 
-      latitude, 
-      longitude, 
-      locationVerified,
-      finalLocationCode
-    );
+    if (!attendance) {
+      await discardPhoto(storedPhoto);
+      return res.status(409).json({
+        success: false,
+        message: 'You are already checked in. Please check out first.'
+      });
+    }
+    
+    await recordAudit(req, { entityType: 'attendance', entityId: attendance.id, action: 'create', after: attendance });
+    
+    // Score the check-in for spoofing anomalies; flagged sessions go to admin review
+    await scoreAttendanceEvent(attendance, 'check_in', quality);
+    publishAttendanceEvent('check_in', attendance);
+    await enqueueWebhookEvent('attendance.checked_in', attendanceWebhookData(attendance));
+    // Sent in the background so a slow mail server does not delay the response
+    notifyLateArrival(attendance);
     
     // Get today's summary
-    const dailySummary = await attendanceDb.getDailySummary(employee_id);
+    const dailySummary = await attendanceDb.getDailySummary(employee_id, timezone);
     
     const response = {
       success: true,
@@ -332,6 +587,8 @@ app.post('/api/attendance/checkin', async (req, res) => {
         employee_id: attendance.employee_id,
         employee_name: employee.name,
         check_in_time: attendance.check_in_time,
+        attendance_date: localDateString(timezone, new Date(attendance.check_in_time)),
+        timezone: timezone,
         location: {
           latitude: parseFloat(attendance.check_in_latitude),
           longitude: parseFloat(attendance.check_in_longitude)
@@ -339,7 +596,9 @@ app.post('/api/attendance/checkin', async (req, res) => {
         location_verified: attendance.location_verified,
         location_name: locationName,
         location_type: location_type,
+        geofence: geofence.details,
         check_in_location_code: attendance.check_in_location_code,
+        photo: formatPhoto(attendancePhoto),
         daily_summary: dailySummary,
         server_time: new Date().toISOString()
       }
@@ -368,11 +627,10 @@ app.post('/api/auth/login', async (req, res) => {
   try {
     const { employee_id, pin_code } = req.body;
     
-    // Log received parameters for debugging
+    // Log received parameters for debugging (never log the PIN itself)
     console.log('=== LOGIN REQUEST DEBUG ===');
-    console.log('Request body:', JSON.stringify(req.body, null, 2));
     console.log('Extracted employee_id:', employee_id, '(type:', typeof employee_id, ')');
-    console.log('Extracted pin_code:', pin_code, '(type:', typeof pin_code, ')');
+    console.log('PIN provided:', !!pin_code);
     console.log('==============================');
     
     // Validate input
@@ -383,16 +641,15 @@ app.post('/api/auth/login', async (req, res) => {
       });
     }
     
-    // Get employee by ID
-    const employee = await employeeDb.getById(employee_id);
+    // Get employee by ID together with lockout state
+    const employee = await employeeDb.getForLogin(employee_id);
     console.log('Database lookup result:', {
       found: !!employee,
       employee_data: employee ? {
         id: employee.id,
         name: employee.name,
-        pin_exists: !!employee.pin_code,
-        pin_value: employee.pin_code,
-        pin_type: typeof employee.pin_code
+        pin_set: !!employee.pin_hash,
+        is_locked: employee.is_locked
       } : null
     });
     
@@ -403,8 +660,25 @@ app.post('/api/auth/login', async (req, res) => {
       });
     }
     
+    // Deactivated employees cannot log in
+    if (employee.is_active === false) {
+      return res.status(403).json({
+        success: false,
+        message: 'Employee account is deactivated. Please contact administrator.'
+      });
+    }
+    
+    // Reject while a lockout from earlier failed attempts is still running
+    if (employee.is_locked) {
+      return res.status(423).json({
+        success: false,
+        message: 'Too many failed login attempts. Please try again later.',
+        locked_until: employee.locked_until
+      });
+    }
+    
     // Check if employee has a PIN set
-    if (!employee.pin_code) {
+    if (!employee.pin_hash) {
       console.log('PIN not set for employee:', employee_id);
       return res.status(401).json({
         success: false,
@@ -412,16 +686,49 @@ app.post('/api/auth/login', async (req, res) => {
       });
     }
     
-    // Verify PIN (simple string comparison for now)
-    if (pin_code.toString() !== employee.pin_code.toString()) {
+    // Verify PIN against the stored hash
+    const pinValid = await verifyPin(pin_code, employee.pin_hash);
+    if (!pinValid) {
+      const failure = await employeeDb.recordFailedLogin(
+        employee.id,
+        pinConfig.maxFailedAttempts,
+        pinConfig.lockoutMinutes
+      );
+      
+      console.log('Failed login:', {
+        employee_id: employee.id,
+        failed_attempts: failure.failed_login_attempts,
+        locked: failure.is_locked
+      });
+      
+      if (failure.is_locked) {
+        return res.status(423).json({
+          success: false,
+          message: 'Too many failed login attempts. Please try again later.',
+          locked_until: failure.locked_until
+        });
+      }
+      
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid employee ID or PIN',
+        attempts_remaining: pinConfig.maxFailedAttempts - failure.failed_login_attempts
+      });
+    }
+    
+    // A reset PIN is only good until it expires
+    if (employee.reset_pin_expired) {
       return res.status(401).json({
         success: false,
-        message: 'Invalid employee ID or PIN'
+        message: 'Your one-time PIN has expired. Please contact administrator.'
       });
     }
     
     // Update last login
-   // await employeeDb.updateLastLogin(employee_id);
+    await employeeDb.updateLastLogin(employee.id);
+
+    // Start a session and issue access/refresh tokens
+    const tokens = await issueTokens(employee.id, req);
 
     // Return success response with employee data
     res.json({
@@ -437,7 +744,9 @@ app.post('/api/auth/login', async (req, res) => {
         phone: employee.phone,
         employee_phone: employee.phone,
         assigned_location_id: employee.assigned_location_id,
-        is_active: employee.is_active || true
+        is_active: employee.is_active,
+        pin_change_required: !!employee.pin_must_change,
+        tokens: tokens
       }
     });
     
@@ -450,265 +759,5498 @@ app.post('/api/auth/login', async (req, res) => {
   }
 });
 
-// Check-out route - Check out from current session
-app.post('/api/attendance/checkout', async (req, res) => {
+// Exchange a refresh token for a new access/refresh token pair
+app.post('/api/auth/refresh', async (req, res) => {
   try {
-    const { employee_id, latitude, longitude, location_code, location_type } = req.body;
-    
-    // Log all received parameters for debugging
-    console.log('=== CHECK-OUT REQUEST DEBUG ===');
-    console.log('Request body:', JSON.stringify(req.body, null, 2));
-    console.log('Request timestamp:', new Date().toISOString());
-    console.log('Extracted parameters:');
-    console.log('- employee_id:', employee_id, '(type:', typeof employee_id, ')');
-    console.log('- latitude:', latitude, '(type:', typeof latitude, ')');
-    console.log('- longitude:', longitude, '(type:', typeof longitude, ')');
-    console.log('- location_code:', location_code, '(type:', typeof location_code, ')');
-    console.log('- location_type:', location_type, '(type:', typeof location_type, ')');
-    console.log('==============================');
-    
-    // Validate input
-    if (!employee_id) {
-      return res.status(400).json({
-        success: false,
-        message: 'Employee ID is required'
-      });
-    }
-    
-    if (!latitude || !longitude) {
-      return res.status(400).json({
-        success: false,
-        message: 'Location (latitude and longitude) is required'
-      });
-    }
+    const { refresh_token } = req.body;
     
-    // Validate coordinates
-    if (latitude < -90 || latitude > 90 || longitude < -180 || longitude > 180) {
+    if (!refresh_token) {
       return res.status(400).json({
         success: false,
-        message: 'Invalid coordinates'
+        message: 'Refresh token is required'
       });
     }
     
-    // Check if employee exists
-    const employee = await employeeDb.getById(employee_id);
-    if (!employee) {
-      return res.status(404).json({
+    const tokens = await refreshTokens(refresh_token);
+    if (!tokens) {
+      return res.status(401).json({
         success: false,
-        message: 'Employee not found'
+        message: 'Invalid or expired refresh token. Please log in again.'
       });
     }
     
-    // Check if employee is currently checked in
-    const currentSession = await attendanceDb.isCurrentlyCheckedIn(employee_id);
-    if (!currentSession) {
-      return res.status(409).json({
-        success: false,
-        message: 'No active check-in session found. Please check in first.'
-      });
-    }
+    res.json({
+      success: true,
+      message: 'Token refreshed successfully',
+      data: {
+        tokens: tokens
+      }
+    });
     
-    // Determine final location code based on location type
-    let finalLocationCode = location_code;
+  } catch (error) {
+    console.error('Token refresh error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error during token refresh'
+    });
+  }
+});
+
+// Logout - revoke the session behind the current access token
+app.post('/api/auth/logout', authenticateAllowingPinChange, async (req, res) => {
+  try {
+    await sessionDb.revoke(req.auth.sessionId);
     
-    // Handle location type "others" - store location_code as-is
-    if (location_type && location_type.toLowerCase() === 'others') {
-      console.log('Location type is "others" - storing location_code as-is:', location_code);
-      finalLocationCode = location_code;
-    }
+    console.log('Logout:', {
+      employee_id: req.auth.employeeId,
+      session_id: req.auth.sessionId
+    });
     
-    // Record check-out
-    const attendance = await attendanceDb.checkOut(employee_id, latitude, longitude, finalLocationCode);
+    res.json({
+      success: true,
+      message: 'Logged out successfully'
+    });
     
-    if (!attendance) {
-      return res.status(500).json({
-        success: false,
-        message: 'Failed to record check-out'
-      });
-    }
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error during logout'
+    });
+  }
+});
+
+// Revoke every session of the current employee (logout from all devices)
+app.post('/api/auth/revoke', authenticate, async (req, res) => {
+  try {
+    const revokedCount = await sessionDb.revokeAllForEmployee(req.auth.employeeId);
     
-    // Get updated daily summary
-    const dailySummary = await attendanceDb.getDailySummary(employee_id);
+    console.log('Revoked all sessions:', {
+      employee_id: req.auth.employeeId,
+      revoked: revokedCount
+    });
     
-    const response = {
+    res.json({
       success: true,
-      message: 'Check-out recorded successfully',
+      message: 'All sessions revoked successfully',
       data: {
-        attendance_id: attendance.id,
-        employee_id: attendance.employee_id,
-        employee_name: employee.name,
-        check_in_time: attendance.check_in_time,
-        check_out_time: attendance.check_out_time,
-        session_duration: parseFloat(attendance.total_hours),
-        location: {
-          check_in: {
-            latitude: parseFloat(attendance.check_in_latitude),
-            longitude: parseFloat(attendance.check_in_longitude)
-          },
-          check_out: {
-            latitude: parseFloat(attendance.check_out_latitude),
-            longitude: parseFloat(attendance.check_out_longitude)
-          }
-        },
-        location_verified: attendance.location_verified,
-        location_type: location_type,
-        check_in_location_code: attendance.check_in_location_code,
-        check_out_location_code: attendance.check_out_location_code,
-        daily_summary: dailySummary,
-        server_time: new Date().toISOString()
+        revoked_sessions: revokedCount
       }
-    };
-    
-    console.log('Check-out successful:', {
-      employee_id: attendance.employee_id,
-      session_id: attendance.id,
-      time: attendance.check_out_time,
-      duration: attendance.total_hours
     });
     
-    res.json(response);
-    
   } catch (error) {
-    console.error('Check-out error:', error);
+    console.error('Session revoke error:', error);
     res.status(500).json({
       success: false,
-      message: 'Internal server error during check-out'
+      message: 'Internal server error while revoking sessions'
     });
   }
 });
 
-// Get current status - shows if user is checked in and daily summary
-app.get('/api/attendance/status/:employee_id', async (req, res) => {
+// Change own PIN - also used to replace a one-time reset PIN
+app.post('/api/auth/change-pin', authenticateAllowingPinChange, async (req, res) => {
   try {
-    const { employee_id } = req.params;
+    const { current_pin, new_pin } = req.body;
     
-    if (!employee_id) {
+    if (!current_pin || !new_pin) {
       return res.status(400).json({
         success: false,
-        message: 'Employee ID is required'
+        message: 'Current PIN and new PIN are required'
       });
     }
     
-    // Check if employee exists
-    const employee = await employeeDb.getById(employee_id);
-    if (!employee) {
-      return res.status(404).json({
+    if (!isValidPin(new_pin)) {
+      return res.status(400).json({
         success: false,
-        message: 'Employee not found'
+        message: 'New PIN must be 4 to 8 digits'
       });
     }
     
-    // Get current session
-    const currentSession = await attendanceDb.isCurrentlyCheckedIn(employee_id);
-    
+    if (current_pin.toString() === new_pin.toString()) {
+      return res.status(400).json({
+        success: false,
+        message: 'New PIN must be different from the current PIN'
+      });
+    }
+    
+    // Wrong current PINs count against the same lockout as failed logins, so a
+    // session cannot be used to guess the PIN
+    const { is_locked, locked_until } = await employeeDb.getForLogin(req.employee.id);
+    if (is_locked) {
+      return res.status(423).json({
+        success: false,
+        message: 'Too many failed PIN attempts. Please try again later.',
+        locked_until: locked_until
+      });
+    }
+    
+    const currentValid = await verifyPin(current_pin, req.employee.pin_hash);
+    if (!currentValid) {
+      const failure = await employeeDb.recordFailedLogin(
+        req.employee.id,
+        pinConfig.maxFailedAttempts,
+        pinConfig.lockoutMinutes
+      );
+      
+      if (failure.is_locked) {
+        return res.status(423).json({
+          success: false,
+          message: 'Too many failed PIN attempts. Please try again later.',
+          locked_until: failure.locked_until
+        });
+      }
+      
+      return res.status(401).json({
+        success: false,
+        message: 'Current PIN is incorrect',
+        attempts_remaining: pinConfig.maxFailedAttempts - failure.failed_login_attempts
+      });
+    }
+    
+    const pinHash = await hashPin(new_pin);
+    const updated = await employeeDb.setPinHash(req.employee.id, pinHash);
+    await recordAudit(req, {
+      entityType: 'employee',
+      entityId: req.employee.id,
+      action: 'update',
+      before: req.employee,
+      after: { ...updated, pin_hash: pinHash }
+    });
+    
+    console.log('PIN changed:', { employee_id: req.employee.id });
+    
+    res.json({
+      success: true,
+      message: 'PIN changed successfully'
+    });
+    
+  } catch (error) {
+    console.error('Change PIN error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while changing PIN'
+    });
+  }
+});
+
+// Admin - issue a one-time PIN; the employee must change it at next login
+app.post('/api/admin/employees/:id/reset-pin', async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    const employee = await employeeDb.getById(id);
+    if (!employee) {
+      return res.status(404).json({
+        success: false,
+        message: 'Employee not found'
+      });
+    }
+    
+    const oneTimePin = generateOneTimePin();
+    const pinHash = await hashPin(oneTimePin);
+    const updated = await employeeDb.setPinHash(
+      employee.id,
+      pinHash,
+      true,
+      pinConfig.resetPinTtlHours
+    );
+    await recordAudit(req, {
+      entityType: 'employee',
+      entityId: employee.id,
+      action: 'update',
+      before: employee,
+      after: { ...updated, pin_hash: pinHash }
+    });
+    
+    // Existing logins must not survive a reset
+    const revokedCount = await sessionDb.revokeAllForEmployee(employee.id);
+    
+    console.log('PIN reset by admin:', {
+      employee_id: employee.id,
+      admin_id: req.employee.id,
+      revoked_sessions: revokedCount
+    });
+    
+    res.json({
+      success: true,
+      message: 'One-time PIN issued. The employee must change it at next login.',
+      data: {
+        employee_id: employee.id,
+        one_time_pin: oneTimePin,
+        expires_at: updated.pin_reset_expires_at,
+        revoked_sessions: revokedCount
+      }
+    });
+    
+  } catch (error) {
+    console.error('Reset PIN error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while resetting PIN'
+    });
+  }
+});
+
+// Admin employee management
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Validate create/update payloads; returns { error } or { fields } keyed by column name.
+// existingId is the employee being updated, which must not end up reporting to itself.
+async function validateEmployeeInput(body, isUpdate = false, existingId = null) {
+  const { name, email, phone, role, manager_id, assigned_location_id, timezone, is_active } = body;
+  const fields = {};
+  
+  if (name !== undefined || !isUpdate) {
+    if (!name || !name.toString().trim()) {
+      return { error: 'Name is required' };
+    }
+    fields.name = name.toString().trim();
+  }
+  
+  if (email !== undefined) {
+    if (email !== null && !EMAIL_PATTERN.test(email)) {
+      return { error: 'Invalid email address' };
+    }
+    fields.email = email ? email.toLowerCase() : null;
+  }
+  
+  if (phone !== undefined) {
+    if (phone !== null && !/^\+?[0-9 -]{6,20}$/.test(phone.toString())) {
+      return { error: 'Invalid phone number' };
+    }
+    fields.phone = phone !== null ? phone.toString() : null;
+  }
+  
+  if (role !== undefined) {
+    if (!ROLES.includes(role)) {
+      return { error: `Role must be one of: ${ROLES.join(', ')}` };
+    }
+    fields.role = role;
+  }
+  
+  if (manager_id !== undefined) {
+    if (manager_id !== null) {
+      if (!/^\d{1,9}$/.test(String(manager_id))) {
+        return { error: 'manager_id must be a positive integer' };
+      }
+      const manager = await employeeDb.getPublicById(manager_id);
+      if (!manager || !['manager', 'admin'].includes(manager.role)) {
+        return { error: 'manager_id must be an employee with the manager or admin role' };
+      }
+      if (existingId && (String(manager.id) === String(existingId) || await employeeDb.isInReportingLine(existingId, manager.id))) {
+        return { error: 'An employee cannot report to themselves or to one of their own reports' };
+      }
+    }
+    fields.manager_id = manager_id;
+  }
+  
+  if (assigned_location_id !== undefined) {
+    if (assigned_location_id !== null) {
+      if (!/^\d{1,9}$/.test(String(assigned_location_id))) {
+        return { error: 'assigned_location_id must be a positive integer' };
+      }
+      const location = await locationDb.getById(assigned_location_id);
+      if (!location) {
+        return { error: 'Assigned location not found' };
+      }
+    }
+    fields.assigned_location_id = assigned_location_id;
+  }
+  
+  if (timezone !== undefined) {
+    if (timezone !== null && !isValidTimezone(timezone)) {
+      return { error: 'Timezone must be an IANA zone name such as Asia/Kolkata' };
+    }
+    fields.timezone = timezone;
+  }
+  
+  if (is_active !== undefined) {
+    if (typeof is_active !== 'boolean') {
+      return { error: 'is_active must be true or false' };
+    }
+    fields.is_active = is_active;
+  }
+  
+  return { fields };
+}
+
+// Admin - list employees with search and pagination
+app.get('/api/admin/employees', async (req, res) => {
+  try {
+    const { search, is_active, page = 1, limit = 20 } = req.query;
+    
+    const pageNum = parseInt(page);
+    const pageSize = parseInt(limit);
+    if (isNaN(pageNum) || pageNum < 1 || isNaN(pageSize) || pageSize < 1 || pageSize > 100) {
+      return res.status(400).json({
+        success: false,
+        message: 'Page must be 1 or more and limit must be between 1 and 100'
+      });
+    }
+    
+    const isActive = is_active === undefined ? null : is_active === 'true';
+    
+    const { total, rows } = await employeeDb.list({
+      search: search || null,
+      isActive: isActive,
+      limit: pageSize,
+      offset: (pageNum - 1) * pageSize
+    });
+    
+    res.json({
+      success: true,
+      count: rows.length,
+      pagination: {
+        page: pageNum,
+        limit: pageSize,
+        total: total,
+        total_pages: Math.ceil(total / pageSize)
+      },
+      data: rows
+    });
+    
+  } catch (error) {
+    console.error('List employees error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while listing employees'
+    });
+  }
+});
+
+// Admin - fetch one employee
+app.get('/api/admin/employees/:id', async (req, res) => {
+  try {
+    const employee = await employeeDb.getPublicById(req.params.id);
+    if (!employee) {
+      return res.status(404).json({
+        success: false,
+        message: 'Employee not found'
+      });
+    }
+    
+    res.json({
+      success: true,
+      data: employee
+    });
+    
+  } catch (error) {
+    console.error('Get employee error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while fetching employee'
+    });
+  }
+});
+
+// Admin - create an employee; without a pin a one-time PIN is generated
+app.post('/api/admin/employees', async (req, res) => {
+  try {
+    const { pin } = req.body;
+    
+    const { error, fields } = await validateEmployeeInput(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+    
+    if (pin !== undefined && !isValidPin(pin)) {
+      return res.status(400).json({
+        success: false,
+        message: 'PIN must be 4 to 8 digits'
+      });
+    }
+    
+    const oneTimePin = pin === undefined ? generateOneTimePin() : null;
+    
+    const employee = await employeeDb.create({
+      name: fields.name,
+      email: fields.email,
+      phone: fields.phone,
+      role: fields.role,
+      managerId: fields.manager_id,
+      assignedLocationId: fields.assigned_location_id,
+      timezone: fields.timezone,
+      pinHash: await hashPin(pin !== undefined ? pin : oneTimePin),
+      pinMustChange: !!oneTimePin
+    });
+    await recordAudit(req, { entityType: 'employee', entityId: employee.id, action: 'create', after: employee });
+    
+    console.log('Employee created:', {
+      employee_id: employee.id,
+      admin_id: req.employee.id
+    });
+    
+    res.status(201).json({
+      success: true,
+      message: 'Employee created successfully',
+      data: {
+        ...employee,
+        one_time_pin: oneTimePin
+      }
+    });
+    
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({
+        success: false,
+        message: 'An employee with this email already exists'
+      });
+    }
+    console.error('Create employee error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while creating employee'
+    });
+  }
+});
+
+// Admin - update an employee (only the provided fields change)
+app.put('/api/admin/employees/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    const existing = await employeeDb.getPublicById(id);
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        message: 'Employee not found'
+      });
+    }
+    
+    const { error, fields } = await validateEmployeeInput(req.body, true, existing.id);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+    
+    // Same rules as the deactivate route, plus the admin role: an admin cannot lock
+    // themselves out, and the last active admin cannot be removed
+    const removesAdmin = existing.role === 'admin' && existing.is_active &&
+      ((fields.role !== undefined && fields.role !== 'admin') || fields.is_active === false);
+    if (removesAdmin && String(existing.id) === String(req.employee.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot deactivate your own account or remove your own admin role'
+      });
+    }
+    if (removesAdmin && await employeeDb.countActiveAdmins() <= 1) {
+      return res.status(409).json({
+        success: false,
+        message: 'The last active admin cannot be deactivated or demoted'
+      });
+    }
+    
+    const employee = await employeeDb.update(id, fields);
+    await recordAudit(req, { entityType: 'employee', entityId: employee.id, action: 'update', before: existing, after: employee });
+    
+    // Deactivation through update must also end existing logins
+    if (existing.is_active && employee.is_active === false) {
+      await sessionDb.revokeAllForEmployee(employee.id);
+    }
+    
+    console.log('Employee updated:', {
+      employee_id: employee.id,
+      admin_id: req.employee.id,
+      fields: Object.keys(fields)
+    });
+    
+    res.json({
+      success: true,
+      message: 'Employee updated successfully',
+      data: employee
+    });
+    
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({
+        success: false,
+        message: 'An employee with this email already exists'
+      });
+    }
+    console.error('Update employee error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while updating employee'
+    });
+  }
+});
+
+// Admin - deactivate an employee and revoke their sessions
+app.post('/api/admin/employees/:id/deactivate', async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    if (String(id) === String(req.employee.id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'You cannot deactivate your own account'
+      });
+    }
+    
+    const existing = await employeeDb.getPublicById(id);
+    const employee = existing ? await employeeDb.deactivate(id) : null;
+    if (!employee) {
+      return res.status(404).json({
+        success: false,
+        message: 'Employee not found'
+      });
+    }
+    await recordAudit(req, { entityType: 'employee', entityId: employee.id, action: 'update', before: existing, after: employee });
+    
+    const revokedCount = await sessionDb.revokeAllForEmployee(employee.id);
+    
+    console.log('Employee deactivated:', {
+      employee_id: employee.id,
+      admin_id: req.employee.id,
+      revoked_sessions: revokedCount
+    });
+    
+    res.json({
+      success: true,
+      message: 'Employee deactivated successfully',
+      data: employee
+    });
+    
+  } catch (error) {
+    console.error('Deactivate employee error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while deactivating employee'
+    });
+  }
+});
+
+// Admin location management
+const LOCATION_CODE_PATTERN = /^[A-Za-z0-9_-]{1,15}$/;
+
+// Validate create/update payloads; returns { error } or { fields } keyed by column name.
+// excludeId is the location being updated, so it does not clash with its own code.
+async function validateLocationInput(body, isUpdate = false, excludeId = null) {
+  const { name, location_code, location_type, state, latitude, longitude, radius_meters, boundary, timezone, is_active } = body;
+  const fields = {};
+  
+  if (name !== undefined || !isUpdate) {
+    if (!name || !name.toString().trim()) {
+      return { error: 'Name is required' };
+    }
+    fields.name = name.toString().trim();
+  }
+  
+  if (location_code !== undefined || !isUpdate) {
+    if (!location_code || !LOCATION_CODE_PATTERN.test(location_code)) {
+      return { error: 'Location code is required and must be up to 15 letters, digits, "-" or "_"' };
+    }
+    const existing = await locationDb.getByCode(location_code);
+    if (existing && String(existing.id) !== String(excludeId)) {
+      return { error: `Location code ${location_code} is already in use`, status: 409 };
+    }
+    fields.location_code = location_code;
+  }
+  
+  if (location_type !== undefined) {
+    if (location_type !== null && location_type.toString().length > 50) {
+      return { error: 'Location type must be at most 50 characters' };
+    }
+    fields.location_type = location_type;
+  }
+  
+  if (state !== undefined) {
+    if (state !== null && state.toString().length > 100) {
+      return { error: 'State must be at most 100 characters' };
+    }
+    fields.state = state;
+  }
+  
+  if (latitude !== undefined || !isUpdate) {
+    const lat = parseFloat(latitude);
+    if (isNaN(lat) || lat < -90 || lat > 90) {
+      return { error: 'Latitude must be a number between -90 and 90' };
+    }
+    fields.latitude = lat;
+  }
+  
+  if (longitude !== undefined || !isUpdate) {
+    const lng = parseFloat(longitude);
+    if (isNaN(lng) || lng < -180 || lng > 180) {
+      return { error: 'Longitude must be a number between -180 and 180' };
+    }
+    fields.longitude = lng;
+  }
+  
+  if (radius_meters !== undefined) {
+    const radius = parseInt(radius_meters);
+    if (isNaN(radius) || radius < 1 || radius > 50000) {
+      return { error: 'radius_meters must be a whole number between 1 and 50000' };
+    }
+    fields.radius_meters = radius;
+  }
+  
+  // Optional polygon geofence; null removes it and falls back to radius_meters
+  if (boundary !== undefined) {
+    if (boundary === null) {
+      fields.boundary = null;
+    } else {
+      const { error, polygon } = normalizePolygon(boundary);
+      if (error) {
+        return { error };
+      }
+      fields.boundary = polygon;
+    }
+  }
+  
+  if (timezone !== undefined) {
+    if (timezone !== null && !isValidTimezone(timezone)) {
+      return { error: 'Timezone must be an IANA zone name such as Asia/Kolkata' };
+    }
+    fields.timezone = timezone;
+  }
+  
+  if (is_active !== undefined) {
+    if (typeof is_active !== 'boolean') {
+      return { error: 'is_active must be true or false' };
+    }
+    fields.is_active = is_active;
+  }
+  
+  return { fields };
+}
+
+// Admin - list locations with search, filters and pagination
+app.get('/api/admin/locations', async (req, res) => {
+  try {
+    const { search, location_type, state, is_active, page = 1, limit = 20 } = req.query;
+    
+    const pageNum = parseInt(page);
+    const pageSize = parseInt(limit);
+    if (isNaN(pageNum) || pageNum < 1 || isNaN(pageSize) || pageSize < 1 || pageSize > 100) {
+      return res.status(400).json({
+        success: false,
+        message: 'Page must be 1 or more and limit must be between 1 and 100'
+      });
+    }
+    
+    const { total, rows } = await locationDb.list({
+      search: search || null,
+      locationType: location_type || null,
+      state: state || null,
+      isActive: is_active === undefined ? null : is_active === 'true',
+      limit: pageSize,
+      offset: (pageNum - 1) * pageSize
+    });
+    
+    res.json({
+      success: true,
+      count: rows.length,
+      pagination: {
+        page: pageNum,
+        limit: pageSize,
+        total: total,
+        total_pages: Math.ceil(total / pageSize)
+      },
+      data: rows
+    });
+    
+  } catch (error) {
+    console.error('List locations error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while listing locations'
+    });
+  }
+});
+
+// Admin - fetch one location
+app.get('/api/admin/locations/:id', async (req, res) => {
+  try {
+    const location = await locationDb.getById(req.params.id);
+    if (!location) {
+      return res.status(404).json({
+        success: false,
+        message: 'Location not found'
+      });
+    }
+    
+    res.json({
+      success: true,
+      data: location
+    });
+    
+  } catch (error) {
+    console.error('Get location error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while fetching location'
+    });
+  }
+});
+
+// Admin - create a location
+app.post('/api/admin/locations', async (req, res) => {
+  try {
+    const { error, status, fields } = await validateLocationInput(req.body);
+    if (error) {
+      return res.status(status || 400).json({
+        success: false,
+        message: error
+      });
+    }
+    
+    const location = await locationDb.create({
+      name: fields.name,
+      locationCode: fields.location_code,
+      locationType: fields.location_type,
+      state: fields.state,
+      latitude: fields.latitude,
+      longitude: fields.longitude,
+      radiusMeters: fields.radius_meters,
+      boundary: fields.boundary,
+      timezone: fields.timezone,
+      isActive: fields.is_active
+    });
+    await recordAudit(req, { entityType: 'location', entityId: location.id, action: 'create', after: location });
+    
+    console.log('Location created:', {
+      location_id: location.id,
+      location_code: location.location_code,
+      admin_id: req.employee.id
+    });
+    
+    res.status(201).json({
+      success: true,
+      message: 'Location created successfully',
+      data: location
+    });
+    
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({
+        success: false,
+        message: 'Location code is already in use'
+      });
+    }
+    console.error('Create location error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while creating location'
+    });
+  }
+});
+
+// Admin - update a location (only the provided fields change)
+app.put('/api/admin/locations/:id', async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    const existing = await locationDb.getById(id);
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        message: 'Location not found'
+      });
+    }
+    
+    const { error, status, fields } = await validateLocationInput(req.body, true, id);
+    if (error) {
+      return res.status(status || 400).json({
+        success: false,
+        message: error
+      });
+    }
+    
+    const location = await locationDb.update(id, fields);
+    await recordAudit(req, { entityType: 'location', entityId: location.id, action: 'update', before: existing, after: location });
+    
+    console.log('Location updated:', {
+      location_id: location.id,
+      admin_id: req.employee.id,
+      fields: Object.keys(fields)
+    });
+    
+    res.json({
+      success: true,
+      message: 'Location updated successfully',
+      data: location
+    });
+    
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({
+        success: false,
+        message: 'Location code is already in use'
+      });
+    }
+    console.error('Update location error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while updating location'
+    });
+  }
+});
+
+// Admin - deactivate a location; it drops out of search and geofence verification
+app.post('/api/admin/locations/:id/deactivate', async (req, res) => {
+  try {
+    const existing = await locationDb.getById(req.params.id);
+    const location = existing ? await locationDb.deactivate(existing.id) : null;
+    if (!location) {
+      return res.status(404).json({
+        success: false,
+        message: 'Location not found'
+      });
+    }
+    await recordAudit(req, { entityType: 'location', entityId: location.id, action: 'update', before: existing, after: location });
+    
+    console.log('Location deactivated:', {
+      location_id: location.id,
+      admin_id: req.employee.id
+    });
+    
+    res.json({
+      success: true,
+      message: 'Location deactivated successfully',
+      data: location
+    });
+    
+  } catch (error) {
+    console.error('Deactivate location error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while deactivating location'
+    });
+  }
+});
+
+// Admin - photo requirements per location type
+app.get('/api/admin/location-type-settings', async (req, res) => {
+  try {
+    const settings = await photoDb.listSettings();
+    
+    res.json({
+      success: true,
+      count: settings.length,
+      data: settings
+    });
+    
+  } catch (error) {
+    console.error('List location type settings error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while listing location type settings'
+    });
+  }
+});
+
+// Admin - set the photo requirements of a location type (only the provided fields change)
+app.put('/api/admin/location-type-settings/:location_type', async (req, res) => {
+  try {
+    const locationType = req.params.location_type.trim().toLowerCase();
+    const { check_in_photo_required, check_out_photo_required } = req.body || {};
+    
+    if (!locationType || locationType.length > 50) {
+      return res.status(400).json({
+        success: false,
+        message: 'Location type must be at most 50 characters'
+      });
+    }
+    
+    if ([check_in_photo_required, check_out_photo_required].some(value => value !== undefined && typeof value !== 'boolean')) {
+      return res.status(400).json({
+        success: false,
+        message: 'check_in_photo_required and check_out_photo_required must be true or false'
+      });
+    }
+    
+    const existing = await photoDb.getSetting(locationType);
+    const setting = await photoDb.upsertSetting(locationType, {
+      checkInPhotoRequired: check_in_photo_required !== undefined ? check_in_photo_required : (existing ? existing.check_in_photo_required : false),
+      checkOutPhotoRequired: check_out_photo_required !== undefined ? check_out_photo_required : (existing ? existing.check_out_photo_required : false)
+    });
+    await recordAudit(req, {
+      entityType: 'location_type_setting',
+      entityId: setting.id,
+      action: existing ? 'update' : 'create',
+      before: existing,
+      after: setting
+    });
+    
+    res.json({
+      success: true,
+      message: 'Location type settings saved',
+      data: setting
+    });
+    
+  } catch (error) {
+    console.error('Save location type settings error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while saving location type settings'
+    });
+  }
+});
+
+// Admin shift schedules
+const SHIFT_WEEKDAYS = [0, 1, 2, 3, 4, 5, 6];
+const SCHEDULE_MAX_RANGE_DAYS = 93;
+
+// Validate create/update payloads; returns { error } or { fields } keyed by column name
+function validateShiftInput(body, isUpdate = false) {
+  const { name, start_time, end_time, late_grace_minutes, early_leave_grace_minutes, is_active } = body;
+  const fields = {};
+  
+  if (name !== undefined || !isUpdate) {
+    if (!name || !name.toString().trim() || name.toString().trim().length > 100) {
+      return { error: 'Name is required and must be at most 100 characters' };
+    }
+    fields.name = name.toString().trim();
+  }
+  
+  for (const [field, value] of [['start_time', start_time], ['end_time', end_time]]) {
+    if (value !== undefined || !isUpdate) {
+      if (typeof value !== 'string' || !TIME_PATTERN.test(value)) {
+        return { error: `${field} is required in HH:MM format` };
+      }
+      fields[field] = value;
+    }
+  }
+  
+  for (const [field, value] of [['late_grace_minutes', late_grace_minutes], ['early_leave_grace_minutes', early_leave_grace_minutes]]) {
+    if (value !== undefined) {
+      const minutes = parseInt(value);
+      if (isNaN(minutes) || minutes < 0 || minutes > 240) {
+        return { error: `${field} must be a whole number between 0 and 240` };
+      }
+      fields[field] = minutes;
+    }
+  }
+  
+  if (is_active !== undefined) {
+    if (typeof is_active !== 'boolean') {
+      return { error: 'is_active must be true or false' };
+    }
+    fields.is_active = is_active;
+  }
+  
+  return { fields };
+}
+
+// Validate a schedule assignment; returns { error } or { fields } keyed by column name.
+// existing is the assignment being updated, used to check the effective range.
+async function validateAssignmentInput(body, existing = null) {
+  const { shift_id, days_of_week, effective_from, effective_to } = body;
+  const fields = {};
+  
+  if (shift_id !== undefined || !existing) {
+    const shift = isNaN(parseInt(shift_id)) ? null : await shiftDb.getById(parseInt(shift_id));
+    if (!shift || !shift.is_active) {
+      return { error: 'shift_id must be an active shift' };
+    }
+    fields.shift_id = shift.id;
+  }
+  
+  // null (or omitted on create) schedules the shift on every day
+  if (days_of_week !== undefined && days_of_week !== null) {
+    if (!Array.isArray(days_of_week) || days_of_week.length === 0 ||
+        days_of_week.some(day => !SHIFT_WEEKDAYS.includes(day)) || new Set(days_of_week).size !== days_of_week.length) {
+      return { error: 'days_of_week must be a non-empty list of distinct weekdays from 0 (Sunday) to 6 (Saturday)' };
+    }
+    fields.days_of_week = [...days_of_week].sort((a, b) => a - b);
+  } else if (days_of_week === null) {
+    fields.days_of_week = null;
+  }
+  
+  for (const [field, value] of [['effective_from', effective_from], ['effective_to', effective_to]]) {
+    if (value === undefined || (value === null && field === 'effective_to')) {
+      continue;
+    }
+    if (typeof value !== 'string' || !DATE_PATTERN.test(value) || isNaN(new Date(value).getTime())) {
+      return { error: `${field} must be a date in YYYY-MM-DD format` };
+    }
+  }
+  if (effective_from !== undefined || !existing) {
+    if (!effective_from) {
+      return { error: 'effective_from is required' };
+    }
+    fields.effective_from = effective_from;
+  }
+  if (effective_to !== undefined) {
+    fields.effective_to = effective_to;
+  }
+  
+  const from = fields.effective_from || toDateKey(existing.effective_from);
+  const to = fields.effective_to !== undefined ? fields.effective_to : (existing ? toDateKey(existing.effective_to) : null);
+  if (to && to < from) {
+    return { error: 'effective_to must not be before effective_from' };
+  }
+  
+  return { fields };
+}
+
+// Admin - list shifts
+app.get('/api/admin/shifts', async (req, res) => {
+  try {
+    const { is_active } = req.query;
+    const shifts = await shiftDb.list({ isActive: is_active === undefined ? null : is_active === 'true' });
+    
+    res.json({
+      success: true,
+      count: shifts.length,
+      data: shifts
+    });
+    
+  } catch (error) {
+    console.error('List shifts error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while listing shifts'
+    });
+  }
+});
+
+// Admin - create a shift
+app.post('/api/admin/shifts', async (req, res) => {
+  try {
+    const { error, fields } = validateShiftInput(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+    if (fields.start_time === fields.end_time) {
+      return res.status(400).json({
+        success: false,
+        message: 'start_time and end_time must differ'
+      });
+    }
+    
+    const shift = await shiftDb.create({
+      name: fields.name,
+      startTime: fields.start_time,
+      endTime: fields.end_time,
+      lateGraceMinutes: fields.late_grace_minutes,
+      earlyLeaveGraceMinutes: fields.early_leave_grace_minutes,
+      isActive: fields.is_active
+    });
+    await recordAudit(req, { entityType: 'shift', entityId: shift.id, action: 'create', after: shift });
+    
+    console.log('Shift created:', {
+      shift_id: shift.id,
+      admin_id: req.employee.id
+    });
+    
+    res.status(201).json({
+      success: true,
+      message: 'Shift created successfully',
+      data: shift
+    });
+    
+  } catch (error) {
+    console.error('Create shift error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while creating shift'
+    });
+  }
+});
+
+// Admin - update a shift (only the provided fields change). Past days are classified
+// against the shift as it is now.
+app.put('/api/admin/shifts/:id', async (req, res) => {
+  try {
+    const existing = await shiftDb.getById(req.params.id);
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        message: 'Shift not found'
+      });
+    }
+    
+    const { error, fields } = validateShiftInput(req.body, true);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+    if ((fields.start_time || existing.start_time).slice(0, 5) === (fields.end_time || existing.end_time).slice(0, 5)) {
+      return res.status(400).json({
+        success: false,
+        message: 'start_time and end_time must differ'
+      });
+    }
+    
+    const shift = await shiftDb.update(existing.id, fields);
+    await recordAudit(req, { entityType: 'shift', entityId: shift.id, action: 'update', before: existing, after: shift });
+    
+    res.json({
+      success: true,
+      message: 'Shift updated successfully',
+      data: shift
+    });
+    
+  } catch (error) {
+    console.error('Update shift error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while updating shift'
+    });
+  }
+});
+
+// Admin - deactivate a shift; it can no longer be assigned, existing assignments keep applying
+app.post('/api/admin/shifts/:id/deactivate', async (req, res) => {
+  try {
+    const existing = await shiftDb.getById(req.params.id);
+    const shift = existing ? await shiftDb.update(existing.id, { is_active: false }) : null;
+    if (!shift) {
+      return res.status(404).json({
+        success: false,
+        message: 'Shift not found'
+      });
+    }
+    await recordAudit(req, { entityType: 'shift', entityId: shift.id, action: 'update', before: existing, after: shift });
+    
+    res.json({
+      success: true,
+      message: 'Shift deactivated successfully',
+      data: shift
+    });
+    
+  } catch (error) {
+    console.error('Deactivate shift error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while deactivating shift'
+    });
+  }
+});
+
+// Admin - an employee's schedule assignments and day-by-day classification for a range
+// (default: the last 7 days through the next 7 days)
+app.get('/api/admin/employees/:id/schedule', async (req, res) => {
+  try {
+    const employee = await employeeDb.getPublicById(req.params.id);
+    if (!employee) {
+      return res.status(404).json({
+        success: false,
+        message: 'Employee not found'
+      });
+    }
+    
+    const timezone = await resolveTimezone(employee);
+    const today = localDateString(timezone);
+    const { from = addDays(today, -7), to = addDays(today, 7) } = req.query;
+    
+    if (!DATE_PATTERN.test(from) || !DATE_PATTERN.test(to) || isNaN(new Date(from).getTime()) || isNaN(new Date(to).getTime())) {
+      return res.status(400).json({
+        success: false,
+        message: 'from and to must be dates in YYYY-MM-DD format'
+      });
+    }
+    
+    const rangeDays = (new Date(to) - new Date(from)) / (24 * 60 * 60 * 1000) + 1;
+    if (rangeDays < 1 || rangeDays > SCHEDULE_MAX_RANGE_DAYS) {
+      return res.status(400).json({
+        success: false,
+        message: `to must not be before from, and the range can cover at most ${SCHEDULE_MAX_RANGE_DAYS} days`
+      });
+    }
+    
+    const days = await classifyDays(employee, timezone, from, to);
+    
+    res.json({
+      success: true,
+      data: {
+        employee_id: employee.id,
+        employee_name: employee.name,
+        timezone: timezone,
+        assignments: await shiftDb.listAssignments(employee.id),
+        status_counts: countStatuses(days),
+        days: days
+      }
+    });
+    
+  } catch (error) {
+    console.error('Employee schedule error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while fetching schedule'
+    });
+  }
+});
+
+// Admin - schedule a shift for an employee, on every day or on a weekly pattern
+app.post('/api/admin/employees/:id/shift-assignments', async (req, res) => {
+  try {
+    const employee = await employeeDb.getPublicById(req.params.id);
+    if (!employee) {
+      return res.status(404).json({
+        success: false,
+        message: 'Employee not found'
+      });
+    }
+    
+    const { error, fields } = await validateAssignmentInput(req.body || {});
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+    
+    const assignment = await shiftDb.createAssignment({
+      employeeId: employee.id,
+      shiftId: fields.shift_id,
+      daysOfWeek: fields.days_of_week,
+      effectiveFrom: fields.effective_from,
+      effectiveTo: fields.effective_to,
+      createdBy: req.auth.employeeId
+    });
+    await recordAudit(req, { entityType: 'shift_assignment', entityId: assignment.id, action: 'create', after: assignment });
+    
+    console.log('Shift assigned:', {
+      assignment_id: assignment.id,
+      employee_id: employee.id,
+      shift_id: assignment.shift_id,
+      admin_id: req.employee.id
+    });
+    
+    res.status(201).json({
+      success: true,
+      message: 'Shift assigned successfully',
+      data: assignment
+    });
+    
+  } catch (error) {
+    console.error('Create shift assignment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while assigning shift'
+    });
+  }
+});
+
+// Admin - change a schedule assignment; set effective_to to end it
+app.put('/api/admin/shift-assignments/:id', async (req, res) => {
+  try {
+    const existing = await shiftDb.getAssignmentById(req.params.id);
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        message: 'Shift assignment not found'
+      });
+    }
+    
+    const { error, fields } = await validateAssignmentInput(req.body || {}, existing);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+    
+    const assignment = await shiftDb.updateAssignment(existing.id, fields);
+    await recordAudit(req, { entityType: 'shift_assignment', entityId: assignment.id, action: 'update', before: existing, after: assignment });
+    
+    res.json({
+      success: true,
+      message: 'Shift assignment updated successfully',
+      data: assignment
+    });
+    
+  } catch (error) {
+    console.error('Update shift assignment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while updating shift assignment'
+    });
+  }
+});
+
+// Check-out route - Check out from current session (employee comes from the access token)
+app.post('/api/attendance/checkout', acceptPhotoUpload, idempotent, async (req, res) => {
+  try {
+    const { latitude, longitude, location_id, location_code, location_type } = req.body;
+    const employee = req.employee;
+    const employee_id = employee.id;
+    
+    // Log all received parameters for debugging
+    console.log('=== CHECK-OUT REQUEST DEBUG ===');
+    console.log('Request body:', JSON.stringify(describeRequestBody(req.body), null, 2));
+    console.log('Photo file:', req.file ? `${req.file.size} bytes` : 'none');
+    console.log('Request timestamp:', new Date().toISOString());
+    console.log('Extracted parameters:');
+    console.log('- employee_id:', employee_id, '(type:', typeof employee_id, ')');
+    console.log('- latitude:', latitude, '(type:', typeof latitude, ')');
+    console.log('- longitude:', longitude, '(type:', typeof longitude, ')');
+    console.log('- location_id:', location_id, '(type:', typeof location_id, ')');
+    console.log('- location_code:', location_code, '(type:', typeof location_code, ')');
+    console.log('- location_type:', location_type, '(type:', typeof location_type, ')');
+    console.log('==============================');
+    
+    // Validate input
+    if (!latitude || !longitude) {
+      return res.status(400).json({
+        success: false,
+        message: 'Location (latitude and longitude) is required'
+      });
+    }
+    
+    // Validate coordinates
+    if (latitude < -90 || latitude > 90 || longitude < -180 || longitude > 180) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid coordinates'
+      });
+    }
+    
+    // Optional GPS accuracy and mock-location flag reported by the device
+    const quality = parseLocationQuality(req.body);
+    if (quality.error) {
+      return res.status(400).json({
+        success: false,
+        message: quality.error
+      });
+    }
+    
+    // Optional photo proof, as a multipart file or base64
+    const photo = parsePhoto(req.file, req.body.photo);
+    if (photo.error) {
+      return res.status(400).json({
+        success: false,
+        message: photo.error
+      });
+    }
+    
+    // Check if employee is currently checked in
+    const currentSession = await attendanceDb.isCurrentlyCheckedIn(employee_id);
+    if (!currentSession) {
+      return res.status(409).json({
+        success: false,
+        message: 'No active check-in session found. Please check in first.'
+      });
+    }
+    
+    const lockedPeriod = await findLockedPeriod(employee_id, currentSession.attendance_date);
+    if (lockedPeriod) {
+      return res.status(409).json({
+        success: false,
+        ...lockedPeriodError(lockedPeriod)
+      });
+    }
+    
+    // Verify check-out location against the geofence (polygon or radius)
+    const geofence = await verifyAttendanceLocation(employee, req.body);
+    const finalLocationCode = location_code;
+    
+    const photoError = await checkPhotoRequirement(photo.photo, geofence, employee, 'check_out');
+    if (photoError) {
+      return res.status(400).json({
+        success: false,
+        message: photoError
+      });
+    }
+    
+    // Record check-out with its photo, stored first
+    const storedPhoto = photo.photo ? await storePhoto(photo.photo) : null;
+    let attendance;
+    let attendancePhoto = null;
+    try {
+      // Under the employee lock, so a check-out cannot interleave with a check-in or sync
+      attendance = await withTransaction(async client => {
+        await attendanceDb.lockEmployeeAttendance(client, employee_id);
+        const closed = await attendanceDb.checkOut(employee_id, latitude, longitude, finalLocationCode, geofence.verified, client);
+        if (closed && storedPhoto) {
+          attendancePhoto = await linkPhoto(storedPhoto, closed.id, 'check_out', employee_id, client);
+        }
+        return closed;
+      });
+    } catch (error) {
+      await discardPhoto(storedPhoto);
+      throw error;
+    }
+    
+    // Another request closed the session first
+    if (!attendance) {
+      await discardPhoto(storedPhoto);
+      return res.status(409).json({
+        success: false,
+        message: 'No active check-in session found. Please check in first.'
+      });
+    }
+    
+    await recordAudit(req, { entityType: 'attendance', entityId: attendance.id, action: 'update', before: currentSession, after: attendance });
+    
+    // Score the check-out for spoofing anomalies; flagged sessions go to admin review
+    await scoreAttendanceEvent(attendance, 'check_out', quality);
+    publishAttendanceEvent('check_out', attendance);
+    await enqueueWebhookEvent('attendance.checked_out', attendanceWebhookData(attendance));
+    
+    // Get updated summary for the day the session started (overnight sessions
+    // count towards their check-in day)
+    const timezone = attendance.timezone || await resolveTimezone(employee);
+    const dailySummary = await attendanceDb.getDailySummary(employee_id, timezone, attendance.attendance_date);
+    
+    const response = {
+      success: true,
+      message: 'Check-out recorded successfully',
+      data: {
+        attendance_id: attendance.id,
+        employee_id: attendance.employee_id,
+        employee_name: employee.name,
+        check_in_time: attendance.check_in_time,
+        check_out_time: attendance.check_out_time,
+        timezone: timezone,
+        session_duration: parseFloat(attendance.total_hours),
+        location: {
+          check_in: {
+            latitude: parseFloat(attendance.check_in_latitude),
+            longitude: parseFloat(attendance.check_in_longitude)
+          },
+          check_out: {
+            latitude: parseFloat(attendance.check_out_latitude),
+            longitude: parseFloat(attendance.check_out_longitude)
+          }
+        },
+        location_verified: attendance.location_verified,
+        check_out_location_verified: attendance.check_out_location_verified,
+        location_type: location_type,
+        geofence: geofence.details,
+        check_in_location_code: attendance.check_in_location_code,
+        check_out_location_code: attendance.check_out_location_code,
+        photo: formatPhoto(attendancePhoto),
+        daily_summary: dailySummary,
+        server_time: new Date().toISOString()
+      }
+    };
+    
+    console.log('Check-out successful:', {
+      employee_id: attendance.employee_id,
+      session_id: attendance.id,
+      time: attendance.check_out_time,
+      duration: attendance.total_hours
+    });
+    
+    res.json(response);
+    
+  } catch (error) {
+    console.error('Check-out error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error during check-out'
+    });
+  }
+});
+
+// Offline sync limits
+const syncConfig = {
+  maxEvents: parseInt(process.env.SYNC_MAX_EVENTS) || 100,
+  maxAgeDays: parseInt(process.env.SYNC_MAX_AGE_DAYS) || 7,
+  clockSkewSeconds: parseInt(process.env.SYNC_CLOCK_SKEW_SECONDS) || 120
+};
+
+const SYNC_EVENT_TYPES = ['check_in', 'check_out'];
+
+// A coordinate sent as a number or a numeric string; anything else is NaN
+const toCoordinate = value => (typeof value === 'number' || (typeof value === 'string' && value.trim() !== '')
+  ? Number(value)
+  : NaN);
+
+// Check a queued event's location fields before anything touches the database;
+// returns { reason } or { latitude, longitude }
+function validateSyncLocation({ latitude, longitude, location_id, location_code, location_type }) {
+  const lat = toCoordinate(latitude);
+  const lng = toCoordinate(longitude);
+  if (!Number.isFinite(lat) || !Number.isFinite(lng) || lat < -90 || lat > 90 || lng < -180 || lng > 180) {
+    return { reason: 'Invalid coordinates' };
+  }
+  if (location_id !== undefined && location_id !== null && !/^\d{1,9}$/.test(String(location_id))) {
+    return { reason: 'location_id must be a positive integer' };
+  }
+  if (location_code !== undefined && location_code !== null && (typeof location_code !== 'string' || location_code.length > 15)) {
+    return { reason: 'location_code must be a string of at most 15 characters' };
+  }
+  if (location_type !== undefined && location_type !== null && typeof location_type !== 'string') {
+    return { reason: 'location_type must be a string' };
+  }
+  return { latitude: lat, longitude: lng };
+}
+
+// Apply one queued event; returns its per-event result. Each event runs in its own
+// transaction with the employee row locked, and is validated against the sessions
+// recorded so far (including earlier events from the same batch).
+async function applySyncEvent(req, event, index) {
+  const employee = req.employee;
+  const { type, device_time, location_code, client_event_id } = event || {};
+  const result = {
+    index: index,
+    client_event_id: client_event_id || null,
+    type: type || null,
+    status: 'rejected'
+  };
+  
+  if (!SYNC_EVENT_TYPES.includes(type)) {
+    return { ...result, reason: `type must be one of: ${SYNC_EVENT_TYPES.join(', ')}` };
+  }
+  
+  if (client_event_id !== undefined && (typeof client_event_id !== 'string' || !client_event_id || client_event_id.length > 64)) {
+    return { ...result, reason: 'client_event_id must be a string of at most 64 characters' };
+  }
+  
+  const deviceTime = new Date(device_time);
+  if (!device_time || isNaN(deviceTime.getTime())) {
+    return { ...result, reason: 'device_time must be an ISO 8601 timestamp' };
+  }
+  
+  const now = Date.now();
+  if (deviceTime.getTime() > now + syncConfig.clockSkewSeconds * 1000) {
+    return { ...result, reason: 'device_time is in the future' };
+  }
+  if (deviceTime.getTime() < now - syncConfig.maxAgeDays * 24 * 60 * 60 * 1000) {
+    return { ...result, reason: `device_time is older than ${syncConfig.maxAgeDays} days` };
+  }
+  
+  const position = validateSyncLocation(event);
+  if (position.reason) {
+    return { ...result, reason: position.reason };
+  }
+  
+  const quality = parseLocationQuality(event);
+  if (quality.error) {
+    return { ...result, reason: quality.error };
+  }
+  
+  // Synced events carry their photo as base64
+  const photo = parsePhoto(null, event.photo);
+  if (photo.error) {
+    return { ...result, reason: photo.error };
+  }
+  
+  const geofence = await verifyAttendanceLocation(employee, { ...event, ...position });
+  const timezone = await resolveTimezone(employee, geofence.location);
+  
+  const photoError = await checkPhotoRequirement(photo.photo, geofence, employee, type);
+  if (photoError) {
+    return { ...result, reason: photoError };
+  }
+  
+  // Set when the event is applied, so it can be audited and scored once the transaction commits
+  let recorded = null;
+  let previous = null;
+  let recordedPhoto = null;
+  
+  // Stored up front and discarded again unless the event is applied
+  const storedPhoto = photo.photo ? await storePhoto(photo.photo) : null;
+  
+  const outcome = await withTransaction(async client => {
+    await attendanceDb.lockEmployeeAttendance(client, employee.id);
+    
+    // Retried batch - report the session this event already produced
+    if (client_event_id) {
+      const existing = await attendanceDb.findByClientEventId(client, employee.id, client_event_id);
+      if (existing) {
+        return { ...result, status: 'duplicate', attendance_id: existing.id };
+      }
+    }
+    
+    const { openSession } = await attendanceDb.getSyncState(client, employee.id);
+    
+    // Overnight check-outs belong to the day their session started
+    const eventDate = type === 'check_in' || !openSession
+      ? localDateString(timezone, deviceTime)
+      : openSession.attendance_date;
+    const lockedPeriod = await findLockedPeriod(employee.id, eventDate);
+    if (lockedPeriod) {
+      return { ...result, reason: lockedPeriodError(lockedPeriod).message };
+    }
+    
+    if (type === 'check_in') {
+      if (openSession) {
+        return { ...result, reason: 'An open session already exists. Check out first.', attendance_id: openSession.id };
+      }
+      // An older check-in is fine as long as it does not fall inside a recorded session
+      const overlapping = await attendanceDb.findOverlapping(client, employee.id, deviceTime.toISOString(), new Date(deviceTime.getTime() + 1).toISOString());
+      if (overlapping.length > 0) {
+        return { ...result, reason: 'device_time falls inside an existing session', attendance_id: overlapping[0].id };
+      }
+      
+      const attendance = await attendanceDb.syncCheckIn(client, {
+        employeeId: employee.id,
+        deviceTime: deviceTime.toISOString(),
+        latitude: position.latitude,
+        longitude: position.longitude,
+        locationVerified: geofence.verified,
+        locationCode: location_code,
+        clientEventId: client_event_id,
+        timezone: timezone
+      });
+      if (storedPhoto) {
+        recordedPhoto = await linkPhoto(storedPhoto, attendance.id, type, employee.id, client);
+      }
+      recorded = attendance;
+      
+      return {
+        ...result,
+        status: 'applied',
+        attendance_id: attendance.id,
+        device_time: attendance.check_in_device_time,
+        server_time: attendance.check_in_server_time,
+        location_verified: attendance.location_verified
+      };
+    }
+    
+    if (!openSession) {
+      return { ...result, reason: 'No open session to check out from' };
+    }
+    if (deviceTime < new Date(openSession.check_in_time)) {
+      return { ...result, reason: 'device_time is before the open session\'s check-in', attendance_id: openSession.id };
+    }
+    // A session opened by an older synced check-in must not run into a later session
+    const overlapping = await attendanceDb.findOverlapping(client, employee.id, openSession.check_in_time, deviceTime.toISOString(), openSession.id);
+    if (overlapping.length > 0) {
+      return { ...result, reason: 'The session would overlap a later session', attendance_id: openSession.id };
+    }
+    
+    const attendance = await attendanceDb.syncCheckOut(client, {
+      attendanceId: openSession.id,
+      deviceTime: deviceTime.toISOString(),
+      latitude: position.latitude,
+      longitude: position.longitude,
+      locationVerified: geofence.verified,
+      locationCode: location_code,
+      clientEventId: client_event_id
+    });
+    if (storedPhoto) {
+      recordedPhoto = await linkPhoto(storedPhoto, attendance.id, type, employee.id, client);
+    }
+    recorded = attendance;
+    previous = openSession;
+    
+    return {
+      ...result,
+      status: 'applied',
+      attendance_id: attendance.id,
+      device_time: attendance.check_out_device_time,
+      server_time: attendance.check_out_server_time,
+      location_verified: attendance.check_out_location_verified,
+      session_duration: parseFloat(attendance.total_hours)
+    };
+  }).catch(async error => {
+    await discardPhoto(storedPhoto);
+    throw error;
+  });
+  
+  if (!recorded) {
+    await discardPhoto(storedPhoto);
+  }
+  
+  if (recorded) {
+    if (recordedPhoto) {
+      outcome.photo = formatPhoto(recordedPhoto);
+    }
+    await recordAudit(req, {
+      entityType: 'attendance',
+      entityId: recorded.id,
+      action: previous ? 'update' : 'create',
+      before: previous,
+      after: recorded
+    });
+    await scoreAttendanceEvent(recorded, type, quality);
+    publishAttendanceEvent(type, recorded);
+    await enqueueWebhookEvent(type === 'check_in' ? 'attendance.checked_in' : 'attendance.checked_out', attendanceWebhookData(recorded));
+    if (type === 'check_in') {
+      notifyLateArrival(recorded);
+    }
+  }
+  return outcome;
+}
+
+// Offline sync - apply an ordered batch of queued check-in/check-out events
+app.post('/api/attendance/sync', async (req, res) => {
+  try {
+    const { events } = req.body;
+    const employee = req.employee;
+    
+    console.log('=== ATTENDANCE SYNC REQUEST ===');
+    console.log('Employee ID:', employee.id);
+    console.log('Events received:', Array.isArray(events) ? events.length : events);
+    console.log('===============================');
+    
+    if (!Array.isArray(events) || events.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'events must be a non-empty array'
+      });
+    }
+    
+    if (events.length > syncConfig.maxEvents) {
+      return res.status(400).json({
+        success: false,
+        message: `A sync batch can contain at most ${syncConfig.maxEvents} events`
+      });
+    }
+    
+    // Apply strictly in the order sent
+    const results = [];
+    for (let i = 0; i < events.length; i++) {
+      results.push(await applySyncEvent(req, events[i], i));
+    }
+    
+    const summary = {
+      applied: results.filter(result => result.status === 'applied').length,
+      duplicate: results.filter(result => result.status === 'duplicate').length,
+      rejected: results.filter(result => result.status === 'rejected').length
+    };
+    
+    console.log('Sync completed:', { employee_id: employee.id, ...summary });
+    
+    res.json({
+      success: true,
+      message: 'Sync processed',
+      data: {
+        employee_id: employee.id,
+        summary: summary,
+        results: results,
+        server_time: new Date().toISOString()
+      }
+    });
+    
+  } catch (error) {
+    console.error('Attendance sync error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error during attendance sync'
+    });
+  }
+});
+
+// Validate one breadcrumb ping against its session; returns { reason } or { ping }
+function validatePing(ping, session) {
+  const { latitude, longitude, timestamp, accuracy, speed } = ping || {};
+  
+  const lat = parseFloat(latitude);
+  const lng = parseFloat(longitude);
+  if (isNaN(lat) || isNaN(lng) || lat < -90 || lat > 90 || lng < -180 || lng > 180) {
+    return { reason: 'Invalid coordinates' };
+  }
+  
+  const recordedAt = new Date(timestamp);
+  if (!timestamp || isNaN(recordedAt.getTime())) {
+    return { reason: 'timestamp must be an ISO 8601 timestamp' };
+  }
+  
+  const skewMs = syncConfig.clockSkewSeconds * 1000;
+  if (recordedAt.getTime() > Date.now() + skewMs) {
+    return { reason: 'timestamp is in the future' };
+  }
+  if (recordedAt.getTime() < new Date(session.check_in_time).getTime() - skewMs) {
+    return { reason: 'timestamp is before the session\'s check-in' };
+  }
+  
+  const optionalNumber = value => (value === undefined || value === null ? null : parseFloat(value));
+  const accuracyMeters = optionalNumber(accuracy);
+  const speedMps = optionalNumber(speed);
+  if ((accuracyMeters !== null && (isNaN(accuracyMeters) || accuracyMeters < 0)) ||
+      (speedMps !== null && (isNaN(speedMps) || speedMps < 0))) {
+    return { reason: 'accuracy and speed must be non-negative numbers' };
+  }
+  
+  return {
+    ping: {
+      latitude: lat,
+      longitude: lng,
+      accuracy: accuracyMeters,
+      speed: speedMps,
+      recordedAt: recordedAt.toISOString()
+    }
+  };
+}
+
+// Record a batch of breadcrumb pings for the caller's open session.
+// Invalid points are reported back and skipped; re-sent points are ignored.
+app.post('/api/attendance/:attendance_id/pings', async (req, res) => {
+  try {
+    const { attendance_id } = req.params;
+    const { pings } = req.body;
+    
+    console.log('=== ATTENDANCE PINGS REQUEST ===');
+    console.log('Attendance ID:', attendance_id);
+    console.log('Employee ID:', req.auth.employeeId);
+    console.log('Ping count:', Array.isArray(pings) ? pings.length : null);
+    console.log('================================');
+    
+    if (!Array.isArray(pings) || pings.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'pings must be a non-empty array'
+      });
+    }
+    
+    if (pings.length > trackConfig.maxPingsPerBatch) {
+      return res.status(400).json({
+        success: false,
+        message: `A batch can contain at most ${trackConfig.maxPingsPerBatch} pings`
+      });
+    }
+    
+    const session = await attendanceDb.getById(attendance_id);
+    if (!session || session.employee_id !== req.auth.employeeId) {
+      return res.status(404).json({
+        success: false,
+        message: 'Attendance session not found'
+      });
+    }
+    
+    if (session.check_out_time) {
+      return res.status(409).json({
+        success: false,
+        message: 'Pings can only be added to an open session'
+      });
+    }
+    
+    const accepted = [];
+    const rejected = [];
+    pings.forEach((ping, index) => {
+      const result = validatePing(ping, session);
+      if (result.reason) {
+        rejected.push({ index: index, reason: result.reason });
+      } else {
+        accepted.push(result.ping);
+      }
+    });
+    
+    const inserted = accepted.length > 0
+      ? await pingDb.addBatch(session.id, session.employee_id, accepted)
+      : [];
+    
+    console.log('Pings stored:', {
+      attendance_id: session.id,
+      stored: inserted.length,
+      duplicates: accepted.length - inserted.length,
+      rejected: rejected.length
+    });
+    
+    res.status(inserted.length > 0 ? 201 : 200).json({
+      success: true,
+      message: `${inserted.length} ping(s) stored`,
+      data: {
+        attendance_id: session.id,
+        stored: inserted.length,
+        duplicates: accepted.length - inserted.length,
+        rejected: rejected
+      }
+    });
+    
+  } catch (error) {
+    console.error('Attendance pings error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while storing pings'
+    });
+  }
+});
+
+// Session track - check-in point, breadcrumb pings and check-out point, with
+// total distance travelled and time spent stationary
+app.get('/api/attendance/:attendance_id/track', async (req, res) => {
+  try {
+    const { attendance_id } = req.params;
+    
+    const session = await attendanceDb.getById(attendance_id);
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Attendance session not found'
+      });
+    }
+    
+    const pings = await pingDb.getByAttendance(session.id);
+    const toFloat = value => (value === null ? null : parseFloat(value));
+    
+    const points = [
+      {
+        source: 'check_in',
+        latitude: toFloat(session.check_in_latitude),
+        longitude: toFloat(session.check_in_longitude),
+        accuracy_meters: null,
+        speed_mps: null,
+        recorded_at: session.check_in_time
+      },
+      ...pings.map(ping => ({
+        source: 'ping',
+        latitude: toFloat(ping.latitude),
+        longitude: toFloat(ping.longitude),
+        accuracy_meters: toFloat(ping.accuracy_meters),
+        speed_mps: toFloat(ping.speed_mps),
+        recorded_at: ping.recorded_at
+      }))
+    ];
+    
+    if (session.check_out_time && session.check_out_latitude !== null) {
+      points.push({
+        source: 'check_out',
+        latitude: toFloat(session.check_out_latitude),
+        longitude: toFloat(session.check_out_longitude),
+        accuracy_meters: null,
+        speed_mps: null,
+        recorded_at: session.check_out_time
+      });
+    }
+    
+    res.json({
+      success: true,
+      data: {
+        attendance_id: session.id,
+        employee_id: session.employee_id,
+        status: session.check_out_time ? 'completed' : 'ongoing',
+        check_in_time: session.check_in_time,
+        check_out_time: session.check_out_time,
+        summary: summarizeTrack(points),
+        points: points
+      }
+    });
+    
+  } catch (error) {
+    console.error('Attendance track error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while fetching track'
+    });
+  }
+});
+
+// Photos sent with a session's check-in and check-out
+app.get('/api/attendance/:attendance_id/photos', async (req, res) => {
+  try {
+    const session = await attendanceDb.getById(req.params.attendance_id);
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Attendance session not found'
+      });
+    }
+    
+    const photos = await photoDb.getByAttendance(session.id);
+    
+    res.json({
+      success: true,
+      count: photos.length,
+      data: photos.map(formatPhoto)
+    });
+    
+  } catch (error) {
+    console.error('List attendance photos error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while listing photos'
+    });
+  }
+});
+
+// The image sent with a session's check_in or check_out
+app.get('/api/attendance/:attendance_id/photos/:event_type', async (req, res) => {
+  try {
+    const { attendance_id, event_type } = req.params;
+    
+    if (!PHOTO_EVENT_TYPES.includes(event_type)) {
+      return res.status(400).json({
+        success: false,
+        message: `event_type must be one of: ${PHOTO_EVENT_TYPES.join(', ')}`
+      });
+    }
+    
+    const photo = /^\d+$/.test(attendance_id) ? await photoDb.getForEvent(attendance_id, event_type) : null;
+    const stream = photo ? await openPhoto(photo) : null;
+    if (!stream) {
+      return res.status(404).json({
+        success: false,
+        message: 'Photo not found'
+      });
+    }
+    
+    res.set({
+      'Content-Type': photo.content_type,
+      'Content-Length': photo.size_bytes,
+      // Proof of presence is personal data - never cached by shared caches
+      'Cache-Control': 'private, max-age=3600',
+      ETag: `"${photo.sha256}"`
+    });
+    stream.on('error', error => {
+      console.error('Photo stream error:', error);
+      res.destroy(error);
+    });
+    stream.pipe(res);
+    
+  } catch (error) {
+    console.error('Get attendance photo error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while fetching photo'
+    });
+  }
+});
+
+// Shape of an auto-closed session in status, summary and admin responses
+function formatAutoClosedSession(record) {
+  return {
+    id: record.id,
+    employee_id: record.employee_id,
+    employee_name: record.employee_name,
+    attendance_date: record.attendance_date,
+    check_in_time: record.check_in_time,
+    check_out_time: record.check_out_time,
+    total_hours: record.total_hours !== null ? parseFloat(record.total_hours) : null,
+    auto_close_reason: record.auto_close_reason,
+    auto_closed_at: record.auto_closed_at,
+    confirmed_by: record.confirmed_by,
+    confirmed_at: record.confirmed_at
+  };
+}
+
+// List auto-closed sessions waiting for confirmation (managers see their reports')
+app.get(['/api/admin/attendance/auto-closed', '/api/team/attendance/auto-closed'], async (req, res) => {
+  try {
+    const { employee_id, limit = 100 } = req.query;
+    
+    const employeeId = employee_id !== undefined ? parseInt(employee_id) : null;
+    if (employee_id !== undefined && isNaN(employeeId)) {
+      return res.status(400).json({
+        success: false,
+        message: 'employee_id must be a number'
+      });
+    }
+    
+    const pageSize = parseInt(limit);
+    if (isNaN(pageSize) || pageSize < 1 || pageSize > 500) {
+      return res.status(400).json({
+        success: false,
+        message: 'Limit must be a number between 1 and 500'
+      });
+    }
+    
+    const sessions = await attendanceDb.getUnconfirmedAutoClosed(employeeId, pageSize, await reviewableEmployeeIds(req.employee));
+    
+    res.json({
+      success: true,
+      data: sessions.map(formatAutoClosedSession)
+    });
+    
+  } catch (error) {
+    console.error('Auto-closed sessions list error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while listing auto-closed sessions'
+    });
+  }
+});
+
+// Confirm an auto-closed session so its hours count as payable (admins, or managers
+// for their reports). An optional check_out_time replaces the automatic one with the
+// real check-out.
+app.post(['/api/admin/attendance/:attendance_id/confirm', '/api/team/attendance/:attendance_id/confirm'], async (req, res) => {
+  try {
+    const { attendance_id } = req.params;
+    const { check_out_time } = req.body || {};
+    
+    console.log('=== CONFIRM AUTO-CLOSED SESSION REQUEST ===');
+    console.log('Attendance ID:', attendance_id);
+    console.log('Confirmed by:', req.auth.employeeId);
+    console.log('Check-out time override:', check_out_time || null);
+    console.log('===========================================');
+    
+    const session = await attendanceDb.getById(attendance_id);
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Attendance session not found'
+      });
+    }
+    
+    if (!await canReviewEmployee(req.employee, session.employee_id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only confirm sessions of your reports'
+      });
+    }
+    
+    if (!session.auto_closed) {
+      return res.status(400).json({
+        success: false,
+        message: 'Only auto-closed sessions need confirmation'
+      });
+    }
+    
+    if (session.confirmed_at) {
+      return res.status(409).json({
+        success: false,
+        message: 'Session has already been confirmed',
+        data: formatAutoClosedSession(session)
+      });
+    }
+    
+    const lockedPeriod = await findLockedPeriod(session.employee_id, session.attendance_date);
+    if (lockedPeriod) {
+      return res.status(409).json({
+        success: false,
+        ...lockedPeriodError(lockedPeriod)
+      });
+    }
+    
+    let checkOutTime = new Date(session.check_out_time);
+    if (check_out_time !== undefined && check_out_time !== null) {
+      checkOutTime = new Date(check_out_time);
+      if (isNaN(checkOutTime.getTime())) {
+        return res.status(400).json({
+          success: false,
+          message: 'check_out_time must be a valid ISO 8601 timestamp'
+        });
+      }
+      
+      if (checkOutTime <= new Date(session.check_in_time) || checkOutTime > new Date()) {
+        return res.status(400).json({
+          success: false,
+          message: 'check_out_time must be after the check-in time and not in the future'
+        });
+      }
+    }
+    
+    const confirmed = await attendanceDb.confirmAutoClosed(session.id, req.auth.employeeId, checkOutTime);
+    
+    // Confirmed by a concurrent request
+    if (!confirmed) {
+      return res.status(409).json({
+        success: false,
+        message: 'Session has already been confirmed'
+      });
+    }
+    await recordAudit(req, { entityType: 'attendance', entityId: confirmed.id, action: 'update', before: session, after: confirmed });
+    
+    res.json({
+      success: true,
+      message: 'Auto-closed session confirmed',
+      data: formatAutoClosedSession(confirmed)
+    });
+    
+  } catch (error) {
+    console.error('Confirm auto-closed session error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while confirming session'
+    });
+  }
+});
+
+const FLAG_REVIEW_STATUSES = ['cleared', 'confirmed'];
+
+// Shape of a flagged session in the admin review list
+function formatFlaggedSession(record) {
+  const toFloat = value => (value === null ? null : parseFloat(value));
+  return {
+    id: record.id,
+    employee_id: record.employee_id,
+    employee_name: record.employee_name,
+    attendance_date: record.attendance_date,
+    check_in_time: record.check_in_time,
+    check_out_time: record.check_out_time,
+    check_in: {
+      latitude: toFloat(record.check_in_latitude),
+      longitude: toFloat(record.check_in_longitude),
+      accuracy_meters: toFloat(record.check_in_accuracy_meters),
+      mock_location: record.check_in_mock_location,
+      location_verified: record.location_verified,
+      location_code: record.check_in_location_code
+    },
+    check_out: record.check_out_time ? {
+      latitude: toFloat(record.check_out_latitude),
+      longitude: toFloat(record.check_out_longitude),
+      accuracy_meters: toFloat(record.check_out_accuracy_meters),
+      mock_location: record.check_out_mock_location,
+      location_verified: record.check_out_location_verified,
+      location_code: record.check_out_location_code
+    } : null,
+    is_offline_sync: record.is_offline_sync,
+    anomaly_score: record.anomaly_score,
+    anomaly_reasons: record.anomaly_reasons,
+    review: record.flag_review_status ? {
+      status: record.flag_review_status,
+      note: record.flag_review_note,
+      reviewed_by: record.flag_reviewed_by,
+      reviewed_at: record.flag_reviewed_at
+    } : null
+  };
+}
+
+// Admin review list of sessions flagged for GPS anomalies, highest score first
+app.get('/api/admin/attendance/flagged', async (req, res) => {
+  try {
+    const { status = 'pending', employee_id, page = 1, limit = 20 } = req.query;
+    
+    if (status !== 'pending' && status !== 'all' && !FLAG_REVIEW_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `status must be one of: pending, all, ${FLAG_REVIEW_STATUSES.join(', ')}`
+      });
+    }
+    
+    const pageNum = parseInt(page);
+    const pageSize = parseInt(limit);
+    if (isNaN(pageNum) || pageNum < 1 || isNaN(pageSize) || pageSize < 1 || pageSize > 100) {
+      return res.status(400).json({
+        success: false,
+        message: 'Page must be 1 or more and limit must be between 1 and 100'
+      });
+    }
+    
+    const { total, rows } = await attendanceDb.listFlagged({
+      reviewStatus: status,
+      employeeId: employee_id ? parseInt(employee_id) || null : null,
+      limit: pageSize,
+      offset: (pageNum - 1) * pageSize
+    });
+    
+    res.json({
+      success: true,
+      count: rows.length,
+      pagination: {
+        page: pageNum,
+        limit: pageSize,
+        total: total,
+        total_pages: Math.ceil(total / pageSize)
+      },
+      data: rows.map(formatFlaggedSession)
+    });
+    
+  } catch (error) {
+    console.error('Flagged sessions list error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while listing flagged sessions'
+    });
+  }
+});
+
+// Record the outcome of reviewing a flagged session
+app.post('/api/admin/attendance/:attendance_id/review', async (req, res) => {
+  try {
+    const { attendance_id } = req.params;
+    const { status, note } = req.body || {};
+    
+    if (!FLAG_REVIEW_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `status must be one of: ${FLAG_REVIEW_STATUSES.join(', ')}`
+      });
+    }
+    
+    if (note !== undefined && note !== null && typeof note !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: 'note must be a string'
+      });
+    }
+    
+    const existing = await attendanceDb.getById(attendance_id);
+    const reviewed = existing ? await attendanceDb.reviewFlag(existing.id, req.auth.employeeId, status, note || null) : null;
+    if (!reviewed) {
+      return res.status(404).json({
+        success: false,
+        message: 'Flagged attendance session not found'
+      });
+    }
+    await recordAudit(req, { entityType: 'attendance', entityId: reviewed.id, action: 'update', before: existing, after: reviewed });
+    
+    console.log('Flagged session reviewed:', {
+      attendance_id: reviewed.id,
+      status: status,
+      reviewed_by: req.auth.employeeId
+    });
+    
+    res.json({
+      success: true,
+      message: 'Review recorded',
+      data: formatFlaggedSession(reviewed)
+    });
+    
+  } catch (error) {
+    console.error('Flagged session review error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while reviewing session'
+    });
+  }
+});
+
+const CORRECTION_STATUSES = ['pending', 'approved', 'rejected', 'cancelled'];
+const CORRECTION_TIME_FIELDS = ['check_in_time', 'check_out_time'];
+const CORRECTION_CODE_FIELDS = ['check_in_location_code', 'check_out_location_code'];
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Validate a correction request; returns { error } or { fields }.
+// A request either corrects an existing session (attendance_id) or adds a missing
+// one for a day (attendance_date, with both check-in and check-out times).
+function validateCorrectionInput(body) {
+  const { attendance_id, attendance_date, reason } = body || {};
+  
+  if (!reason || typeof reason !== 'string' || !reason.trim()) {
+    return { error: 'A reason is required' };
+  }
+  if (reason.length > 1000) {
+    return { error: 'Reason must be at most 1000 characters' };
+  }
+  
+  const hasSession = attendance_id !== undefined && attendance_id !== null;
+  const hasDate = attendance_date !== undefined && attendance_date !== null;
+  if (hasSession === hasDate) {
+    return { error: 'Provide either attendance_id to correct a session or attendance_date for a missing session' };
+  }
+  
+  if (hasSession && isNaN(parseInt(attendance_id))) {
+    return { error: 'attendance_id must be a number' };
+  }
+  if (hasDate && (!DATE_PATTERN.test(attendance_date) || isNaN(new Date(attendance_date).getTime()))) {
+    return { error: 'attendance_date must be a date in YYYY-MM-DD format' };
+  }
+  
+  const changes = {};
+  for (const field of CORRECTION_TIME_FIELDS) {
+    if (body[field] === undefined) {
+      continue;
+    }
+    const time = new Date(body[field]);
+    if (!body[field] || isNaN(time.getTime())) {
+      return { error: `${field} must be an ISO 8601 timestamp` };
+    }
+    if (time.getTime() > Date.now()) {
+      return { error: `${field} cannot be in the future` };
+    }
+    changes[field] = time.toISOString();
+  }
+  
+  for (const field of CORRECTION_CODE_FIELDS) {
+    if (body[field] === undefined) {
+      continue;
+    }
+    if (body[field] !== null && (typeof body[field] !== 'string' || body[field].trim().length > 15)) {
+      return { error: `${field} must be a string of at most 15 characters` };
+    }
+    changes[field] = body[field] === null ? null : body[field].trim() || null;
+  }
+  
+  if (Object.keys(changes).length === 0) {
+    return { error: `At least one of ${[...CORRECTION_TIME_FIELDS, ...CORRECTION_CODE_FIELDS].join(', ')} is required` };
+  }
+  
+  if (hasDate && (!changes.check_in_time || !changes.check_out_time)) {
+    return { error: 'A missing session needs both check_in_time and check_out_time' };
+  }
+  
+  return {
+    fields: {
+      attendanceId: hasSession ? parseInt(attendance_id) : null,
+      attendanceDate: hasDate ? attendance_date : null,
+      changes: changes,
+      reason: reason.trim()
+    }
+  };
+}
+
+// The correctable values of a session, as kept on the request before and after approval
+function pickCorrectionValues(session) {
+  return {
+    attendance_date: session.attendance_date,
+    check_in_time: session.check_in_time ? new Date(session.check_in_time).toISOString() : null,
+    check_out_time: session.check_out_time ? new Date(session.check_out_time).toISOString() : null,
+    check_in_location_code: session.check_in_location_code,
+    check_out_location_code: session.check_out_location_code,
+    total_hours: session.total_hours !== null ? parseFloat(session.total_hours) : null
+  };
+}
+
+// Session values with the requested changes applied; returns { error } or { values }
+function mergeCorrection(session, changes) {
+  const current = session ? pickCorrectionValues(session) : {};
+  const values = {
+    check_in_time: changes.check_in_time !== undefined ? changes.check_in_time : current.check_in_time,
+    check_out_time: changes.check_out_time !== undefined ? changes.check_out_time : current.check_out_time,
+    check_in_location_code: changes.check_in_location_code !== undefined ? changes.check_in_location_code : (current.check_in_location_code || null),
+    check_out_location_code: changes.check_out_location_code !== undefined ? changes.check_out_location_code : (current.check_out_location_code || null)
+  };
+  
+  if (values.check_out_time && new Date(values.check_out_time) <= new Date(values.check_in_time)) {
+    return { error: 'check_out_time must be after check_in_time' };
+  }
+  return { values };
+}
+
+// Approve a pending correction and apply it in one transaction: update (or create) the
+// session, recompute total_hours and keep the original and corrected values on the request.
+// Returns { correction, attendance, original } or { status, message } when it cannot be applied.
+async function approveCorrection(correctionId, reviewerId, note) {
+  return withTransaction(async client => {
+    const correction = await correctionDb.lockById(client, correctionId);
+    if (!correction) {
+      return { status: 404, message: 'Correction request not found' };
+    }
+    if (correction.status !== 'pending') {
+      return { status: 409, message: `Correction request is already ${correction.status}` };
+    }
+    
+    // Serialised with the employee's check-ins, check-outs and syncs, so the overlap
+    // check below still holds when the corrected session is written
+    await attendanceDb.lockEmployeeAttendance(client, correction.employee_id);
+    
+    let session = null;
+    if (correction.attendance_id) {
+      session = await attendanceDb.lockById(client, correction.attendance_id);
+      if (!session) {
+        return { status: 409, message: 'The session this request corrects no longer exists' };
+      }
+    }
+    
+    const merged = mergeCorrection(session, correction.requested_changes);
+    if (merged.error) {
+      return { status: 409, message: merged.error };
+    }
+    const values = merged.values;
+    
+    const overlapping = await attendanceDb.findOverlapping(
+      client,
+      correction.employee_id,
+      values.check_in_time,
+      values.check_out_time || new Date().toISOString(),
+      session ? session.id : null
+    );
+    if (overlapping.length > 0) {
+      return { status: 409, message: 'The corrected times overlap another session', overlapping_sessions: overlapping.map(row => row.id) };
+    }
+    
+    const employee = await employeeDb.getById(correction.employee_id);
+    const timezone = (session && session.timezone) || await resolveTimezone(employee);
+    const attendanceDate = localDateString(timezone, new Date(values.check_in_time));
+    
+    // Neither the day the session was on nor the day it moves to may be in a locked period
+    const lockedPeriod = await findLockedPeriod(correction.employee_id, session && session.attendance_date, attendanceDate);
+    if (lockedPeriod) {
+      return { status: 409, ...lockedPeriodError(lockedPeriod) };
+    }
+    
+    let attendance;
+    if (session) {
+      attendance = await attendanceDb.applyCorrection(client, session.id, {
+        checkInTime: values.check_in_time,
+        checkOutTime: values.check_out_time,
+        checkInLocationCode: values.check_in_location_code,
+        checkOutLocationCode: values.check_out_location_code,
+        attendanceDate: attendanceDate,
+        correctionId: correction.id,
+        reviewedBy: reviewerId
+      });
+    } else {
+      attendance = await attendanceDb.createFromCorrection(client, {
+        employeeId: correction.employee_id,
+        checkInTime: values.check_in_time,
+        checkOutTime: values.check_out_time,
+        checkInLocationCode: values.check_in_location_code,
+        checkOutLocationCode: values.check_out_location_code,
+        attendanceDate: attendanceDate,
+        timezone: timezone,
+        correctionId: correction.id
+      });
+    }
+    
+    const approved = await correctionDb.markApproved(client, correction.id, {
+      attendanceId: attendance.id,
+      reviewedBy: reviewerId,
+      note: note,
+      originalValues: session ? pickCorrectionValues(session) : null,
+      correctedValues: pickCorrectionValues(attendance)
+    });
+    
+    return { correction: approved, attendance: attendance, original: session };
+  });
+}
+
+// Parse page/limit/status query parameters shared by the correction lists
+function parseCorrectionListQuery(query) {
+  const { status, page = 1, limit = 20 } = query;
+  
+  if (status !== undefined && !CORRECTION_STATUSES.includes(status)) {
+    return { error: `status must be one of: ${CORRECTION_STATUSES.join(', ')}` };
+  }
+  
+  const pageNum = parseInt(page);
+  const pageSize = parseInt(limit);
+  if (isNaN(pageNum) || pageNum < 1 || isNaN(pageSize) || pageSize < 1 || pageSize > 100) {
+    return { error: 'Page must be 1 or more and limit must be between 1 and 100' };
+  }
+  
+  return { status: status || null, pageNum: pageNum, pageSize: pageSize };
+}
+
+// Submit a correction request for one of the caller's sessions or for a missing session
+app.post('/api/attendance/corrections', async (req, res) => {
+  try {
+    console.log('=== CORRECTION REQUEST ===');
+    console.log('Employee ID:', req.auth.employeeId);
+    console.log('Request body:', JSON.stringify(req.body, null, 2));
+    console.log('==========================');
+    
+    const validation = validateCorrectionInput(req.body);
+    if (validation.error) {
+      return res.status(400).json({
+        success: false,
+        message: validation.error
+      });
+    }
+    const { attendanceId, attendanceDate, changes, reason } = validation.fields;
+    
+    if (attendanceId) {
+      const session = await attendanceDb.getById(attendanceId);
+      if (!session || session.employee_id !== req.auth.employeeId) {
+        return res.status(404).json({
+          success: false,
+          message: 'Attendance session not found'
+        });
+      }
+      
+      const merged = mergeCorrection(session, changes);
+      if (merged.error) {
+        return res.status(400).json({
+          success: false,
+          message: merged.error
+        });
+      }
+      
+      const lockedPeriod = await findLockedPeriod(req.auth.employeeId, session.attendance_date);
+      if (lockedPeriod) {
+        return res.status(409).json({
+          success: false,
+          ...lockedPeriodError(lockedPeriod)
+        });
+      }
+      
+      const pending = await correctionDb.getPendingForAttendance(attendanceId);
+      if (pending) {
+        return res.status(409).json({
+          success: false,
+          message: 'A correction request for this session is already pending',
+          data: { correction_id: pending.id }
+        });
+      }
+    } else {
+      const merged = mergeCorrection(null, changes);
+      if (merged.error) {
+        return res.status(400).json({
+          success: false,
+          message: merged.error
+        });
+      }
+      
+      // The missing session must start on the day it is requested for
+      const timezone = await resolveTimezone(req.employee);
+      if (localDateString(timezone, new Date(changes.check_in_time)) !== attendanceDate) {
+        return res.status(400).json({
+          success: false,
+          message: `check_in_time must fall on ${attendanceDate} (${timezone})`
+        });
+      }
+      
+      const lockedPeriod = await findLockedPeriod(req.auth.employeeId, attendanceDate);
+      if (lockedPeriod) {
+        return res.status(409).json({
+          success: false,
+          ...lockedPeriodError(lockedPeriod)
+        });
+      }
+    }
+    
+    let correction;
+    try {
+      correction = await correctionDb.create({
+        employeeId: req.auth.employeeId,
+        attendanceId: attendanceId,
+        attendanceDate: attendanceDate,
+        requestedChanges: changes,
+        reason: reason
+      });
+    } catch (error) {
+      // Unique violation - a concurrent request for the same session won
+      if (error.code === '23505') {
+        return res.status(409).json({
+          success: false,
+          message: 'A correction request for this session is already pending'
+        });
+      }
+      throw error;
+    }
+    
+    console.log('Correction request created:', {
+      correction_id: correction.id,
+      employee_id: correction.employee_id,
+      attendance_id: correction.attendance_id
+    });
+    
+    res.status(201).json({
+      success: true,
+      message: 'Correction request submitted for approval',
+      data: correction
+    });
+    
+  } catch (error) {
+    console.error('Correction request error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while submitting correction request'
+    });
+  }
+});
+
+// The caller's own correction requests
+app.get('/api/attendance/corrections', async (req, res) => {
+  try {
+    const query = parseCorrectionListQuery(req.query);
+    if (query.error) {
+      return res.status(400).json({
+        success: false,
+        message: query.error
+      });
+    }
+    
+    const { total, rows } = await correctionDb.list({
+      employeeId: req.auth.employeeId,
+      status: query.status,
+      limit: query.pageSize,
+      offset: (query.pageNum - 1) * query.pageSize
+    });
+    
+    res.json({
+      success: true,
+      count: rows.length,
+      pagination: {
+        page: query.pageNum,
+        limit: query.pageSize,
+        total: total,
+        total_pages: Math.ceil(total / query.pageSize)
+      },
+      data: rows
+    });
+    
+  } catch (error) {
+    console.error('List correction requests error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while listing correction requests'
+    });
+  }
+});
+
+// Withdraw one of the caller's pending correction requests
+app.post('/api/attendance/corrections/:id/cancel', async (req, res) => {
+  try {
+    const cancelled = await correctionDb.cancel(req.params.id, req.auth.employeeId);
+    if (!cancelled) {
+      return res.status(404).json({
+        success: false,
+        message: 'Pending correction request not found'
+      });
+    }
+    
+    res.json({
+      success: true,
+      message: 'Correction request cancelled',
+      data: cancelled
+    });
+    
+  } catch (error) {
+    console.error('Cancel correction request error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while cancelling correction request'
+    });
+  }
+});
+
+// Admin or manager - correction requests across employees (a manager's reports only),
+// pending first by default
+app.get(['/api/admin/attendance/corrections', '/api/team/attendance/corrections'], async (req, res) => {
+  try {
+    const query = parseCorrectionListQuery({ status: 'pending', ...req.query });
+    if (query.error) {
+      return res.status(400).json({
+        success: false,
+        message: query.error
+      });
+    }
+    
+    const { total, rows } = await correctionDb.list({
+      employeeId: req.query.employee_id ? parseInt(req.query.employee_id) || null : null,
+      employeeIds: await reviewableEmployeeIds(req.employee),
+      status: query.status,
+      limit: query.pageSize,
+      offset: (query.pageNum - 1) * query.pageSize
+    });
+    
+    res.json({
+      success: true,
+      count: rows.length,
+      pagination: {
+        page: query.pageNum,
+        limit: query.pageSize,
+        total: total,
+        total_pages: Math.ceil(total / query.pageSize)
+      },
+      data: rows
+    });
+    
+  } catch (error) {
+    console.error('Admin list correction requests error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while listing correction requests'
+    });
+  }
+});
+
+// Admin or manager - approve a correction request and apply it to the session
+app.post(['/api/admin/attendance/corrections/:id/approve', '/api/team/attendance/corrections/:id/approve'], async (req, res) => {
+  try {
+    const { note } = req.body || {};
+    
+    console.log('=== APPROVE CORRECTION REQUEST ===');
+    console.log('Correction ID:', req.params.id);
+    console.log('Approved by:', req.auth.employeeId);
+    console.log('==================================');
+    
+    if (note !== undefined && note !== null && typeof note !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: 'note must be a string'
+      });
+    }
+    
+    const correction = await correctionDb.getById(req.params.id);
+    if (correction && !await canReviewEmployee(req.employee, correction.employee_id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only review correction requests of your reports'
+      });
+    }
+    
+    const result = await approveCorrection(req.params.id, req.auth.employeeId, note || null);
+    if (result.status) {
+      const { status, ...body } = result;
+      return res.status(status).json({
+        success: false,
+        ...body
+      });
+    }
+    
+    await recordAudit(req, {
+      entityType: 'attendance',
+      entityId: result.attendance.id,
+      action: result.original ? 'update' : 'create',
+      before: result.original,
+      after: result.attendance
+    });
+    
+    console.log('Correction applied:', {
+      correction_id: result.correction.id,
+      attendance_id: result.attendance.id,
+      total_hours: result.attendance.total_hours
+    });
+    
+    res.json({
+      success: true,
+      message: 'Correction approved and applied',
+      data: result.correction
+    });
+    
+  } catch (error) {
+    // The one-open-session index caught a session opened while the correction was applied
+    if (error.code === '23505') {
+      return res.status(409).json({
+        success: false,
+        message: 'The corrected session conflicts with another open session'
+      });
+    }
+    console.error('Approve correction request error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while approving correction request'
+    });
+  }
+});
+
+// Admin or manager - reject a correction request
+app.post(['/api/admin/attendance/corrections/:id/reject', '/api/team/attendance/corrections/:id/reject'], async (req, res) => {
+  try {
+    const { note } = req.body || {};
+    
+    if (note !== undefined && note !== null && typeof note !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: 'note must be a string'
+      });
+    }
+    
+    const correction = await correctionDb.getById(req.params.id);
+    if (correction && !await canReviewEmployee(req.employee, correction.employee_id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only review correction requests of your reports'
+      });
+    }
+    
+    const rejected = await correctionDb.reject(req.params.id, req.auth.employeeId, note || null);
+    if (!rejected) {
+      return res.status(404).json({
+        success: false,
+        message: 'Pending correction request not found'
+      });
+    }
+    
+    res.json({
+      success: true,
+      message: 'Correction request rejected',
+      data: rejected
+    });
+    
+  } catch (error) {
+    console.error('Reject correction request error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while rejecting correction request'
+    });
+  }
+});
+
+// Admin - query the audit trail, newest first
+app.get('/api/admin/audit-log', async (req, res) => {
+  try {
+    const { entity_type, entity_id, actor_id, action, from, to, page = 1, limit = 50 } = req.query;
+    
+    if (entity_type !== undefined && !AUDIT_ENTITY_TYPES.includes(entity_type)) {
+      return res.status(400).json({
+        success: false,
+        message: `entity_type must be one of: ${AUDIT_ENTITY_TYPES.join(', ')}`
+      });
+    }
+    
+    if (action !== undefined && !AUDIT_ACTIONS.includes(action)) {
+      return res.status(400).json({
+        success: false,
+        message: `action must be one of: ${AUDIT_ACTIONS.join(', ')}`
+      });
+    }
+    
+    if ((entity_id !== undefined && isNaN(parseInt(entity_id))) || (actor_id !== undefined && isNaN(parseInt(actor_id)))) {
+      return res.status(400).json({
+        success: false,
+        message: 'entity_id and actor_id must be numbers'
+      });
+    }
+    
+    const fromTime = from ? new Date(from) : null;
+    const toTime = to ? new Date(to) : null;
+    if ((fromTime && isNaN(fromTime.getTime())) || (toTime && isNaN(toTime.getTime()))) {
+      return res.status(400).json({
+        success: false,
+        message: 'from and to must be ISO 8601 timestamps'
+      });
+    }
+    
+    const pageNum = parseInt(page);
+    const pageSize = parseInt(limit);
+    if (isNaN(pageNum) || pageNum < 1 || isNaN(pageSize) || pageSize < 1 || pageSize > 200) {
+      return res.status(400).json({
+        success: false,
+        message: 'Page must be 1 or more and limit must be between 1 and 200'
+      });
+    }
+    
+    const { total, rows } = await auditDb.list({
+      entityType: entity_type || null,
+      entityId: entity_id !== undefined ? parseInt(entity_id) : null,
+      actorId: actor_id !== undefined ? parseInt(actor_id) : null,
+      action: action || null,
+      from: fromTime,
+      to: toTime,
+      limit: pageSize,
+      offset: (pageNum - 1) * pageSize
+    });
+    
+    res.json({
+      success: true,
+      count: rows.length,
+      pagination: {
+        page: pageNum,
+        limit: pageSize,
+        total: total,
+        total_pages: Math.ceil(total / pageSize)
+      },
+      data: rows
+    });
+    
+  } catch (error) {
+    console.error('Audit log query error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while querying audit log'
+    });
+  }
+});
+
+// Get current status - shows if user is checked in and daily summary
+app.get('/api/attendance/status/:employee_id', async (req, res) => {
+  try {
+    const { employee_id } = req.params;
+    
+    if (!employee_id) {
+      return res.status(400).json({
+        success: false,
+        message: 'Employee ID is required'
+      });
+    }
+    
+    // Check if employee exists
+    const employee = await employeeDb.getById(employee_id);
+    if (!employee) {
+      return res.status(404).json({
+        success: false,
+        message: 'Employee not found'
+      });
+    }
+    
+    // "Today" is counted in the employee's timezone
+    const timezone = await resolveTimezone(employee);
+    
+    // Get current session (may have started on an earlier day)
+    const currentSession = await attendanceDb.isCurrentlyCheckedIn(employee_id);
+    
     // Get today's records
-    const todayRecords = await attendanceDb.getTodayAttendanceRecords(employee_id);
+    const todayRecords = await attendanceDb.getTodayAttendanceRecords(employee_id, timezone);
+    
+    // Get daily summary
+    const dailySummary = await attendanceDb.getDailySummary(employee_id, timezone);
+    
+    // Auto-closed sessions from any day that still need a manager's confirmation
+    const unconfirmedSessions = await attendanceDb.getUnconfirmedAutoClosed(employee_id);
+    
+    // Today's scheduled shift and how the sessions so far compare to it
+    const today = localDateString(timezone);
+    const [todaySchedule] = await classifyDays(employee, timezone, today, today);
+    
+    const response = {
+      success: true,
+      employee_id: employee_id,
+      employee_name: employee.name,
+      timezone: timezone,
+      is_checked_in: !!currentSession,
+      current_session: currentSession ? {
+        id: currentSession.id,
+        check_in_time: currentSession.check_in_time,
+        attendance_date: localDateString(currentSession.timezone || timezone, new Date(currentSession.check_in_time)),
+        location: {
+          latitude: parseFloat(currentSession.check_in_latitude),
+          longitude: parseFloat(currentSession.check_in_longitude)
+        },
+        location_verified: currentSession.location_verified
+      } : null,
+      today_sessions: todayRecords.map(record => ({
+        id: record.id,
+        check_in_time: record.check_in_time,
+        check_out_time: record.check_out_time,
+        duration: record.total_hours ? parseFloat(record.total_hours) : null,
+        status: record.auto_closed ? 'auto_closed' : (record.check_out_time ? 'completed' : 'ongoing'),
+        auto_close_reason: record.auto_close_reason || null,
+        confirmed: record.auto_closed ? !!record.confirmed_at : null,
+        corrected: !!record.correction_id
+      })),
+      daily_summary: dailySummary || {
+        attendance_date: localDateString(timezone),
+        total_sessions: 0,
+        completed_sessions: 0,
+        ongoing_sessions: 0,
+        auto_closed_sessions: 0,
+        total_hours_worked: 0,
+        unconfirmed_hours: 0,
+        first_check_in: null,
+        last_check_out: null
+      },
+      today_schedule: todaySchedule,
+      unconfirmed_auto_closed_sessions: unconfirmedSessions.map(formatAutoClosedSession)
+    };
+    
+    res.json(response);
+    
+  } catch (error) {
+    console.error('Status error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while fetching status'
+    });
+  }
+});
+
+// Get last N days attendance summary
+app.get('/api/attendance/summary/:employee_id', async (req, res) => {
+  try {
+    const { employee_id } = req.params;
+    const { days = 7 } = req.query; // Default to 7 days if not specified
+    
+    // Log request for debugging
+    console.log('=== ATTENDANCE SUMMARY REQUEST ===');
+    console.log('Employee ID:', employee_id);
+    console.log('Days requested:', days);
+    console.log('==================================');
+    
+    if (!employee_id) {
+      return res.status(400).json({
+        success: false,
+        message: 'Employee ID is required'
+      });
+    }
+    
+    // Validate days parameter
+    const numDays = parseInt(days);
+    if (isNaN(numDays) || numDays < 1 || numDays > 365) {
+      return res.status(400).json({
+        success: false,
+        message: 'Days parameter must be a number between 1 and 365'
+      });
+    }
+    
+    // Check if employee exists
+    const employee = await employeeDb.getById(employee_id);
+    if (!employee) {
+      return res.status(404).json({
+        success: false,
+        message: 'Employee not found'
+      });
+    }
+    
+    // Get last N days summary, with days counted in the employee's timezone
+    const timezone = await resolveTimezone(employee);
+    const summaryData = await attendanceDb.getLastNDaysSummary(employee_id, numDays, timezone);
+    const unconfirmedSessions = await attendanceDb.getUnconfirmedAutoClosed(employee_id);
+    
+    // Every day in the range against the schedule, newest first like data - days
+    // without sessions show up here as absent or unscheduled
+    const today = localDateString(timezone);
+    const scheduleDays = (await classifyDays(employee, timezone, addDays(today, -(numDays - 1)), today)).reverse();
+    const statusByDate = new Map(scheduleDays.map(day => [day.date, day.status]));
+    
+    const response = {
+      success: true,
+      timezone: timezone,
+      data: summaryData.map(row => ({ ...row, attendance_status: statusByDate.get(toDateKey(row.date)) || null })),
+      days: scheduleDays,
+      status_counts: countStatuses(scheduleDays),
+      unconfirmed_auto_closed_sessions: unconfirmedSessions.map(formatAutoClosedSession)
+    };
+    
+    console.log('Summary generated:', {
+      employee_id: employee_id,
+      days_requested: numDays,
+      records_found: summaryData.length
+    });
+    
+    res.json(response);
+    
+  } catch (error) {
+    console.error('Attendance summary error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while fetching attendance summary',
+      error: error.message
+    });
+  }
+});
+
+// Sessions of one employee for a date range (default: the last 7 days)
+app.get('/api/attendance/sessions/:employee_id', async (req, res) => {
+  try {
+    const employee = await employeeDb.getPublicById(req.params.employee_id);
+    if (!employee) {
+      return res.status(404).json({
+        success: false,
+        message: 'Employee not found'
+      });
+    }
+    
+    const timezone = await resolveTimezone(employee);
+    const today = localDateString(timezone);
+    const { from = addDays(today, -6), to = today } = req.query;
+    
+    if (!DATE_PATTERN.test(from) || !DATE_PATTERN.test(to) || isNaN(new Date(from).getTime()) || isNaN(new Date(to).getTime())) {
+      return res.status(400).json({
+        success: false,
+        message: 'from and to must be dates in YYYY-MM-DD format'
+      });
+    }
+    
+    const rangeDays = (new Date(to) - new Date(from)) / (24 * 60 * 60 * 1000) + 1;
+    if (rangeDays < 1 || rangeDays > SCHEDULE_MAX_RANGE_DAYS) {
+      return res.status(400).json({
+        success: false,
+        message: `to must not be before from, and the range can cover at most ${SCHEDULE_MAX_RANGE_DAYS} days`
+      });
+    }
+    
+    const sessions = await attendanceDb.getForDateRange(employee.id, from, to);
+    
+    res.json({
+      success: true,
+      employee_id: employee.id,
+      employee_name: employee.name,
+      timezone: timezone,
+      count: sessions.length,
+      data: sessions.map(session => ({
+        ...session,
+        attendance_date: toDateKey(session.attendance_date),
+        status: session.auto_closed ? 'auto_closed' : (session.check_out_time ? 'completed' : 'ongoing')
+      }))
+    });
+    
+  } catch (error) {
+    console.error('Attendance sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while fetching sessions'
+    });
+  }
+});
+
+// Manager - everyone below the caller in the reporting hierarchy
+app.get('/api/team', async (req, res) => {
+  try {
+    const reports = await employeeDb.getReports(req.auth.employeeId);
+    
+    res.json({
+      success: true,
+      count: reports.length,
+      data: reports
+    });
+    
+  } catch (error) {
+    console.error('Team list error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while listing team'
+    });
+  }
+});
+
+// Manager - live feed of who is on site: a snapshot of everyone checked in, then
+// check_in / check_out events as they are recorded (Server-Sent Events). Managers only
+// see their own reports; manager_id narrows the feed to one manager's team.
+app.get('/api/team/live', async (req, res) => {
+  try {
+    const { location_code, state, manager_id } = req.query;
+    
+    if (manager_id !== undefined && !/^\d+$/.test(manager_id)) {
+      return res.status(400).json({
+        success: false,
+        message: 'manager_id must be a number'
+      });
+    }
+    
+    let teamLeadId = manager_id !== undefined ? parseInt(manager_id) : null;
+    if (req.employee.role === 'manager') {
+      if (teamLeadId && teamLeadId !== req.auth.employeeId && !await employeeDb.isInReportingLine(req.auth.employeeId, teamLeadId)) {
+        return res.status(403).json({
+          success: false,
+          message: 'manager_id must be you or one of your reports'
+        });
+      }
+      teamLeadId = teamLeadId || req.auth.employeeId;
+    }
+    
+    // The team is resolved once per connection; reconnect to pick up hierarchy changes
+    const employeeIds = teamLeadId
+      ? new Set([teamLeadId, ...(await employeeDb.getReports(teamLeadId)).map(report => report.id)])
+      : null;
+    
+    console.log('Live feed opened:', {
+      employee_id: req.auth.employeeId,
+      location_code: location_code || null,
+      state: state || null,
+      manager_id: teamLeadId
+    });
+    
+    await streamLiveFeed(req, res, {
+      locationCode: location_code || null,
+      state: state || null,
+      employeeIds: employeeIds
+    });
+    
+  } catch (error) {
+    console.error('Live feed error:', error);
+    if (res.headersSent) {
+      return res.end();
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while opening live feed'
+    });
+  }
+});
+
+// Attendance export for HR - one row per session, or one row per employee per day
+// (view=daily), as CSV or XLSX. The file is streamed while rows are read.
+app.get('/api/reports/attendance', async (req, res) => {
+  try {
+    const { from, to, employee_id, location_code, state, format = 'csv', view = 'sessions' } = req.query;
+    
+    console.log('=== ATTENDANCE REPORT REQUEST ===');
+    console.log('Query:', JSON.stringify(req.query));
+    console.log('Requested by:', req.auth.employeeId);
+    console.log('=================================');
+    
+    if (!REPORT_FORMATS.includes(format)) {
+      return res.status(400).json({
+        success: false,
+        message: `format must be one of: ${REPORT_FORMATS.join(', ')}`
+      });
+    }
+    
+    if (!REPORT_VIEWS.includes(view)) {
+      return res.status(400).json({
+        success: false,
+        message: `view must be one of: ${REPORT_VIEWS.join(', ')}`
+      });
+    }
+    
+    if (!from || !to || !DATE_PATTERN.test(from) || !DATE_PATTERN.test(to) ||
+        isNaN(new Date(from).getTime()) || isNaN(new Date(to).getTime())) {
+      return res.status(400).json({
+        success: false,
+        message: 'from and to are required dates in YYYY-MM-DD format'
+      });
+    }
+    
+    const rangeDays = (new Date(to) - new Date(from)) / (24 * 60 * 60 * 1000) + 1;
+    if (rangeDays < 1 || rangeDays > reportConfig.maxRangeDays) {
+      return res.status(400).json({
+        success: false,
+        message: `to must not be before from, and the range can cover at most ${reportConfig.maxRangeDays} days`
+      });
+    }
+    
+    if (employee_id !== undefined && isNaN(parseInt(employee_id))) {
+      return res.status(400).json({
+        success: false,
+        message: 'employee_id must be a number'
+      });
+    }
+    
+    await streamAttendanceReport(res, {
+      format: format,
+      view: view,
+      filters: {
+        from: from,
+        to: to,
+        employeeId: employee_id !== undefined ? parseInt(employee_id) : null,
+        locationCode: location_code || null,
+        state: state || null
+      }
+    });
+    
+  } catch (error) {
+    console.error('Attendance report error:', error);
+    // Part of the file was already sent - abort so it cannot pass for a complete export
+    if (res.headersSent) {
+      return res.destroy(error);
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while generating attendance report'
+    });
+  }
+});
+
+// Resolve the ?date= of a timesheet request (default: today in the employee's timezone);
+// returns { error } or { date, today }
+async function parseTimesheetDate(employee, date) {
+  const today = localDateString(await resolveTimezone(employee));
+  if (date === undefined) {
+    return { date: today, today: today };
+  }
+  if (!DATE_PATTERN.test(date) || isNaN(new Date(date).getTime())) {
+    return { error: 'date must be in YYYY-MM-DD format' };
+  }
+  return { date: date, today: today };
+}
+
+// Timesheet for the pay period containing date. Locked periods return the timesheet
+// exactly as it was approved; open ones are computed from the current sessions.
+async function loadTimesheet(employee, date) {
+  const period = getPayPeriod(date);
+  const locked = await timesheetDb.getLocked(employee.id, period.start);
+  if (locked) {
+    return {
+      ...locked.timesheet,
+      status: 'locked',
+      lock: {
+        id: locked.id,
+        locked_by: locked.locked_by,
+        locked_by_name: locked.locked_by_name,
+        locked_at: locked.locked_at,
+        note: locked.lock_note
+      }
+    };
+  }
+  return { ...await computeTimesheet(employee, date), status: 'open', lock: null };
+}
+
+// A timesheet_periods row as audited - the frozen timesheet snapshot is left out
+function timesheetAuditRecord(row) {
+  const record = { ...row };
+  delete record.timesheet;
+  return record;
+}
+
+// Load the employee named in an admin timesheet route; sends 404 and returns null if missing
+async function getTimesheetEmployee(req, res) {
+  const employee = await employeeDb.getPublicById(req.params.employee_id);
+  if (!employee) {
+    res.status(404).json({
+      success: false,
+      message: 'Employee not found'
+    });
+    return null;
+  }
+  return employee;
+}
+
+// The caller's own timesheet
+app.get('/api/attendance/timesheet', async (req, res) => {
+  try {
+    const parsed = await parseTimesheetDate(req.employee, req.query.date);
+    if (parsed.error) {
+      return res.status(400).json({
+        success: false,
+        message: parsed.error
+      });
+    }
+    
+    res.json({
+      success: true,
+      data: await loadTimesheet(req.employee, parsed.date)
+    });
+    
+  } catch (error) {
+    console.error('Timesheet error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while computing timesheet'
+    });
+  }
+});
+
+// Admin - an employee's timesheet for the pay period containing ?date=
+app.get('/api/admin/timesheets/:employee_id', async (req, res) => {
+  try {
+    const employee = await getTimesheetEmployee(req, res);
+    if (!employee) {
+      return;
+    }
+    
+    const parsed = await parseTimesheetDate(employee, req.query.date);
+    if (parsed.error) {
+      return res.status(400).json({
+        success: false,
+        message: parsed.error
+      });
+    }
+    
+    res.json({
+      success: true,
+      data: await loadTimesheet(employee, parsed.date)
+    });
+    
+  } catch (error) {
+    console.error('Admin timesheet error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while computing timesheet'
+    });
+  }
+});
+
+// Admin - approve and lock a finished pay period. The computed timesheet is stored and
+// the employee's attendance in the period can no longer be changed.
+app.post('/api/admin/timesheets/:employee_id/lock', async (req, res) => {
+  try {
+    const { date, note } = req.body || {};
+    
+    console.log('=== LOCK TIMESHEET REQUEST ===');
+    console.log('Employee ID:', req.params.employee_id);
+    console.log('Date:', date);
+    console.log('Locked by:', req.auth.employeeId);
+    console.log('==============================');
+    
+    const employee = await getTimesheetEmployee(req, res);
+    if (!employee) {
+      return;
+    }
+    
+    if (note !== undefined && note !== null && typeof note !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: 'note must be a string'
+      });
+    }
+    
+    const parsed = await parseTimesheetDate(employee, date);
+    if (parsed.error) {
+      return res.status(400).json({
+        success: false,
+        message: parsed.error
+      });
+    }
+    
+    const period = getPayPeriod(parsed.date);
+    if (period.end >= parsed.today) {
+      return res.status(400).json({
+        success: false,
+        message: `The pay period ${period.start} to ${period.end} has not ended yet`
+      });
+    }
+    
+    if (await timesheetDb.getLocked(employee.id, period.start)) {
+      return res.status(409).json({
+        success: false,
+        message: `The timesheet for ${period.start} to ${period.end} is already locked`
+      });
+    }
+    
+    const timesheet = await computeTimesheet(employee, parsed.date);
+    if (timesheet.open_sessions.length > 0) {
+      return res.status(409).json({
+        success: false,
+        message: 'Sessions in this period are still open. Close them before locking.',
+        data: { open_sessions: timesheet.open_sessions }
+      });
+    }
+    
+    const pendingCorrections = await correctionDb.countPendingForRange(employee.id, period.start, period.end);
+    if (pendingCorrections > 0) {
+      return res.status(409).json({
+        success: false,
+        message: `${pendingCorrections} correction request(s) for this period are still pending. Approve or reject them before locking.`
+      });
+    }
+    
+    let locked;
+    try {
+      locked = await timesheetDb.lock({
+        employeeId: employee.id,
+        periodStart: period.start,
+        periodEnd: period.end,
+        timesheet: timesheet,
+        lockedBy: req.auth.employeeId,
+        note: note || null
+      });
+    } catch (error) {
+      // Unique violation - a concurrent request locked it first
+      if (error.code === '23505') {
+        return res.status(409).json({
+          success: false,
+          message: `The timesheet for ${period.start} to ${period.end} is already locked`
+        });
+      }
+      throw error;
+    }
+    
+    await recordAudit(req, { entityType: 'timesheet', entityId: locked.id, action: 'create', after: { ...timesheetAuditRecord(locked), ...timesheet.totals } });
+    
+    console.log('Timesheet locked:', {
+      timesheet_period_id: locked.id,
+      employee_id: employee.id,
+      period_start: period.start,
+      period_end: period.end,
+      paid_hours: timesheet.totals.paid_hours
+    });
+    
+    res.status(201).json({
+      success: true,
+      message: 'Timesheet approved and locked',
+      data: await loadTimesheet(employee, parsed.date)
+    });
+    
+  } catch (error) {
+    console.error('Lock timesheet error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while locking timesheet'
+    });
+  }
+});
+
+// Admin - reopen a locked pay period so its attendance can be edited again
+app.post('/api/admin/timesheets/:employee_id/unlock', async (req, res) => {
+  try {
+    const { date, reason } = req.body || {};
+    
+    console.log('=== UNLOCK TIMESHEET REQUEST ===');
+    console.log('Employee ID:', req.params.employee_id);
+    console.log('Date:', date);
+    console.log('Unlocked by:', req.auth.employeeId);
+    console.log('================================');
+    
+    const employee = await getTimesheetEmployee(req, res);
+    if (!employee) {
+      return;
+    }
+    
+    if (!reason || typeof reason !== 'string' || !reason.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: 'A reason is required to unlock a timesheet'
+      });
+    }
+    
+    const parsed = await parseTimesheetDate(employee, date);
+    if (parsed.error) {
+      return res.status(400).json({
+        success: false,
+        message: parsed.error
+      });
+    }
+    
+    const period = getPayPeriod(parsed.date);
+    const locked = await timesheetDb.getLocked(employee.id, period.start);
+    const unlocked = locked && await timesheetDb.unlock(locked.id, req.auth.employeeId, reason.trim());
+    if (!unlocked) {
+      return res.status(404).json({
+        success: false,
+        message: `The timesheet for ${period.start} to ${period.end} is not locked`
+      });
+    }
+    
+    await recordAudit(req, { entityType: 'timesheet', entityId: unlocked.id, action: 'update', before: timesheetAuditRecord(locked), after: timesheetAuditRecord(unlocked) });
+    
+    res.json({
+      success: true,
+      message: 'Timesheet unlocked',
+      data: {
+        id: unlocked.id,
+        employee_id: unlocked.employee_id,
+        period_start: toDateKey(unlocked.period_start),
+        period_end: toDateKey(unlocked.period_end),
+        status: unlocked.status,
+        unlocked_by: unlocked.unlocked_by,
+        unlocked_at: unlocked.unlocked_at,
+        unlock_reason: unlocked.unlock_reason
+      }
+    });
+    
+  } catch (error) {
+    console.error('Unlock timesheet error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while unlocking timesheet'
+    });
+  }
+});
+
+// Holiday calendars and leave
+const LEAVE_MAX_RANGE_DAYS = 60;
+
+// Validate a holiday payload; returns { error } or { fields }. existing is the holiday
+// being updated - its values fill in whatever the body leaves out.
+async function validateHolidayInput(body, existing = null) {
+  const { state, date, name } = body;
+  const fields = {
+    state: state !== undefined ? state : (existing ? existing.state : null),
+    holidayDate: date !== undefined ? date : (existing ? toDateKey(existing.holiday_date) : undefined),
+    name: name !== undefined ? name : (existing ? existing.name : undefined)
+  };
+  
+  if (fields.state !== null && (typeof fields.state !== 'string' || !fields.state.trim() || fields.state.length > 100)) {
+    return { error: 'state must be a state name of at most 100 characters, or null for every state' };
+  }
+  if (typeof fields.holidayDate !== 'string' || !DATE_PATTERN.test(fields.holidayDate) || isNaN(new Date(fields.holidayDate).getTime())) {
+    return { error: 'date is required in YYYY-MM-DD format' };
+  }
+  if (!fields.name || typeof fields.name !== 'string' || !fields.name.trim() || fields.name.length > 100) {
+    return { error: 'Name is required and must be at most 100 characters' };
+  }
+  fields.state = fields.state ? fields.state.trim() : null;
+  fields.name = fields.name.trim();
+  
+  const duplicate = await holidayDb.findDuplicate(fields.state, fields.holidayDate, existing ? existing.id : null);
+  if (duplicate) {
+    return { error: `${duplicate.name} is already on the calendar for ${fields.holidayDate}`, status: 409 };
+  }
+  
+  return { fields };
+}
+
+// ?year= of calendar and balance routes (default: the current year); returns { error } or { year }
+function parseYear(value) {
+  if (value === undefined) {
+    return { year: new Date().getUTCFullYear() };
+  }
+  const year = parseInt(value);
+  if (isNaN(year) || year < 2000 || year > 2100) {
+    return { error: 'year must be between 2000 and 2100' };
+  }
+  return { year: year };
+}
+
+// Validate leave type create/update payloads; returns { error } or { fields } keyed by column name
+function validateLeaveTypeInput(body, isUpdate = false) {
+  const { code, name, annual_allowance_days, is_paid, is_active } = body;
+  const fields = {};
+  
+  if (code !== undefined || !isUpdate) {
+    if (!code || !/^[A-Za-z0-9_-]{1,20}$/.test(code)) {
+      return { error: 'Code is required and must be up to 20 letters, digits, "-" or "_"' };
+    }
+    fields.code = code;
+  }
+  
+  if (name !== undefined || !isUpdate) {
+    if (!name || !name.toString().trim() || name.toString().trim().length > 100) {
+      return { error: 'Name is required and must be at most 100 characters' };
+    }
+    fields.name = name.toString().trim();
+  }
+  
+  // null means the type has no yearly limit
+  if (annual_allowance_days !== undefined) {
+    const allowance = annual_allowance_days === null ? null : parseFloat(annual_allowance_days);
+    if (allowance !== null && (isNaN(allowance) || allowance < 0 || allowance > 366)) {
+      return { error: 'annual_allowance_days must be a number of days between 0 and 366, or null for no limit' };
+    }
+    fields.annual_allowance_days = allowance;
+  }
+  
+  for (const [field, value] of [['is_paid', is_paid], ['is_active', is_active]]) {
+    if (value !== undefined) {
+      if (typeof value !== 'boolean') {
+        return { error: `${field} must be true or false` };
+      }
+      fields[field] = value;
+    }
+  }
+  
+  return { fields };
+}
+
+// Parse page/limit/status query parameters shared by the leave request lists
+function parseLeaveListQuery(query) {
+  const { status, page = 1, limit = 20 } = query;
+  
+  if (status !== undefined && !LEAVE_STATUSES.includes(status)) {
+    return { error: `status must be one of: ${LEAVE_STATUSES.join(', ')}` };
+  }
+  
+  const pageNum = parseInt(page);
+  const pageSize = parseInt(limit);
+  if (isNaN(pageNum) || pageNum < 1 || isNaN(pageSize) || pageSize < 1 || pageSize > 100) {
+    return { error: 'Page must be 1 or more and limit must be between 1 and 100' };
+  }
+  
+  return { status: status || null, pageNum: pageNum, pageSize: pageSize };
+}
+
+// Approve a pending leave request if the balance still covers it. Returns the approved
+// request, or { status, message } when it cannot be approved.
+async function approveLeaveRequest(requestId, reviewerId, note) {
+  return withTransaction(async client => {
+    const request = await leaveDb.lockRequestById(client, requestId);
+    if (!request) {
+      return { status: 404, message: 'Leave request not found' };
+    }
+    if (request.status !== 'pending') {
+      return { status: 409, message: `Leave request is already ${request.status}` };
+    }
+    
+    // Pending days include this request, so only approved days count against it here
+    const year = parseInt(toDateKey(request.start_date).slice(0, 4));
+    const [balance] = await getLeaveBalances(request.employee_id, year, request.leave_type_id);
+    const days = parseFloat(request.days);
+    if (balance && balance.allowance_days !== null && balance.used_days + days > balance.allowance_days) {
+      return {
+        status: 409,
+        message: `Approving ${days} day(s) would exceed the ${balance.leave_type_name} allowance of ${balance.allowance_days} day(s) for ${year}`
+      };
+    }
+    
+    return { request: await leaveDb.markApproved(client, request.id, reviewerId, note), original: request };
+  });
+}
+
+// The caller's holiday calendar for a year
+app.get('/api/holidays', async (req, res) => {
+  try {
+    const { error, year } = parseYear(req.query.year);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+    
+    const state = await getEmployeeState(req.employee);
+    const holidays = await getHolidayCalendar(req.employee, `${year}-01-01`, `${year}-12-31`);
+    
+    res.json({
+      success: true,
+      state: state,
+      year: year,
+      data: [...holidays.values()]
+    });
+    
+  } catch (error) {
+    console.error('Holiday calendar error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while fetching holidays'
+    });
+  }
+});
+
+// The caller's days for a month, classified against schedule, holidays and leave
+app.get('/api/attendance/calendar', async (req, res) => {
+  try {
+    const timezone = await resolveTimezone(req.employee);
+    const { month = localDateString(timezone).slice(0, 7) } = req.query;
+    
+    if (!/^\d{4}-(0[1-9]|1[0-2])$/.test(month)) {
+      return res.status(400).json({
+        success: false,
+        message: 'month must be in YYYY-MM format'
+      });
+    }
+    
+    const from = `${month}-01`;
+    const to = new Date(Date.UTC(parseInt(month.slice(0, 4)), parseInt(month.slice(5)), 0)).toISOString().slice(0, 10);
+    const days = await classifyDays(req.employee, timezone, from, to);
+    
+    res.json({
+      success: true,
+      timezone: timezone,
+      month: month,
+      status_counts: countStatuses(days),
+      data: days
+    });
+    
+  } catch (error) {
+    console.error('Attendance calendar error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while fetching calendar'
+    });
+  }
+});
+
+// The caller's leave balances for a year
+app.get('/api/leave/balances', async (req, res) => {
+  try {
+    const { error, year } = parseYear(req.query.year);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+    
+    res.json({
+      success: true,
+      data: await getLeaveBalances(req.auth.employeeId, year)
+    });
+    
+  } catch (error) {
+    console.error('Leave balances error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while fetching leave balances'
+    });
+  }
+});
+
+// Request leave for a date range. The working days in it are counted and checked
+// against the balance; the request then waits for approval.
+app.post('/api/leave/requests', async (req, res) => {
+  try {
+    const { leave_type_id, start_date, end_date, reason } = req.body || {};
+    
+    console.log('=== LEAVE REQUEST ===');
+    console.log('Employee ID:', req.auth.employeeId);
+    console.log('Request body:', JSON.stringify(req.body, null, 2));
+    console.log('=====================');
+    
+    const leaveType = isNaN(parseInt(leave_type_id)) ? null : await leaveDb.getTypeById(parseInt(leave_type_id));
+    if (!leaveType || !leaveType.is_active) {
+      return res.status(400).json({
+        success: false,
+        message: 'leave_type_id must be an active leave type'
+      });
+    }
+    
+    if (!DATE_PATTERN.test(start_date || '') || !DATE_PATTERN.test(end_date || '') ||
+        isNaN(new Date(start_date).getTime()) || isNaN(new Date(end_date).getTime())) {
+      return res.status(400).json({
+        success: false,
+        message: 'start_date and end_date are required dates in YYYY-MM-DD format'
+      });
+    }
+    
+    const rangeDays = (new Date(end_date) - new Date(start_date)) / (24 * 60 * 60 * 1000) + 1;
+    if (rangeDays < 1 || rangeDays > LEAVE_MAX_RANGE_DAYS || start_date.slice(0, 4) !== end_date.slice(0, 4)) {
+      return res.status(400).json({
+        success: false,
+        message: `end_date must not be before start_date, in the same year, and at most ${LEAVE_MAX_RANGE_DAYS} days later`
+      });
+    }
+    
+    if (reason !== undefined && reason !== null && (typeof reason !== 'string' || reason.length > 1000)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Reason must be at most 1000 characters'
+      });
+    }
+    
+    const overlapping = await leaveDb.getActiveForRange(req.auth.employeeId, start_date, end_date);
+    if (overlapping.length > 0) {
+      return res.status(409).json({
+        success: false,
+        message: 'The dates overlap another pending or approved leave request',
+        data: { overlapping_requests: overlapping.map(request => request.id) }
+      });
+    }
+    
+    const days = await countLeaveDays(req.employee, start_date, end_date);
+    if (days === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'The dates contain no working days'
+      });
+    }
+    
+    const [balance] = await getLeaveBalances(req.auth.employeeId, parseInt(start_date.slice(0, 4)), leaveType.id);
+    if (balance.available_days !== null && days > balance.available_days) {
+      return res.status(400).json({
+        success: false,
+        message: `Not enough ${leaveType.name} left: ${days} day(s) requested, ${balance.available_days} available`,
+        data: balance
+      });
+    }
+    
+    const request = await leaveDb.createRequest({
+      employeeId: req.auth.employeeId,
+      leaveTypeId: leaveType.id,
+      startDate: start_date,
+      endDate: end_date,
+      days: days,
+      reason: reason ? reason.trim() : null
+    });
+    await recordAudit(req, { entityType: 'leave_request', entityId: request.id, action: 'create', after: request });
+    
+    console.log('Leave request created:', {
+      leave_request_id: request.id,
+      employee_id: request.employee_id,
+      days: days
+    });
+    
+    res.status(201).json({
+      success: true,
+      message: 'Leave request submitted for approval',
+      data: request
+    });
+    
+  } catch (error) {
+    console.error('Leave request error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while submitting leave request'
+    });
+  }
+});
+
+// The caller's own leave requests
+app.get('/api/leave/requests', async (req, res) => {
+  try {
+    const query = parseLeaveListQuery(req.query);
+    if (query.error) {
+      return res.status(400).json({
+        success: false,
+        message: query.error
+      });
+    }
+    
+    const { total, rows } = await leaveDb.listRequests({
+      employeeId: req.auth.employeeId,
+      status: query.status,
+      limit: query.pageSize,
+      offset: (query.pageNum - 1) * query.pageSize
+    });
+    
+    res.json({
+      success: true,
+      count: rows.length,
+      pagination: {
+        page: query.pageNum,
+        limit: query.pageSize,
+        total: total,
+        total_pages: Math.ceil(total / query.pageSize)
+      },
+      data: rows
+    });
+    
+  } catch (error) {
+    console.error('List leave requests error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while listing leave requests'
+    });
+  }
+});
+
+// Withdraw one of the caller's pending leave requests
+app.post('/api/leave/requests/:id/cancel', async (req, res) => {
+  try {
+    const existing = await leaveDb.getRequestById(req.params.id);
+    const request = existing ? await leaveDb.cancel(existing.id, req.auth.employeeId) : null;
+    if (!request) {
+      return res.status(404).json({
+        success: false,
+        message: 'No pending leave request found with this ID'
+      });
+    }
+    await recordAudit(req, { entityType: 'leave_request', entityId: request.id, action: 'update', before: existing, after: request });
+    
+    res.json({
+      success: true,
+      message: 'Leave request cancelled',
+      data: request
+    });
+    
+  } catch (error) {
+    console.error('Cancel leave request error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while cancelling leave request'
+    });
+  }
+});
+
+// Admin - holidays for a year, optionally only those that apply in one state
+app.get('/api/admin/holidays', async (req, res) => {
+  try {
+    const { error, year } = parseYear(req.query.year);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+    
+    const holidays = await holidayDb.list({ state: req.query.state || null, from: `${year}-01-01`, to: `${year}-12-31` });
+    
+    res.json({
+      success: true,
+      count: holidays.length,
+      data: holidays
+    });
+    
+  } catch (error) {
+    console.error('List holidays error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while listing holidays'
+    });
+  }
+});
+
+// Admin - add a holiday for one state, or for every state (state: null)
+app.post('/api/admin/holidays', async (req, res) => {
+  try {
+    const { error, status, fields } = await validateHolidayInput(req.body || {});
+    if (error) {
+      return res.status(status || 400).json({
+        success: false,
+        message: error
+      });
+    }
+    
+    const holiday = await holidayDb.create({ ...fields, createdBy: req.auth.employeeId });
+    await recordAudit(req, { entityType: 'holiday', entityId: holiday.id, action: 'create', after: holiday });
+    
+    res.status(201).json({
+      success: true,
+      message: 'Holiday created successfully',
+      data: holiday
+    });
+    
+  } catch (error) {
+    console.error('Create holiday error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while creating holiday'
+    });
+  }
+});
+
+// Admin - change a holiday's state, date or name
+app.put('/api/admin/holidays/:id', async (req, res) => {
+  try {
+    const existing = await holidayDb.getById(req.params.id);
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        message: 'Holiday not found'
+      });
+    }
+    
+    const { error, status, fields } = await validateHolidayInput(req.body || {}, existing);
+    if (error) {
+      return res.status(status || 400).json({
+        success: false,
+        message: error
+      });
+    }
+    
+    const holiday = await holidayDb.update(existing.id, fields);
+    await recordAudit(req, { entityType: 'holiday', entityId: holiday.id, action: 'update', before: existing, after: holiday });
+    
+    res.json({
+      success: true,
+      message: 'Holiday updated successfully',
+      data: holiday
+    });
+    
+  } catch (error) {
+    console.error('Update holiday error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while updating holiday'
+    });
+  }
+});
+
+// Admin - remove a holiday from the calendar
+app.delete('/api/admin/holidays/:id', async (req, res) => {
+  try {
+    const holiday = await holidayDb.delete(req.params.id);
+    if (!holiday) {
+      return res.status(404).json({
+        success: false,
+        message: 'Holiday not found'
+      });
+    }
+    await recordAudit(req, { entityType: 'holiday', entityId: holiday.id, action: 'delete', before: holiday });
+    
+    res.json({
+      success: true,
+      message: 'Holiday deleted successfully',
+      data: holiday
+    });
+    
+  } catch (error) {
+    console.error('Delete holiday error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while deleting holiday'
+    });
+  }
+});
+
+// Admin - list leave types
+app.get('/api/admin/leave-types', async (req, res) => {
+  try {
+    const { is_active } = req.query;
+    const types = await leaveDb.listTypes({ isActive: is_active === undefined ? null : is_active === 'true' });
+    
+    res.json({
+      success: true,
+      count: types.length,
+      data: types
+    });
+    
+  } catch (error) {
+    console.error('List leave types error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while listing leave types'
+    });
+  }
+});
+
+// Admin - create a leave type
+app.post('/api/admin/leave-types', async (req, res) => {
+  try {
+    const { error, fields } = validateLeaveTypeInput(req.body || {});
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+    
+    if (await leaveDb.getTypeByCode(fields.code)) {
+      return res.status(409).json({
+        success: false,
+        message: `Leave type code ${fields.code} is already in use`
+      });
+    }
+    
+    const leaveType = await leaveDb.createType({
+      code: fields.code,
+      name: fields.name,
+      annualAllowanceDays: fields.annual_allowance_days,
+      isPaid: fields.is_paid,
+      isActive: fields.is_active
+    });
+    await recordAudit(req, { entityType: 'leave_type', entityId: leaveType.id, action: 'create', after: leaveType });
+    
+    res.status(201).json({
+      success: true,
+      message: 'Leave type created successfully',
+      data: leaveType
+    });
+    
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({
+        success: false,
+        message: 'Leave type code is already in use'
+      });
+    }
+    console.error('Create leave type error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while creating leave type'
+    });
+  }
+});
+
+// Admin - update a leave type (only the provided fields change)
+app.put('/api/admin/leave-types/:id', async (req, res) => {
+  try {
+    const existing = await leaveDb.getTypeById(req.params.id);
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        message: 'Leave type not found'
+      });
+    }
+    
+    const { error, fields } = validateLeaveTypeInput(req.body || {}, true);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+    
+    const leaveType = await leaveDb.updateType(existing.id, fields);
+    await recordAudit(req, { entityType: 'leave_type', entityId: leaveType.id, action: 'update', before: existing, after: leaveType });
+    
+    res.json({
+      success: true,
+      message: 'Leave type updated successfully',
+      data: leaveType
+    });
+    
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({
+        success: false,
+        message: 'Leave type code is already in use'
+      });
+    }
+    console.error('Update leave type error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while updating leave type'
+    });
+  }
+});
+
+// Admin - an employee's leave balances for a year
+app.get('/api/admin/employees/:id/leave-balances', async (req, res) => {
+  try {
+    const employee = await employeeDb.getPublicById(req.params.id);
+    if (!employee) {
+      return res.status(404).json({
+        success: false,
+        message: 'Employee not found'
+      });
+    }
+    
+    const { error, year } = parseYear(req.query.year);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+    
+    res.json({
+      success: true,
+      data: await getLeaveBalances(employee.id, year)
+    });
+    
+  } catch (error) {
+    console.error('Admin leave balances error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while fetching leave balances'
+    });
+  }
+});
+
+// Admin - set an employee's allowance for one leave type and year
+app.put('/api/admin/employees/:id/leave-balances', async (req, res) => {
+  try {
+    const { leave_type_id, year, allowance_days } = req.body || {};
+    
+    const employee = await employeeDb.getPublicById(req.params.id);
+    if (!employee) {
+      return res.status(404).json({
+        success: false,
+        message: 'Employee not found'
+      });
+    }
+    
+    const leaveType = isNaN(parseInt(leave_type_id)) ? null : await leaveDb.getTypeById(parseInt(leave_type_id));
+    if (!leaveType) {
+      return res.status(400).json({
+        success: false,
+        message: 'leave_type_id must be an existing leave type'
+      });
+    }
+    
+    const parsedYear = parseYear(year);
+    if (parsedYear.error) {
+      return res.status(400).json({
+        success: false,
+        message: parsedYear.error
+      });
+    }
+    
+    const allowance = parseFloat(allowance_days);
+    if (isNaN(allowance) || allowance < 0 || allowance > 366) {
+      return res.status(400).json({
+        success: false,
+        message: 'allowance_days must be a number of days between 0 and 366'
+      });
+    }
+    
+    const existing = await leaveDb.getBalanceOverride(employee.id, leaveType.id, parsedYear.year);
+    const balance = await leaveDb.setBalanceOverride(employee.id, leaveType.id, parsedYear.year, allowance);
+    await recordAudit(req, {
+      entityType: 'leave_balance',
+      entityId: balance.id,
+      action: existing ? 'update' : 'create',
+      before: existing || null,
+      after: balance
+    });
+    
+    const [summary] = await getLeaveBalances(employee.id, parsedYear.year, leaveType.id);
+    
+    res.json({
+      success: true,
+      message: 'Leave allowance updated',
+      data: summary
+    });
+    
+  } catch (error) {
+    console.error('Set leave balance error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while updating leave allowance'
+    });
+  }
+});
+
+// Admin or manager - list leave requests (a manager's reports only) with optional
+// status/employee filters
+app.get(['/api/admin/leave-requests', '/api/team/leave-requests'], async (req, res) => {
+  try {
+    const query = parseLeaveListQuery(req.query);
+    if (query.error) {
+      return res.status(400).json({
+        success: false,
+        message: query.error
+      });
+    }
+    
+    const { employee_id } = req.query;
+    if (employee_id !== undefined && isNaN(parseInt(employee_id))) {
+      return res.status(400).json({
+        success: false,
+        message: 'employee_id must be a number'
+      });
+    }
+    
+    const { total, rows } = await leaveDb.listRequests({
+      employeeId: employee_id !== undefined ? parseInt(employee_id) : null,
+      employeeIds: await reviewableEmployeeIds(req.employee),
+      status: query.status,
+      limit: query.pageSize,
+      offset: (query.pageNum - 1) * query.pageSize
+    });
+    
+    res.json({
+      success: true,
+      count: rows.length,
+      pagination: {
+        page: query.pageNum,
+        limit: query.pageSize,
+        total: total,
+        total_pages: Math.ceil(total / query.pageSize)
+      },
+      data: rows
+    });
+    
+  } catch (error) {
+    console.error('Admin list leave requests error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while listing leave requests'
+    });
+  }
+});
+
+// Admin or manager - approve a pending leave request
+app.post(['/api/admin/leave-requests/:id/approve', '/api/team/leave-requests/:id/approve'], async (req, res) => {
+  try {
+    const { note } = req.body || {};
+    
+    console.log('=== APPROVE LEAVE REQUEST ===');
+    console.log('Leave request ID:', req.params.id);
+    console.log('Approved by:', req.auth.employeeId);
+    console.log('=============================');
+    
+    if (note !== undefined && note !== null && typeof note !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: 'note must be a string'
+      });
+    }
+    
+    const leaveRequest = await leaveDb.getRequestById(req.params.id);
+    if (leaveRequest && !await canReviewEmployee(req.employee, leaveRequest.employee_id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only review leave requests of your reports'
+      });
+    }
+    
+    const result = await approveLeaveRequest(req.params.id, req.auth.employeeId, note || null);
+    if (result.status) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.message
+      });
+    }
+    await recordAudit(req, { entityType: 'leave_request', entityId: result.request.id, action: 'update', before: result.original, after: result.request });
+    
+    res.json({
+      success: true,
+      message: 'Leave request approved',
+      data: result.request
+    });
+    
+  } catch (error) {
+    console.error('Approve leave request error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while approving leave request'
+    });
+  }
+});
+
+// Admin or manager - reject a pending leave request
+app.post(['/api/admin/leave-requests/:id/reject', '/api/team/leave-requests/:id/reject'], async (req, res) => {
+  try {
+    const { note } = req.body || {};
+    
+    if (note !== undefined && note !== null && typeof note !== 'string') {
+      return res.status(400).json({
+        success: false,
+        message: 'note must be a string'
+      });
+    }
+    
+    const existing = await leaveDb.getRequestById(req.params.id);
+    if (existing && !await canReviewEmployee(req.employee, existing.employee_id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You can only review leave requests of your reports'
+      });
+    }
+    const request = existing ? await leaveDb.reject(existing.id, req.auth.employeeId, note || null) : null;
+    if (!request) {
+      return res.status(404).json({
+        success: false,
+        message: 'No pending leave request found with this ID'
+      });
+    }
+    await recordAudit(req, { entityType: 'leave_request', entityId: request.id, action: 'update', before: existing, after: request });
+    
+    res.json({
+      success: true,
+      message: 'Leave request rejected',
+      data: request
+    });
+    
+  } catch (error) {
+    console.error('Reject leave request error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while rejecting leave request'
+    });
+  }
+});
+
+// Outbound webhooks
+
+// Subscriptions are returned without their signing secret, which is only shown when
+// it is generated
+function formatSubscription(subscription) {
+  const { secret, ...rest } = subscription;
+  return rest;
+}
+
+// Validate subscription create/update payloads; returns { error } or { fields } keyed by column name
+function validateWebhookInput(body, isUpdate = false) {
+  const { url, event_types, description, is_active } = body;
+  const fields = {};
+  
+  if (url !== undefined || !isUpdate) {
+    let parsed = null;
+    try {
+      parsed = new URL(url);
+    } catch (error) {
+      parsed = null;
+    }
+    if (!parsed || !['http:', 'https:'].includes(parsed.protocol) || url.length > 2000) {
+      return { error: 'url must be an http or https URL of at most 2000 characters' };
+    }
+    fields.url = url;
+  }
+  
+  if (event_types !== undefined || !isUpdate) {
+    if (!Array.isArray(event_types) || event_types.length === 0 || !event_types.every(type => WEBHOOK_EVENT_TYPES.includes(type))) {
+      return { error: `event_types must be a non-empty array of: ${WEBHOOK_EVENT_TYPES.join(', ')}` };
+    }
+    fields.event_types = [...new Set(event_types)];
+  }
+  
+  if (description !== undefined) {
+    if (description !== null && (typeof description !== 'string' || description.length > 255)) {
+      return { error: 'description must be at most 255 characters' };
+    }
+    fields.description = description;
+  }
+  
+  if (is_active !== undefined) {
+    if (typeof is_active !== 'boolean') {
+      return { error: 'is_active must be true or false' };
+    }
+    fields.is_active = is_active;
+  }
+  
+  return { fields };
+}
+
+// Admin - list webhook subscriptions
+app.get('/api/admin/webhooks', async (req, res) => {
+  try {
+    const { is_active } = req.query;
+    const subscriptions = await webhookDb.listSubscriptions({ isActive: is_active === undefined ? null : is_active === 'true' });
+    
+    res.json({
+      success: true,
+      count: subscriptions.length,
+      data: subscriptions.map(formatSubscription)
+    });
+    
+  } catch (error) {
+    console.error('List webhooks error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while listing webhooks'
+    });
+  }
+});
+
+// Admin - register a webhook; the signing secret is returned only in this response
+app.post('/api/admin/webhooks', async (req, res) => {
+  try {
+    const { error, fields } = validateWebhookInput(req.body || {});
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+    
+    const subscription = await webhookDb.createSubscription({
+      url: fields.url,
+      eventTypes: fields.event_types,
+      secret: generateWebhookSecret(),
+      description: fields.description,
+      createdBy: req.auth.employeeId
+    });
+    await recordAudit(req, { entityType: 'webhook', entityId: subscription.id, action: 'create', after: subscription });
+    
+    res.status(201).json({
+      success: true,
+      message: 'Webhook created successfully',
+      data: {
+        ...formatSubscription(subscription),
+        secret: subscription.secret
+      }
+    });
+    
+  } catch (error) {
+    console.error('Create webhook error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while creating webhook'
+    });
+  }
+});
+
+// Admin - update a webhook (only the provided fields change)
+app.put('/api/admin/webhooks/:id', async (req, res) => {
+  try {
+    const existing = await webhookDb.getSubscriptionById(req.params.id);
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        message: 'Webhook not found'
+      });
+    }
+    
+    const { error, fields } = validateWebhookInput(req.body || {}, true);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+    
+    const subscription = await webhookDb.updateSubscription(existing.id, fields);
+    await recordAudit(req, { entityType: 'webhook', entityId: subscription.id, action: 'update', before: existing, after: subscription });
+    
+    res.json({
+      success: true,
+      message: 'Webhook updated successfully',
+      data: formatSubscription(subscription)
+    });
+    
+  } catch (error) {
+    console.error('Update webhook error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while updating webhook'
+    });
+  }
+});
+
+// Admin - replace a webhook's signing secret; the new secret is returned only here
+app.post('/api/admin/webhooks/:id/rotate-secret', async (req, res) => {
+  try {
+    const existing = await webhookDb.getSubscriptionById(req.params.id);
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        message: 'Webhook not found'
+      });
+    }
+    
+    const subscription = await webhookDb.updateSubscription(existing.id, { secret: generateWebhookSecret() });
+    await recordAudit(req, { entityType: 'webhook', entityId: subscription.id, action: 'update', before: existing, after: subscription });
+    
+    res.json({
+      success: true,
+      message: 'Webhook secret rotated. Deliveries from now on are signed with the new secret.',
+      data: {
+        ...formatSubscription(subscription),
+        secret: subscription.secret
+      }
+    });
+    
+  } catch (error) {
+    console.error('Rotate webhook secret error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while rotating webhook secret'
+    });
+  }
+});
+
+// Admin - queue a webhook.test event for one subscription
+app.post('/api/admin/webhooks/:id/test', async (req, res) => {
+  try {
+    const subscription = await webhookDb.getSubscriptionById(req.params.id);
+    if (!subscription) {
+      return res.status(404).json({
+        success: false,
+        message: 'Webhook not found'
+      });
+    }
+    
+    const [delivery] = await enqueueWebhookEvent(WEBHOOK_TEST_EVENT, {
+      subscription_id: subscription.id,
+      requested_by: req.auth.employeeId
+    }, { subscriptionId: subscription.id });
+    
+    if (!delivery) {
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to queue test delivery'
+      });
+    }
+    
+    res.status(202).json({
+      success: true,
+      message: 'Test delivery queued',
+      data: delivery
+    });
+    
+  } catch (error) {
+    console.error('Test webhook error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while queueing test delivery'
+    });
+  }
+});
+
+// Admin - delivery log of one webhook, newest first
+app.get('/api/admin/webhooks/:id/deliveries', async (req, res) => {
+  try {
+    const { status, page = 1, limit = 20 } = req.query;
+    
+    const subscription = await webhookDb.getSubscriptionById(req.params.id);
+    if (!subscription) {
+      return res.status(404).json({
+        success: false,
+        message: 'Webhook not found'
+      });
+    }
+    
+    if (status !== undefined && !DELIVERY_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `status must be one of: ${DELIVERY_STATUSES.join(', ')}`
+      });
+    }
+    
+    const pageNum = parseInt(page);
+    const pageSize = parseInt(limit);
+    if (isNaN(pageNum) || pageNum < 1 || isNaN(pageSize) || pageSize < 1 || pageSize > 100) {
+      return res.status(400).json({
+        success: false,
+        message: 'Page must be 1 or more and limit must be between 1 and 100'
+      });
+    }
+    
+    const { total, rows } = await webhookDb.listDeliveries({
+      subscriptionId: subscription.id,
+      status: status || null,
+      limit: pageSize,
+      offset: (pageNum - 1) * pageSize
+    });
+    
+    res.json({
+      success: true,
+      count: rows.length,
+      pagination: {
+        page: pageNum,
+        limit: pageSize,
+        total: total,
+        total_pages: Math.ceil(total / pageSize)
+      },
+      data: rows
+    });
+    
+  } catch (error) {
+    console.error('List webhook deliveries error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while listing webhook deliveries'
+    });
+  }
+});
+
+// Admin - one delivery with every attempt made
+app.get('/api/admin/webhook-deliveries/:id', async (req, res) => {
+  try {
+    const delivery = await webhookDb.getDeliveryById(req.params.id);
+    if (!delivery) {
+      return res.status(404).json({
+        success: false,
+        message: 'Webhook delivery not found'
+      });
+    }
+    
+    res.json({
+      success: true,
+      data: {
+        ...delivery,
+        attempt_log: await webhookDb.getAttempts(delivery.id)
+      }
+    });
+    
+  } catch (error) {
+    console.error('Get webhook delivery error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while fetching webhook delivery'
+    });
+  }
+});
+
+// Admin - give a dead-lettered delivery one more attempt
+app.post('/api/admin/webhook-deliveries/:id/retry', async (req, res) => {
+  try {
+    const delivery = await webhookDb.requeue(req.params.id);
+    if (!delivery) {
+      return res.status(404).json({
+        success: false,
+        message: 'No dead-lettered delivery found with this ID'
+      });
+    }
+    
+    console.log('Webhook delivery requeued:', {
+      delivery_id: delivery.id,
+      admin_id: req.auth.employeeId
+    });
+    
+    res.status(202).json({
+      success: true,
+      message: 'Delivery queued for another attempt',
+      data: delivery
+    });
+    
+  } catch (error) {
+    console.error('Retry webhook delivery error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while retrying webhook delivery'
+    });
+  }
+});
+
+// Notifications
+
+// Validate notification template create/update payloads; returns { error } or { fields }
+// keyed by column name. Event type, channel and employee are fixed once created.
+async function validateNotificationTemplateInput(body, existing = null) {
+  const { event_type, channel, employee_id, subject, body: text, is_active } = body;
+  const fields = {};
+  
+  if (!existing) {
+    if (!NOTIFICATION_EVENTS[event_type]) {
+      return { error: `event_type must be one of: ${Object.keys(NOTIFICATION_EVENTS).join(', ')}` };
+    }
+    fields.event_type = event_type;
+    
+    if (!notificationChannels[channel]) {
+      return { error: `channel must be one of: ${Object.keys(notificationChannels).join(', ')}` };
+    }
+    fields.channel = channel;
+    
+    if (employee_id !== undefined && employee_id !== null) {
+      if (!(await employeeDb.getPublicById(employee_id))) {
+        return { error: 'Employee not found' };
+      }
+      fields.employee_id = employee_id;
+    }
+  }
+  const eventType = existing ? existing.event_type : fields.event_type;
+  
+  if (subject !== undefined) {
+    if (subject !== null && (typeof subject !== 'string' || subject.length > 255)) {
+      return { error: 'subject must be at most 255 characters' };
+    }
+    fields.subject = subject;
+  }
+  
+  if (text !== undefined || !existing) {
+    if (typeof text !== 'string' || !text.trim() || text.length > 5000) {
+      return { error: 'body is required and must be at most 5000 characters' };
+    }
+    fields.body = text;
+  }
+  
+  const unknown = unknownPlaceholders(eventType, `${fields.subject || ''} ${fields.body || ''}`);
+  if (unknown.length > 0) {
+    return { error: `Unknown placeholders: ${unknown.join(', ')}. ${eventType} templates may use: ${NOTIFICATION_EVENTS[eventType].join(', ')}` };
+  }
+  
+  if (is_active !== undefined) {
+    if (typeof is_active !== 'boolean') {
+      return { error: 'is_active must be true or false' };
+    }
+    fields.is_active = is_active;
+  }
+  
+  return { fields };
+}
+
+// Admin - list notification templates
+app.get('/api/admin/notification-templates', async (req, res) => {
+  try {
+    const { event_type, channel, employee_id } = req.query;
+    
+    if (event_type !== undefined && !NOTIFICATION_EVENTS[event_type]) {
+      return res.status(400).json({
+        success: false,
+        message: `event_type must be one of: ${Object.keys(NOTIFICATION_EVENTS).join(', ')}`
+      });
+    }
+    
+    const templates = await notificationDb.listTemplates({
+      eventType: event_type || null,
+      channel: channel || null,
+      employeeId: employee_id !== undefined ? parseInt(employee_id) || null : null
+    });
+    
+    res.json({
+      success: true,
+      count: templates.length,
+      data: templates
+    });
+    
+  } catch (error) {
+    console.error('List notification templates error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while listing notification templates'
+    });
+  }
+});
+
+// Admin - create a default template, or an override for one recipient (employee_id)
+app.post('/api/admin/notification-templates', async (req, res) => {
+  try {
+    const { error, fields } = await validateNotificationTemplateInput(req.body || {});
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+    
+    const template = await notificationDb.createTemplate({
+      eventType: fields.event_type,
+      channel: fields.channel,
+      employeeId: fields.employee_id,
+      subject: fields.subject,
+      body: fields.body,
+      isActive: fields.is_active
+    });
+    await recordAudit(req, { entityType: 'notification_template', entityId: template.id, action: 'create', after: template });
+    
+    res.status(201).json({
+      success: true,
+      message: 'Notification template created successfully',
+      data: template
+    });
+    
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({
+        success: false,
+        message: 'A template for this event, channel and employee already exists'
+      });
+    }
+    console.error('Create notification template error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while creating notification template'
+    });
+  }
+});
+
+// Admin - update a notification template (only the provided fields change)
+app.put('/api/admin/notification-templates/:id', async (req, res) => {
+  try {
+    const existing = await notificationDb.getTemplateById(req.params.id);
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        message: 'Notification template not found'
+      });
+    }
+    
+    const { error, fields } = await validateNotificationTemplateInput(req.body || {}, existing);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+    
+    const template = await notificationDb.updateTemplate(existing.id, fields);
+    await recordAudit(req, { entityType: 'notification_template', entityId: template.id, action: 'update', before: existing, after: template });
+    
+    res.json({
+      success: true,
+      message: 'Notification template updated successfully',
+      data: template
+    });
+    
+  } catch (error) {
+    console.error('Update notification template error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while updating notification template'
+    });
+  }
+});
+
+// Admin - log of sent notifications, newest first
+app.get('/api/admin/notifications', async (req, res) => {
+  try {
+    const { event_type, channel, status, recipient_id, employee_id, from, to, page = 1, limit = 50 } = req.query;
+    
+    if (event_type !== undefined && !NOTIFICATION_EVENTS[event_type] && event_type !== NOTIFICATION_TEST_EVENT) {
+      return res.status(400).json({
+        success: false,
+        message: `event_type must be one of: ${[...Object.keys(NOTIFICATION_EVENTS), NOTIFICATION_TEST_EVENT].join(', ')}`
+      });
+    }
+    
+    if (status !== undefined && !NOTIFICATION_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `status must be one of: ${NOTIFICATION_STATUSES.join(', ')}`
+      });
+    }
+    
+    if ((recipient_id !== undefined && isNaN(parseInt(recipient_id))) || (employee_id !== undefined && isNaN(parseInt(employee_id)))) {
+      return res.status(400).json({
+        success: false,
+        message: 'recipient_id and employee_id must be numbers'
+      });
+    }
+    
+    const fromTime = from ? new Date(from) : null;
+    const toTime = to ? new Date(to) : null;
+    if ((fromTime && isNaN(fromTime.getTime())) || (toTime && isNaN(toTime.getTime()))) {
+      return res.status(400).json({
+        success: false,
+        message: 'from and to must be ISO 8601 timestamps'
+      });
+    }
+    
+    const pageNum = parseInt(page);
+    const pageSize = parseInt(limit);
+    if (isNaN(pageNum) || pageNum < 1 || isNaN(pageSize) || pageSize < 1 || pageSize > 200) {
+      return res.status(400).json({
+        success: false,
+        message: 'Page must be 1 or more and limit must be between 1 and 200'
+      });
+    }
+    
+    const { total, rows } = await notificationDb.list({
+      eventType: event_type || null,
+      channel: channel || null,
+      status: status || null,
+      recipientId: recipient_id !== undefined ? parseInt(recipient_id) : null,
+      employeeId: employee_id !== undefined ? parseInt(employee_id) : null,
+      from: fromTime,
+      to: toTime,
+      limit: pageSize,
+      offset: (pageNum - 1) * pageSize
+    });
+    
+    res.json({
+      success: true,
+      count: rows.length,
+      pagination: {
+        page: pageNum,
+        limit: pageSize,
+        total: total,
+        total_pages: Math.ceil(total / pageSize)
+      },
+      data: rows
+    });
+    
+  } catch (error) {
+    console.error('List notifications error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while listing notifications'
+    });
+  }
+});
+
+// Admin - send a test message on one channel to an employee (default: the caller)
+app.post('/api/admin/notifications/test', async (req, res) => {
+  try {
+    const { channel, employee_id } = req.body || {};
+    
+    if (!notificationChannels[channel]) {
+      return res.status(400).json({
+        success: false,
+        message: `channel must be one of: ${Object.keys(notificationChannels).join(', ')}`
+      });
+    }
+    
+    const recipient = await employeeDb.getPublicById(employee_id !== undefined ? employee_id : req.auth.employeeId);
+    if (!recipient) {
+      return res.status(404).json({
+        success: false,
+        message: 'Employee not found'
+      });
+    }
+    
+    const { error, entry } = await sendTestNotification(channel, recipient);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+    
+    res.status(entry.status === 'sent' ? 200 : 502).json({
+      success: entry.status === 'sent',
+      message: entry.status === 'sent' ? 'Test notification sent' : `Test notification failed: ${entry.error}`,
+      data: entry
+    });
+    
+  } catch (error) {
+    console.error('Test notification error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while sending test notification'
+    });
+  }
+});
+
+// Visit reports
+
+// Validate visit form create/update payloads; returns { error } or { fields } keyed by column name
+function validateVisitFormInput(body, isUpdate = false) {
+  const { location_type, name, fields: formFields, is_active } = body;
+  const fields = {};
+  
+  if (!isUpdate) {
+    if (typeof location_type !== 'string' || !location_type.trim() || location_type.trim().length > 50) {
+      return { error: 'location_type is required and must be at most 50 characters' };
+    }
+    fields.location_type = location_type.trim();
+  }
+  
+  if (name !== undefined || !isUpdate) {
+    if (typeof name !== 'string' || !name.trim() || name.trim().length > 100) {
+      return { error: 'Name is required and must be at most 100 characters' };
+    }
+    fields.name = name.trim();
+  }
+  
+  if (formFields !== undefined || !isUpdate) {
+    const result = validateFormFields(formFields);
+    if (result.error) {
+      return { error: result.error };
+    }
+    fields.fields = result.fields;
+  }
+  
+  if (is_active !== undefined) {
+    if (typeof is_active !== 'boolean') {
+      return { error: 'is_active must be true or false' };
+    }
+    fields.is_active = is_active;
+  }
+  
+  return { fields };
+}
+
+function formatVisitReport(report) {
+  return {
+    ...report,
+    visit_date: toDateKey(report.visit_date)
+  };
+}
+
+// The visit form for a session: the active form of its check-in location's type
+async function getVisitFormForSession(session) {
+  const location = session.check_in_location_code ? await locationDb.getByCode(session.check_in_location_code) : null;
+  if (!location || !location.location_type) {
+    return { location: location || null, form: null };
+  }
+  return { location: location, form: await visitDb.getActiveFormForType(location.location_type) };
+}
+
+// Admin - list visit forms
+app.get('/api/admin/visit-forms', async (req, res) => {
+  try {
+    const { location_type, is_active } = req.query;
+    const forms = await visitDb.listForms({
+      locationType: location_type || null,
+      isActive: is_active === undefined ? null : is_active === 'true'
+    });
     
-    // Get daily summary
-    const dailySummary = await attendanceDb.getDailySummary(employee_id);
+    res.json({
+      success: true,
+      count: forms.length,
+      data: forms
+    });
     
-    const response = {
+  } catch (error) {
+    console.error('List visit forms error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while listing visit forms'
+    });
+  }
+});
+
+// Admin - create the visit form of a location type
+app.post('/api/admin/visit-forms', async (req, res) => {
+  try {
+    const { error, fields } = validateVisitFormInput(req.body || {});
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+    
+    const form = await visitDb.createForm({
+      locationType: fields.location_type,
+      name: fields.name,
+      fields: fields.fields,
+      isActive: fields.is_active,
+      createdBy: req.auth.employeeId
+    });
+    await recordAudit(req, { entityType: 'visit_form', entityId: form.id, action: 'create', after: form });
+    
+    res.status(201).json({
       success: true,
-      employee_id: employee_id,
-      employee_name: employee.name,
-      is_checked_in: !!currentSession,
-      current_session: currentSession ? {
-        id: currentSession.id,
-        check_in_time: currentSession.check_in_time,
-        location: {
-          latitude: parseFloat(currentSession.check_in_latitude),
-          longitude: parseFloat(currentSession.check_in_longitude)
-        },
-        location_verified: currentSession.location_verified
-      } : null,
-      today_sessions: todayRecords.map(record => ({
-        id: record.id,
-        check_in_time: record.check_in_time,
-        check_out_time: record.check_out_time,
-        duration: record.total_hours ? parseFloat(record.total_hours) : null,
-        status: record.check_out_time ? 'completed' : 'ongoing'
-      })),
-      daily_summary: dailySummary || {
-        attendance_date: new Date().toISOString().split('T')[0],
-        total_sessions: 0,
-        completed_sessions: 0,
-        ongoing_sessions: 0,
-        total_hours_worked: 0,
-        first_check_in: null,
-        last_check_out: null
+      message: 'Visit form created successfully',
+      data: form
+    });
+    
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({
+        success: false,
+        message: 'This location type already has an active visit form. Deactivate it first.'
+      });
+    }
+    console.error('Create visit form error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while creating visit form'
+    });
+  }
+});
+
+// Admin - update a visit form (only the provided fields change). New fields start a new
+// version; reports already submitted keep the fields they were answered against.
+app.put('/api/admin/visit-forms/:id', async (req, res) => {
+  try {
+    const existing = await visitDb.getFormById(req.params.id);
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        message: 'Visit form not found'
+      });
+    }
+    
+    const { error, fields } = validateVisitFormInput(req.body || {}, true);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+    
+    const form = await visitDb.updateForm(existing.id, fields);
+    await recordAudit(req, { entityType: 'visit_form', entityId: form.id, action: 'update', before: existing, after: form });
+    
+    res.json({
+      success: true,
+      message: 'Visit form updated successfully',
+      data: form
+    });
+    
+  } catch (error) {
+    if (error.code === '23505') {
+      return res.status(409).json({
+        success: false,
+        message: 'This location type already has an active visit form. Deactivate it first.'
+      });
+    }
+    console.error('Update visit form error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while updating visit form'
+    });
+  }
+});
+
+// The form to fill in for a session, and the report already submitted for it
+app.get('/api/attendance/:attendance_id/visit-report', async (req, res) => {
+  try {
+    const session = await attendanceDb.getById(req.params.attendance_id);
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Attendance session not found'
+      });
+    }
+    
+    const { location, form } = await getVisitFormForSession(session);
+    const report = await visitDb.getReportByAttendance(session.id);
+    
+    res.json({
+      success: true,
+      data: {
+        attendance_id: session.id,
+        location_code: session.check_in_location_code,
+        location_type: location ? location.location_type : null,
+        form: form || null,
+        report: report ? formatVisitReport(report) : null
       }
-    };
+    });
     
-    res.json(response);
+  } catch (error) {
+    console.error('Get visit report error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while fetching visit report'
+    });
+  }
+});
+
+// Submit the visit report of one of the caller's own sessions
+app.post('/api/attendance/:attendance_id/visit-report', async (req, res) => {
+  try {
+    const session = await attendanceDb.getById(req.params.attendance_id);
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'Attendance session not found'
+      });
+    }
+    
+    if (session.employee_id !== req.auth.employeeId) {
+      return res.status(403).json({
+        success: false,
+        message: 'Visit reports can only be submitted for your own sessions'
+      });
+    }
+    
+    const { location, form } = await getVisitFormForSession(session);
+    if (!form) {
+      return res.status(400).json({
+        success: false,
+        message: location
+          ? `There is no visit form for ${location.location_type || 'this'} locations`
+          : 'Visit reports need a session checked in at a registered location'
+      });
+    }
+    
+    const { errors, answers } = validateAnswers(form.fields, (req.body || {}).answers);
+    if (errors) {
+      return res.status(400).json({
+        success: false,
+        message: 'Some answers are invalid',
+        errors: errors
+      });
+    }
+    
+    const report = await visitDb.createReport({
+      attendanceId: session.id,
+      employeeId: session.employee_id,
+      form: form,
+      answers: answers,
+      locationCode: session.check_in_location_code,
+      visitDate: toDateKey(session.attendance_date)
+    });
+    await recordAudit(req, { entityType: 'visit_report', entityId: report.id, action: 'create', after: report });
+    
+    res.status(201).json({
+      success: true,
+      message: 'Visit report submitted successfully',
+      data: formatVisitReport(report)
+    });
     
   } catch (error) {
-    console.error('Status error:', error);
+    if (error.code === '23505') {
+      return res.status(409).json({
+        success: false,
+        message: 'A visit report was already submitted for this session. Update it instead.'
+      });
+    }
+    console.error('Submit visit report error:', error);
     res.status(500).json({
       success: false,
-      message: 'Internal server error while fetching status'
+      message: 'Internal server error while submitting visit report'
     });
   }
 });
 
-// Get last N days attendance summary
-app.get('/api/attendance/summary/:employee_id', async (req, res) => {
+// Visit reports the caller may see: their own, their team's for managers, all for admins
+app.get('/api/visit-reports', async (req, res) => {
   try {
-    const { employee_id } = req.params;
-    const { days = 7 } = req.query; // Default to 7 days if not specified
+    const { location_code, from, to, employee_id, form_id, page = 1, limit = 20 } = req.query;
     
-    // Log request for debugging
-    console.log('=== ATTENDANCE SUMMARY REQUEST ===');
-    console.log('Employee ID:', employee_id);
-    console.log('Days requested:', days);
-    console.log('==================================');
+    if ((from !== undefined && (!DATE_PATTERN.test(from) || isNaN(new Date(from).getTime()))) ||
+        (to !== undefined && (!DATE_PATTERN.test(to) || isNaN(new Date(to).getTime())))) {
+      return res.status(400).json({
+        success: false,
+        message: 'from and to must be dates in YYYY-MM-DD format'
+      });
+    }
     
-    if (!employee_id) {
+    if ((employee_id !== undefined && !/^\d+$/.test(employee_id)) || (form_id !== undefined && !/^\d+$/.test(form_id))) {
       return res.status(400).json({
         success: false,
-        message: 'Employee ID is required'
+        message: 'employee_id and form_id must be numbers'
       });
     }
     
-    // Validate days parameter
-    const numDays = parseInt(days);
-    if (isNaN(numDays) || numDays < 1 || numDays > 365) {
+    if (employee_id !== undefined && !await canAccessEmployee(req.employee, employee_id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You are not allowed to view this employee\'s visit reports'
+      });
+    }
+    
+    const pageNum = parseInt(page);
+    const pageSize = parseInt(limit);
+    if (isNaN(pageNum) || pageNum < 1 || isNaN(pageSize) || pageSize < 1 || pageSize > 100) {
       return res.status(400).json({
         success: false,
-        message: 'Days parameter must be a number between 1 and 365'
+        message: 'Page must be 1 or more and limit must be between 1 and 100'
       });
     }
     
-    // Check if employee exists
-    const employee = await employeeDb.getById(employee_id);
-    if (!employee) {
+    let employeeIds = null;
+    if (req.employee.role === 'manager') {
+      employeeIds = [req.auth.employeeId, ...(await employeeDb.getReports(req.auth.employeeId)).map(report => report.id)];
+    } else if (req.employee.role !== 'admin') {
+      employeeIds = [req.auth.employeeId];
+    }
+    
+    const { total, rows } = await visitDb.listReports({
+      locationCode: location_code || null,
+      from: from || null,
+      to: to || null,
+      employeeId: employee_id !== undefined ? parseInt(employee_id) : null,
+      employeeIds: employeeIds,
+      formId: form_id !== undefined ? parseInt(form_id) : null,
+      limit: pageSize,
+      offset: (pageNum - 1) * pageSize
+    });
+    
+    res.json({
+      success: true,
+      count: rows.length,
+      pagination: {
+        page: pageNum,
+        limit: pageSize,
+        total: total,
+        total_pages: Math.ceil(total / pageSize)
+      },
+      data: rows.map(formatVisitReport)
+    });
+    
+  } catch (error) {
+    console.error('List visit reports error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while listing visit reports'
+    });
+  }
+});
+
+app.get('/api/visit-reports/:id', async (req, res) => {
+  try {
+    const report = await visitDb.getReportById(req.params.id);
+    if (!report) {
       return res.status(404).json({
         success: false,
-        message: 'Employee not found'
+        message: 'Visit report not found'
       });
     }
     
-    // Get last N days summary//10
-    const summaryData = await attendanceDb.getLastNDaysSummary(employee_id, numDays);
+    if (!await canAccessEmployee(req.employee, report.employee_id)) {
+      return res.status(403).json({
+        success: false,
+        message: 'You are not allowed to view this visit report'
+      });
+    }
     
-    const response = {
+    res.json({
       success: true,
-      data: summaryData
-    };
+      data: formatVisitReport(report)
+    });
     
-    console.log('Summary generated:', {
-      employee_id: employee_id,
-      days_requested: numDays,
-      records_found: summaryData.length
+  } catch (error) {
+    console.error('Get visit report error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Internal server error while fetching visit report'
     });
+  }
+});
+
+// Correct the answers of one of the caller's own reports; they are checked against
+// the form version the report was submitted on
+app.put('/api/visit-reports/:id', async (req, res) => {
+  try {
+    const existing = await visitDb.getReportById(req.params.id);
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        message: 'Visit report not found'
+      });
+    }
     
-    res.json(response);
+    if (existing.employee_id !== req.auth.employeeId) {
+      return res.status(403).json({
+        success: false,
+        message: 'Visit reports can only be changed by the employee who submitted them'
+      });
+    }
+    
+    const { errors, answers } = validateAnswers(existing.fields, (req.body || {}).answers);
+    if (errors) {
+      return res.status(400).json({
+        success: false,
+        message: 'Some answers are invalid',
+        errors: errors
+      });
+    }
+    
+    const report = await visitDb.updateReportAnswers(existing.id, answers);
+    await recordAudit(req, { entityType: 'visit_report', entityId: report.id, action: 'update', before: existing, after: report });
+    
+    res.json({
+      success: true,
+      message: 'Visit report updated successfully',
+      data: formatVisitReport(report)
+    });
     
   } catch (error) {
-    console.error('Attendance summary error:', error);
+    console.error('Update visit report error:', error);
     res.status(500).json({
       success: false,
-      message: 'Internal server error while fetching attendance summary',
-      error: error.message
+      message: 'Internal server error while updating visit report'
     });
   }
 });
@@ -722,23 +6264,146 @@ app.get('/', (req, res) => {
     endpoints: {
       health: 'GET /health',
       auth: {
-        login: 'POST /api/auth/login'
+        login: 'POST /api/auth/login (body: employee_id, pin_code) - returns access and refresh tokens',
+        refresh: 'POST /api/auth/refresh (body: refresh_token)',
+        logout: 'POST /api/auth/logout',
+        revoke: 'POST /api/auth/revoke - revokes all sessions of the caller',
+        changePin: 'POST /api/auth/change-pin (body: current_pin, new_pin)'
+      },
+      admin: {
+        listEmployees: 'GET /api/admin/employees?search=&is_active=&page=&limit=',
+        getEmployee: 'GET /api/admin/employees/:id',
+        createEmployee: 'POST /api/admin/employees (body: name, email, phone, role employee|manager|admin, manager_id, assigned_location_id, timezone, pin)',
+        updateEmployee: 'PUT /api/admin/employees/:id (body: any of name, email, phone, role, manager_id, assigned_location_id, timezone, is_active)',
+        deactivateEmployee: 'POST /api/admin/employees/:id/deactivate',
+        resetPin: 'POST /api/admin/employees/:id/reset-pin - issues a one-time PIN',
+        listLocations: 'GET /api/admin/locations?search=&location_type=&state=&is_active=&page=&limit=',
+        getLocation: 'GET /api/admin/locations/:id',
+        createLocation: 'POST /api/admin/locations (body: name, location_code, location_type, state, latitude, longitude, radius_meters, boundary, timezone, is_active)',
+        updateLocation: 'PUT /api/admin/locations/:id (body: any of the create fields)',
+        deactivateLocation: 'POST /api/admin/locations/:id/deactivate',
+        locationTypeSettings: 'GET /api/admin/location-type-settings',
+        saveLocationTypeSettings: 'PUT /api/admin/location-type-settings/:location_type (body: any of check_in_photo_required, check_out_photo_required)',
+        listShifts: 'GET /api/admin/shifts?is_active=',
+        createShift: 'POST /api/admin/shifts (body: name, start_time HH:MM, end_time HH:MM, late_grace_minutes, early_leave_grace_minutes, is_active)',
+        updateShift: 'PUT /api/admin/shifts/:id (body: any of the create fields)',
+        deactivateShift: 'POST /api/admin/shifts/:id/deactivate',
+        employeeSchedule: 'GET /api/admin/employees/:id/schedule?from=YYYY-MM-DD&to=YYYY-MM-DD - assignments and per-day classification',
+        assignShift: 'POST /api/admin/employees/:id/shift-assignments (body: shift_id, days_of_week [0-6] or null for every day, effective_from, effective_to)',
+        updateShiftAssignment: 'PUT /api/admin/shift-assignments/:id (body: any of shift_id, days_of_week, effective_from, effective_to)',
+        autoClosedSessions: 'GET /api/admin/attendance/auto-closed?employee_id=&limit=',
+        confirmAutoClosed: 'POST /api/admin/attendance/:attendance_id/confirm (body: optional check_out_time)',
+        flaggedSessions: 'GET /api/admin/attendance/flagged?status=pending|cleared|confirmed|all&employee_id=&page=&limit=',
+        reviewFlagged: 'POST /api/admin/attendance/:attendance_id/review (body: status cleared|confirmed, note)',
+        listCorrections: 'GET /api/admin/attendance/corrections?status=pending|approved|rejected|cancelled&employee_id=&page=&limit=',
+        approveCorrection: 'POST /api/admin/attendance/corrections/:id/approve (body: note) - applies the change and recomputes total_hours',
+        rejectCorrection: 'POST /api/admin/attendance/corrections/:id/reject (body: note)',
+        auditLog: 'GET /api/admin/audit-log?entity_type=attendance|employee|location|timesheet|shift|shift_assignment|holiday|leave_type|leave_balance|leave_request|webhook|notification_template|location_type_setting|visit_form|visit_report&entity_id=&actor_id=&action=create|update|delete&from=&to=&page=&limit=',
+        timesheet: 'GET /api/admin/timesheets/:employee_id?date=YYYY-MM-DD - pay period containing date (default: today)',
+        lockTimesheet: 'POST /api/admin/timesheets/:employee_id/lock (body: date, note) - approves a finished pay period',
+        unlockTimesheet: 'POST /api/admin/timesheets/:employee_id/unlock (body: date, reason)',
+        listHolidays: 'GET /api/admin/holidays?year=&state=',
+        createHoliday: 'POST /api/admin/holidays (body: date YYYY-MM-DD, name, state or null for every state)',
+        updateHoliday: 'PUT /api/admin/holidays/:id (body: any of date, name, state)',
+        deleteHoliday: 'DELETE /api/admin/holidays/:id',
+        listLeaveTypes: 'GET /api/admin/leave-types?is_active=',
+        createLeaveType: 'POST /api/admin/leave-types (body: code, name, annual_allowance_days or null for no limit, is_paid, is_active)',
+        updateLeaveType: 'PUT /api/admin/leave-types/:id (body: any of the create fields)',
+        leaveBalances: 'GET /api/admin/employees/:id/leave-balances?year=',
+        setLeaveAllowance: 'PUT /api/admin/employees/:id/leave-balances (body: leave_type_id, year, allowance_days)',
+        listLeaveRequests: 'GET /api/admin/leave-requests?status=pending|approved|rejected|cancelled&employee_id=&page=&limit=',
+        approveLeaveRequest: 'POST /api/admin/leave-requests/:id/approve (body: note)',
+        rejectLeaveRequest: 'POST /api/admin/leave-requests/:id/reject (body: note)',
+        listWebhooks: 'GET /api/admin/webhooks?is_active=',
+        createWebhook: 'POST /api/admin/webhooks (body: url, event_types [attendance.checked_in|attendance.checked_out|attendance.flagged], description) - returns the signing secret once',
+        updateWebhook: 'PUT /api/admin/webhooks/:id (body: any of url, event_types, description, is_active)',
+        rotateWebhookSecret: 'POST /api/admin/webhooks/:id/rotate-secret',
+        testWebhook: 'POST /api/admin/webhooks/:id/test - queues a webhook.test event',
+        webhookDeliveries: 'GET /api/admin/webhooks/:id/deliveries?status=pending|delivered|dead&page=&limit=',
+        webhookDelivery: 'GET /api/admin/webhook-deliveries/:id - includes every attempt',
+        retryWebhookDelivery: 'POST /api/admin/webhook-deliveries/:id/retry - one more attempt for a dead-lettered delivery',
+        listNotificationTemplates: 'GET /api/admin/notification-templates?event_type=checkout_reminder|late_arrival&channel=email|sms&employee_id=',
+        createNotificationTemplate: 'POST /api/admin/notification-templates (body: event_type, channel, employee_id or null for the default, subject (email), body with {{placeholders}}, is_active)',
+        updateNotificationTemplate: 'PUT /api/admin/notification-templates/:id (body: any of subject, body, is_active)',
+        notificationLog: 'GET /api/admin/notifications?event_type=&channel=&status=sending|sent|failed&recipient_id=&employee_id=&from=&to=&page=&limit=',
+        testNotification: 'POST /api/admin/notifications/test (body: channel email|sms, employee_id (default: the caller))',
+        listVisitForms: 'GET /api/admin/visit-forms?location_type=&is_active=',
+        createVisitForm: 'POST /api/admin/visit-forms (body: location_type, name, fields[] of { key, label, type text|number|choice|checkbox, required, max_length (text), min, max, integer (number), options (choice) }, is_active)',
+        updateVisitForm: 'PUT /api/admin/visit-forms/:id (body: any of name, fields, is_active) - new fields start a new version'
       },
       attendance: {
-        checkin: 'POST /api/attendance/checkin (body: employee_id, latitude, longitude, location_code, location_type)',
-        checkout: 'POST /api/attendance/checkout (body: employee_id, latitude, longitude, location_code, location_type)',
-        status: 'GET /api/attendance/status/:employee_id',
-        summary: 'GET /api/attendance/summary/:employee_id?days=N (default: 7 days)'
+        checkin: 'POST /api/attendance/checkin (body: latitude, longitude, accuracy, is_mock_location, location_id, location_code, location_type, photo) - JSON with photo as base64 or a data URL, or multipart/form-data with a photo file',
+        checkout: 'POST /api/attendance/checkout (body: same as checkin)',
+        sync: 'POST /api/attendance/sync (body: events[] of { type: check_in|check_out, device_time, latitude, longitude, accuracy, is_mock_location, location_id, location_code, location_type, client_event_id, photo (base64) })',
+        pings: 'POST /api/attendance/:attendance_id/pings (body: pings[] of { latitude, longitude, timestamp, accuracy, speed }) - open sessions only',
+        track: 'GET /api/attendance/:attendance_id/track - points with total distance and stationary time',
+        photos: 'GET /api/attendance/:attendance_id/photos - photos sent with the check-in and check-out',
+        photo: 'GET /api/attendance/:attendance_id/photos/check_in|check_out - the image',
+        requestCorrection: 'POST /api/attendance/corrections (body: attendance_id or attendance_date, check_in_time, check_out_time, check_in_location_code, check_out_location_code, reason)',
+        listCorrections: 'GET /api/attendance/corrections?status=&page=&limit=',
+        cancelCorrection: 'POST /api/attendance/corrections/:id/cancel',
+        timesheet: 'GET /api/attendance/timesheet?date=YYYY-MM-DD - the caller\'s pay period timesheet',
+        status: 'GET /api/attendance/status/:employee_id - includes today_schedule (scheduled shift and day classification)',
+        summary: 'GET /api/attendance/summary/:employee_id?days=N (default: 7 days) - includes days[] classified against the schedule and status_counts',
+        sessions: 'GET /api/attendance/sessions/:employee_id?from=YYYY-MM-DD&to=YYYY-MM-DD (default: the last 7 days)',
+        calendar: 'GET /api/attendance/calendar?month=YYYY-MM - the caller\'s days for a month, classified like summary',
+        visitReport: 'GET /api/attendance/:attendance_id/visit-report - the visit form for the session\'s location type and the report submitted for it',
+        submitVisitReport: 'POST /api/attendance/:attendance_id/visit-report (body: answers { field key: value }) - own sessions only, one report per session'
+      },
+      visitReports: {
+        list: 'GET /api/visit-reports?location_code=&from=YYYY-MM-DD&to=YYYY-MM-DD&employee_id=&form_id=&page=&limit= - own reports, a manager\'s team, or all for admins',
+        get: 'GET /api/visit-reports/:id',
+        update: 'PUT /api/visit-reports/:id (body: answers) - own reports only'
+      },
+      leave: {
+        holidays: 'GET /api/holidays?year= - holidays in the state of the caller\'s assigned location',
+        balances: 'GET /api/leave/balances?year=',
+        request: 'POST /api/leave/requests (body: leave_type_id, start_date, end_date, reason)',
+        list: 'GET /api/leave/requests?status=&page=&limit=',
+        cancel: 'POST /api/leave/requests/:id/cancel - pending requests only'
+      },
+      team: {
+        members: 'GET /api/team - managers: everyone below the caller in the reporting hierarchy (depth 1 = direct reports)',
+        live: 'GET /api/team/live?location_code=&state=&manager_id= - Server-Sent Events: a snapshot event with everyone checked in, then check_in and check_out events',
+        autoClosedSessions: 'GET /api/team/attendance/auto-closed?employee_id=&limit= - the caller\'s reports\' sessions waiting for confirmation',
+        confirmAutoClosed: 'POST /api/team/attendance/:attendance_id/confirm (body: optional check_out_time) - reports\' sessions only, not the caller\'s own',
+        listCorrections: 'GET /api/team/attendance/corrections?status=pending|approved|rejected|cancelled&employee_id=&page=&limit= - the caller\'s reports\' requests',
+        approveCorrection: 'POST /api/team/attendance/corrections/:id/approve (body: note) - reports\' requests only, not the caller\'s own',
+        rejectCorrection: 'POST /api/team/attendance/corrections/:id/reject (body: note)',
+        listLeaveRequests: 'GET /api/team/leave-requests?status=pending|approved|rejected|cancelled&employee_id=&page=&limit= - the caller\'s reports\' requests',
+        approveLeaveRequest: 'POST /api/team/leave-requests/:id/approve (body: note) - reports\' requests only, not the caller\'s own',
+        rejectLeaveRequest: 'POST /api/team/leave-requests/:id/reject (body: note)'
+      },
+      reports: {
+        attendance: 'GET /api/reports/attendance?from=YYYY-MM-DD&to=YYYY-MM-DD&employee_id=&location_code=&state=&format=csv|xlsx&view=sessions|daily'
       },
       locations: {
         search: 'GET /api/locations/search?location_code=&location_type=',
         searchExact: 'GET /api/locations/search-exact?location_code=&location_type=',
+        nearby: 'GET /api/locations/nearby?latitude=&longitude=&radius=&limit= (radius in meters, default 5000)',
         searchPost: 'POST /api/locations/search'
       }
     },
     notes: {
+      first_admin: 'On a new install run npm run bootstrap-admin -- --name "<name>" (optionally --email, --pin, or the BOOTSTRAP_ADMIN_NAME, BOOTSTRAP_ADMIN_EMAIL and BOOTSTRAP_ADMIN_PIN variables) to create the first admin; it does nothing once an active admin exists',
+      authentication: 'Every route except /, health, login and refresh requires "Authorization: Bearer <access_token>"; the employee is taken from the token',
+      roles: 'Employees see their own attendance, managers also that of everyone below them in the reporting hierarchy (status, summary, sessions, track, photos), admins everyone\'s; managers review their reports\' leave requests, correction requests and auto-closed sessions under /api/team, never their own; /api/admin, /api/reports and /debug are admin-only, and /debug is disabled in production unless ENABLE_DEBUG_ROUTES=true',
+      idempotency: 'Check-in and check-out accept an Idempotency-Key header; a repeated request with the same key returns the original response',
       location_type: 'When location_type is "others", location_code is stored as-is without location verification',
-      summary_api: 'Returns last N days attendance summary with date, sessions, first check-in, last check-out, and duration'
+      geofence: 'Locations with a boundary (array of { latitude, longitude } points) are verified against the polygon, others against radius_meters',
+      summary_api: 'Returns last N days attendance summary with date, sessions, first check-in, last check-out, and duration',
+      timezones: 'Attendance days are counted in the employee timezone; without one, a day stays in the zone of its first session while the latest session is open or its day lasts, else the location timezone, else the assigned location\'s, else DEFAULT_TIMEZONE; overnight sessions count towards the day they started',
+      anomalies: 'Check-ins and check-outs are scored for mock locations, impossible travel speed, repeated identical coordinates and poor accuracy on verified locations; flagged sessions appear in the admin review list',
+      audit: 'Every change to attendance, employees and locations is written to an append-only audit log with the actor, IP, user agent and a before/after diff',
+      schedules: 'Status and summary classify each day against the scheduled shift as on_time, late, left_early, absent, unscheduled or pending (shift not over, no check-in yet); a late day that also left early is reported as late with left_early true',
+      auto_close: 'Sessions left open AUTO_CLOSE_SHIFT_END_GRACE_MINUTES past their scheduled shift end are closed at the shift end, others after AUTO_CLOSE_AFTER_HOURS; their hours are reported as unconfirmed_hours until an admin or a manager above the employee confirms them',
+      timesheets: 'Timesheets round each session, deduct missing breaks, split regular and daily/weekly overtime hours and cap unconfirmed auto-closed sessions; attendance in a locked pay period cannot be changed',
+      leave: 'Holidays apply by the state of the employee\'s assigned location (state null = every state). Leave requests count working days only and must fit the yearly balance; approved leave and holidays show as leave/holiday days instead of absent',
+      live_feed: 'Live feed events reach only clients connected to the API instance that recorded them. A check_in event adds and a check_out event removes the entry with that attendance_id; entries are filtered by their check-in location code and its state. A heartbeat comment is sent every LIVE_FEED_HEARTBEAT_SECONDS',
+      webhooks: 'Webhook bodies are JSON { id, type, created_at, data } signed with X-Webhook-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<body>" with the secret>. Any non-2xx response or timeout is retried with exponential backoff (WEBHOOK_RETRY_BASE_SECONDS doubling) and dead-lettered after WEBHOOK_MAX_ATTEMPTS attempts',
+      photos: 'Check-in and check-out accept one JPEG, PNG or WebP photo of at most PHOTO_MAX_BYTES as proof of presence. It is required when the location type (of the location checked in at, else of the employee\'s assigned location) has check_in_photo_required or check_out_photo_required set; with neither location (e.g. location_type "others") it is required whenever any location type requires one. Photos are kept in file storage (STORAGE_DRIVER, default local disk at STORAGE_LOCAL_PATH)',
+      visit_reports: 'A session\'s visit form is the active form of its check-in location\'s location_type. Answers are validated against the form: text (max_length), number (min, max, integer), choice (one of options) and checkbox (true/false; required checkboxes must be true). Invalid answers return 400 with errors[] of { field, message }',
+      notifications: 'Employees still checked in CHECKOUT_REMINDER_AFTER_HOURS after check-in get one check-out reminder; a late first check-in of the day alerts the employee\'s manager once. Messages go out by email (SMTP_HOST) and SMS (SMS_GATEWAY_URL, POST { to, from, message }) when configured and the recipient has an address, using the recipient\'s own template if there is one, else the default. Placeholders: checkout_reminder: recipient_name, employee_name, attendance_date, check_in_time, location_code, hours_open; late_arrival: recipient_name, employee_name, attendance_date, check_in_time, location_code, shift_name, scheduled_start, late_minutes'
     }
   });
 });
@@ -772,13 +6437,41 @@ async function startServer() {
       DB_PORT: !!process.env.DB_PORT,
       DB_NAME: !!process.env.DB_NAME,
       DB_USER: !!process.env.DB_USER,
-      DB_PASSWORD: !!process.env.DB_PASSWORD
+      DB_PASSWORD: !!process.env.DB_PASSWORD,
+      JWT_SECRET: !!process.env.JWT_SECRET
     });
     
+    // Tokens cannot be signed or verified without a secret
+    if (!authConfig.secret) {
+      throw new Error('JWT_SECRET environment variable is not set');
+    }
+    
     // Test database connection
     await testConnection();
     console.log('Database connection successful');
     
+    // Compare the database schema with the migrations shipped in this build
+    const { status: migrations } = await getMigrationStatus();
+    const pending = migrations.filter(migration => !migration.applied);
+    const modified = migrations.filter(migration => migration.modified);
+    
+    if (modified.length > 0) {
+      console.warn('Applied migrations changed since they ran:', modified.map(migration => migration.name));
+    }
+    
+    if (pending.length > 0) {
+      const message = `Database schema is behind by ${pending.length} migration(s): ` +
+        pending.map(migration => `${migration.version}_${migration.name}`).join(', ') +
+        '. Run "npm run migrate" to apply them.';
+      
+      if (SCHEMA_CHECK === 'strict') {
+        throw new Error(message);
+      }
+      console.warn('WARNING:', message);
+    } else {
+      console.log('Database schema is up to date');
+    }
+    
     // Start the server
     app.listen(PORT, () => {
       console.log(`Server running on port ${PORT}`);
@@ -786,6 +6479,9 @@ async function startServer() {
       console.log(`API documentation: http://localhost:${PORT}/`);
       console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
     });
+    
+    // Idempotency key cleanup and auto-closing of forgotten sessions
+    startScheduledJobs();
   } catch (error) {
     console.error('Failed to start server:', error);
     process.exit(1);
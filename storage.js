@@ -0,0 +1,74 @@
+// File storage - where uploaded files such as attendance photos are kept. A backend
+// provides put(key, buffer, contentType), get(key) (a readable stream, or null when the
+// file does not exist) and remove(key); keys are relative paths chosen by the caller.
+const fs = require('fs');
+const path = require('path');
+require('dotenv').config();
+
+const storageConfig = {
+  driver: process.env.STORAGE_DRIVER || 'local',
+  localPath: path.resolve(process.env.STORAGE_LOCAL_PATH || path.join(__dirname, 'uploads'))
+};
+
+function createLocalDiskStorage(root) {
+  // Keys are generated by the server, but never let one point outside the root
+  const resolve = key => {
+    const filePath = path.resolve(root, key);
+    if (!filePath.startsWith(root + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  };
+
+  return {
+    async put(key, buffer) {
+      const filePath = resolve(key);
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      // wx: never overwrite an existing file
+      await fs.promises.writeFile(filePath, buffer, { flag: 'wx' });
+    },
+
+    async get(key) {
+      const filePath = resolve(key);
+      try {
+        await fs.promises.access(filePath);
+      } catch (error) {
+        return null;
+      }
+      return fs.createReadStream(filePath);
+    },
+
+    async remove(key) {
+      await fs.promises.rm(resolve(key), { force: true });
+    }
+  };
+}
+
+// Backend factories by driver name
+const storageDrivers = {
+  local: () => createLocalDiskStorage(storageConfig.localPath)
+};
+
+function registerStorageDriver(name, factory) {
+  storageDrivers[name] = factory;
+}
+
+const backends = new Map();
+
+// The backend for a driver (default: STORAGE_DRIVER). Files keep the driver they were
+// stored with, so they stay readable after STORAGE_DRIVER changes.
+function getStorage(driver = storageConfig.driver) {
+  if (!backends.has(driver)) {
+    if (!storageDrivers[driver]) {
+      throw new Error(`Unknown storage driver: ${driver}`);
+    }
+    backends.set(driver, storageDrivers[driver]());
+  }
+  return backends.get(driver);
+}
+
+module.exports = {
+  storageConfig,
+  registerStorageDriver,
+  getStorage
+};
@@ -0,0 +1,104 @@
+// Polygon geofences: point-in-polygon, distance to the boundary, payload validation and
+// the polygon/circle choice in evaluateGeofence
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { haversineMeters, isPointInPolygon, distanceToPolygonEdgeMeters, normalizePolygon, evaluateGeofence } = require('../geo');
+
+const CENTRE = { latitude: 28.7041, longitude: 77.1025 };
+// 0.001 degrees of latitude, in meters
+const LAT_STEP_METERS = Math.PI * 6371000 / 180 / 1000;
+
+// Square of +/- 0.001 degrees around the centre
+const square = [
+  { latitude: 28.7031, longitude: 77.1015 },
+  { latitude: 28.7031, longitude: 77.1035 },
+  { latitude: 28.7051, longitude: 77.1035 },
+  { latitude: 28.7051, longitude: 77.1015 }
+];
+
+// L shape: the square without its north-east quarter
+const lShape = [
+  { latitude: 28.7031, longitude: 77.1015 },
+  { latitude: 28.7031, longitude: 77.1035 },
+  { latitude: 28.7041, longitude: 77.1035 },
+  { latitude: 28.7041, longitude: 77.1025 },
+  { latitude: 28.7051, longitude: 77.1025 },
+  { latitude: 28.7051, longitude: 77.1015 }
+];
+
+describe('isPointInPolygon', () => {
+  test('finds points inside and outside a convex boundary', () => {
+    assert.equal(isPointInPolygon(CENTRE.latitude, CENTRE.longitude, square), true);
+    assert.equal(isPointInPolygon(28.7050, 77.1034, square), true);
+    assert.equal(isPointInPolygon(28.7055, 77.1025, square), false);
+    assert.equal(isPointInPolygon(28.7041, 77.1040, square), false);
+  });
+
+  test('handles a concave boundary', () => {
+    assert.equal(isPointInPolygon(28.7036, 77.1030, lShape), true);
+    assert.equal(isPointInPolygon(28.7046, 77.1020, lShape), true);
+    // The missing north-east quarter
+    assert.equal(isPointInPolygon(28.7046, 77.1030, lShape), false);
+  });
+});
+
+describe('distanceToPolygonEdgeMeters', () => {
+  test('measures to the nearest edge', () => {
+    const distance = distanceToPolygonEdgeMeters(28.7061, 77.1025, square);
+    assert.ok(Math.abs(distance - LAT_STEP_METERS) < 0.5, `expected about ${LAT_STEP_METERS} m, got ${distance}`);
+  });
+
+  test('measures to the nearest vertex past a corner', () => {
+    const distance = distanceToPolygonEdgeMeters(28.7061, 77.1035, square);
+    assert.ok(Math.abs(distance - LAT_STEP_METERS) < 0.5, `expected about ${LAT_STEP_METERS} m, got ${distance}`);
+  });
+});
+
+describe('normalizePolygon', () => {
+  test('accepts object and pair points and drops a repeated closing vertex', () => {
+    const pairs = [...square, square[0]].map(point => [String(point.latitude), point.longitude]);
+
+    assert.deepEqual(normalizePolygon(pairs), { polygon: square });
+    assert.deepEqual(normalizePolygon(square), { polygon: square });
+  });
+
+  test('rejects too few points, bad coordinates and zero-area boundaries', () => {
+    assert.deepEqual(normalizePolygon('not an array'), { error: 'Boundary must be an array of points' });
+    assert.deepEqual(normalizePolygon(square.slice(0, 2)), { error: 'Boundary must have between 3 and 500 points' });
+    assert.deepEqual(normalizePolygon([...square.slice(0, 3), { latitude: 91, longitude: 77 }]), {
+      error: 'Boundary points must have valid latitude and longitude'
+    });
+    assert.deepEqual(normalizePolygon([...square.slice(0, 3), null]), {
+      error: 'Boundary points must have valid latitude and longitude'
+    });
+    assert.deepEqual(normalizePolygon([[28.70, 77.10], [28.71, 77.11], [28.72, 77.12]]), {
+      error: 'Boundary points must enclose an area'
+    });
+  });
+});
+
+describe('evaluateGeofence', () => {
+  const location = { ...CENTRE, radius_meters: 50, boundary: lShape };
+
+  test('uses the polygon when the location has a boundary', () => {
+    const inside = evaluateGeofence(28.7036, 77.1030, location);
+    assert.equal(inside.geofence_type, 'polygon');
+    assert.equal(inside.is_within, true);
+    assert.equal(inside.distance_to_boundary_meters, 0);
+
+    // Inside the radius but in the missing quarter
+    const outside = evaluateGeofence(28.7043, 77.1027, location);
+    assert.equal(outside.is_within, false);
+    assert.ok(outside.distance_to_boundary_meters > 0);
+    assert.ok(outside.distance_meters < location.radius_meters);
+  });
+
+  test('falls back to the radius without a boundary', () => {
+    const result = evaluateGeofence(28.7043, 77.1027, { ...location, boundary: null });
+    assert.equal(result.geofence_type, 'circle');
+    assert.equal(result.is_within, true);
+    assert.equal(result.distance_meters, haversineMeters(28.7043, 77.1027, CENTRE.latitude, CENTRE.longitude));
+    assert.equal(result.distance_to_boundary_meters, 0);
+  });
+});
@@ -0,0 +1,57 @@
+// Shared helpers for tests that answer database queries in memory
+
+// What an UPDATE ... RETURNING query hands back for row: every column for RETURNING *,
+// otherwise only the listed columns
+function returnedColumns(sql, row) {
+  const list = sql.match(/RETURNING\s+([\s\S]+?)\s*$/i)[1];
+  if (list === '*') {
+    return { ...row };
+  }
+  return Object.fromEntries(list.split(',').map(column => column.trim()).map(column => [column, row[column]]));
+}
+
+// An attendance row as stored, open or closed by the auto-close job
+function attendanceRow(fields = {}) {
+  return {
+    id: 42,
+    employee_id: 7,
+    // pg returns DATE columns as local midnight
+    attendance_date: new Date(2026, 0, 5),
+    timezone: 'Asia/Kolkata',
+    check_in_time: new Date('2026-01-05T03:30:00.000Z'),
+    check_out_time: null,
+    total_hours: null,
+    check_in_location_code: 'TST001',
+    check_out_location_code: null,
+    location_verified: true,
+    is_offline_sync: false,
+    auto_closed: false,
+    auto_close_reason: null,
+    ...fields
+  };
+}
+
+// Replace db.query with one that closes row the way attendanceDb.autoCloseStaleSessions
+// asks for; returns a function that restores the real query
+function stubAutoCloseQuery(db, row, maxOpenHours) {
+  const query = db.query;
+  db.query = async (sql, params) => {
+    const closed = {
+      ...row,
+      check_out_time: new Date(row.check_in_time.getTime() + maxOpenHours * 60 * 60 * 1000),
+      total_hours: String(maxOpenHours),
+      auto_closed: true,
+      auto_close_reason: params[1]
+    };
+    return { rows: [returnedColumns(sql, closed)] };
+  };
+  return () => {
+    db.query = query;
+  };
+}
+
+module.exports = {
+  returnedColumns,
+  attendanceRow,
+  stubAutoCloseQuery
+};
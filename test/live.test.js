@@ -0,0 +1,99 @@
+// Live feed events for sessions the auto-close job checks out. The feed and the job run
+// against in-memory rows in place of the database.
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { EventEmitter } = require('events');
+
+const { db, attendanceDb, employeeDb, locationDb } = require('../database');
+const { publishAttendanceEvent, streamLiveFeed } = require('../live');
+const { attendanceRow, stubAutoCloseQuery } = require('./helpers');
+
+// Just enough of an Express response to collect the server-sent events
+function feedResponse() {
+  const res = new EventEmitter();
+  res.written = '';
+  res.status = () => res;
+  res.set = () => res;
+  res.flushHeaders = () => {};
+  res.write = chunk => {
+    res.written += chunk;
+    return true;
+  };
+  res.events = () => res.written.split('\n\n')
+    .filter(block => block.startsWith('event: '))
+    .map(block => {
+      const [eventLine, dataLine] = block.split('\n');
+      return { event: eventLine.slice('event: '.length), data: JSON.parse(dataLine.slice('data: '.length)) };
+    });
+  return res;
+}
+
+describe('live feed and auto-closed sessions', () => {
+  const saved = { attendance: { ...attendanceDb }, employees: { ...employeeDb }, locations: { ...locationDb } };
+  const openSession = attendanceRow();
+
+  before(() => {
+    attendanceDb.getOnSite = async () => [{
+      ...openSession,
+      employee_name: 'Ravi',
+      manager_id: 3,
+      location_name: 'Test Site',
+      state: 'Delhi'
+    }];
+    employeeDb.getPublicById = async id => ({ id: id, name: 'Ravi', manager_id: 3 });
+    locationDb.getByCode = async code => ({ location_code: code, name: 'Test Site', state: 'Delhi' });
+  });
+
+  after(() => {
+    Object.assign(attendanceDb, saved.attendance);
+    Object.assign(employeeDb, saved.employees);
+    Object.assign(locationDb, saved.locations);
+  });
+
+  const openFeed = async filter => {
+    const res = feedResponse();
+    await streamLiveFeed({}, res, filter);
+    return res;
+  };
+
+  test('a location-filtered feed receives the auto-close check-out and drops the session', async () => {
+    const res = await openFeed({ locationCode: 'tst001', state: null, employeeIds: null });
+    const restore = stubAutoCloseQuery(db, openSession, 16);
+    let closed;
+    try {
+      closed = await attendanceDb.autoCloseStaleSessions(16, 'No check-out within 16 hours of check-in');
+    } finally {
+      restore();
+    }
+    await publishAttendanceEvent('check_out', closed[0]);
+    res.emit('close');
+
+    const [snapshot, checkOut] = res.events();
+    assert.equal(snapshot.event, 'snapshot');
+    assert.deepEqual(snapshot.data.data.map(entry => entry.attendance_id), [42]);
+
+    assert.equal(checkOut.event, 'check_out');
+    assert.equal(checkOut.data.attendance_id, 42);
+    assert.equal(checkOut.data.location_code, 'TST001');
+    assert.equal(checkOut.data.state, 'Delhi');
+    assert.equal(checkOut.data.auto_closed, true);
+    assert.equal(checkOut.data.check_out_time, '2026-01-05T19:30:00.000Z');
+  });
+
+  test('a state-filtered feed receives it as well', async () => {
+    const res = await openFeed({ locationCode: null, state: 'delhi', employeeIds: new Set([7]) });
+    const restore = stubAutoCloseQuery(db, openSession, 16);
+    let closed;
+    try {
+      closed = await attendanceDb.autoCloseStaleSessions(16, 'No check-out within 16 hours of check-in');
+    } finally {
+      restore();
+    }
+    await publishAttendanceEvent('check_out', closed[0]);
+    res.emit('close');
+
+    const events = res.events();
+    assert.deepEqual(events.map(({ event }) => event), ['snapshot', 'check_out']);
+    assert.equal(events[1].data.attendance_id, 42);
+  });
+});
@@ -0,0 +1,101 @@
+// Notification template rendering and placeholder checks, and the SMS gateway channel
+// against a local receiver
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+
+const { notificationConfig, notificationChannels, renderTemplate, unknownPlaceholders } = require('../notifications');
+
+describe('renderTemplate', () => {
+  test('replaces {{placeholders}}, with or without inner spaces', () => {
+    const text = 'Hi {{recipient_name}}, {{ employee_name }} checked in at {{check_in_time}}';
+    const variables = { recipient_name: 'Asha', employee_name: 'Ravi', check_in_time: '09:40' };
+
+    assert.equal(renderTemplate(text, variables), 'Hi Asha, Ravi checked in at 09:40');
+  });
+
+  test('renders missing, null and undefined values as empty text', () => {
+    const variables = { location_code: null, shift_name: undefined };
+
+    assert.equal(renderTemplate('[{{location_code}}][{{shift_name}}][{{hours_open}}]', variables), '[][][]');
+  });
+
+  test('renders numbers and repeated placeholders', () => {
+    assert.equal(renderTemplate('{{late_minutes}} min ({{late_minutes}})', { late_minutes: 0 }), '0 min (0)');
+  });
+
+  test('leaves text without placeholders alone and keeps a missing template null', () => {
+    assert.equal(renderTemplate('No placeholders {here}', {}), 'No placeholders {here}');
+    assert.equal(renderTemplate(null, {}), null);
+    assert.equal(renderTemplate(undefined, {}), null);
+  });
+});
+
+describe('unknownPlaceholders', () => {
+  test('is empty when every placeholder belongs to the event', () => {
+    assert.deepEqual(unknownPlaceholders('checkout_reminder', '{{employee_name}} open for {{ hours_open }}h'), []);
+    assert.deepEqual(unknownPlaceholders('late_arrival', '{{shift_name}} {{late_minutes}}'), []);
+  });
+
+  test('lists each placeholder the event does not provide once', () => {
+    const text = '{{employee_name}} {{late_minutes}} {{salary}} {{salary}}';
+
+    assert.deepEqual(unknownPlaceholders('checkout_reminder', text), ['late_minutes', 'salary']);
+  });
+
+  test('accepts an empty or missing text', () => {
+    assert.deepEqual(unknownPlaceholders('late_arrival', ''), []);
+    assert.deepEqual(unknownPlaceholders('late_arrival', null), []);
+  });
+});
+
+describe('sms channel', () => {
+  const saved = { ...notificationConfig.sms };
+  let server;
+  let received;
+  let responseStatus;
+  let responseBody;
+
+  before(async () => {
+    server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        received.push({ headers: req.headers, body: body });
+        res.writeHead(responseStatus, { 'Content-Type': 'application/json' });
+        res.end(responseBody);
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    Object.assign(notificationConfig.sms, { url: `http://127.0.0.1:${server.address().port}/sms`, token: 'gateway-token', sender: 'FIELDTRK' });
+  });
+
+  after(async () => {
+    Object.assign(notificationConfig.sms, saved);
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  test('POSTs the message to the gateway and returns its message id', async () => {
+    received = [];
+    responseStatus = 202;
+    responseBody = JSON.stringify({ message_id: 'sms_123' });
+
+    const messageId = await notificationChannels.sms.send({ to: '+919800000000', body: 'You are still checked in' });
+
+    assert.equal(messageId, 'sms_123');
+    assert.equal(received.length, 1);
+    assert.equal(received[0].headers.authorization, 'Bearer gateway-token');
+    assert.deepEqual(JSON.parse(received[0].body), { to: '+919800000000', from: 'FIELDTRK', message: 'You are still checked in' });
+  });
+
+  test('fails when the gateway does not accept the message', async () => {
+    received = [];
+    responseStatus = 400;
+    responseBody = JSON.stringify({ error: 'invalid number' });
+
+    await assert.rejects(
+      notificationChannels.sms.send({ to: 'bad', body: 'x' }),
+      /SMS gateway responded with HTTP 400/
+    );
+  });
+});
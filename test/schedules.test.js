@@ -0,0 +1,142 @@
+// Day classification against shift schedules: on time, late, left early, absent, pending
+// and unscheduled. Shifts and sessions come from in-memory rows in place of the database.
+const { test, describe, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { attendanceDb, shiftDb, holidayDb, leaveDb } = require('../database');
+const { getScheduledShift, classifyDays, countStatuses } = require('../schedules');
+
+const TIMEZONE = 'Asia/Kolkata';
+const employee = { id: 7, name: 'Ravi', assigned_location_id: null };
+
+// 09:00-17:00 India time is 03:30-11:30 UTC
+const dayShift = {
+  id: 1,
+  name: 'Day',
+  start_time: '09:00:00',
+  end_time: '17:00:00',
+  late_grace_minutes: 10,
+  early_leave_grace_minutes: 15,
+  effective_from: '2026-03-01',
+  effective_to: null,
+  days_of_week: [1, 2, 3, 4, 5]
+};
+
+const session = (date, checkIn, checkOut) => ({
+  attendance_date: date,
+  check_in_time: `${date}T${checkIn}:00.000Z`,
+  check_out_time: checkOut ? `${date}T${checkOut}:00.000Z` : null
+});
+
+describe('schedules', () => {
+  const saved = { attendance: { ...attendanceDb }, shifts: { ...shiftDb }, holidays: { ...holidayDb }, leave: { ...leaveDb } };
+  let assignments;
+  let sessions;
+
+  before(() => {
+    shiftDb.getAssignmentsForRange = async () => assignments;
+    attendanceDb.getForDateRange = async () => sessions;
+    holidayDb.list = async () => [];
+    leaveDb.getActiveForRange = async () => [];
+  });
+  after(() => {
+    Object.assign(attendanceDb, saved.attendance);
+    Object.assign(shiftDb, saved.shifts);
+    Object.assign(holidayDb, saved.holidays);
+    Object.assign(leaveDb, saved.leave);
+  });
+  beforeEach(() => {
+    assignments = [dayShift];
+    sessions = [];
+  });
+
+  test('classifies each day of a week against the shift', async () => {
+    sessions = [
+      // Within the 10 minute grace
+      session('2026-03-02', '03:35', '11:30'),
+      session('2026-03-03', '03:50', '11:30'),
+      // Leaves 30 minutes early, past the 15 minute grace
+      session('2026-03-04', '03:30', '11:00'),
+      // Nothing on Thursday; Friday's session is still open
+      session('2026-03-06', '03:30', null),
+      session('2026-03-07', '04:00', '08:00')
+    ];
+
+    const days = await classifyDays(employee, TIMEZONE, '2026-03-02', '2026-03-08', new Date('2026-03-06T08:00:00Z'));
+
+    assert.deepEqual(days.map(day => [day.date, day.status]), [
+      ['2026-03-02', 'on_time'],
+      ['2026-03-03', 'late'],
+      ['2026-03-04', 'left_early'],
+      ['2026-03-05', 'absent'],
+      ['2026-03-06', 'on_time'],
+      ['2026-03-07', 'unscheduled'],
+      ['2026-03-08', 'unscheduled']
+    ]);
+    assert.deepEqual(days.map(day => [day.late_minutes, day.early_leave_minutes]), [
+      [5, 0], [20, 0], [0, 30], [0, 0], [0, 0], [0, 0], [0, 0]
+    ]);
+    assert.equal(days[0].shift.scheduled_start, '2026-03-02T03:30:00.000Z');
+    assert.equal(days[0].shift.scheduled_end, '2026-03-02T11:30:00.000Z');
+    assert.equal(days[4].last_check_out, null);
+    assert.equal(days[6].session_count, 0);
+    assert.equal(days[5].shift, null);
+
+    assert.deepEqual(countStatuses(days), {
+      on_time: 2, late: 1, left_early: 1, absent: 1, unscheduled: 2, pending: 0, holiday: 0, leave: 0
+    });
+  });
+
+  test('leaves a scheduled day without sessions pending until the shift ends', async () => {
+    const [beforeEnd, atEnd] = await Promise.all([
+      classifyDays(employee, TIMEZONE, '2026-03-02', '2026-03-02', new Date('2026-03-02T11:29:00Z')),
+      classifyDays(employee, TIMEZONE, '2026-03-02', '2026-03-02', new Date('2026-03-02T11:30:00Z'))
+    ]);
+
+    assert.equal(beforeEnd[0].status, 'pending');
+    assert.equal(atEnd[0].status, 'absent');
+  });
+
+  test('decides leaving early only once the shift is over', async () => {
+    sessions = [session('2026-03-02', '03:30', '09:00')];
+
+    const [during] = await classifyDays(employee, TIMEZONE, '2026-03-02', '2026-03-02', new Date('2026-03-02T10:00:00Z'));
+    const [ended] = await classifyDays(employee, TIMEZONE, '2026-03-02', '2026-03-02', new Date('2026-03-02T12:00:00Z'));
+
+    assert.equal(during.status, 'on_time');
+    assert.equal(ended.status, 'left_early');
+    assert.equal(ended.early_leave_minutes, 150);
+  });
+
+  test('a newer assignment overrides older ones only on its weekdays', async () => {
+    const saturdayShift = { ...dayShift, id: 2, name: 'Saturday', start_time: '10:00:00', end_time: '14:00:00', days_of_week: [6] };
+    // Newest first, as the database returns them
+    assignments = [saturdayShift, dayShift];
+
+    const days = await classifyDays(employee, TIMEZONE, '2026-03-06', '2026-03-08', new Date('2026-03-09T00:00:00Z'));
+
+    assert.deepEqual(days.map(day => [day.date, day.shift && day.shift.name, day.status]), [
+      ['2026-03-06', 'Day', 'absent'],
+      ['2026-03-07', 'Saturday', 'absent'],
+      ['2026-03-08', null, 'unscheduled']
+    ]);
+  });
+
+  test('an overnight shift ends the next day', async () => {
+    assignments = [{ ...dayShift, name: 'Night', start_time: '22:00:00', end_time: '06:00:00' }];
+
+    const shift = await getScheduledShift(employee.id, '2026-03-02', TIMEZONE);
+
+    assert.equal(shift.name, 'Night');
+    assert.equal(shift.window.start.toISOString(), '2026-03-02T16:30:00.000Z');
+    assert.equal(shift.window.end.toISOString(), '2026-03-03T00:30:00.000Z');
+  });
+
+  test('no shift is scheduled outside the assignment dates', async () => {
+    assignments = [{ ...dayShift, effective_to: '2026-03-31' }];
+
+    assert.equal(await getScheduledShift(employee.id, '2026-02-27', TIMEZONE), null);
+    assert.equal(await getScheduledShift(employee.id, '2026-04-01', TIMEZONE), null);
+    assert.equal((await getScheduledShift(employee.id, '2026-03-31', TIMEZONE)).name, 'Day');
+  });
+});
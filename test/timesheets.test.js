@@ -0,0 +1,200 @@
+// Pay periods, the payroll rules (rounding, breaks, overtime, the unconfirmed cap) and
+// period locking. Sessions and locks come from in-memory rows in place of the database.
+const { test, describe, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { attendanceDb, timesheetDb } = require('../database');
+const { payrollConfig, getPayPeriod, computeTimesheet, findLockedPeriod, lockedPeriodError } = require('../timesheets');
+
+const RULES = {
+  periodType: 'monthly',
+  periodAnchor: '2024-01-01',
+  weekStartDay: 1,
+  roundingMode: 'none',
+  roundingMinutes: 15,
+  breakDeductionEnabled: false,
+  breakAfterHours: 6,
+  breakMinutes: 30,
+  dailyOvertimeHours: 9,
+  weeklyOvertimeHours: 48,
+  unconfirmedCapHours: 0
+};
+
+const employee = { id: 7, name: 'Ravi' };
+
+let nextId = 1;
+// A completed session on date between two UTC times of day
+const session = (date, checkIn, checkOut, fields = {}) => ({
+  id: nextId++,
+  attendance_date: date,
+  check_in_time: `${date}T${checkIn}:00.000Z`,
+  check_out_time: checkOut ? `${date}T${checkOut}:00.000Z` : null,
+  auto_closed: false,
+  confirmed_at: null,
+  correction_id: null,
+  ...fields
+});
+
+describe('getPayPeriod', () => {
+  const saved = { ...payrollConfig };
+  beforeEach(() => Object.assign(payrollConfig, RULES));
+  after(() => Object.assign(payrollConfig, saved));
+
+  test('monthly periods cover the calendar month', () => {
+    assert.deepEqual(getPayPeriod('2026-02-14'), { start: '2026-02-01', end: '2026-02-28' });
+  });
+
+  test('semimonthly periods split on the 15th', () => {
+    payrollConfig.periodType = 'semimonthly';
+    assert.deepEqual(getPayPeriod('2026-03-15'), { start: '2026-03-01', end: '2026-03-15' });
+    assert.deepEqual(getPayPeriod('2026-03-16'), { start: '2026-03-16', end: '2026-03-31' });
+  });
+
+  test('weekly and biweekly periods follow on from the anchor', () => {
+    payrollConfig.periodType = 'weekly';
+    assert.deepEqual(getPayPeriod('2024-01-10'), { start: '2024-01-08', end: '2024-01-14' });
+    payrollConfig.periodType = 'biweekly';
+    assert.deepEqual(getPayPeriod('2024-01-10'), { start: '2024-01-01', end: '2024-01-14' });
+    assert.deepEqual(getPayPeriod('2023-12-31'), { start: '2023-12-18', end: '2023-12-31' });
+  });
+});
+
+describe('computeTimesheet', () => {
+  const saved = { config: { ...payrollConfig }, attendance: { ...attendanceDb } };
+  let sessions;
+  let ranges;
+
+  before(() => {
+    attendanceDb.getForDateRange = async (employeeId, from, to) => {
+      ranges.push([employeeId, from, to]);
+      return sessions;
+    };
+  });
+  after(() => {
+    Object.assign(payrollConfig, saved.config);
+    Object.assign(attendanceDb, saved.attendance);
+  });
+  beforeEach(() => {
+    Object.assign(payrollConfig, RULES);
+    sessions = [];
+    ranges = [];
+  });
+
+  test('rounds each session to the configured increment', async () => {
+    sessions = [session('2026-03-02', '09:00', '12:05')];
+    const paidHours = async mode => {
+      payrollConfig.roundingMode = mode;
+      return (await computeTimesheet(employee, '2026-03-02')).totals.paid_hours;
+    };
+
+    assert.equal(await paidHours('none'), 3.08);
+    assert.equal(await paidHours('nearest'), 3);
+    assert.equal(await paidHours('up'), 3.25);
+    assert.equal(await paidHours('down'), 3);
+  });
+
+  test('deducts the part of the required break not taken between sessions', async () => {
+    payrollConfig.breakDeductionEnabled = true;
+    sessions = [
+      session('2026-03-02', '08:00', '12:00'),
+      session('2026-03-02', '12:10', '16:00'),
+      // Exactly breakAfterHours - no break required
+      session('2026-03-03', '09:00', '15:00')
+    ];
+
+    const { days, totals } = await computeTimesheet(employee, '2026-03-02');
+
+    assert.deepEqual(days.map(day => [day.date, day.recorded_hours, day.break_taken_hours, day.break_deduction_hours, day.paid_hours]), [
+      ['2026-03-02', 7.83, 0.17, 0.33, 7.5],
+      ['2026-03-03', 6, 0, 0, 6]
+    ]);
+    assert.equal(totals.break_deduction_hours, 0.33);
+  });
+
+  test('counts paid time past the daily threshold as overtime', async () => {
+    sessions = [session('2026-03-02', '08:00', '19:00')];
+
+    const { days, totals } = await computeTimesheet(employee, '2026-03-02');
+
+    assert.equal(days[0].regular_hours, 9);
+    assert.equal(days[0].overtime_hours, 2);
+    assert.equal(totals.daily_overtime_hours, 2);
+    assert.equal(totals.weekly_overtime_hours, 0);
+  });
+
+  test('counts regular time past the weekly threshold as overtime', async () => {
+    // Monday to Saturday, 9 hours a day
+    sessions = ['02', '03', '04', '05', '06', '07'].map(day => session(`2026-03-${day}`, '08:00', '17:00'));
+
+    const { days, totals } = await computeTimesheet(employee, '2026-03-02');
+
+    assert.deepEqual(days.map(day => day.overtime_hours), [0, 0, 0, 0, 0, 6]);
+    assert.equal(totals.regular_hours, 48);
+    assert.equal(totals.weekly_overtime_hours, 6);
+    assert.equal(totals.daily_overtime_hours, 0);
+  });
+
+  test('carries the week in from before the period for weekly overtime', async () => {
+    // Monday 30 and Tuesday 31 March belong to the March period
+    sessions = ['2026-03-30', '2026-03-31', '2026-04-01', '2026-04-02', '2026-04-03', '2026-04-04']
+      .map(date => session(date, '08:00', '17:00'));
+
+    const timesheet = await computeTimesheet(employee, '2026-04-15');
+
+    assert.deepEqual(ranges, [[7, '2026-03-30', '2026-04-30']]);
+    assert.deepEqual(timesheet.days.map(day => day.date), ['2026-04-01', '2026-04-02', '2026-04-03', '2026-04-04']);
+    assert.equal(timesheet.totals.days_worked, 4);
+    assert.equal(timesheet.totals.weekly_overtime_hours, 6);
+    assert.equal(timesheet.totals.paid_hours, 36);
+  });
+
+  test('caps unconfirmed auto-closed sessions and lists open and unconfirmed sessions', async () => {
+    const unconfirmed = session('2026-03-02', '08:00', '20:00', { auto_closed: true });
+    const confirmed = session('2026-03-03', '08:00', '16:00', { auto_closed: true, confirmed_at: '2026-03-04T10:00:00.000Z' });
+    const open = session('2026-03-04', '08:00', null);
+    sessions = [unconfirmed, confirmed, open];
+
+    const timesheet = await computeTimesheet(employee, '2026-03-02');
+
+    assert.deepEqual(timesheet.days.map(day => [day.date, day.recorded_hours, day.paid_hours]), [
+      ['2026-03-02', 12, 0],
+      ['2026-03-03', 8, 8]
+    ]);
+    assert.deepEqual(timesheet.unconfirmed_sessions, [unconfirmed.id]);
+    assert.deepEqual(timesheet.open_sessions, [open.id]);
+  });
+});
+
+describe('period locking', () => {
+  const saved = { ...timesheetDb };
+  const locked = { id: 3, period_start: '2026-03-01', period_end: '2026-03-31' };
+  let lookups;
+
+  before(() => {
+    timesheetDb.getLockedCovering = async (employeeId, date) => {
+      lookups.push([employeeId, date]);
+      return date >= locked.period_start && date <= locked.period_end ? locked : null;
+    };
+  });
+  after(() => Object.assign(timesheetDb, saved));
+  beforeEach(() => {
+    lookups = [];
+  });
+
+  test('finds the locked period covering any of the dates', async () => {
+    assert.equal(await findLockedPeriod(7, '2026-02-27', '2026-03-02'), locked);
+    assert.deepEqual(lookups, [[7, '2026-02-27'], [7, '2026-03-02']]);
+  });
+
+  test('skips missing dates and returns null when nothing is locked', async () => {
+    assert.equal(await findLockedPeriod(7, null, '2026-04-01', undefined), null);
+    assert.deepEqual(lookups, [[7, '2026-04-01']]);
+  });
+
+  test('describes the locked period in the error body', () => {
+    assert.deepEqual(lockedPeriodError(locked), {
+      message: 'The timesheet for 2026-03-01 to 2026-03-31 is locked and cannot be changed',
+      timesheet_period_id: 3
+    });
+  });
+});
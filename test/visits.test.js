@@ -0,0 +1,109 @@
+// Visit form definitions and the server-side validation of visit answers
+const { test, describe } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { validateFormFields, validateAnswers } = require('../visits');
+
+describe('validateFormFields', () => {
+  test('normalizes definitions and fills in the defaults', () => {
+    const result = validateFormFields([
+      { key: 'notes', label: ' Notes ', type: 'text' },
+      { key: 'stock_count', label: 'Stock count', type: 'number', required: true, min: 0, integer: true },
+      { key: 'condition', label: 'Condition', type: 'choice', options: [' Good', 'Poor '] },
+      { key: 'signed_off', label: 'Signed off', type: 'checkbox', required: true }
+    ]);
+
+    assert.deepEqual(result, {
+      fields: [
+        { key: 'notes', label: 'Notes', type: 'text', required: false, max_length: 1000 },
+        { key: 'stock_count', label: 'Stock count', type: 'number', required: true, min: 0, max: null, integer: true },
+        { key: 'condition', label: 'Condition', type: 'choice', required: false, options: ['Good', 'Poor'] },
+        { key: 'signed_off', label: 'Signed off', type: 'checkbox', required: true }
+      ]
+    });
+  });
+
+  test('rejects an empty or missing field list', () => {
+    const error = { error: 'fields must be an array of 1 to 50 field definitions' };
+    assert.deepEqual(validateFormFields([]), error);
+    assert.deepEqual(validateFormFields(undefined), error);
+    assert.deepEqual(validateFormFields(Array.from({ length: 51 }, (_, i) => ({ key: `f${i}`, label: 'F', type: 'text' }))), error);
+  });
+
+  test('names the field that is wrong', () => {
+    const cases = [
+      [[null], 'fields[0] must be an object'],
+      [[{ key: 'Bad Key', label: 'L', type: 'text' }], 'fields[0].key must start with a lower-case letter and use only a-z, 0-9 and _ (at most 50 characters)'],
+      [[{ key: 'a', label: '  ', type: 'text' }], 'fields[0].label is required and must be at most 200 characters'],
+      [[{ key: 'a', label: 'A', type: 'date' }], 'fields[0].type must be one of: text, number, choice, checkbox'],
+      [[{ key: 'a', label: 'A', type: 'text', required: 'yes' }], 'fields[0].required must be true or false'],
+      [[{ key: 'a', label: 'A', type: 'text', max_length: 6000 }], 'fields[0].max_length must be a whole number from 1 to 5000'],
+      [[{ key: 'a', label: 'A', type: 'number', min: '1' }], 'fields[0].min and fields[0].max must be numbers'],
+      [[{ key: 'a', label: 'A', type: 'number', min: 5, max: 1 }], 'fields[0].min must not be greater than max'],
+      [[{ key: 'a', label: 'A', type: 'choice', options: [] }], 'fields[0].options must be 1 to 50 texts of at most 100 characters'],
+      [[{ key: 'a', label: 'A', type: 'choice', options: ['x', ' x'] }], 'fields[0].options must not repeat'],
+      [[{ key: 'a', label: 'A', type: 'text' }, { key: 'a', label: 'B', type: 'number' }], 'fields[1].key "a" is used more than once']
+    ];
+
+    for (const [fields, message] of cases) {
+      assert.deepEqual(validateFormFields(fields), { error: message });
+    }
+  });
+});
+
+describe('validateAnswers', () => {
+  const { fields } = validateFormFields([
+    { key: 'notes', label: 'Notes', type: 'text', max_length: 10 },
+    { key: 'stock_count', label: 'Stock count', type: 'number', required: true, min: 0, max: 100, integer: true },
+    { key: 'condition', label: 'Condition', type: 'choice', options: ['Good', 'Poor'] },
+    { key: 'photo_taken', label: 'Photo taken', type: 'checkbox' },
+    { key: 'signed_off', label: 'Signed off', type: 'checkbox', required: true }
+  ]);
+
+  test('returns every field, with unanswered optional fields as null or false', () => {
+    assert.deepEqual(validateAnswers(fields, { notes: '  ok  ', stock_count: 12, signed_off: true }), {
+      answers: { notes: 'ok', stock_count: 12, condition: null, photo_taken: false, signed_off: true }
+    });
+    assert.deepEqual(validateAnswers(fields, { notes: '   ', stock_count: 0, condition: 'Poor', photo_taken: true, signed_off: true }), {
+      answers: { notes: null, stock_count: 0, condition: 'Poor', photo_taken: true, signed_off: true }
+    });
+  });
+
+  test('reports one error per problem, including unknown keys', () => {
+    const result = validateAnswers(fields, {
+      notes: 'far too long for this',
+      stock_count: 2.5,
+      condition: 'Fine',
+      photo_taken: 'yes',
+      signed_off: false,
+      extra: 1
+    });
+
+    assert.deepEqual(result, {
+      errors: [
+        { field: 'extra', message: 'is not a field of this form' },
+        { field: 'notes', message: 'Notes must be at most 10 characters' },
+        { field: 'stock_count', message: 'Stock count must be a whole number' },
+        { field: 'condition', message: 'Condition must be one of: Good, Poor' },
+        { field: 'photo_taken', message: 'Photo taken must be true or false' },
+        { field: 'signed_off', message: 'Signed off must be checked' }
+      ]
+    });
+  });
+
+  test('checks required answers and number types and ranges', () => {
+    const messages = answers => validateAnswers(fields, { signed_off: true, ...answers }).errors.map(error => error.message);
+
+    assert.deepEqual(messages({}), ['Stock count is required']);
+    assert.deepEqual(messages({ stock_count: '12' }), ['Stock count must be a number']);
+    assert.deepEqual(messages({ stock_count: -1 }), ['Stock count must be at least 0']);
+    assert.deepEqual(messages({ stock_count: 101 }), ['Stock count must be at most 100']);
+    assert.deepEqual(messages({ stock_count: 1, notes: 5 }), ['Notes must be text']);
+  });
+
+  test('rejects answers that are not an object', () => {
+    const errors = [{ field: null, message: 'answers must be an object keyed by field key' }];
+    assert.deepEqual(validateAnswers(fields, null), { errors });
+    assert.deepEqual(validateAnswers(fields, ['a']), { errors });
+  });
+});
@@ -0,0 +1,175 @@
+// Webhook signing, retry backoff, dead-lettering and delivery to a local receiver.
+// The webhookDb calls made by attemptDelivery are replaced with in-memory recorders.
+const { test, describe, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const http = require('http');
+
+const { db, attendanceDb, webhookDb } = require('../database');
+const { webhookConfig, signPayload, retryDelaySeconds, attendanceWebhookData, attemptDelivery } = require('../webhooks');
+const { attendanceRow, stubAutoCloseQuery } = require('./helpers');
+
+const SECRET = 'whsec_test';
+
+describe('signPayload', () => {
+  test('signs "<timestamp>.<body>" with HMAC-SHA256', () => {
+    const body = JSON.stringify({ id: 'evt_1', type: 'attendance.checked_in' });
+    const expected = crypto.createHmac('sha256', SECRET).update(`1700000000.${body}`).digest('hex');
+
+    assert.equal(signPayload(SECRET, 1700000000, body), `t=1700000000,v1=${expected}`);
+  });
+
+  test('changes with the body, the timestamp and the secret', () => {
+    const signature = signPayload(SECRET, 1700000000, '{"a":1}');
+
+    assert.notEqual(signPayload(SECRET, 1700000000, '{"a":2}'), signature);
+    assert.notEqual(signPayload(SECRET, 1700000001, '{"a":1}'), signature);
+    assert.notEqual(signPayload('whsec_other', 1700000000, '{"a":1}'), signature);
+  });
+});
+
+describe('retryDelaySeconds', () => {
+  const saved = { ...webhookConfig };
+  before(() => Object.assign(webhookConfig, { retryBaseSeconds: 30, retryMaxSeconds: 3600 }));
+  after(() => Object.assign(webhookConfig, saved));
+
+  test('doubles from the base delay', () => {
+    assert.deepEqual([1, 2, 3, 4].map(retryDelaySeconds), [30, 60, 120, 240]);
+  });
+
+  test('is capped at the maximum delay', () => {
+    assert.equal(retryDelaySeconds(7), 1920);
+    assert.equal(retryDelaySeconds(8), 3600);
+    assert.equal(retryDelaySeconds(30), 3600);
+  });
+});
+
+describe('attendanceWebhookData', () => {
+  test('gives an auto-closed session the same payload shape as a check-out', async () => {
+    const restore = stubAutoCloseQuery(db, attendanceRow(), 16);
+    let closed;
+    try {
+      [closed] = await attendanceDb.autoCloseStaleSessions(16, 'No check-out within 16 hours of check-in');
+    } finally {
+      restore();
+    }
+
+    assert.deepEqual(attendanceWebhookData(closed), {
+      attendance_id: 42,
+      employee_id: 7,
+      attendance_date: '2026-01-05',
+      timezone: 'Asia/Kolkata',
+      check_in_time: new Date('2026-01-05T03:30:00.000Z'),
+      check_out_time: new Date('2026-01-05T19:30:00.000Z'),
+      total_hours: 16,
+      check_in_location_code: 'TST001',
+      check_out_location_code: null,
+      location_verified: true,
+      auto_closed: true,
+      offline_sync: false
+    });
+  });
+});
+
+describe('attemptDelivery', () => {
+  const saved = { db: { ...webhookDb }, config: { ...webhookConfig } };
+  let server;
+  let url;
+  let received;
+  let responseStatus;
+  let attempts;
+  let outcomes;
+
+  before(async () => {
+    server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        received.push({ headers: req.headers, body: body });
+        res.writeHead(responseStatus, { 'Content-Type': 'text/plain' });
+        res.end(responseStatus === 200 ? 'ok' : 'receiver error');
+      });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    url = `http://127.0.0.1:${server.address().port}/hooks`;
+
+    Object.assign(webhookConfig, { maxAttempts: 3, retryBaseSeconds: 30, retryMaxSeconds: 3600, timeoutMs: 2000 });
+    webhookDb.recordAttempt = async (deliveryId, attempt) => {
+      attempts.push({ deliveryId, ...attempt });
+    };
+    webhookDb.recordOutcome = async (id, outcome) => {
+      outcomes.push({ id, ...outcome });
+      return { id, ...outcome };
+    };
+  });
+
+  after(async () => {
+    Object.assign(webhookDb, saved.db);
+    Object.assign(webhookConfig, saved.config);
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  beforeEach(() => {
+    received = [];
+    responseStatus = 200;
+    attempts = [];
+    outcomes = [];
+  });
+
+  const delivery = (attemptsSoFar = 0) => ({
+    id: 7,
+    subscription_id: 3,
+    event_id: 'evt_1',
+    event_type: 'attendance.checked_in',
+    attempts: attemptsSoFar,
+    payload: { id: 'evt_1', type: 'attendance.checked_in', created_at: '2026-01-05T09:00:00.000Z', data: { attendance_id: 42 } }
+  });
+  const subscription = (fields = {}) => ({ id: 3, url: url, secret: SECRET, is_active: true, ...fields });
+
+  test('POSTs the signed event to the receiver and marks it delivered', async () => {
+    const outcome = await attemptDelivery(delivery(), subscription());
+
+    assert.equal(received.length, 1);
+    const { headers, body } = received[0];
+    assert.deepEqual(JSON.parse(body), delivery().payload);
+    assert.equal(headers['content-type'], 'application/json');
+    assert.equal(headers['x-webhook-id'], 'evt_1');
+    assert.equal(headers['x-webhook-event'], 'attendance.checked_in');
+    assert.equal(headers['x-webhook-delivery'], '7');
+
+    // The receiver can verify the signature over the raw body
+    const timestamp = headers['x-webhook-signature'].match(/^t=(\d+),/)[1];
+    assert.equal(headers['x-webhook-signature'], signPayload(SECRET, timestamp, body));
+
+    assert.equal(outcome.status, 'delivered');
+    assert.deepEqual(attempts.map(attempt => [attempt.attempt, attempt.statusCode, attempt.error]), [[1, 200, null]]);
+  });
+
+  test('schedules a retry with backoff after a failed attempt', async () => {
+    responseStatus = 500;
+    const outcome = await attemptDelivery(delivery(1), subscription());
+
+    assert.equal(outcome.status, 'pending');
+    assert.equal(outcome.attempts, 2);
+    assert.equal(outcome.retryInSeconds, 60);
+    assert.equal(outcome.error, 'Receiver responded with HTTP 500');
+    assert.equal(attempts[0].responseBody, 'receiver error');
+  });
+
+  test('dead-letters the delivery after the last attempt', async () => {
+    responseStatus = 503;
+    const outcome = await attemptDelivery(delivery(2), subscription());
+
+    assert.equal(outcome.status, 'dead');
+    assert.equal(outcome.attempts, 3);
+    assert.equal(outcome.retryInSeconds, null);
+  });
+
+  test('dead-letters at once for an inactive subscription without calling it', async () => {
+    const outcome = await attemptDelivery(delivery(), subscription({ is_active: false }));
+
+    assert.equal(received.length, 0);
+    assert.equal(outcome.status, 'dead');
+    assert.equal(outcome.error, 'Subscription is inactive');
+  });
+});
@@ -0,0 +1,254 @@
+// Payroll timesheets - turn recorded sessions into payable, regular and overtime hours
+// for a pay period, and lock approved periods against further attendance edits
+require('dotenv').config();
+
+const { attendanceDb, timesheetDb } = require('./database');
+const { addDays, toDateKey } = require('./timezone');
+
+const PAY_PERIOD_TYPES = ['weekly', 'biweekly', 'semimonthly', 'monthly'];
+const ROUNDING_MODES = ['none', 'nearest', 'up', 'down'];
+const weekStartDay = parseInt(process.env.PAYROLL_WEEK_START);
+
+const payrollConfig = {
+  periodType: PAY_PERIOD_TYPES.includes(process.env.PAY_PERIOD_TYPE) ? process.env.PAY_PERIOD_TYPE : 'monthly',
+  // First day of some weekly/biweekly period; later periods follow on from it
+  periodAnchor: process.env.PAY_PERIOD_ANCHOR || '2024-01-01',
+  // 0 = Sunday ... 6 = Saturday; weekly overtime is counted per week starting on this day
+  weekStartDay: weekStartDay >= 0 && weekStartDay <= 6 ? weekStartDay : 1,
+  roundingMode: ROUNDING_MODES.includes(process.env.TIMESHEET_ROUNDING_MODE) ? process.env.TIMESHEET_ROUNDING_MODE : 'nearest',
+  roundingMinutes: parseInt(process.env.TIMESHEET_ROUNDING_MINUTES) || 15,
+  // Days with more than breakAfterHours of work must include breakMinutes of break;
+  // any shortfall in the gaps between sessions is deducted from paid time
+  breakDeductionEnabled: process.env.BREAK_DEDUCTION_ENABLED !== 'false',
+  breakAfterHours: parseFloat(process.env.BREAK_AFTER_HOURS) || 6,
+  breakMinutes: parseInt(process.env.BREAK_MINUTES) || 30,
+  dailyOvertimeHours: parseFloat(process.env.OVERTIME_DAILY_HOURS) || 9,
+  weeklyOvertimeHours: parseFloat(process.env.OVERTIME_WEEKLY_HOURS) || 48,
+  // Hours credited for an auto-closed session nobody has confirmed yet
+  unconfirmedCapHours: parseFloat(process.env.UNCONFIRMED_SESSION_CAP_HOURS) || 0
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Calendar dates are handled as YYYY-MM-DD strings; arithmetic is done at UTC midnight
+const parseDate = value => new Date(`${value}T00:00:00Z`);
+const formatDate = date => date.toISOString().slice(0, 10);
+
+const toHours = minutes => Math.round(minutes / 60 * 100) / 100;
+
+// The pay period containing a date; returns { start, end } (both inclusive)
+function getPayPeriod(date) {
+  const day = parseDate(date);
+  const year = day.getUTCFullYear();
+  const month = day.getUTCMonth();
+
+  if (payrollConfig.periodType === 'monthly') {
+    return {
+      start: formatDate(new Date(Date.UTC(year, month, 1))),
+      end: formatDate(new Date(Date.UTC(year, month + 1, 0)))
+    };
+  }
+
+  if (payrollConfig.periodType === 'semimonthly') {
+    return day.getUTCDate() <= 15
+      ? { start: formatDate(new Date(Date.UTC(year, month, 1))), end: formatDate(new Date(Date.UTC(year, month, 15))) }
+      : { start: formatDate(new Date(Date.UTC(year, month, 16))), end: formatDate(new Date(Date.UTC(year, month + 1, 0))) };
+  }
+
+  const length = payrollConfig.periodType === 'weekly' ? 7 : 14;
+  const offset = Math.round((day - parseDate(payrollConfig.periodAnchor)) / DAY_MS);
+  const start = addDays(payrollConfig.periodAnchor, Math.floor(offset / length) * length);
+  return { start: start, end: addDays(start, length - 1) };
+}
+
+// First day of the overtime week containing a date
+function getWeekStart(date) {
+  const back = (parseDate(date).getUTCDay() - payrollConfig.weekStartDay + 7) % 7;
+  return addDays(date, -back);
+}
+
+function roundMinutes(minutes) {
+  const increment = payrollConfig.roundingMinutes;
+  if (payrollConfig.roundingMode === 'none' || increment <= 1) {
+    return minutes;
+  }
+  const round = { nearest: Math.round, up: Math.ceil, down: Math.floor }[payrollConfig.roundingMode];
+  return round(minutes / increment) * increment;
+}
+
+// Payable minutes for one completed session after the unconfirmed cap and rounding
+function sessionMinutes(session) {
+  const raw = (new Date(session.check_out_time) - new Date(session.check_in_time)) / 60000;
+  const unconfirmed = session.auto_closed && !session.confirmed_at;
+  const credited = unconfirmed ? Math.min(raw, payrollConfig.unconfirmedCapHours * 60) : raw;
+  return { raw, unconfirmed, credited: roundMinutes(credited) };
+}
+
+// Apply the payroll rules to an employee's completed sessions, ordered by check-in.
+// Days before periodStart are only used to carry weekly overtime into the period.
+function applyPayrollRules(sessions, periodStart) {
+  const days = new Map();
+  for (const session of sessions) {
+    const date = toDateKey(session.attendance_date);
+    if (!days.has(date)) {
+      days.set(date, []);
+    }
+    days.get(date).push(session);
+  }
+
+  const result = [];
+  let week = null;
+  let weekRegular = 0;
+
+  for (const date of [...days.keys()].sort()) {
+    const daySessions = days.get(date);
+    const weekStart = getWeekStart(date);
+    if (weekStart !== week) {
+      week = weekStart;
+      weekRegular = 0;
+    }
+
+    let rawMinutes = 0;
+    let workedMinutes = 0;
+    let breakTaken = 0;
+    const sessionRows = daySessions.map((session, index) => {
+      const minutes = sessionMinutes(session);
+      rawMinutes += minutes.raw;
+      workedMinutes += minutes.credited;
+      if (index > 0) {
+        const gap = (new Date(session.check_in_time) - new Date(daySessions[index - 1].check_out_time)) / 60000;
+        breakTaken += Math.max(0, gap);
+      }
+      return {
+        attendance_id: session.id,
+        check_in_time: session.check_in_time,
+        check_out_time: session.check_out_time,
+        recorded_hours: toHours(minutes.raw),
+        credited_hours: toHours(minutes.credited),
+        unconfirmed: minutes.unconfirmed,
+        corrected: !!session.correction_id
+      };
+    });
+
+    let breakDeduction = 0;
+    if (payrollConfig.breakDeductionEnabled && workedMinutes > payrollConfig.breakAfterHours * 60) {
+      breakDeduction = Math.min(workedMinutes, Math.max(0, payrollConfig.breakMinutes - breakTaken));
+    }
+    const paidMinutes = workedMinutes - breakDeduction;
+
+    const dailyRegular = Math.min(paidMinutes, payrollConfig.dailyOvertimeHours * 60);
+    const dailyOvertime = paidMinutes - dailyRegular;
+    // Regular time past the weekly threshold becomes overtime as well
+    const weeklyOvertime = Math.max(0, Math.min(dailyRegular, weekRegular + dailyRegular - payrollConfig.weeklyOvertimeHours * 60));
+    const regular = dailyRegular - weeklyOvertime;
+    weekRegular += regular;
+
+    if (date >= periodStart) {
+      result.push({
+        date: date,
+        sessions: sessionRows,
+        recorded_minutes: rawMinutes,
+        break_taken_minutes: breakTaken,
+        break_deduction_minutes: breakDeduction,
+        paid_minutes: paidMinutes,
+        regular_minutes: regular,
+        daily_overtime_minutes: dailyOvertime,
+        weekly_overtime_minutes: weeklyOvertime
+      });
+    }
+  }
+
+  return result;
+}
+
+// Rules in effect, kept with each timesheet so locked snapshots stay explainable
+function describeRules() {
+  return {
+    period_type: payrollConfig.periodType,
+    rounding: { mode: payrollConfig.roundingMode, minutes: payrollConfig.roundingMinutes },
+    break: {
+      enabled: payrollConfig.breakDeductionEnabled,
+      after_hours: payrollConfig.breakAfterHours,
+      minutes: payrollConfig.breakMinutes
+    },
+    overtime: {
+      daily_hours: payrollConfig.dailyOvertimeHours,
+      weekly_hours: payrollConfig.weeklyOvertimeHours,
+      week_start_day: payrollConfig.weekStartDay
+    },
+    unconfirmed_cap_hours: payrollConfig.unconfirmedCapHours
+  };
+}
+
+// Compute the timesheet for the pay period containing date
+async function computeTimesheet(employee, date) {
+  const period = getPayPeriod(date);
+  // Start from the beginning of the first overtime week so weekly totals carry in
+  const sessions = await attendanceDb.getForDateRange(employee.id, getWeekStart(period.start), period.end);
+
+  const completed = sessions.filter(session => session.check_out_time);
+  const days = applyPayrollRules(completed, period.start);
+  const sum = field => days.reduce((total, day) => total + day[field], 0);
+
+  const inPeriod = session => toDateKey(session.attendance_date) >= period.start;
+  const openSessions = sessions.filter(session => !session.check_out_time && inPeriod(session));
+  const unconfirmedSessions = completed.filter(session => session.auto_closed && !session.confirmed_at && inPeriod(session));
+
+  return {
+    employee_id: employee.id,
+    employee_name: employee.name,
+    period_start: period.start,
+    period_end: period.end,
+    rules: describeRules(),
+    days: days.map(day => ({
+      date: day.date,
+      sessions: day.sessions,
+      recorded_hours: toHours(day.recorded_minutes),
+      break_taken_hours: toHours(day.break_taken_minutes),
+      break_deduction_hours: toHours(day.break_deduction_minutes),
+      paid_hours: toHours(day.paid_minutes),
+      regular_hours: toHours(day.regular_minutes),
+      overtime_hours: toHours(day.daily_overtime_minutes + day.weekly_overtime_minutes)
+    })),
+    totals: {
+      days_worked: days.length,
+      recorded_hours: toHours(sum('recorded_minutes')),
+      break_deduction_hours: toHours(sum('break_deduction_minutes')),
+      paid_hours: toHours(sum('paid_minutes')),
+      regular_hours: toHours(sum('regular_minutes')),
+      daily_overtime_hours: toHours(sum('daily_overtime_minutes')),
+      weekly_overtime_hours: toHours(sum('weekly_overtime_minutes')),
+      overtime_hours: toHours(sum('daily_overtime_minutes') + sum('weekly_overtime_minutes'))
+    },
+    open_sessions: openSessions.map(session => session.id),
+    unconfirmed_sessions: unconfirmedSessions.map(session => session.id)
+  };
+}
+
+// The locked period covering any of the given attendance dates, or null
+async function findLockedPeriod(employeeId, ...dates) {
+  for (const date of dates.filter(Boolean)) {
+    const locked = await timesheetDb.getLockedCovering(employeeId, toDateKey(date));
+    if (locked) {
+      return locked;
+    }
+  }
+  return null;
+}
+
+// Response body for an edit rejected because its period is locked
+function lockedPeriodError(locked) {
+  return {
+    message: `The timesheet for ${toDateKey(locked.period_start)} to ${toDateKey(locked.period_end)} is locked and cannot be changed`,
+    timesheet_period_id: locked.id
+  };
+}
+
+module.exports = {
+  PAY_PERIOD_TYPES,
+  payrollConfig,
+  getPayPeriod,
+  computeTimesheet,
+  findLockedPeriod,
+  lockedPeriodError
+};
@@ -0,0 +1,110 @@
+// Attendance timezones - which zone an employee's attendance day is counted in
+require('dotenv').config();
+
+const { attendanceDb, locationDb } = require('./database');
+
+// Used when neither the employee nor their location has a timezone
+const DEFAULT_TIMEZONE = process.env.DEFAULT_TIMEZONE || 'UTC';
+
+// IANA zone names such as "Asia/Kolkata"
+function isValidTimezone(timezone) {
+  if (!timezone || typeof timezone !== 'string') {
+    return false;
+  }
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// YYYY-MM-DD for the given instant in the given zone
+function localDateString(timezone, date = new Date()) {
+  return new Intl.DateTimeFormat('en-CA', {
+    timeZone: timezone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit'
+  }).format(date);
+}
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// YYYY-MM-DD shifted by a number of calendar days
+function addDays(date, days) {
+  return new Date(Date.parse(`${date}T00:00:00Z`) + days * DAY_MS).toISOString().slice(0, 10);
+}
+
+// pg returns DATE columns as local-midnight Date objects; this turns them back into YYYY-MM-DD
+function toDateKey(value) {
+  if (value instanceof Date) {
+    const pad = number => String(number).padStart(2, '0');
+    return `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())}`;
+  }
+  return value;
+}
+
+// Offset of the zone from UTC at the given instant, in milliseconds
+function zoneOffsetMs(timezone, date) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit'
+  }).formatToParts(date);
+  const get = type => parseInt(parts.find(part => part.type === type).value);
+  const wallClock = Date.UTC(get('year'), get('month') - 1, get('day'), get('hour'), get('minute'), get('second'));
+  return wallClock - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+// The instant at which a zone's wall clock shows the given date and HH:MM[:SS] time
+function zonedDateTime(timezone, date, time) {
+  const [hours, minutes, seconds = 0] = time.split(':').map(Number);
+  const [year, month, day] = date.split('-').map(Number);
+  const wallClock = Date.UTC(year, month - 1, day, hours, minutes, seconds);
+  // Re-check the offset at the result so times next to a DST change land correctly
+  const offset = zoneOffsetMs(timezone, new Date(wallClock));
+  const adjusted = zoneOffsetMs(timezone, new Date(wallClock - offset));
+  return new Date(wallClock - adjusted);
+}
+
+// Employee timezone first, then the zone of the employee's current day (see below), then
+// the location being checked in at, then the employee's assigned location, then DEFAULT_TIMEZONE
+async function resolveTimezone(employee, location = null) {
+  if (employee.timezone) {
+    return employee.timezone;
+  }
+  // Without a zone of their own, an employee's day keeps the zone its first session was
+  // recorded in - while the latest session is open or its day has not ended - so later
+  // check-ins and the status, summary and team views all land on the same attendance date
+  const latest = await attendanceDb.getLatestSession(employee.id);
+  if (latest && latest.timezone &&
+      (!latest.check_out_time || toDateKey(latest.attendance_date) === localDateString(latest.timezone))) {
+    return latest.timezone;
+  }
+  if (location && location.timezone) {
+    return location.timezone;
+  }
+  if (employee.assigned_location_id) {
+    const assigned = await locationDb.getById(employee.assigned_location_id);
+    if (assigned && assigned.timezone) {
+      return assigned.timezone;
+    }
+  }
+  return DEFAULT_TIMEZONE;
+}
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  isValidTimezone,
+  localDateString,
+  addDays,
+  toDateKey,
+  zonedDateTime,
+  resolveTimezone
+};
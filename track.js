@@ -0,0 +1,79 @@
+// Session tracks - distance travelled and stationary time from breadcrumb pings
+require('dotenv').config();
+
+const { haversineMeters } = require('./geo');
+
+const trackConfig = {
+  maxPingsPerBatch: parseInt(process.env.PINGS_MAX_BATCH) || 500,
+  // Fixes less accurate than this are returned but left out of distance and stops
+  maxAccuracyMeters: parseInt(process.env.TRACK_MAX_ACCURACY_METERS) || 100,
+  stationaryRadiusMeters: parseInt(process.env.TRACK_STATIONARY_RADIUS_METERS) || 30,
+  minStationaryMinutes: parseInt(process.env.TRACK_MIN_STATIONARY_MINUTES) || 5
+};
+
+// Summarise a time-ordered list of { latitude, longitude, accuracy_meters, recorded_at } points.
+// A stop is a run of points staying within stationaryRadiusMeters of its first point for at
+// least minStationaryMinutes; time in stops is reported as stationary.
+function summarizeTrack(points) {
+  const usable = points.filter(point =>
+    point.accuracy_meters === null || point.accuracy_meters === undefined ||
+    point.accuracy_meters <= trackConfig.maxAccuracyMeters);
+
+  let totalDistance = 0;
+  for (let i = 1; i < usable.length; i++) {
+    totalDistance += haversineMeters(
+      usable[i - 1].latitude, usable[i - 1].longitude,
+      usable[i].latitude, usable[i].longitude
+    );
+  }
+
+  const minStationaryMs = trackConfig.minStationaryMinutes * 60 * 1000;
+  const stops = [];
+  let anchor = usable[0];
+  let lastInRadius = anchor;
+
+  const closeStop = () => {
+    const duration = new Date(lastInRadius.recorded_at) - new Date(anchor.recorded_at);
+    if (duration >= minStationaryMs) {
+      stops.push({
+        latitude: anchor.latitude,
+        longitude: anchor.longitude,
+        started_at: anchor.recorded_at,
+        ended_at: lastInRadius.recorded_at,
+        duration_seconds: Math.round(duration / 1000)
+      });
+    }
+  };
+
+  for (let i = 1; i < usable.length; i++) {
+    const point = usable[i];
+    if (haversineMeters(anchor.latitude, anchor.longitude, point.latitude, point.longitude) <= trackConfig.stationaryRadiusMeters) {
+      lastInRadius = point;
+      continue;
+    }
+    closeStop();
+    anchor = point;
+    lastInRadius = point;
+  }
+  if (anchor) {
+    closeStop();
+  }
+
+  const first = points[0];
+  const last = points[points.length - 1];
+
+  return {
+    point_count: points.length,
+    ignored_point_count: points.length - usable.length,
+    started_at: first ? first.recorded_at : null,
+    ended_at: last ? last.recorded_at : null,
+    total_distance_meters: Math.round(totalDistance),
+    stationary_seconds: stops.reduce((total, stop) => total + stop.duration_seconds, 0),
+    stops: stops
+  };
+}
+
+module.exports = {
+  trackConfig,
+  summarizeTrack
+};
@@ -0,0 +1,168 @@
+// Visit reports - the forms employees fill in for a site visit, defined per location type,
+// and server-side validation of their answers against the form's typed fields
+const VISIT_FIELD_TYPES = ['text', 'number', 'choice', 'checkbox'];
+const FIELD_KEY_PATTERN = /^[a-z][a-z0-9_]{0,49}$/;
+const MAX_FORM_FIELDS = 50;
+const MAX_CHOICE_OPTIONS = 50;
+const DEFAULT_TEXT_MAX_LENGTH = 1000;
+const MAX_TEXT_LENGTH = 5000;
+
+const isBlank = value => value === undefined || value === null || value === '';
+
+// Check and normalize one field definition; returns { error } or { field }
+function normalizeField(definition, index) {
+  const name = `fields[${index}]`;
+  if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+    return { error: `${name} must be an object` };
+  }
+  const { key, label, type, required = false } = definition;
+
+  if (typeof key !== 'string' || !FIELD_KEY_PATTERN.test(key)) {
+    return { error: `${name}.key must start with a lower-case letter and use only a-z, 0-9 and _ (at most 50 characters)` };
+  }
+  if (typeof label !== 'string' || !label.trim() || label.trim().length > 200) {
+    return { error: `${name}.label is required and must be at most 200 characters` };
+  }
+  if (!VISIT_FIELD_TYPES.includes(type)) {
+    return { error: `${name}.type must be one of: ${VISIT_FIELD_TYPES.join(', ')}` };
+  }
+  if (typeof required !== 'boolean') {
+    return { error: `${name}.required must be true or false` };
+  }
+
+  const field = { key: key, label: label.trim(), type: type, required: required };
+
+  if (type === 'text') {
+    const maxLength = definition.max_length === undefined ? DEFAULT_TEXT_MAX_LENGTH : definition.max_length;
+    if (!Number.isInteger(maxLength) || maxLength < 1 || maxLength > MAX_TEXT_LENGTH) {
+      return { error: `${name}.max_length must be a whole number from 1 to ${MAX_TEXT_LENGTH}` };
+    }
+    field.max_length = maxLength;
+  }
+
+  if (type === 'number') {
+    const { min = null, max = null, integer = false } = definition;
+    if ((min !== null && !Number.isFinite(min)) || (max !== null && !Number.isFinite(max))) {
+      return { error: `${name}.min and ${name}.max must be numbers` };
+    }
+    if (min !== null && max !== null && min > max) {
+      return { error: `${name}.min must not be greater than max` };
+    }
+    if (typeof integer !== 'boolean') {
+      return { error: `${name}.integer must be true or false` };
+    }
+    Object.assign(field, { min: min, max: max, integer: integer });
+  }
+
+  if (type === 'choice') {
+    const { options } = definition;
+    if (!Array.isArray(options) || options.length === 0 || options.length > MAX_CHOICE_OPTIONS ||
+        !options.every(option => typeof option === 'string' && option.trim() && option.trim().length <= 100)) {
+      return { error: `${name}.options must be 1 to ${MAX_CHOICE_OPTIONS} texts of at most 100 characters` };
+    }
+    const trimmed = options.map(option => option.trim());
+    if (new Set(trimmed).size !== trimmed.length) {
+      return { error: `${name}.options must not repeat` };
+    }
+    field.options = trimmed;
+  }
+
+  return { field };
+}
+
+// Check a form's field list; returns { error } or { fields } in the stored shape
+function validateFormFields(fields) {
+  if (!Array.isArray(fields) || fields.length === 0 || fields.length > MAX_FORM_FIELDS) {
+    return { error: `fields must be an array of 1 to ${MAX_FORM_FIELDS} field definitions` };
+  }
+
+  const normalized = [];
+  for (let index = 0; index < fields.length; index++) {
+    const { error, field } = normalizeField(fields[index], index);
+    if (error) {
+      return { error };
+    }
+    if (normalized.some(existing => existing.key === field.key)) {
+      return { error: `fields[${index}].key "${field.key}" is used more than once` };
+    }
+    normalized.push(field);
+  }
+  return { fields: normalized };
+}
+
+// The problem with one answer, or null when it is valid
+function checkAnswer(field, value) {
+  if (isBlank(value)) {
+    return field.required ? 'is required' : null;
+  }
+
+  switch (field.type) {
+    case 'text':
+      if (typeof value !== 'string') {
+        return 'must be text';
+      }
+      if (!value.trim()) {
+        return field.required ? 'is required' : null;
+      }
+      return value.length > field.max_length ? `must be at most ${field.max_length} characters` : null;
+    case 'number':
+      if (typeof value !== 'number' || !Number.isFinite(value)) {
+        return 'must be a number';
+      }
+      if (field.integer && !Number.isInteger(value)) {
+        return 'must be a whole number';
+      }
+      if (field.min !== null && value < field.min) {
+        return `must be at least ${field.min}`;
+      }
+      return field.max !== null && value > field.max ? `must be at most ${field.max}` : null;
+    case 'choice':
+      return field.options.includes(value) ? null : `must be one of: ${field.options.join(', ')}`;
+    case 'checkbox':
+      if (typeof value !== 'boolean') {
+        return 'must be true or false';
+      }
+      // A required checkbox is a confirmation, so it has to be ticked
+      return field.required && !value ? 'must be checked' : null;
+    default:
+      return 'has an unknown field type';
+  }
+}
+
+// Validate answers ({ key: value }) against a form's fields. Returns { errors } with
+// one { field, message } per problem, or { answers } with every field's key (unanswered
+// optional fields are null and unticked optional checkboxes false).
+function validateAnswers(fields, answers) {
+  if (!answers || typeof answers !== 'object' || Array.isArray(answers)) {
+    return { errors: [{ field: null, message: 'answers must be an object keyed by field key' }] };
+  }
+
+  const errors = Object.keys(answers)
+    .filter(key => !fields.some(field => field.key === key))
+    .map(key => ({ field: key, message: 'is not a field of this form' }));
+  const normalized = {};
+
+  for (const field of fields) {
+    const value = answers[field.key];
+    const problem = checkAnswer(field, value);
+    if (problem) {
+      errors.push({ field: field.key, message: `${field.label} ${problem}` });
+      continue;
+    }
+    if (field.type === 'text') {
+      normalized[field.key] = isBlank(value) || !value.trim() ? null : value.trim();
+    } else if (field.type === 'checkbox') {
+      normalized[field.key] = value === true;
+    } else {
+      normalized[field.key] = isBlank(value) ? null : value;
+    }
+  }
+
+  return errors.length > 0 ? { errors } : { answers: normalized };
+}
+
+module.exports = {
+  VISIT_FIELD_TYPES,
+  validateFormFields,
+  validateAnswers
+};
@@ -0,0 +1,183 @@
+// Outbound webhooks - HMAC-signed JSON events POSTed to subscriber URLs through a
+// persistent queue, retried with exponential backoff and dead-lettered after the last attempt
+const crypto = require('crypto');
+require('dotenv').config();
+
+const { webhookDb } = require('./database');
+const { toDateKey } = require('./timezone');
+
+const WEBHOOK_EVENT_TYPES = ['attendance.checked_in', 'attendance.checked_out', 'attendance.flagged'];
+// Sent only by the admin test route, to one subscription
+const WEBHOOK_TEST_EVENT = 'webhook.test';
+const DELIVERY_STATUSES = ['pending', 'delivered', 'dead'];
+
+const webhookConfig = {
+  maxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 8,
+  // Retry n waits retryBaseSeconds * 2^(n-1), capped at retryMaxSeconds
+  retryBaseSeconds: parseInt(process.env.WEBHOOK_RETRY_BASE_SECONDS) || 30,
+  retryMaxSeconds: parseInt(process.env.WEBHOOK_RETRY_MAX_SECONDS) || 6 * 60 * 60,
+  timeoutMs: parseInt(process.env.WEBHOOK_TIMEOUT_MS) || 10000,
+  batchSize: parseInt(process.env.WEBHOOK_BATCH_SIZE) || 20,
+  intervalSeconds: parseInt(process.env.WEBHOOK_QUEUE_INTERVAL_SECONDS) || 15
+};
+
+function generateWebhookSecret() {
+  return `whsec_${crypto.randomBytes(32).toString('base64url')}`;
+}
+
+// X-Webhook-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256 of "<t>.<raw body>">.
+// Receivers should recompute it over the raw body and reject old timestamps.
+function signPayload(secret, timestamp, body) {
+  const signature = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `t=${timestamp},v1=${signature}`;
+}
+
+function retryDelaySeconds(attempt) {
+  return Math.min(webhookConfig.retryMaxSeconds, webhookConfig.retryBaseSeconds * 2 ** (attempt - 1));
+}
+
+// The attendance fields sent with attendance.* events
+function attendanceWebhookData(session) {
+  return {
+    attendance_id: session.id,
+    employee_id: session.employee_id,
+    attendance_date: toDateKey(session.attendance_date),
+    timezone: session.timezone || null,
+    check_in_time: session.check_in_time,
+    check_out_time: session.check_out_time || null,
+    total_hours: session.total_hours === null || session.total_hours === undefined ? null : parseFloat(session.total_hours),
+    check_in_location_code: session.check_in_location_code || null,
+    check_out_location_code: session.check_out_location_code || null,
+    location_verified: session.location_verified,
+    auto_closed: !!session.auto_closed,
+    offline_sync: !!session.is_offline_sync
+  };
+}
+
+// Queue an event for every active subscription to its type (or only subscriptionId).
+// Never throws - the change that raised the event is already saved.
+async function enqueueWebhookEvent(type, data, { subscriptionId = null } = {}) {
+  try {
+    const subscriptionIds = subscriptionId
+      ? [subscriptionId]
+      : (await webhookDb.getActiveSubscriptionsForEvent(type)).map(subscription => subscription.id);
+    if (subscriptionIds.length === 0) {
+      return [];
+    }
+
+    const event = { id: crypto.randomUUID(), type: type, created_at: new Date().toISOString(), data: data };
+    const deliveries = await webhookDb.createDeliveries(subscriptionIds, event);
+
+    // Deliver right away instead of waiting for the next queue run
+    setImmediate(() => processWebhookQueue().catch(error => console.error('Webhook queue error:', error)));
+    return deliveries;
+  } catch (error) {
+    console.error('Webhook enqueue error:', error);
+    return [];
+  }
+}
+
+// POST one delivery and record the attempt; returns the updated delivery
+async function attemptDelivery(delivery, subscription) {
+  const attempt = delivery.attempts + 1;
+  const body = JSON.stringify(delivery.payload);
+  const started = Date.now();
+  let statusCode = null;
+  let responseBody = null;
+  let error = null;
+
+  if (!subscription || !subscription.is_active) {
+    error = 'Subscription is inactive';
+  } else {
+    try {
+      const response = await fetch(subscription.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'field-tracker-webhooks',
+          'X-Webhook-Id': delivery.event_id,
+          'X-Webhook-Event': delivery.event_type,
+          'X-Webhook-Delivery': String(delivery.id),
+          'X-Webhook-Signature': signPayload(subscription.secret, Math.floor(Date.now() / 1000), body)
+        },
+        body: body,
+        redirect: 'manual',
+        signal: AbortSignal.timeout(webhookConfig.timeoutMs)
+      });
+      statusCode = response.status;
+      responseBody = (await response.text()).slice(0, 1000);
+      if (statusCode < 200 || statusCode >= 300) {
+        error = `Receiver responded with HTTP ${statusCode}`;
+      }
+    } catch (requestError) {
+      error = requestError.name === 'TimeoutError'
+        ? `No response within ${webhookConfig.timeoutMs} ms`
+        : (requestError.cause && requestError.cause.message) || requestError.message;
+    }
+  }
+
+  await webhookDb.recordAttempt(delivery.id, {
+    attempt: attempt,
+    statusCode: statusCode,
+    error: error,
+    responseBody: responseBody,
+    durationMs: Date.now() - started
+  });
+
+  if (!error) {
+    return webhookDb.recordOutcome(delivery.id, { status: 'delivered', attempts: attempt, statusCode: statusCode, error: null });
+  }
+
+  // Inactive subscriptions are dead-lettered at once; they can be retried after reactivation
+  const dead = attempt >= webhookConfig.maxAttempts || !subscription || !subscription.is_active;
+  const outcome = await webhookDb.recordOutcome(delivery.id, {
+    status: dead ? 'dead' : 'pending',
+    attempts: attempt,
+    statusCode: statusCode,
+    error: error,
+    retryInSeconds: dead ? null : retryDelaySeconds(attempt)
+  });
+  if (dead) {
+    console.warn('Webhook delivery dead-lettered:', {
+      delivery_id: delivery.id,
+      subscription_id: delivery.subscription_id,
+      event_type: delivery.event_type,
+      attempts: attempt,
+      error: error
+    });
+  }
+  return outcome;
+}
+
+// Deliver one batch of due deliveries; run by the scheduled job and after each enqueue
+async function processWebhookQueue() {
+  // Long enough that a claimed delivery is finished before anyone else may claim it
+  const leaseSeconds = Math.ceil(webhookConfig.timeoutMs / 1000) * webhookConfig.batchSize + 60;
+  const deliveries = await webhookDb.claimDueDeliveries(webhookConfig.batchSize, leaseSeconds);
+  const subscriptions = new Map();
+  const counts = { delivered: 0, retrying: 0, dead: 0 };
+
+  for (const delivery of deliveries) {
+    if (!subscriptions.has(delivery.subscription_id)) {
+      subscriptions.set(delivery.subscription_id, await webhookDb.getSubscriptionById(delivery.subscription_id));
+    }
+    const outcome = await attemptDelivery(delivery, subscriptions.get(delivery.subscription_id));
+    counts[outcome.status === 'pending' ? 'retrying' : outcome.status]++;
+  }
+
+  return counts;
+}
+
+module.exports = {
+  WEBHOOK_EVENT_TYPES,
+  WEBHOOK_TEST_EVENT,
+  DELIVERY_STATUSES,
+  webhookConfig,
+  generateWebhookSecret,
+  signPayload,
+  retryDelaySeconds,
+  attendanceWebhookData,
+  enqueueWebhookEvent,
+  attemptDelivery,
+  processWebhookQueue
+};